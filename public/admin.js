@@ -0,0 +1,279 @@
+class AdminDashboard {
+  constructor() {
+    this.tokenForm = document.getElementById('tokenForm');
+    this.tokenInput = document.getElementById('adminToken');
+    this.refreshButton = document.getElementById('refreshButton');
+    this.signOutButton = document.getElementById('signOutButton');
+    this.statusDiv = document.getElementById('status');
+    this.dashboard = document.getElementById('dashboard');
+    this.statsDiv = document.getElementById('stats');
+    this.userTable = document.getElementById('userTable');
+    this.callTable = document.getElementById('callTable');
+
+    this.init();
+  }
+
+  init() {
+    this.tokenForm.addEventListener('submit', (e) => {
+      e.preventDefault();
+      sessionStorage.setItem('crm-push-admin-token', this.tokenInput.value.trim());
+      this.tokenInput.value = '';
+      this.refresh();
+    });
+
+    this.refreshButton.addEventListener('click', () => this.refresh());
+
+    this.signOutButton.addEventListener('click', () => {
+      sessionStorage.removeItem('crm-push-admin-token');
+      this.dashboard.hidden = true;
+      this.showStatus('success', 'Signed out');
+    });
+
+    if (sessionStorage.getItem('crm-push-admin-token')) {
+      this.refresh();
+    }
+  }
+
+  // Call the admin API with the stored token
+  async api(path, options = {}) {
+    const response = await fetch(`/api/admin${path}`, {
+      ...options,
+      headers: {
+        'Authorization': `Bearer ${sessionStorage.getItem('crm-push-admin-token') || ''}`
+      }
+    });
+    const data = await response.json();
+
+    if (!response.ok) {
+      throw new Error(data.message || `HTTP ${response.status}: ${response.statusText}`);
+    }
+
+    return data;
+  }
+
+  async refresh() {
+    try {
+      const [usersData, callsData, health] = await Promise.all([
+        this.api('/users'),
+        this.api('/calls?limit=100'),
+        fetch('/health').then(response => response.json())
+      ]);
+
+      this.renderStats(health);
+      this.renderUsers(usersData.users);
+      this.renderCalls(callsData.calls);
+      this.dashboard.hidden = false;
+      this.statusDiv.hidden = true;
+    } catch (error) {
+      this.dashboard.hidden = true;
+      this.showStatus('error', `Failed to load dashboard: ${error.message}`);
+    }
+  }
+
+  renderStats(health) {
+    const stats = [
+      ['Users', health.storage.users],
+      ['Devices', health.storage.totalSubscriptions],
+      ['Queued pushes', health.pushQueue ? health.pushQueue.pending : '–'],
+      ['Dead letters', health.pushQueue ? health.pushQueue.deadLetters : '–'],
+      ['Failed callbacks', health.callbacks ? health.callbacks.deadLetters : '–'],
+      ['Tenants', Object.keys(health.tenants || {}).length]
+    ];
+
+    this.statsDiv.replaceChildren(...stats.map(([label, value]) => {
+      const item = document.createElement('div');
+      const number = document.createElement('strong');
+      number.textContent = value;
+      item.append(number, label);
+      return item;
+    }));
+  }
+
+  renderUsers(users) {
+    const rows = [];
+
+    for (const user of users) {
+      user.devices.forEach((device, index) => {
+        const row = document.createElement('tr');
+
+        // Tenant / user cell with a "test all devices" button on the first row
+        const userCell = this.cell('');
+        if (index === 0) {
+          userCell.rowSpan = user.devices.length;
+          userCell.append(this.text(user.userId, 'strong'), document.createElement('br'), this.text(user.tenantId, 'small', 'muted'));
+          userCell.append(document.createElement('br'), this.button('🔔 Test all', '', () => this.testPush(user)));
+        }
+
+        const deviceCell = this.cell('');
+        deviceCell.append(
+          this.text(device.label || device.pushService),
+          document.createElement('br'),
+          this.text(`${device.pushService} · ${device.locale} · ${device.id}`, 'small', 'muted')
+        );
+
+        const pushCell = this.cell('');
+        if (device.lastPushAt) {
+          const failed = device.lastPushStatus === 'failed';
+          pushCell.append(
+            this.text(failed ? `failed (${device.lastPushError})` : 'sent', 'span', `badge ${failed ? 'bad' : 'good'}`),
+            document.createElement('br'),
+            this.text(this.formatDate(device.lastPushAt), 'small', 'muted')
+          );
+        } else {
+          pushCell.append(this.text('never', 'span', 'muted'));
+        }
+
+        const actions = this.cell('');
+        actions.className = 'actions';
+        actions.append(
+          this.button('🔔 Test', '', () => this.testPush(user, device)),
+          this.button('Revoke', 'danger', () => this.revokeDevice(user, device))
+        );
+
+        if (index === 0) {
+          row.append(userCell);
+        }
+        row.append(deviceCell, this.cell(this.formatDate(device.lastSeenAt)), pushCell, actions);
+        rows.push(row);
+      });
+    }
+
+    if (rows.length === 0) {
+      rows.push(this.emptyRow('No registered devices', 5));
+    }
+
+    this.userTable.replaceChildren(...rows);
+  }
+
+  renderCalls(calls) {
+    const rows = calls.map(call => {
+      const row = document.createElement('tr');
+
+      // Group and user list calls show who took the call
+      const target = call.userId || (call.groupId ? `👥 ${call.groupId}` : (call.userIds || []).join(', '));
+      const userCell = this.cell('');
+      userCell.append(this.text(target), document.createElement('br'), this.text(call.tenantId, 'small', 'muted'));
+      if (call.claimedBy) {
+        userCell.append(document.createElement('br'), this.text(`claimed by ${call.claimedBy}`, 'small'));
+      }
+
+      const contact = [call.context.contactName, call.context.company].filter(Boolean).join(', ');
+
+      const outcome = this.cell('');
+      const good = ['sent', 'channel_sent', 'delivered', 'clicked', 'dismissed', 'claimed', 'dialed'].includes(call.status);
+      const bad = ['failed', 'channel_failed', 'no_devices', 'unavailable'].includes(call.status);
+      outcome.append(this.text(call.status, 'span', `badge ${good ? 'good' : ''} ${bad ? 'bad' : ''}`));
+      if (call.total !== null) {
+        outcome.append(' ', this.text(`${call.sent}/${call.total} devices`, 'small', 'muted'));
+      }
+      if (call.channels.length > 0) {
+        outcome.append(' ', this.text(`via ${call.channels.join(', ')}`, 'small', 'muted'));
+      }
+      if (call.outcome) {
+        outcome.append(document.createElement('br'), this.text(call.outcome.result.replace('_', ' '), 'small'));
+      }
+
+      row.append(
+        this.cell(this.formatDate(call.createdAt)),
+        userCell,
+        this.cell(call.phoneNumber),
+        this.cell(contact || '–'),
+        outcome
+      );
+      return row;
+    });
+
+    if (rows.length === 0) {
+      rows.push(this.emptyRow('No calls yet', 5));
+    }
+
+    this.callTable.replaceChildren(...rows);
+  }
+
+  devicePath(user, device) {
+    const path = `/tenants/${encodeURIComponent(user.tenantId)}/users/${encodeURIComponent(user.userId)}`;
+    return device ? `${path}/devices/${encodeURIComponent(device.id)}` : path;
+  }
+
+  async testPush(user, device) {
+    try {
+      const result = await this.api(`${this.devicePath(user, device)}/test`, { method: 'POST' });
+      const failures = result.deliveries
+        .filter(delivery => !delivery.success)
+        .map(delivery => `${delivery.deviceId}: ${delivery.statusCode || ''} ${delivery.message || ''}`.trim());
+
+      this.showStatus(result.success ? 'success' : 'error',
+        `Test notification sent to ${result.sent}/${result.total} device(s)` +
+        (failures.length > 0 ? ` – ${failures.join('; ')}` : ''));
+
+      await this.refresh();
+      this.statusDiv.hidden = false;
+    } catch (error) {
+      this.showStatus('error', `Test notification failed: ${error.message}`);
+    }
+  }
+
+  async revokeDevice(user, device) {
+    if (!confirm(`Revoke "${device.label || device.pushService}" of ${user.userId}? It will no longer receive call notifications.`)) {
+      return;
+    }
+
+    try {
+      await this.api(this.devicePath(user, device), { method: 'DELETE' });
+      await this.refresh();
+      this.showStatus('success', 'Device revoked');
+    } catch (error) {
+      this.showStatus('error', `Failed to revoke device: ${error.message}`);
+    }
+  }
+
+  cell(content) {
+    const cell = document.createElement('td');
+    cell.textContent = content;
+    return cell;
+  }
+
+  text(content, tag = 'span', className = '') {
+    const element = document.createElement(tag);
+    element.textContent = content;
+    if (className.trim()) {
+      element.className = className.trim();
+    }
+    return element;
+  }
+
+  button(label, className, onClick) {
+    const button = document.createElement('button');
+    button.type = 'button';
+    button.textContent = label;
+    if (className) {
+      button.className = className;
+    }
+    button.addEventListener('click', onClick);
+    return button;
+  }
+
+  emptyRow(message, columns) {
+    const row = document.createElement('tr');
+    const cell = this.cell(message);
+    cell.colSpan = columns;
+    cell.className = 'muted';
+    row.append(cell);
+    return row;
+  }
+
+  formatDate(value) {
+    return value ? new Date(value).toLocaleString() : '–';
+  }
+
+  showStatus(type, message) {
+    this.statusDiv.className = `status ${type}`;
+    this.statusDiv.textContent = message;
+    this.statusDiv.hidden = false;
+  }
+}
+
+// Initialize when DOM is loaded
+document.addEventListener('DOMContentLoaded', () => {
+  new AdminDashboard();
+});
@@ -0,0 +1,78 @@
+// Call page - open the phone dialer right away; the button stays as fallback
+const callButton = document.querySelector('.call-button');
+const outcomeForm = document.querySelector('.outcome-form');
+const params = new URLSearchParams(window.location.search);
+
+// Report an event of a tracked call (links carry its ID and token)
+function reportCallEvent(type) {
+  return fetch(`/api/calls/${encodeURIComponent(params.get('call'))}/events`, {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json' },
+    body: JSON.stringify({ type, token: params.get('token') }),
+    // The request must survive the switch to the dialer
+    keepalive: true
+  }).catch(() => {});
+}
+
+function showOutcomeForm() {
+  outcomeForm.hidden = false;
+}
+
+if (outcomeForm) {
+  outcomeForm.addEventListener('submit', async (event) => {
+    event.preventDefault();
+    const status = outcomeForm.querySelector('.outcome-status');
+    const logToCrm = outcomeForm.elements.log_to_crm;
+    
+    try {
+      const response = await fetch(`/api/calls/${encodeURIComponent(params.get('call'))}/outcome`, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({
+          token: params.get('token'),
+          outcome: outcomeForm.elements.outcome.value,
+          note: outcomeForm.elements.note.value,
+          log_to_crm: logToCrm ? logToCrm.checked : undefined
+        })
+      });
+      
+      if (!response.ok) {
+        throw new Error(`HTTP ${response.status}`);
+      }
+      status.textContent = outcomeForm.dataset.saved;
+    } catch (error) {
+      status.textContent = outcomeForm.dataset.failed;
+    }
+  });
+  
+  outcomeForm.querySelector('.outcome-skip').addEventListener('click', () => {
+    outcomeForm.hidden = true;
+  });
+}
+
+if (outcomeForm && params.has('log')) {
+  // Opened from the call history to record the outcome, not to dial again
+  showOutcomeForm();
+} else if (callButton) {
+  if (outcomeForm) {
+    reportCallEvent('dialed');
+    
+    // Ask for the outcome when the user comes back from the dialer, or
+    // after a few seconds if the dialer never took over the screen
+    let left = false;
+    document.addEventListener('visibilitychange', () => {
+      if (document.hidden) {
+        left = true;
+      } else if (left) {
+        showOutcomeForm();
+      }
+    });
+    setTimeout(() => {
+      if (!left && !document.hidden) {
+        showOutcomeForm();
+      }
+    }, 5000);
+  }
+  
+  window.location.href = callButton.href;
+}
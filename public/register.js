@@ -2,41 +2,325 @@ class PushRegistration {
   constructor() {
     this.form = document.getElementById('registrationForm');
     this.userIdInput = document.getElementById('userId');
+    this.userIdLabel = document.querySelector('label[for="userId"]');
+    this.pairedInfo = document.getElementById('pairedInfo');
     this.enableButton = document.getElementById('enableButton');
     this.statusDiv = document.getElementById('status');
+    this.devicesSection = document.getElementById('devicesSection');
+    this.deviceList = document.getElementById('deviceList');
+    this.unregisterButton = document.getElementById('unregisterButton');
+    this.testButton = document.getElementById('testButton');
+    this.localeSelect = document.getElementById('localeSelect');
+    this.routingSection = document.getElementById('routingSection');
+    this.routingForm = document.getElementById('routingForm');
+    this.routingState = document.getElementById('routingState');
+    this.routingTimezone = document.getElementById('routingTimezone');
+    this.routingLimitHours = document.getElementById('routingLimitHours');
+    this.routingHours = document.getElementById('routingHours');
+    this.routingDays = document.getElementById('routingDays');
+    this.routingStart = document.getElementById('routingStart');
+    this.routingEnd = document.getElementById('routingEnd');
+    this.routingDoNotDisturb = document.getElementById('routingDoNotDisturb');
+    this.routingFallback = document.getElementById('routingFallback');
+    this.routingFallbackGroup = document.getElementById('routingFallbackGroup');
+    this.routingSaveButton = document.getElementById('routingSaveButton');
+    this.channelsSection = document.getElementById('channelsSection');
+    this.channelsForm = document.getElementById('channelsForm');
+    this.channelsMode = document.getElementById('channelsMode');
+    this.channelsSaveButton = document.getElementById('channelsSaveButton');
+    this.historySection = document.getElementById('historySection');
+    this.historyEmpty = document.getElementById('historyEmpty');
+    this.historyList = document.getElementById('historyList');
+    this.sendToPhoneSection = document.getElementById('sendToPhoneSection');
+    this.tokenList = document.getElementById('tokenList');
+    this.tokenForm = document.getElementById('tokenForm');
+    this.tokenLabel = document.getElementById('tokenLabel');
+    this.tokenCreateButton = document.getElementById('tokenCreateButton');
+    this.tokenCreated = document.getElementById('tokenCreated');
+    this.tokenValue = document.getElementById('tokenValue');
+    this.tokenSetupLink = document.getElementById('tokenSetupLink');
+    this.channelInputs = {
+      sms: document.getElementById('channelSms'),
+      email: document.getElementById('channelEmail'),
+      slack: document.getElementById('channelSlack'),
+      teams: document.getElementById('channelTeams')
+    };
+    
+    this.availability = null;
+    this.channelOrder = [];
+    this.enabledChannels = [];
+    this.devMode = false;
+    this.pairingCode = null;
+    this.i18n = window.CRM_PUSH_I18N || { defaultLocale: 'en', messages: {} };
+    this.locale = this.detectLocale();
     
     this.init();
   }
 
-  init() {
+  async init() {
+    this.renderLocalePicker();
+    this.applyTranslations();
+    
     // Check if service workers are supported
     if (!('serviceWorker' in navigator)) {
-      this.showStatus('error', 'Service Workers are not supported in this browser');
+      this.showStatus('error', this.t('register.noServiceWorker'));
       this.enableButton.disabled = true;
       return;
     }
 
     // Check if push messaging is supported
     if (!('PushManager' in window)) {
-      this.showStatus('error', 'Push messaging is not supported in this browser');
+      this.showStatus('error', this.t('register.noPush'));
       this.enableButton.disabled = true;
       return;
     }
 
-    // Load saved user ID
-    const savedUserId = localStorage.getItem('crm-push-user-id');
-    if (savedUserId) {
-      this.userIdInput.value = savedUserId;
+    // Pairing links look like /?pair=CODE
+    const params = new URLSearchParams(window.location.search);
+    if (params.has('pair')) {
+      this.pairingCode = params.get('pair');
+      history.replaceState(null, '', window.location.pathname);
     }
 
-    // Check current registration status
-    this.checkRegistrationStatus();
-
     // Bind form submission
     this.form.addEventListener('submit', (e) => {
       e.preventDefault();
       this.handleRegistration();
     });
+
+    this.unregisterButton.addEventListener('click', () => {
+      this.handleUnregister();
+    });
+
+    this.testButton.addEventListener('click', () => {
+      this.handleTestNotification();
+    });
+
+    this.routingForm.addEventListener('submit', (e) => {
+      e.preventDefault();
+      this.saveSettings();
+    });
+
+    this.routingLimitHours.addEventListener('change', () => {
+      this.routingHours.disabled = !this.routingLimitHours.checked;
+    });
+
+    this.channelsForm.addEventListener('submit', (e) => {
+      e.preventDefault();
+      this.saveChannels();
+    });
+
+    this.tokenForm.addEventListener('submit', (e) => {
+      e.preventDefault();
+      this.createToken();
+    });
+
+    await this.loadConfig();
+    this.updateIdentityForm();
+
+    // Check current registration status
+    this.checkRegistrationStatus();
+
+    // Show registered devices and availability of the paired user
+    if (this.hasCredentials()) {
+      this.loadDevices();
+      this.loadSettings();
+      this.loadTokens();
+      this.loadHistory();
+      
+      // Coming back from the call page or the dialer, show the latest outcomes
+      document.addEventListener('visibilitychange', () => {
+        if (!document.hidden) {
+          this.loadHistory();
+        }
+      });
+    }
+  }
+
+  // Saved choice, else the first supported browser language
+  detectLocale() {
+    const saved = localStorage.getItem('crm-push-locale');
+    if (saved && this.i18n.messages[saved]) {
+      return saved;
+    }
+    
+    for (const tag of navigator.languages || [navigator.language]) {
+      const language = (tag || '').toLowerCase().split('-')[0];
+      if (this.i18n.messages[language]) {
+        return language;
+      }
+    }
+    
+    return this.i18n.defaultLocale;
+  }
+
+  // Translate a message, filling {name} placeholders
+  t(key, params = {}) {
+    const messages = this.i18n.messages;
+    const message = messages[this.locale]?.[key] ?? messages[this.i18n.defaultLocale]?.[key] ?? key;
+    return message.replace(/\{(\w+)\}/g, (placeholder, name) => (name in params ? String(params[name]) : placeholder));
+  }
+
+  // Replace the text of all elements marked with data-i18n
+  applyTranslations() {
+    document.documentElement.lang = this.locale;
+    
+    for (const element of document.querySelectorAll('[data-i18n]')) {
+      const message = this.t(element.dataset.i18n);
+      if (message !== element.dataset.i18n) {
+        element.textContent = message;
+      }
+    }
+    
+    this.updateIdentityForm();
+    this.renderWeekdays();
+    this.renderAvailability();
+  }
+
+  renderLocalePicker() {
+    const locales = Object.keys(this.i18n.messages);
+    this.localeSelect.parentElement.hidden = locales.length < 2;
+    
+    this.localeSelect.replaceChildren(...locales.map(locale => {
+      const option = document.createElement('option');
+      option.value = locale;
+      option.textContent = this.i18n.messages[locale]['language.name'] || locale;
+      option.selected = locale === this.locale;
+      return option;
+    }));
+    
+    this.localeSelect.addEventListener('change', () => {
+      this.changeLocale(this.localeSelect.value);
+    });
+  }
+
+  // Switch the page language and the notification language of this device
+  async changeLocale(locale) {
+    this.locale = locale;
+    localStorage.setItem('crm-push-locale', locale);
+    this.applyTranslations();
+    
+    const deviceId = localStorage.getItem('crm-push-device-id');
+    if (!deviceId || !this.hasCredentials()) {
+      return;
+    }
+    
+    try {
+      const response = await fetch(`/api/devices/${encodeURIComponent(deviceId)}`, {
+        method: 'PATCH',
+        headers: {
+          'Content-Type': 'application/json',
+          ...this.authHeaders()
+        },
+        body: JSON.stringify({ locale })
+      });
+      
+      if (!response.ok) {
+        const errorData = await response.json();
+        throw new Error(errorData.message || `HTTP ${response.status}: ${response.statusText}`);
+      }
+      
+      await this.loadDevices();
+    } catch (error) {
+      this.showStatus('error', this.t('register.languageFailed', { error: error.message }));
+    }
+  }
+
+  // Set the enable button text; the key keeps it translated on language changes
+  setEnableButton(key) {
+    this.enableButton.dataset.i18n = key;
+    this.enableButton.textContent = this.t(key);
+  }
+
+  async loadConfig() {
+    try {
+      const response = await fetch('/api/config');
+      const config = await response.json();
+      this.devMode = config.devMode === true;
+      this.enabledChannels = config.channels || [];
+    } catch (error) {
+      console.error('Error loading configuration:', error);
+    }
+  }
+
+  // Dev mode asks for a free-text user ID, otherwise for a pairing code
+  updateIdentityForm() {
+    const savedUserId = localStorage.getItem('crm-push-user-id');
+    const accessToken = localStorage.getItem('crm-push-access-token');
+    
+    if (this.devMode && !this.pairingCode) {
+      this.userIdLabel.textContent = this.t('register.userIdLabel');
+      this.userIdInput.placeholder = this.t('register.userIdPlaceholder');
+      this.userIdInput.value = savedUserId || '';
+    } else {
+      this.userIdLabel.textContent = this.t('register.pairingCodeLabel');
+      this.userIdInput.placeholder = this.t('register.pairingCodePlaceholder');
+      this.userIdInput.value = this.userIdInput.value || this.pairingCode || '';
+    }
+    
+    if (accessToken && savedUserId) {
+      this.pairedInfo.textContent = this.t('register.pairedAs', { userId: savedUserId });
+      this.pairedInfo.hidden = false;
+    } else {
+      this.pairedInfo.hidden = true;
+    }
+  }
+
+  hasCredentials() {
+    return Boolean(localStorage.getItem('crm-push-access-token') ||
+      (this.devMode && localStorage.getItem('crm-push-user-id')));
+  }
+
+  authHeaders() {
+    const accessToken = localStorage.getItem('crm-push-access-token');
+    if (accessToken) {
+      return { 'Authorization': `Bearer ${accessToken}` };
+    }
+    
+    return { 'X-User-Id': localStorage.getItem('crm-push-user-id') || '' };
+  }
+
+  // Determine who this device belongs to, redeeming a pairing code if one was given
+  async resolveIdentity() {
+    const input = this.userIdInput.value.trim();
+    const pairingCode = this.devMode && !this.pairingCode ? null : input;
+    
+    if (pairingCode) {
+      await this.redeemPairingCode(pairingCode);
+      return;
+    }
+    
+    if (this.devMode) {
+      if (!input) {
+        throw new Error(this.t('register.enterUserId'));
+      }
+      localStorage.setItem('crm-push-user-id', input);
+      localStorage.removeItem('crm-push-access-token');
+      return;
+    }
+    
+    if (!localStorage.getItem('crm-push-access-token')) {
+      throw new Error(this.t('register.enterPairingCode'));
+    }
+  }
+
+  async redeemPairingCode(code) {
+    const response = await fetch('/api/pairing/redeem', {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify({ code })
+    });
+    
+    const result = await response.json();
+    if (!response.ok) {
+      throw new Error(result.message || `HTTP ${response.status}: ${response.statusText}`);
+    }
+    
+    localStorage.setItem('crm-push-user-id', result.userId);
+    localStorage.setItem('crm-push-access-token', result.accessToken);
+    
+    this.pairingCode = null;
+    this.updateIdentityForm();
   }
 
   async checkRegistrationStatus() {
@@ -45,8 +329,17 @@ class PushRegistration {
       if (registration) {
         const subscription = await registration.pushManager.getSubscription();
         if (subscription) {
-          this.showStatus('success', '✅ Push notifications are already enabled for this device');
-          this.enableButton.textContent = '🔄 Re-register Push Notifications';
+          const publicKey = await this.getVapidPublicKey();
+          
+          // Re-register automatically after a server key rotation
+          if (!this.isSubscribedWithKey(subscription, publicKey) && this.hasCredentials()) {
+            this.showStatus('info', this.t('register.keysChanged'));
+            await this.handleRegistration();
+            return;
+          }
+          
+          this.showStatus('success', this.t('register.alreadyEnabled'));
+          this.setEnableButton('register.reregisterButton');
         }
       }
     } catch (error) {
@@ -55,21 +348,14 @@ class PushRegistration {
   }
 
   async handleRegistration() {
-    const userId = this.userIdInput.value.trim();
-    
-    if (!userId) {
-      this.showStatus('error', 'Please enter your User ID');
-      return;
-    }
-
-    // Save user ID
-    localStorage.setItem('crm-push-user-id', userId);
-
     this.enableButton.disabled = true;
-    this.enableButton.textContent = '⏳ Registering...';
-    this.showStatus('info', 'Setting up push notifications...');
+    this.setEnableButton('register.registeringButton');
+    this.showStatus('info', this.t('register.settingUp'));
 
     try {
+      // Step 0: Pair with the user (or use the dev mode user ID)
+      await this.resolveIdentity();
+      
       // Step 1: Register service worker
       await this.registerServiceWorker();
       
@@ -80,15 +366,17 @@ class PushRegistration {
       const subscription = await this.subscribeToPush(publicKey);
       
       // Step 4: Send subscription to server
-      await this.sendSubscriptionToServer(userId, subscription);
+      await this.sendSubscriptionToServer(subscription);
+      await this.loadDevices();
+      await this.loadSettings();
       
-      this.showStatus('success', '🎉 Push notifications enabled successfully! You will now receive CRM call notifications.');
-      this.enableButton.textContent = '✅ Notifications Enabled';
+      this.showStatus('success', this.t('register.success'));
+      this.setEnableButton('register.enabledButton');
       
     } catch (error) {
       console.error('Registration failed:', error);
-      this.showStatus('error', `Registration failed: ${error.message}`);
-      this.enableButton.textContent = '🔔 Enable Push Notifications';
+      this.showStatus('error', this.t('register.failed', { error: error.message }));
+      this.setEnableButton('register.enableButton');
     } finally {
       this.enableButton.disabled = false;
     }
@@ -104,7 +392,7 @@ class PushRegistration {
       
       return registration;
     } catch (error) {
-      throw new Error(`Service Worker registration failed: ${error.message}`);
+      throw new Error(this.t('register.serviceWorkerFailed', { error: error.message }));
     }
   }
 
@@ -118,7 +406,7 @@ class PushRegistration {
       const data = await response.json();
       return data.publicKey;
     } catch (error) {
-      throw new Error(`Failed to get VAPID key: ${error.message}`);
+      throw new Error(this.t('register.vapidKeyFailed', { error: error.message }));
     }
   }
 
@@ -130,8 +418,14 @@ class PushRegistration {
       let subscription = await registration.pushManager.getSubscription();
       
       if (subscription) {
-        console.log('Using existing subscription');
-        return subscription;
+        if (this.isSubscribedWithKey(subscription, publicKey)) {
+          console.log('Using existing subscription');
+          return subscription;
+        }
+        
+        // Server rotated its VAPID key - replace the outdated subscription
+        console.log('Subscription uses an outdated VAPID key, re-subscribing');
+        await subscription.unsubscribe();
       }
 
       // Create new subscription
@@ -145,24 +439,25 @@ class PushRegistration {
       
     } catch (error) {
       if (error.name === 'NotAllowedError') {
-        throw new Error('Push notifications permission denied. Please allow notifications and try again.');
+        throw new Error(this.t('register.permissionDenied'));
       } else if (error.name === 'AbortError') {
-        throw new Error('Push subscription was cancelled. Please try again.');
+        throw new Error(this.t('register.subscriptionCancelled'));
       } else {
-        throw new Error(`Push subscription failed: ${error.message}`);
+        throw new Error(this.t('register.subscriptionFailed', { error: error.message }));
       }
     }
   }
 
-  async sendSubscriptionToServer(userId, subscription) {
+  async sendSubscriptionToServer(subscription) {
     try {
       const response = await fetch('/api/devices', {
         method: 'POST',
         headers: {
           'Content-Type': 'application/json',
-          'X-User-Id': userId
+          ...this.authHeaders()
         },
-        body: JSON.stringify(subscription)
+        // The locale selects the language of this device's notifications
+        body: JSON.stringify({ subscription, locale: this.locale })
       });
 
       if (!response.ok) {
@@ -173,11 +468,575 @@ class PushRegistration {
       const result = await response.json();
       console.log('Subscription sent to server:', result);
       
+      // Remember which device entry belongs to this browser
+      localStorage.setItem('crm-push-device-id', result.device.id);
+      
+    } catch (error) {
+      throw new Error(this.t('register.serverFailed', { error: error.message }));
+    }
+  }
+
+  async loadDevices() {
+    try {
+      const response = await fetch('/api/devices', {
+        headers: this.authHeaders()
+      });
+      
+      if (!response.ok) {
+        throw new Error(`HTTP ${response.status}: ${response.statusText}`);
+      }
+      
+      const data = await response.json();
+      this.renderDevices(data.devices);
+    } catch (error) {
+      console.error('Error loading devices:', error);
+    }
+  }
+
+  renderDevices(devices) {
+    const currentDeviceId = localStorage.getItem('crm-push-device-id');
+    this.deviceList.replaceChildren();
+    
+    for (const device of devices) {
+      const isCurrent = device.id === currentDeviceId;
+      const item = document.createElement('li');
+      
+      const info = document.createElement('div');
+      info.className = 'device-info';
+      
+      const name = document.createElement('strong');
+      const deviceName = device.label || device.pushService;
+      name.textContent = isCurrent ? this.t('register.thisDevice', { name: deviceName }) : deviceName;
+      
+      const details = document.createElement('small');
+      details.textContent = device.lastSuccessfulPushAt
+        ? this.t('register.lastPush', { date: new Date(device.lastSuccessfulPushAt).toLocaleString(this.locale) })
+        : this.t('register.registeredAt', { date: new Date(device.createdAt).toLocaleString(this.locale) });
+      details.title = device.userAgent || '';
+      
+      info.append(name, details);
+      
+      const renameButton = document.createElement('button');
+      renameButton.type = 'button';
+      renameButton.textContent = '✏️';
+      renameButton.title = this.t('register.rename');
+      renameButton.addEventListener('click', () => this.renameDevice(device));
+      
+      const removeButton = document.createElement('button');
+      removeButton.type = 'button';
+      removeButton.className = 'secondary';
+      removeButton.textContent = '🗑️';
+      removeButton.title = this.t('register.remove');
+      removeButton.addEventListener('click', () => this.removeDevice(device));
+      
+      item.append(info, renameButton, removeButton);
+      this.deviceList.append(item);
+    }
+    
+    this.devicesSection.hidden = devices.length === 0;
+    this.unregisterButton.hidden = !devices.some(device => device.id === currentDeviceId);
+    this.testButton.hidden = this.unregisterButton.hidden;
+  }
+
+  async renameDevice(device) {
+    const label = prompt(this.t('register.deviceNamePrompt'), device.label || '');
+    if (label === null) {
+      return;
+    }
+    
+    try {
+      const response = await fetch(`/api/devices/${encodeURIComponent(device.id)}`, {
+        method: 'PATCH',
+        headers: {
+          'Content-Type': 'application/json',
+          ...this.authHeaders()
+        },
+        body: JSON.stringify({ label })
+      });
+      
+      if (!response.ok) {
+        const errorData = await response.json();
+        throw new Error(errorData.message || `HTTP ${response.status}: ${response.statusText}`);
+      }
+      
+      await this.loadDevices();
+    } catch (error) {
+      this.showStatus('error', this.t('register.renameFailed', { error: error.message }));
+    }
+  }
+
+  async removeDevice(device) {
+    if (!confirm(this.t('register.removeConfirm', { name: device.label || device.pushService }))) {
+      return;
+    }
+    
+    try {
+      await this.deleteDevice(device.id);
+      
+      // Removing this browser's entry also ends its push subscription
+      if (device.id === localStorage.getItem('crm-push-device-id')) {
+        await this.unsubscribeFromPush();
+      }
+      
+      await this.loadDevices();
+      this.showStatus('success', this.t('register.deviceRemoved'));
+    } catch (error) {
+      this.showStatus('error', this.t('register.removeFailed', { error: error.message }));
+    }
+  }
+
+  async handleUnregister() {
+    const deviceId = localStorage.getItem('crm-push-device-id');
+    
+    this.unregisterButton.disabled = true;
+    
+    try {
+      if (deviceId) {
+        await this.deleteDevice(deviceId);
+      }
+      await this.unsubscribeFromPush();
+      
+      this.setEnableButton('register.enableButton');
+      this.showStatus('success', this.t('register.unregistered'));
+      await this.loadDevices();
+    } catch (error) {
+      this.showStatus('error', this.t('register.unregisterFailed', { error: error.message }));
+    } finally {
+      this.unregisterButton.disabled = false;
+    }
+  }
+
+  // Send a test notification to this device and show what the push service answered
+  async handleTestNotification() {
+    const deviceId = localStorage.getItem('crm-push-device-id');
+    
+    this.testButton.disabled = true;
+    this.showStatus('info', this.t('register.testSending'));
+    
+    try {
+      const response = await fetch(`/api/devices/${encodeURIComponent(deviceId)}/test`, {
+        method: 'POST',
+        headers: this.authHeaders()
+      });
+      const result = await response.json();
+      
+      if (!response.ok) {
+        throw new Error(result.message || `HTTP ${response.status}: ${response.statusText}`);
+      }
+      
+      const [delivery] = result.deliveries;
+      if (delivery.success) {
+        this.showStatus('success', this.t('register.testSent', { status: delivery.statusCode }));
+      } else if (delivery.removed) {
+        localStorage.removeItem('crm-push-device-id');
+        this.setEnableButton('register.enableButton');
+        this.showStatus('error', this.t('register.testExpired', { status: delivery.statusCode }));
+      } else {
+        const error = [delivery.statusCode && `HTTP ${delivery.statusCode}`, delivery.message].filter(Boolean).join(' ');
+        this.showStatus('error', this.t('register.testRejected', { error }));
+      }
+      
+      await this.loadDevices();
+    } catch (error) {
+      this.showStatus('error', this.t('register.testFailed', { error: error.message }));
+    } finally {
+      this.testButton.disabled = false;
+    }
+  }
+
+  // Weekday checkboxes (1 = Monday … 7 = Sunday) labelled in the page language
+  renderWeekdays() {
+    const checked = this.getCheckedWeekdays();
+    const format = new Intl.DateTimeFormat(this.locale, { weekday: 'short', timeZone: 'UTC' });
+    
+    this.routingDays.replaceChildren(...[1, 2, 3, 4, 5, 6, 7].map(day => {
+      const label = document.createElement('label');
+      const checkbox = document.createElement('input');
+      checkbox.type = 'checkbox';
+      checkbox.value = day;
+      checkbox.checked = checked.length > 0 ? checked.includes(day) : day <= 5;
+      
+      // 2024-01-01 was a Monday
+      label.append(checkbox, format.format(new Date(Date.UTC(2024, 0, day))));
+      return label;
+    }));
+  }
+
+  getCheckedWeekdays() {
+    return [...this.routingDays.querySelectorAll('input:checked')].map(checkbox => Number(checkbox.value));
+  }
+
+  renderTimezones(selected) {
+    const timezones = Intl.supportedValuesOf ? Intl.supportedValuesOf('timeZone') : [];
+    if (!timezones.includes(selected)) {
+      timezones.push(selected);
+    }
+    
+    this.routingTimezone.replaceChildren(...timezones.map(timezone => {
+      const option = document.createElement('option');
+      option.value = timezone;
+      option.textContent = timezone.replace(/_/g, ' ');
+      option.selected = timezone === selected;
+      return option;
+    }));
+  }
+
+  renderAvailability() {
+    const keys = {
+      available: 'register.routingAvailable',
+      do_not_disturb: 'register.routingDoNotDisturbActive',
+      outside_working_hours: 'register.routingOutsideHours'
+    };
+    
+    this.routingState.hidden = !this.availability;
+    if (this.availability) {
+      this.routingState.textContent = this.t(keys[this.availability.reason]);
+    }
+  }
+
+  // Fill the availability form with the routing settings of the paired user
+  async loadSettings() {
+    try {
+      const response = await fetch('/api/settings', {
+        headers: this.authHeaders()
+      });
+      
+      if (!response.ok) {
+        throw new Error(`HTTP ${response.status}: ${response.statusText}`);
+      }
+      
+      const { settings, availability } = await response.json();
+      const workingHours = settings.workingHours;
+      
+      this.renderTimezones(settings.timezone || Intl.DateTimeFormat().resolvedOptions().timeZone);
+      this.routingLimitHours.checked = Boolean(workingHours);
+      this.routingHours.disabled = !workingHours;
+      if (workingHours) {
+        for (const checkbox of this.routingDays.querySelectorAll('input')) {
+          checkbox.checked = workingHours.days.includes(Number(checkbox.value));
+        }
+        this.routingStart.value = workingHours.start;
+        this.routingEnd.value = workingHours.end;
+      }
+      this.routingDoNotDisturb.checked = settings.doNotDisturb;
+      this.routingFallback.value = settings.fallbackUsers.join(', ');
+      this.routingFallbackGroup.value = settings.fallbackGroup || '';
+      
+      this.availability = availability;
+      this.renderAvailability();
+      this.routingSection.hidden = false;
+      this.renderChannels(settings);
     } catch (error) {
-      throw new Error(`Failed to register with server: ${error.message}`);
+      console.error('Error loading settings:', error);
     }
   }
 
+  // Show inputs for the channels the server supports, filled with the user's targets
+  renderChannels(settings) {
+    this.channelOrder = settings.channels.map(channel => channel.type);
+    this.channelsMode.value = settings.channelMode;
+    
+    for (const [type, input] of Object.entries(this.channelInputs)) {
+      const channel = settings.channels.find(candidate => candidate.type === type);
+      input.value = channel ? channel.target : '';
+      input.closest('[data-channel]').hidden = !this.enabledChannels.includes(type);
+    }
+    
+    this.channelsSection.hidden = this.enabledChannels.length === 0;
+  }
+
+  // Filled channels, keeping the saved order and appending new ones in page order
+  collectChannels() {
+    const types = [...new Set([...this.channelOrder, ...Object.keys(this.channelInputs)])];
+    
+    return types
+      .filter(type => this.enabledChannels.includes(type) && this.channelInputs[type]?.value.trim())
+      .map(type => ({ type, target: this.channelInputs[type].value.trim() }));
+  }
+
+  async saveChannels() {
+    this.channelsSaveButton.disabled = true;
+    
+    try {
+      const channels = this.collectChannels();
+      const response = await fetch('/api/settings', {
+        method: 'PATCH',
+        headers: {
+          'Content-Type': 'application/json',
+          ...this.authHeaders()
+        },
+        body: JSON.stringify({
+          channels,
+          channel_mode: this.channelsMode.value,
+          // Channel messages use the language of this page
+          locale: this.locale
+        })
+      });
+      const result = await response.json();
+      
+      if (!response.ok) {
+        throw new Error(result.message || `HTTP ${response.status}: ${response.statusText}`);
+      }
+      
+      this.renderChannels(result.settings);
+      this.showStatus('success', this.t('register.channelsSaved'));
+    } catch (error) {
+      this.showStatus('error', this.t('register.channelsSaveFailed', { error: error.message }));
+    } finally {
+      this.channelsSaveButton.disabled = false;
+    }
+  }
+
+  async saveSettings() {
+    this.routingSaveButton.disabled = true;
+    
+    try {
+      const response = await fetch('/api/settings', {
+        method: 'PATCH',
+        headers: {
+          'Content-Type': 'application/json',
+          ...this.authHeaders()
+        },
+        body: JSON.stringify({
+          timezone: this.routingTimezone.value,
+          working_hours: this.routingLimitHours.checked
+            ? { days: this.getCheckedWeekdays(), start: this.routingStart.value, end: this.routingEnd.value }
+            : null,
+          do_not_disturb: this.routingDoNotDisturb.checked,
+          fallback_users: this.routingFallback.value.split(',').map(userId => userId.trim()).filter(Boolean),
+          fallback_group: this.routingFallbackGroup.value.trim() || null
+        })
+      });
+      const result = await response.json();
+      
+      if (!response.ok) {
+        throw new Error(result.message || `HTTP ${response.status}: ${response.statusText}`);
+      }
+      
+      this.availability = result.availability;
+      this.renderAvailability();
+      this.showStatus('success', this.t('register.routingSaved'));
+    } catch (error) {
+      this.showStatus('error', this.t('register.routingSaveFailed', { error: error.message }));
+    } finally {
+      this.routingSaveButton.disabled = false;
+    }
+  }
+
+  // Recent calls of the user with their outcomes
+  async loadHistory() {
+    try {
+      const response = await fetch('/api/call-history', {
+        headers: this.authHeaders()
+      });
+      
+      if (!response.ok) {
+        throw new Error(`HTTP ${response.status}: ${response.statusText}`);
+      }
+      
+      const data = await response.json();
+      this.renderHistory(data.calls);
+    } catch (error) {
+      console.error('Error loading call history:', error);
+    }
+  }
+
+  renderHistory(calls) {
+    const userId = localStorage.getItem('crm-push-user-id');
+    this.historyList.replaceChildren();
+    
+    for (const call of calls) {
+      const item = document.createElement('li');
+      
+      const info = document.createElement('div');
+      info.className = 'device-info';
+      
+      const name = document.createElement('strong');
+      name.textContent = call.context.contactName
+        ? `${call.context.contactName} · ${call.phoneNumber}`
+        : call.phoneNumber;
+      
+      const takenByOther = call.claimedBy && call.claimedBy !== userId;
+      const details = document.createElement('small');
+      let result = this.t('register.historyNoOutcome');
+      if (takenByOther) {
+        result = this.t('register.historyTakenBy', { userId: call.claimedBy });
+      } else if (call.outcome) {
+        result = this.t(`outcome.${call.outcome.result}`);
+      }
+      details.textContent = `${new Date(call.dialedAt || call.createdAt).toLocaleString(this.locale)} · ${result}`;
+      info.append(name, details);
+      
+      if (call.outcome && call.outcome.note) {
+        const note = document.createElement('small');
+        note.textContent = call.outcome.note;
+        note.title = call.outcome.note;
+        info.append(note);
+      }
+      
+      item.append(info);
+      
+      // The call page records the outcome (log=1 opens its form without dialing)
+      if (!takenByOther) {
+        const logButton = document.createElement('button');
+        logButton.type = 'button';
+        logButton.textContent = this.t(call.outcome ? 'register.historyEdit' : 'register.historyLog');
+        logButton.addEventListener('click', () => {
+          window.location.href = `${call.callUrl}&lang=${encodeURIComponent(this.locale)}&log=1`;
+        });
+        item.append(logButton);
+      }
+      
+      this.historyList.append(item);
+    }
+    
+    this.historyEmpty.hidden = calls.length > 0;
+    this.historySection.hidden = false;
+  }
+
+  // Personal tokens for the send to phone bookmarklet
+  async loadTokens() {
+    try {
+      const response = await fetch('/api/personal-tokens', {
+        headers: this.authHeaders()
+      });
+      
+      if (!response.ok) {
+        throw new Error(`HTTP ${response.status}: ${response.statusText}`);
+      }
+      
+      const data = await response.json();
+      this.renderTokens(data.tokens);
+    } catch (error) {
+      console.error('Error loading personal tokens:', error);
+    }
+  }
+
+  renderTokens(tokens) {
+    this.tokenList.replaceChildren();
+    
+    for (const token of tokens) {
+      const item = document.createElement('li');
+      
+      const info = document.createElement('div');
+      info.className = 'device-info';
+      
+      const name = document.createElement('strong');
+      name.textContent = token.label;
+      
+      const details = document.createElement('small');
+      details.textContent = token.lastUsedAt
+        ? this.t('register.sendToPhoneLastUsed', { date: new Date(token.lastUsedAt).toLocaleString(this.locale) })
+        : this.t('register.sendToPhoneNeverUsed');
+      
+      info.append(name, details);
+      
+      const revokeButton = document.createElement('button');
+      revokeButton.type = 'button';
+      revokeButton.className = 'secondary';
+      revokeButton.textContent = '🗑️';
+      revokeButton.title = this.t('register.sendToPhoneRevoke');
+      revokeButton.addEventListener('click', () => this.revokeToken(token));
+      
+      item.append(info, revokeButton);
+      this.tokenList.append(item);
+    }
+    
+    this.sendToPhoneSection.hidden = false;
+  }
+
+  async createToken() {
+    this.tokenCreateButton.disabled = true;
+    
+    try {
+      const response = await fetch('/api/personal-tokens', {
+        method: 'POST',
+        headers: {
+          'Content-Type': 'application/json',
+          ...this.authHeaders()
+        },
+        body: JSON.stringify({ label: this.tokenLabel.value })
+      });
+      const result = await response.json();
+      
+      if (!response.ok) {
+        throw new Error(result.message || `HTTP ${response.status}: ${response.statusText}`);
+      }
+      
+      // The token is only returned once; the setup page keeps it in its own storage
+      this.tokenValue.textContent = result.token;
+      this.tokenSetupLink.href = `/send.html#token=${encodeURIComponent(result.token)}`;
+      this.tokenCreated.hidden = false;
+      this.tokenLabel.value = '';
+      
+      await this.loadTokens();
+    } catch (error) {
+      this.showStatus('error', this.t('register.sendToPhoneCreateFailed', { error: error.message }));
+    } finally {
+      this.tokenCreateButton.disabled = false;
+    }
+  }
+
+  async revokeToken(token) {
+    if (!confirm(this.t('register.sendToPhoneRevokeConfirm', { name: token.label }))) {
+      return;
+    }
+    
+    try {
+      const response = await fetch(`/api/personal-tokens/${encodeURIComponent(token.id)}`, {
+        method: 'DELETE',
+        headers: this.authHeaders()
+      });
+      
+      if (!response.ok && response.status !== 404) {
+        const errorData = await response.json();
+        throw new Error(errorData.message || `HTTP ${response.status}: ${response.statusText}`);
+      }
+      
+      this.tokenCreated.hidden = true;
+      await this.loadTokens();
+    } catch (error) {
+      this.showStatus('error', this.t('register.sendToPhoneRevokeFailed', { error: error.message }));
+    }
+  }
+
+  async deleteDevice(deviceId) {
+    const response = await fetch(`/api/devices/${encodeURIComponent(deviceId)}`, {
+      method: 'DELETE',
+      headers: this.authHeaders()
+    });
+    
+    // Already gone on the server is fine
+    if (!response.ok && response.status !== 404) {
+      const errorData = await response.json();
+      throw new Error(errorData.message || `HTTP ${response.status}: ${response.statusText}`);
+    }
+  }
+
+  async unsubscribeFromPush() {
+    const registration = await navigator.serviceWorker.getRegistration();
+    const subscription = registration && await registration.pushManager.getSubscription();
+    
+    if (subscription) {
+      await subscription.unsubscribe();
+    }
+    
+    localStorage.removeItem('crm-push-device-id');
+  }
+
+  // Check whether a subscription was created with the given VAPID public key
+  isSubscribedWithKey(subscription, publicKey) {
+    const subscriptionKey = subscription.options && subscription.options.applicationServerKey;
+    if (!subscriptionKey) {
+      // Browser doesn't expose the key, assume it is current
+      return true;
+    }
+    
+    const expected = this.urlBase64ToUint8Array(publicKey);
+    const actual = new Uint8Array(subscriptionKey);
+    return expected.length === actual.length && expected.every((byte, i) => byte === actual[i]);
+  }
+
   // Convert VAPID public key to Uint8Array
   urlBase64ToUint8Array(base64String) {
     const padding = '='.repeat((4 - base64String.length % 4) % 4);
@@ -0,0 +1,302 @@
+// Bookmarklet: collect phone numbers from the selection (or the whole page and
+// its tel: links) and open this page in a popup with them. It runs on other
+// sites, so it only gets the server origin and must not use anything else from here.
+function sendToPhoneBookmarklet(origin) {
+  const selection = String(window.getSelection()).trim();
+  const candidates = (selection || document.body.innerText).match(/\+?\(?\d[\d \u00a0().\/-]{5,}\d/g) || [];
+
+  if (!selection) {
+    for (const link of document.querySelectorAll('a[href^="tel:"]')) {
+      try {
+        candidates.push(decodeURIComponent(link.getAttribute('href').slice(4)));
+      } catch (error) {
+        // Malformed escape sequence, skip the link
+      }
+    }
+  }
+
+  // Between 7 and 15 digits (E.164), each number once, at most 20
+  const numbers = [];
+  const seen = new Set();
+  for (const candidate of candidates) {
+    const digits = candidate.replace(/\D/g, '');
+    if (digits.length >= 7 && digits.length <= 15 && !seen.has(digits) && numbers.length < 20) {
+      seen.add(digits);
+      numbers.push(candidate.replace(/\s+/g, ' ').trim());
+    }
+  }
+
+  const data = {
+    numbers,
+    title: document.title.slice(0, 200),
+    url: location.href.length <= 2048 ? location.href : ''
+  };
+  window.open(`${origin}/send.html#${encodeURIComponent(JSON.stringify(data))}`, 'crm-push-send', 'width=440,height=680');
+}
+
+class SendToPhone {
+  constructor() {
+    this.pickSection = document.getElementById('pickSection');
+    this.pickTitle = document.getElementById('pickTitle');
+    this.otherNumberLabel = document.getElementById('otherNumberLabel');
+    this.sendForm = document.getElementById('sendForm');
+    this.noNumbers = document.getElementById('noNumbers');
+    this.numberList = document.getElementById('numberList');
+    this.otherNumber = document.getElementById('otherNumber');
+    this.contactName = document.getElementById('contactName');
+    this.note = document.getElementById('note');
+    this.sendButton = document.getElementById('sendButton');
+    this.connected = document.getElementById('connected');
+    this.tokenForm = document.getElementById('tokenForm');
+    this.tokenInput = document.getElementById('tokenInput');
+    this.forgetButton = document.getElementById('forgetButton');
+    this.bookmarkletSection = document.getElementById('bookmarkletSection');
+    this.bookmarklet = document.getElementById('bookmarklet');
+    this.statusDiv = document.getElementById('status');
+
+    this.page = null;
+    this.i18n = window.CRM_PUSH_I18N || { defaultLocale: 'en', messages: {} };
+    this.locale = this.detectLocale();
+
+    this.init();
+  }
+
+  init() {
+    this.applyTranslations();
+
+    // Setup links carry the token (#token=...), the bookmarklet the numbers it found
+    const hash = window.location.hash.slice(1);
+    if (hash.startsWith('token=')) {
+      localStorage.setItem('crm-push-personal-token', decodeURIComponent(hash.slice(6)));
+    } else if (hash) {
+      this.page = this.parsePage(hash);
+    }
+    if (hash) {
+      history.replaceState(null, '', window.location.pathname);
+    }
+
+    this.tokenForm.addEventListener('submit', (e) => {
+      e.preventDefault();
+      localStorage.setItem('crm-push-personal-token', this.tokenInput.value.trim());
+      this.tokenInput.value = '';
+      this.checkToken();
+    });
+
+    this.forgetButton.addEventListener('click', () => {
+      localStorage.removeItem('crm-push-personal-token');
+      this.showTokenForm();
+    });
+
+    this.sendForm.addEventListener('submit', (e) => {
+      e.preventDefault();
+      this.send();
+    });
+
+    this.bookmarklet.href = `javascript:${encodeURIComponent(`(${sendToPhoneBookmarklet})(${JSON.stringify(window.location.origin)});void 0`)}`;
+    this.bookmarklet.addEventListener('click', (e) => e.preventDefault());
+
+    if (this.page) {
+      this.renderPage();
+    } else {
+      this.renderManualEntry();
+    }
+    this.checkToken();
+  }
+
+  // Saved choice of the registration page, else the first supported browser language
+  detectLocale() {
+    const saved = localStorage.getItem('crm-push-locale');
+    if (saved && this.i18n.messages[saved]) {
+      return saved;
+    }
+
+    for (const tag of navigator.languages || [navigator.language]) {
+      const language = (tag || '').toLowerCase().split('-')[0];
+      if (this.i18n.messages[language]) {
+        return language;
+      }
+    }
+
+    return this.i18n.defaultLocale;
+  }
+
+  // Translate a message, filling {name} placeholders
+  t(key, params = {}) {
+    const messages = this.i18n.messages;
+    const message = messages[this.locale]?.[key] ?? messages[this.i18n.defaultLocale]?.[key] ?? key;
+    return message.replace(/\{(\w+)\}/g, (placeholder, name) => (name in params ? String(params[name]) : placeholder));
+  }
+
+  // Replace the text of all elements marked with data-i18n
+  applyTranslations() {
+    document.documentElement.lang = this.locale;
+
+    for (const element of document.querySelectorAll('[data-i18n]')) {
+      const message = this.t(element.dataset.i18n);
+      if (message !== element.dataset.i18n) {
+        element.textContent = message;
+      }
+    }
+  }
+
+  // Data from the bookmarklet: { numbers, title, url }
+  parsePage(hash) {
+    try {
+      const data = JSON.parse(decodeURIComponent(hash));
+      return {
+        numbers: Array.isArray(data.numbers) ? data.numbers.filter(number => typeof number === 'string') : [],
+        title: typeof data.title === 'string' ? data.title : '',
+        url: typeof data.url === 'string' && /^https?:\/\//.test(data.url) ? data.url : ''
+      };
+    } catch (error) {
+      console.error('Invalid page data:', error);
+      return null;
+    }
+  }
+
+  renderPage() {
+    this.numberList.replaceChildren(...this.page.numbers.map((number, index) => {
+      const item = document.createElement('li');
+      const label = document.createElement('label');
+      const radio = document.createElement('input');
+      radio.type = 'radio';
+      radio.name = 'number';
+      radio.value = number;
+      radio.checked = index === 0;
+      label.append(radio, number);
+      item.append(label);
+      return item;
+    }));
+
+    this.noNumbers.hidden = this.page.numbers.length > 0;
+    this.note.value = this.page.title.slice(0, 280);
+    this.pickSection.hidden = false;
+    this.bookmarkletSection.hidden = true;
+  }
+
+  // Opened directly instead of from the bookmarklet: the number is typed or pasted
+  renderManualEntry() {
+    this.setText(this.pickTitle, 'send.enterTitle');
+    this.setText(this.otherNumberLabel, 'send.phoneNumber');
+    this.pickSection.hidden = false;
+  }
+
+  // Set a translated text; the key keeps it translated by applyTranslations()
+  setText(element, key) {
+    element.dataset.i18n = key;
+    element.textContent = this.t(key);
+  }
+
+  authHeaders() {
+    return { 'Authorization': `Bearer ${localStorage.getItem('crm-push-personal-token') || ''}` };
+  }
+
+  showTokenForm() {
+    this.connected.hidden = true;
+    this.forgetButton.hidden = true;
+    this.tokenForm.hidden = false;
+    this.bookmarkletSection.hidden = true;
+    this.sendButton.disabled = true;
+  }
+
+  async checkToken() {
+    if (!localStorage.getItem('crm-push-personal-token')) {
+      this.showTokenForm();
+      return;
+    }
+
+    try {
+      const response = await fetch('/api/send-to-phone', {
+        headers: this.authHeaders()
+      });
+
+      if (response.status === 401) {
+        this.showTokenForm();
+        this.showStatus('error', this.t('send.tokenInvalid'));
+        return;
+      }
+      if (!response.ok) {
+        throw new Error(`HTTP ${response.status}: ${response.statusText}`);
+      }
+
+      const { userId, devices } = await response.json();
+      this.connected.textContent = this.t('send.connected', { userId, devices });
+      this.connected.hidden = false;
+      this.forgetButton.hidden = false;
+      this.tokenForm.hidden = true;
+      this.bookmarkletSection.hidden = Boolean(this.page);
+      this.sendButton.disabled = devices === 0;
+
+      if (devices === 0) {
+        this.showStatus('error', this.t('send.noDevices'));
+      }
+    } catch (error) {
+      this.showStatus('error', this.t('send.checkFailed', { error: error.message }));
+    }
+  }
+
+  async send() {
+    const checked = this.numberList.querySelector('input[name="number"]:checked');
+    const phoneNumber = this.otherNumber.value.trim() || (checked ? checked.value : '');
+    if (!phoneNumber) {
+      this.showStatus('error', this.t('send.enterNumber'));
+      return;
+    }
+
+    this.sendButton.disabled = true;
+    this.sendButton.textContent = this.t('send.sending');
+
+    try {
+      const response = await fetch('/api/send-to-phone', {
+        method: 'POST',
+        headers: {
+          'Content-Type': 'application/json',
+          ...this.authHeaders()
+        },
+        body: JSON.stringify({
+          phone_number: phoneNumber,
+          contact_name: this.contactName.value.trim() || undefined,
+          note: this.note.value.trim() || undefined,
+          page_url: this.page?.url || undefined
+        })
+      });
+      const result = await response.json();
+
+      if (!response.ok) {
+        throw new Error(result.message || `HTTP ${response.status}: ${response.statusText}`);
+      }
+
+      if (response.status === 202) {
+        this.showStatus('success', this.t('send.queued'));
+      } else if (result.sent === 0 && result.retrying === 0) {
+        this.showStatus('error', this.t('send.notDelivered'));
+        return;
+      } else {
+        this.showStatus('success', this.t('send.sent', { sent: result.sent, total: result.total }));
+      }
+
+      // Popups opened by the bookmarklet close themselves once the number is on its way
+      if (this.page) {
+        setTimeout(() => window.close(), 1500);
+      } else {
+        this.otherNumber.value = '';
+      }
+    } catch (error) {
+      this.showStatus('error', this.t('send.failed', { error: error.message }));
+    } finally {
+      this.sendButton.disabled = false;
+      this.sendButton.textContent = this.t('send.sendButton');
+    }
+  }
+
+  showStatus(type, message) {
+    this.statusDiv.className = `status ${type}`;
+    this.statusDiv.textContent = message;
+    this.statusDiv.hidden = false;
+  }
+}
+
+// Initialize when DOM is loaded
+document.addEventListener('DOMContentLoaded', () => {
+  new SendToPhone();
+});
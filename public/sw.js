@@ -1,13 +1,28 @@
 // Service Worker for CRM Mobile Push Notifications
 
-const CACHE_NAME = 'crm-push-v1';
+const CACHE_NAME = 'crm-push-v11';
 const urlsToCache = [
   '/',
+  '/i18n.js',
   '/register.js',
   '/manifest.json',
   '/logo.png'
 ];
 
+// Message catalog for texts the worker shows itself (self.CRM_PUSH_I18N)
+try {
+  importScripts('/i18n.js');
+} catch (error) {
+  console.error('Failed to load translations:', error);
+}
+
+// Translate a message into the browser language, falling back to the default locale
+function t(key) {
+  const { defaultLocale = 'en', messages = {} } = self.CRM_PUSH_I18N || {};
+  const language = (self.navigator.language || '').toLowerCase().split('-')[0];
+  return messages[language]?.[key] ?? messages[defaultLocale]?.[key];
+}
+
 // Install event - cache resources
 self.addEventListener('install', (event) => {
   console.log('Service Worker installing...');
@@ -70,13 +85,83 @@ self.addEventListener('fetch', (event) => {
   );
 });
 
+// Report delivery/click/dismiss events for tracked call requests
+async function reportCallEvent(data, type, extra = {}) {
+  if (!data || !data.callId || !data.callToken) {
+    return;
+  }
+  
+  try {
+    const subscription = await self.registration.pushManager.getSubscription();
+    
+    await fetch(`/api/calls/${encodeURIComponent(data.callId)}/events`, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify({
+        type,
+        token: data.callToken,
+        endpoint: subscription ? subscription.endpoint : undefined,
+        ...extra
+      })
+    });
+  } catch (error) {
+    console.error(`Error reporting ${type} event:`, error);
+  }
+}
+
+// Claim a group call for this device; the server withdraws it from everyone else
+async function claimCall(data) {
+  if (!data || !data.claimable || !data.callId || !data.callToken) {
+    return;
+  }
+  
+  try {
+    const subscription = await self.registration.pushManager.getSubscription();
+    if (!subscription) {
+      return;
+    }
+    
+    const response = await fetch(`/api/calls/${encodeURIComponent(data.callId)}/claim`, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify({
+        token: data.callToken,
+        endpoint: subscription.endpoint
+      })
+    });
+    
+    if (response.status === 409) {
+      const result = await response.json();
+      console.log('Call already claimed by', result.claimedBy);
+    }
+  } catch (error) {
+    console.error('Error claiming call:', error);
+  }
+}
+
+// Replace the notification of a call that someone else claimed with a note saying so
+// Every push has to show a notification, so the note is shown even if the call's
+// notification is gone. A newer call's notification under the same tag is kept.
+async function retractNotification({ title, body, icon, badge, tag, callId, data }) {
+  const notifications = await self.registration.getNotifications({ tag });
+  const otherCall = notifications.some(notification => notification.data?.callId !== callId);
+  
+  await self.registration.showNotification(title, {
+    body,
+    icon,
+    badge,
+    tag: otherCall ? `${tag}-taken` : tag,
+    data
+  });
+}
+
 // Push event - handle incoming push notifications
 self.addEventListener('push', (event) => {
   console.log('Push notification received:', event);
   
   let notificationData = {
-    title: '📞 CRM Call',
-    body: 'You have an incoming call',
+    title: t('sw.fallbackTitle') || '📞 CRM Call',
+    body: t('sw.fallbackBody') || 'You have an incoming call',
     icon: '/logo.png',
     badge: '/logo.png',
     tag: 'crm-call',
@@ -90,6 +175,12 @@ self.addEventListener('push', (event) => {
   if (event.data) {
     try {
       const pushData = event.data.json();
+      
+      if (pushData.type === 'retract') {
+        event.waitUntil(retractNotification(pushData));
+        return;
+      }
+      
       notificationData = { ...notificationData, ...pushData };
       console.log('Push data:', pushData);
     } catch (error) {
@@ -99,7 +190,7 @@ self.addEventListener('push', (event) => {
     }
   }
   
-  // Show notification
+  // Show notification, then confirm delivery to the server
   event.waitUntil(
     self.registration.showNotification(notificationData.title, {
       body: notificationData.body,
@@ -111,7 +202,7 @@ self.addEventListener('push', (event) => {
       data: notificationData.data,
       vibrate: [200, 100, 200], // Vibration pattern
       sound: 'default'
-    })
+    }).then(() => reportCallEvent(notificationData.data, 'delivered'))
   );
 });
 
@@ -130,38 +221,42 @@ self.addEventListener('notificationclick', (event) => {
     console.log('Call action clicked');
   }
   
+  const clickReport = reportCallEvent(event.notification.data, 'clicked', {
+    action: event.action || 'default'
+  });
+  const claim = claimCall(event.notification.data);
+  
   // Open or focus the app window
-  event.waitUntil(
-    clients.matchAll({
-      type: 'window',
-      includeUncontrolled: true
-    }).then((clientList) => {
-      // Check if there's already a window open with our app
-      for (const client of clientList) {
-        if (client.url.includes(self.location.origin)) {
-          // Focus existing window and navigate to the URL
-          return client.focus().then(() => {
-            return client.navigate(urlToOpen);
-          });
-        }
-      }
-      
-      // No existing window found, open a new one
-      if (clients.openWindow) {
-        return clients.openWindow(urlToOpen);
+  const openWindow = clients.matchAll({
+    type: 'window',
+    includeUncontrolled: true
+  }).then((clientList) => {
+    // Check if there's already a window open with our app
+    for (const client of clientList) {
+      if (client.url.includes(self.location.origin)) {
+        // Focus existing window and navigate to the URL
+        return client.focus().then(() => {
+          return client.navigate(urlToOpen);
+        });
       }
-    }).catch((error) => {
-      console.error('Error handling notification click:', error);
-    })
-  );
+    }
+    
+    // No existing window found, open a new one
+    if (clients.openWindow) {
+      return clients.openWindow(urlToOpen);
+    }
+  }).catch((error) => {
+    console.error('Error handling notification click:', error);
+  });
+  
+  event.waitUntil(Promise.all([openWindow, clickReport, claim]));
 });
 
 // Notification close event - handle when user dismisses notification
 self.addEventListener('notificationclose', (event) => {
   console.log('Notification closed:', event.notification.tag);
   
-  // Optional: Track notification dismissals
-  // Could send analytics data here if needed
+  event.waitUntil(reportCallEvent(event.notification.data, 'dismissed'));
 });
 
 // Background sync event - handle offline actions
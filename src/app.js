@@ -8,18 +8,72 @@ import { fileURLToPath } from 'url';
 import vapidService from './services/vapid.js';
 import storageService from './services/storage.js';
 import pushService from './services/push.js';
+import channelService from './services/channels.js';
+import adapterService from './services/adapters.js';
+import authService from './services/auth.js';
+import tenantService from './services/tenants.js';
+import callService, { CLIENT_EVENT_TYPES, CALL_OUTCOMES } from './services/calls.js';
+import callbackService from './services/callbacks.js';
+import pushQueueService from './services/push-queue.js';
+import idempotencyService from './services/idempotency.js';
+import personalTokenService from './services/personal-tokens.js';
+import userService from './services/users.js';
+import groupService from './services/groups.js';
+import metricsService from './services/metrics.js';
+import logger from './services/logger.js';
+import { normalizePhoneNumber, formatPhoneNumberForDisplay, toTelUri } from './services/phone.js';
+import { getProviderName } from './services/providers/index.js';
+import { NATIVE_ADAPTER } from './services/adapters/index.js';
+import { flushPendingWrites } from './services/storage/index.js';
+import {
+  DEFAULT_LOCALE,
+  SUPPORTED_LOCALES,
+  toSupportedLocale,
+  getTranslator,
+  getClientMessages
+} from './services/i18n.js';
 
 // Middleware
 import {
-  requireHeader,
-  validateWebhookToken,
-  validateCallWebhook,
-  validateSubscription
+  validateWebhookAuth,
+  checkCallWebhook,
+  checkCallNumber,
+  parseCallWebhook,
+  validateSubscription,
+  validateDeviceUpdate,
+  validatePairingRequest,
+  validateCallEvent,
+  validateCallOutcome,
+  validateCallClaim,
+  validateUserSettings,
+  validateGroup,
+  validateGroupMember,
+  validatePersonalToken,
+  validateSendToPhone
 } from './middleware/validation.js';
+import {
+  authenticateUser,
+  authenticatePersonalToken,
+  authenticateAdmin,
+  authenticateMetrics
+} from './middleware/auth.js';
+import { countWebhookOutcomes } from './middleware/metrics.js';
+import { requestLogging } from './middleware/logging.js';
+import { securityHeaders, pageSecurityHeaders } from './middleware/security.js';
+
+// Views
+import { renderCallPage } from './views/call.js';
+import { renderErrorPage } from './views/error.js';
 
 // Load environment variables
 dotenv.config();
 
+// JSON logs; phone numbers and secrets are redacted unless LOG_REDACT=false
+logger.initialize({
+  level: process.env.LOG_LEVEL || 'info',
+  redact: process.env.LOG_REDACT !== 'false'
+});
+
 // Get current directory for ES modules
 const __filename = fileURLToPath(import.meta.url);
 const __dirname = path.dirname(__filename);
@@ -27,19 +81,123 @@ const __dirname = path.dirname(__filename);
 const app = express();
 const PORT = process.env.PORT || 3000;
 const WEBHOOK_TOKEN = process.env.WEBHOOK_TOKEN || 'default-webhook-token';
+
+// Webhook authentication: 'token' (static X-Webhook-Token), 'signature' (HMAC) or 'any'
+const WEBHOOK_AUTH_MODE = process.env.WEBHOOK_AUTH_MODE || 'token';
+const WEBHOOK_SECRETS = (process.env.WEBHOOK_SECRETS || '')
+  .split(',')
+  .map(secret => secret.trim())
+  .filter(Boolean);
+const WEBHOOK_SIGNATURE_TOLERANCE = parseInt(process.env.WEBHOOK_SIGNATURE_TOLERANCE_SECONDS, 10) || 300;
+
+// Async mode answers webhooks with 202 and sends pushes in the background
+const WEBHOOK_ASYNC = process.env.WEBHOOK_ASYNC === 'true';
 const ADMIN_EMAIL = process.env.ADMIN_EMAIL || 'admin@example.com';
 
+// Dev mode allows registering devices with a free-text X-User-Id header
+const DEV_MODE = process.env.DEV_MODE === 'true';
+
+// Token for the admin API and dashboard (disabled when unset)
+const ADMIN_TOKEN = process.env.ADMIN_TOKEN || null;
+
+// Access to /metrics: 'token' (METRICS_TOKEN), 'public' or 'off'
+const METRICS_ACCESS = process.env.METRICS_ACCESS || 'token';
+const METRICS_TOKEN = process.env.METRICS_TOKEN || null;
+
 // Initialize VAPID service
 vapidService.initialize(ADMIN_EMAIL);
 
+// Enable push providers (Web Push, plus FCM and APNs when configured)
+pushService.initialize();
+
+// Enable notification channels (Slack and Teams, plus SMS and email when configured)
+channelService.initialize();
+
+// Initialize tenants (TENANTS_FILE, or a single tenant from the WEBHOOK_* settings)
+tenantService.initialize({
+  webhookToken: WEBHOOK_TOKEN,
+  webhookAuthMode: WEBHOOK_AUTH_MODE,
+  webhookSecrets: WEBHOOK_SECRETS,
+  callbackUrl: process.env.CALLBACK_URL || null,
+  callbackSecret: process.env.CALLBACK_SECRET || null
+});
+
+// CRM webhook adapters (built-in, WEBHOOK_MAPPINGS_FILE and per-tenant mappings)
+adapterService.initialize(tenantService.getTenants());
+
+// Initialize subscription storage (backend selected via STORAGE_BACKEND)
+storageService.initialize();
+
+// Load per-user settings (default country for phone numbers, routing rules)
+userService.initialize();
+
+// Load groups that call webhooks can target
+groupService.initialize();
+
+// Initialize call request records for delivery tracking
+callService.initialize();
+
+// Forward call status events to the CRM
+callbackService.initialize();
+
+// Start the push job queue (async webhooks and retries of transient failures)
+pushQueueService.initialize();
+
+// Load remembered webhook responses for idempotent retries
+idempotencyService.initialize();
+
+// Initialize signing secret for pairing codes and access tokens
+authService.initialize();
+
+// Load personal tokens for "send to phone" (bookmarklet)
+personalTokenService.initialize();
+
+// Data files are written shortly after a change; write pending changes before exiting
+process.on('exit', flushPendingWrites);
+for (const signal of ['SIGINT', 'SIGTERM']) {
+  process.once(signal, () => process.exit(0));
+}
+
+// Gauges for /metrics, read at scrape time
+metricsService.addCollector(metrics => {
+  metrics.clear('crm_push_users');
+  metrics.clear('crm_push_subscriptions');
+  for (const tenant of tenantService.getTenants()) {
+    metrics.set('crm_push_users', { tenant: tenant.id }, storageService.getUserCount(tenant.id));
+    metrics.set('crm_push_subscriptions', { tenant: tenant.id }, storageService.getTotalSubscriptions(tenant.id));
+  }
+  
+  const queue = pushQueueService.getStats();
+  metrics.set('crm_push_queue_jobs', { state: 'pending' }, queue.pending);
+  metrics.set('crm_push_queue_jobs', { state: 'dead_letter' }, queue.deadLetters);
+});
+
 // Trust proxy configuration for rate limiting and X-Forwarded-* headers
 // This is needed when running behind reverse proxies (Docker, nginx, etc.)
 app.set('trust proxy', true);
+app.disable('x-powered-by');
 
 // Middleware
-app.use(express.json({ limit: '1mb' }));
+app.use(requestLogging(logger));
+app.use(securityHeaders());
+app.use(express.json({
+  limit: '1mb',
+  // Keep the raw body for webhook signature verification
+  verify: (req, res, buf) => {
+    req.rawBody = buf;
+  }
+}));
 app.use(express.static(path.join(__dirname, '../public')));
 
+// XML bodies for CRM webhooks that send SOAP (Salesforce outbound messages)
+const xmlBody = express.text({
+  type: ['text/xml', 'application/xml', 'application/soap+xml'],
+  limit: '1mb',
+  verify: (req, res, buf) => {
+    req.rawBody = buf;
+  }
+});
+
 // Rate limiting for webhook endpoint
 const webhookLimiter = rateLimit({
   windowMs: 1 * 60 * 1000, // 1 minute
@@ -52,17 +210,133 @@ const webhookLimiter = rateLimit({
   legacyHeaders: false
 });
 
+// Rate limiting for pairing code redemption (guessing protection)
+const pairingLimiter = rateLimit({
+  windowMs: 15 * 60 * 1000, // 15 minutes
+  max: 20, // 20 attempts per window
+  message: {
+    error: 'Too Many Requests',
+    message: 'Too many pairing attempts. Please try again later.'
+  },
+  standardHeaders: true,
+  legacyHeaders: false
+});
+
+// Rate limiting for the admin API (token guessing protection)
+const adminLimiter = rateLimit({
+  windowMs: 1 * 60 * 1000, // 1 minute
+  max: 60, // 60 requests per minute
+  message: {
+    error: 'Too Many Requests',
+    message: 'Rate limit exceeded. Please try again later.'
+  },
+  standardHeaders: true,
+  legacyHeaders: false
+});
+
+// Rate limiting for self-service test notifications, per user
+const testNotificationLimiter = rateLimit({
+  windowMs: 5 * 60 * 1000, // 5 minutes
+  max: 5, // 5 test notifications per window
+  keyGenerator: (req) => `${req.tenantId}:${req.userId}`,
+  message: {
+    error: 'Too Many Requests',
+    message: 'Too many test notifications. Please try again later.'
+  },
+  standardHeaders: true,
+  legacyHeaders: false
+});
+
+// Rate limiting for "send to phone", per user
+const sendToPhoneLimiter = rateLimit({
+  windowMs: 1 * 60 * 1000, // 1 minute
+  max: 10, // 10 numbers per minute
+  keyGenerator: (req) => `${req.tenantId}:${req.userId}`,
+  message: {
+    error: 'Too Many Requests',
+    message: 'Too many numbers sent. Please try again later.'
+  },
+  standardHeaders: true,
+  legacyHeaders: false
+});
+
+// Rate limiting for personal token checks (token guessing protection)
+const personalTokenLimiter = rateLimit({
+  windowMs: 1 * 60 * 1000, // 1 minute
+  max: 30, // 30 checks per minute
+  message: {
+    error: 'Too Many Requests',
+    message: 'Rate limit exceeded. Please try again later.'
+  },
+  standardHeaders: true,
+  legacyHeaders: false
+});
+
+// Rate limiting for events reported by service workers, per client and call
+const callEventLimiter = rateLimit({
+  windowMs: 1 * 60 * 1000, // 1 minute
+  max: 20, // 20 events per client and call per minute
+  keyGenerator: (req) => `${req.ip}:${req.params.id}`,
+  message: {
+    error: 'Too Many Requests',
+    message: 'Too many call events. Please try again later.'
+  },
+  standardHeaders: true,
+  legacyHeaders: false
+});
+
+// Webhook authentication shared by all CRM-facing endpoints
+const webhookAuth = validateWebhookAuth({
+  getTenants: () => tenantService.getTenants(),
+  toleranceSeconds: WEBHOOK_SIGNATURE_TOLERANCE
+});
+
 // Health check endpoint
 app.get('/health', (req, res) => {
   const stats = storageService.getStats();
+  const tenants = {};
+  for (const tenant of tenantService.getTenants()) {
+    tenants[tenant.id] = storageService.getStats(tenant.id);
+  }
+  
   res.json({
     ok: true,
     timestamp: new Date().toISOString(),
     uptime: process.uptime(),
-    storage: stats
+    storage: stats,
+    callbacks: callbackService.getStats(),
+    pushQueue: pushQueueService.getStats(),
+    tenants
+  });
+});
+
+// Prometheus metrics
+app.get('/metrics',
+  authenticateMetrics({ access: METRICS_ACCESS, token: METRICS_TOKEN }),
+  (req, res) => {
+    res.type('text/plain; version=0.0.4').send(metricsService.render());
+  }
+);
+
+// Client configuration for the registration page
+app.get('/api/config', (req, res) => {
+  res.json({
+    devMode: DEV_MODE,
+    providers: pushService.getProviderNames(),
+    channels: channelService.getChannelTypes()
   });
 });
 
+// Translations for the registration page and the service worker
+app.get('/i18n.js', (req, res) => {
+  const catalog = {
+    defaultLocale: DEFAULT_LOCALE,
+    messages: getClientMessages()
+  };
+  
+  res.type('application/javascript').send(`self.CRM_PUSH_I18N = ${JSON.stringify(catalog)};\n`);
+});
+
 // Get VAPID public key
 app.get('/api/vapid-public-key', (req, res) => {
   res.json({
@@ -70,24 +344,152 @@ app.get('/api/vapid-public-key', (req, res) => {
   });
 });
 
+// Issue a pairing code for a user (called by the CRM or an admin)
+app.post('/api/pairing-codes',
+  webhookLimiter,
+  webhookAuth,
+  validatePairingRequest,
+  (req, res) => {
+    const { userId, ttlMinutes } = req.validatedData;
+    const { code, expiresAt } = authService.createPairingCode(req.tenant.id, userId, ttlMinutes);
+    
+    const baseUrl = getBaseUrl(req);
+    
+    req.log.info('Pairing code issued', { tenantId: req.tenant.id, userId });
+    
+    res.status(201).json({
+      success: true,
+      tenantId: req.tenant.id,
+      userId,
+      code,
+      pairingUrl: `${baseUrl}/?pair=${encodeURIComponent(code)}`,
+      expiresAt
+    });
+  }
+);
+
+// Redeem a pairing code for an access token
+app.post('/api/pairing/redeem',
+  pairingLimiter,
+  (req, res) => {
+    const code = req.body && req.body.code;
+    const result = typeof code === 'string' ? authService.redeemPairingCode(code.trim()) : null;
+    
+    if (!result || !tenantService.getTenant(result.tenantId)) {
+      return res.status(403).json({
+        error: 'Forbidden',
+        message: 'Invalid, expired or already used pairing code'
+      });
+    }
+    
+    req.log.info('Pairing code redeemed', { tenantId: result.tenantId, userId: result.userId });
+    
+    res.json({
+      success: true,
+      tenantId: result.tenantId,
+      userId: result.userId,
+      accessToken: result.accessToken
+    });
+  }
+);
+
+/**
+ * Base URL of the server as seen by the client (honors X-Forwarded-Proto)
+ * @param {Object} req - Express request object
+ * @returns {string} e.g. https://push.example.com
+ */
+function getBaseUrl(req) {
+  const protocol = req.get('X-Forwarded-Proto') || req.protocol;
+  return `${protocol}://${req.get('Host')}`;
+}
+
+/**
+ * Convert a stored device into its public API representation
+ * The subscription keys stay on the server.
+ * @param {Object} device - Device record from storage
+ * @returns {Object} Device data for API responses
+ */
+function toDeviceResponse(device) {
+  return {
+    id: device.id,
+    label: device.label,
+    locale: device.locale || DEFAULT_LOCALE,
+    userAgent: device.userAgent,
+    provider: getProviderName(device.subscription),
+    pushService: device.subscription.provider || new URL(device.subscription.endpoint).host,
+    createdAt: device.createdAt,
+    lastSeenAt: device.lastSeenAt || null,
+    lastSuccessfulPushAt: device.lastSuccessfulPushAt,
+    lastPushAt: device.lastPushAt || null,
+    lastPushStatus: device.lastPushStatus || null,
+    lastPushError: device.lastPushError || null
+  };
+}
+
+/**
+ * Send a test notification to some devices of a user and report the push service responses
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @param {string} tenantId - Tenant identifier
+ * @param {string} userId - User identifier
+ * @param {Array} devices - Device records to notify
+ */
+async function sendTestPush(req, res, tenantId, userId, devices) {
+  try {
+    const baseUrl = getBaseUrl(req);
+    const payload = pushService.localizePayload(locale => pushService.createTestPayload(baseUrl, locale));
+    // Test pushes go to the user's own devices regardless of routing rules
+    const result = await pushService.sendToUser(tenantId, userId, payload, {
+      recipients: [userId],
+      endpoints: devices.map(device => device.subscription.endpoint),
+      requestId: req.id
+    });
+    
+    res.json({
+      success: result.sent > 0,
+      sent: result.sent,
+      total: result.total,
+      deliveries: result.deliveries
+    });
+  } catch (error) {
+    req.log.error('Error sending test notification', { error });
+    res.status(500).json({
+      error: 'Internal Server Error',
+      message: 'Failed to send test notification'
+    });
+  }
+}
+
 // Register device for push notifications
 app.post('/api/devices', 
-  requireHeader('X-User-Id'),
+  authenticateUser({ devMode: DEV_MODE }),
   validateSubscription,
   (req, res) => {
+    const provider = getProviderName(req.validatedSubscription);
+    if (!pushService.hasProvider(provider)) {
+      return res.status(400).json({
+        error: 'Bad Request',
+        message: `Push provider ${provider} is not enabled on this server`
+      });
+    }
+    
     try {
-      const userId = req.validatedHeaders['X-User-Id'];
-      const subscription = req.body;
-      
-      storageService.addSubscription(userId, subscription);
+      const { tenantId, userId } = req;
+      const device = storageService.addSubscription(tenantId, userId, req.validatedSubscription, {
+        userAgent: req.get('User-Agent'),
+        label: req.validatedData.label,
+        locale: req.validatedData.locale,
+        tokenId: req.tokenId
+      }, { requestId: req.id });
       
       res.status(201).json({
         success: true,
         message: 'Device registered successfully',
-        userId
+        userId,
+        device: toDeviceResponse(device)
       });
     } catch (error) {
-      console.error('❌ Error registering device:', error);
+      req.log.error('Error registering device', { error });
       res.status(500).json({
         error: 'Internal Server Error',
         message: 'Failed to register device'
@@ -96,138 +498,1090 @@ app.post('/api/devices',
   }
 );
 
-// Webhook endpoint for CRM calls
-app.post('/webhooks/call',
-  webhookLimiter,
-  validateWebhookToken(WEBHOOK_TOKEN),
-  validateCallWebhook,
+// List registered devices of a user
+app.get('/api/devices',
+  authenticateUser({ devMode: DEV_MODE }),
+  (req, res) => {
+    const { tenantId, userId } = req;
+    
+    res.json({
+      tenantId,
+      userId,
+      devices: storageService.getDevices(tenantId, userId).map(toDeviceResponse)
+    });
+  }
+);
+
+// Rename a device or change its language
+app.patch('/api/devices/:id',
+  authenticateUser({ devMode: DEV_MODE }),
+  validateDeviceUpdate,
+  (req, res) => {
+    const { tenantId, userId } = req;
+    const device = storageService.updateDevice(tenantId, userId, req.params.id, req.validatedData);
+    
+    if (!device) {
+      return res.status(404).json({
+        error: 'Not Found',
+        message: 'Device not found'
+      });
+    }
+    
+    storageService.markDeviceSeen(tenantId, userId, device.id);
+    
+    res.json({
+      success: true,
+      device: toDeviceResponse(device)
+    });
+  }
+);
+
+// Send a test notification to one of the user's devices
+app.post('/api/devices/:id/test',
+  authenticateUser({ devMode: DEV_MODE }),
+  testNotificationLimiter,
   async (req, res) => {
-    try {
-      const { userId, phoneNumber } = req.validatedData;
+    const { tenantId, userId } = req;
+    const device = storageService.getDevice(tenantId, userId, req.params.id);
+    
+    if (!device) {
+      return res.status(404).json({
+        error: 'Not Found',
+        message: 'Device not found'
+      });
+    }
+    
+    storageService.markDeviceSeen(tenantId, userId, device.id);
+    req.log.info('Test notification requested', { tenantId, userId, deviceId: device.id });
+    
+    await sendTestPush(req, res, tenantId, userId, [device]);
+  }
+);
+
+// Settings of the authenticated user
+app.get('/api/settings',
+  authenticateUser({ devMode: DEV_MODE }),
+  (req, res) => {
+    res.json({
+      settings: userService.getSettings(req.tenantId, req.userId),
+      availability: userService.getAvailability(req.tenantId, req.userId)
+    });
+  }
+);
+
+// Update settings of the authenticated user
+app.patch('/api/settings',
+  authenticateUser({ devMode: DEV_MODE }),
+  validateUserSettings,
+  (req, res) => {
+    const disabled = (req.validatedData.channels || []).find(channel => !channelService.hasChannel(channel.type));
+    if (disabled) {
+      return res.status(400).json({
+        error: 'Bad Request',
+        message: `Channel ${disabled.type} is not enabled on this server`
+      });
+    }
+    
+    const { fallbackGroup } = req.validatedData;
+    if (fallbackGroup && !groupService.getGroup(req.tenantId, fallbackGroup)) {
+      return res.status(400).json({
+        error: 'Bad Request',
+        message: `Group ${fallbackGroup} not found`
+      });
+    }
+    
+    const settings = userService.updateSettings(req.tenantId, req.userId, req.validatedData);
+    
+    res.json({
+      success: true,
+      settings,
+      availability: userService.getAvailability(req.tenantId, req.userId)
+    });
+  }
+);
+
+// Revoke a device
+app.delete('/api/devices/:id',
+  authenticateUser({ devMode: DEV_MODE }),
+  (req, res) => {
+    const { tenantId, userId } = req;
+    const device = storageService.getDevice(tenantId, userId, req.params.id);
+    
+    if (!device || !storageService.removeDevice(tenantId, userId, device.id)) {
+      return res.status(404).json({
+        error: 'Not Found',
+        message: 'Device not found'
+      });
+    }
+    
+    // A device that unregisters itself keeps its token to register again
+    if (device.tokenId !== req.tokenId) {
+      authService.revokeDeviceToken(device, storageService.getDevices(tenantId, userId));
+    }
+    
+    req.log.info('Device revoked', { tenantId, userId, deviceId: device.id });
+    
+    res.json({
+      success: true,
+      message: 'Device removed'
+    });
+  }
+);
+
+// List the personal tokens of the user (send to phone)
+app.get('/api/personal-tokens',
+  authenticateUser({ devMode: DEV_MODE }),
+  (req, res) => {
+    res.json({
+      tokens: personalTokenService.listTokens(req.tenantId, req.userId)
+    });
+  }
+);
+
+// Create a personal token; the token is only returned in this response
+app.post('/api/personal-tokens',
+  authenticateUser({ devMode: DEV_MODE }),
+  validatePersonalToken,
+  (req, res) => {
+    const { tenantId, userId } = req;
+    const created = personalTokenService.createToken(tenantId, userId, req.validatedData.label);
+    
+    if (!created) {
+      return res.status(409).json({
+        error: 'Conflict',
+        message: 'Too many personal tokens. Revoke one first.'
+      });
+    }
+    
+    req.log.info('Personal token created', { tenantId, userId, tokenId: created.info.id });
+    
+    res.status(201).json({
+      success: true,
+      token: created.token,
+      info: created.info
+    });
+  }
+);
+
+// Revoke a personal token
+app.delete('/api/personal-tokens/:id',
+  authenticateUser({ devMode: DEV_MODE }),
+  (req, res) => {
+    const { tenantId, userId } = req;
+    
+    if (!personalTokenService.revokeToken(tenantId, userId, req.params.id)) {
+      return res.status(404).json({
+        error: 'Not Found',
+        message: 'Personal token not found'
+      });
+    }
+    
+    req.log.info('Personal token revoked', { tenantId, userId, tokenId: req.params.id });
+    
+    res.json({
+      success: true,
+      message: 'Personal token revoked'
+    });
+  }
+);
+
+/**
+ * Record a call request and push it to the devices of its users
+ * @param {Object} req - Express request object (logging, base URL, Prefer header)
+ * @param {string} tenantId - Tenant identifier
+ * @param {Object} details - Validated call details
+ * @param {string} details.source - Where the request came from ('webhook' or 'send_to_phone')
+ * @param {boolean} details.direct - Send to the devices of userId only, without routing rules or channels
+ * @returns {Promise<Object>} { statusCode, body } for the response
+ */
+async function startCall(req, tenantId, {
+  userId,
+  groupId,
+  userIds,
+  phoneNumber,
+  originalNumber,
+  callbackUrl,
+  context,
+  source = 'webhook',
+  direct = false
+}) {
+  // Track the call request so devices can report delivery and clicks
+  const call = callService.createCall(tenantId, {
+    userId,
+    groupId,
+    userIds,
+    phoneNumber,
+    originalNumber,
+    callbackUrl,
+    context,
+    source
+  });
+  
+  // Get base URL for the call page
+  const baseUrl = getBaseUrl(req);
+  
+  // Create notification payload in each device's language
+  const callReference = {
+    id: call.id,
+    token: authService.createCallToken(tenantId, call.id),
+    // Several people get group calls; the first to tap takes it
+    claimable: Boolean(userIds)
+  };
+  const payload = pushService.localizePayload(locale =>
+    pushService.createCallPayload(phoneNumber, baseUrl, callReference, context, locale)
+  );
+  
+  const job = { tenantId, userId, userIds, callId: call.id, payload, requestId: req.id, direct };
+  
+  // Async mode (globally or per request): queue and answer right away
+  if (WEBHOOK_ASYNC || req.get('Prefer') === 'respond-async') {
+    const queued = pushQueueService.enqueue(job);
+    
+    req.log.info('Call queued', { tenantId, userId, groupId, phoneNumber, source, callId: call.id, jobId: queued.id });
+    
+    return {
+      statusCode: 202,
+      body: {
+        success: true,
+        message: 'Push notification queued',
+        jobId: queued.id,
+        callId: call.id,
+        tenantId,
+        userId,
+        groupId,
+        userIds,
+        phoneNumber,
+        originalNumber
+      }
+    };
+  }
+  
+  // Send push notification (transient failures are retried in the background)
+  const result = await pushQueueService.sendNow(job);
+  
+  req.log.info('Call processed', {
+    tenantId,
+    userId,
+    groupId,
+    phoneNumber,
+    source,
+    callId: call.id,
+    sent: result.sent,
+    total: result.total,
+    notified: result.notified
+  });
+  
+  return {
+    statusCode: 200,
+    body: {
+      success: true,
+      message: 'Push notification sent',
+      callId: call.id,
+      tenantId,
+      userId,
+      groupId,
+      userIds,
+      phoneNumber,
+      originalNumber,
+      sent: result.sent,
+      total: result.total,
+      retrying: result.retrying,
+      notified: result.notified,
+      routing: result.routing,
+      channels: result.channels
+    }
+  };
+}
+
+/**
+ * Validate and send one call request from a CRM webhook
+ * @param {Object} req - Express request object (tenant, logging, base URL)
+ * @param {Object} request - Call request in the native webhook format
+ * @param {string} idempotencyHeader - Idempotency-Key header for this call, if any
+ * @returns {Promise<Object>} { statusCode, body, replayed } for the webhook response
+ */
+async function processCallRequest(req, request, idempotencyHeader) {
+  const tenantId = req.tenant.id;
+  
+  const checked = checkCallWebhook(request, idempotencyHeader);
+  if (checked.error) {
+    return {
+      statusCode: 400,
+      body: { error: 'Bad Request', message: checked.error }
+    };
+  }
+  
+  const number = checkCallNumber(checked.data.phoneNumber, userService.getDefaultCountry(tenantId, checked.data.userId));
+  if (number.error) {
+    return {
+      statusCode: 400,
+      body: { error: 'Bad Request', message: number.error }
+    };
+  }
+  
+  const validatedData = { ...checked.data, ...number };
+  let idempotencyKeys = [];
+  
+  try {
+    const { userId, groupId, phoneNumber, originalNumber, callbackUrl, context } = validatedData;
+    
+    // Group calls go to the members at the time of the call
+    let { userIds } = validatedData;
+    if (groupId) {
+      const group = groupService.getGroup(tenantId, groupId);
+      if (!group) {
+        return {
+          statusCode: 404,
+          body: { error: 'Not Found', message: 'Group not found' }
+        };
+      }
+      userIds = group.members;
+    }
+    
+    // Repeats of an earlier request get its original response
+    const keys = idempotencyService.getCallKeys(tenantId, validatedData);
+    const fingerprint = idempotencyService.getCallFingerprint(validatedData);
+    const earlier = idempotencyService.claim(keys, fingerprint);
+    
+    if (earlier) {
+      if (earlier.fingerprint !== fingerprint) {
+        return {
+          statusCode: 422,
+          body: { error: 'Unprocessable Entity', message: 'Idempotency key was already used for a different request' }
+        };
+      }
       
-      // Get base URL for the call page
-      const protocol = req.get('X-Forwarded-Proto') || req.protocol;
-      const host = req.get('Host');
-      const baseUrl = `${protocol}://${host}`;
+      // Wait for a request that is still running
+      const response = await earlier.promise;
+      if (!response) {
+        return {
+          statusCode: 409,
+          body: { error: 'Conflict', message: 'The original request failed, please retry' }
+        };
+      }
       
-      // Create notification payload
-      const payload = pushService.createCallPayload(phoneNumber, baseUrl);
+      req.log.info('Duplicate webhook answered with the original response', { tenantId, userId });
       
-      // Send push notification
-      const result = await pushService.sendToUser(userId, payload);
+      return { ...response, replayed: true };
+    }
+    
+    idempotencyKeys = keys;
+    
+    const result = await startCall(req, tenantId, { userId, groupId, userIds, phoneNumber, originalNumber, callbackUrl, context });
+    idempotencyService.complete(idempotencyKeys, result);
+    return result;
+  } catch (error) {
+    // Let a retry of the failed request through
+    idempotencyService.release(idempotencyKeys);
+    
+    req.log.error('Error processing webhook', { error });
+    return {
+      statusCode: 500,
+      body: { error: 'Internal Server Error', message: 'Failed to process webhook' }
+    };
+  }
+}
+
+// Webhook endpoint for CRM calls, in the native format or a CRM's own format
+// (adapter named in the route, e.g. /webhooks/call/hubspot, or configured per tenant)
+app.post(['/webhooks/call', '/webhooks/call/:adapter'],
+  countWebhookOutcomes(metricsService),
+  webhookLimiter,
+  xmlBody,
+  webhookAuth,
+  parseCallWebhook({
+    getAdapter: (tenant, name) => adapterService.getAdapter(tenant, name)
+  }),
+  async (req, res) => {
+    const { adapter, callRequests, skippedCalls } = req;
+    
+    // The Idempotency-Key header can only identify a single call
+    const idempotencyHeader = callRequests.length === 1 ? req.get('Idempotency-Key') : undefined;
+    
+    const results = [];
+    for (const request of callRequests) {
+      const result = await processCallRequest(req, request, idempotencyHeader);
+      results.push(result);
       
-      console.log(`📞 Webhook processed: ${phoneNumber} for user ${userId}`);
+      // CRM adapters often don't show our response to anyone
+      if (result.statusCode >= 400 && result.statusCode < 500 && adapter.name !== NATIVE_ADAPTER) {
+        req.log.warn('Call request rejected', { adapter: adapter.name, statusCode: result.statusCode, message: result.body.message });
+      }
+    }
+    
+    if (adapter.respond) {
+      return adapter.respond(res, results);
+    }
+    
+    if (results.length === 1) {
+      const [{ statusCode, body, replayed }] = results;
+      if (replayed) {
+        res.set('Idempotent-Replayed', 'true');
+      }
+      return res.status(statusCode).json(body);
+    }
+    
+    if (results.length === 0) {
+      req.log.info('Webhook without call requests', { adapter: adapter.name, skipped: skippedCalls });
       
-      res.json({
+      return res.json({
         success: true,
-        message: 'Push notification sent',
+        message: 'No call requested',
+        skipped: skippedCalls
+      });
+    }
+    
+    res.json({
+      success: results.every(result => result.statusCode < 300),
+      message: `Processed ${results.length} call requests`,
+      skipped: skippedCalls,
+      results: results.map(({ statusCode, body }) => ({ statusCode, ...body }))
+    });
+  }
+);
+
+// Check a personal token (used by the send to phone page)
+app.get('/api/send-to-phone',
+  personalTokenLimiter,
+  authenticatePersonalToken(),
+  (req, res) => {
+    const { tenantId, userId } = req;
+    
+    res.json({
+      tenantId,
+      userId,
+      devices: storageService.getDevices(tenantId, userId).length
+    });
+  }
+);
+
+// Send a number found in another tool (bookmarklet, scripts) to the user's own phones
+app.post('/api/send-to-phone',
+  authenticatePersonalToken(),
+  sendToPhoneLimiter,
+  validateSendToPhone,
+  async (req, res) => {
+    const { tenantId, userId } = req;
+    
+    if (storageService.getDevices(tenantId, userId).length === 0) {
+      return res.status(409).json({
+        error: 'Conflict',
+        message: 'No devices registered. Register a phone first.'
+      });
+    }
+    
+    const number = checkCallNumber(req.validatedData.phoneNumber, userService.getDefaultCountry(tenantId, userId));
+    if (number.error) {
+      return res.status(400).json({
+        error: 'Bad Request',
+        message: number.error
+      });
+    }
+    
+    try {
+      // Always the user's own devices: no routing rules, fallback users or channels
+      const { statusCode, body } = await startCall(req, tenantId, {
         userId,
-        phoneNumber,
-        sent: result.sent,
-        total: result.total
+        ...number,
+        context: req.validatedData.context,
+        source: 'send_to_phone',
+        direct: true
       });
+      
+      res.status(statusCode).json(body);
     } catch (error) {
-      console.error('❌ Error processing webhook:', error);
+      req.log.error('Error sending number to phone', { error });
       res.status(500).json({
         error: 'Internal Server Error',
-        message: 'Failed to process webhook'
+        message: 'Failed to send number to phone'
       });
     }
   }
 );
 
-// Call page - redirects to phone dialer
-app.get('/call', (req, res) => {
-  const phoneNumber = req.query.to;
-  
-  if (!phoneNumber) {
-    return res.status(400).send(`
-      <!DOCTYPE html>
-      <html>
-      <head>
-        <meta charset="utf-8">
-        <meta name="viewport" content="width=device-width, initial-scale=1">
-        <title>Call Error</title>
-      </head>
-      <body>
-        <h1>❌ Error</h1>
-        <p>Missing phone number parameter</p>
-        <a href="/">← Back to Home</a>
-      </body>
-      </html>
-    `);
-  }
-  
-  // Clean phone number for tel: link
-  const cleanNumber = phoneNumber.replace(/[^\d\+\-\(\)\s]/g, '');
-  
-  res.send(`
-    <!DOCTYPE html>
-    <html>
-    <head>
-      <meta charset="utf-8">
-      <meta name="viewport" content="width=device-width, initial-scale=1">
-      <title>Calling ${cleanNumber}</title>
-      <style>
-        body {
-          font-family: -apple-system, BlinkMacSystemFont, 'Segoe UI', Roboto, sans-serif;
-          text-align: center;
-          padding: 2rem;
-          background: #f5f5f5;
-        }
-        .call-container {
-          background: white;
-          border-radius: 12px;
-          padding: 2rem;
-          box-shadow: 0 2px 10px rgba(0,0,0,0.1);
-          max-width: 400px;
-          margin: 0 auto;
-        }
-        .phone-number {
-          font-size: 1.5rem;
-          font-weight: bold;
-          color: #007AFF;
-          margin: 1rem 0;
-        }
-        .call-button {
-          display: inline-block;
-          background: #007AFF;
-          color: white;
-          text-decoration: none;
-          padding: 1rem 2rem;
-          border-radius: 8px;
-          font-size: 1.1rem;
-          margin: 1rem 0;
-        }
-        .status {
-          color: #666;
-          margin-top: 1rem;
-        }
-      </style>
-    </head>
-    <body>
-      <div class="call-container">
-        <h1>📞 Calling</h1>
-        <div class="phone-number">${cleanNumber}</div>
-        <a href="tel:${cleanNumber}" class="call-button">📱 Call Now</a>
-        <div class="status">
-          <p>If the call doesn't start automatically, tap the button above.</p>
-          <a href="/">← Back to Home</a>
-        </div>
-      </div>
-      
-      <script>
-        // Immediately redirect to phone dialer
-        window.location.href = "tel:${cleanNumber}";
-      </script>
-    </body>
-    </html>
-  `);
+/**
+ * Find the user a device belongs to among the people a call was sent to
+ * @param {Object} call - Call record
+ * @param {string} deviceId - Device identifier
+ * @returns {string|null} User identifier
+ */
+function findCallRecipient(call, deviceId) {
+  const candidates = call.recipients || [call.userId];
+  return candidates.find(userId => userId && storageService.getDevice(call.tenantId, userId, deviceId)) || null;
+}
+
+/**
+ * Close the notification of a claimed call on every other device it was sent to
+ * @param {Object} req - Express request object (for logging)
+ * @param {Object} call - Claimed call record
+ * @param {string} claimingEndpoint - Endpoint of the device that claimed the call
+ */
+async function retractCall(req, call, claimingEndpoint) {
+  const recipients = call.recipients || [];
+  const endpoints = recipients
+    .flatMap(userId => storageService.getDevices(call.tenantId, userId))
+    .map(device => device.subscription.endpoint)
+    .filter(endpoint => endpoint !== claimingEndpoint);
+  
+  if (endpoints.length === 0) {
+    return;
+  }
+  
+  try {
+    const payload = pushService.localizePayload(locale =>
+      pushService.createRetractPayload(call.id, call.claimedBy, locale)
+    );
+    const result = await pushService.sendToRecipients(call.tenantId, recipients, payload, {
+      endpoints,
+      requestId: req.id
+    });
+    
+    callService.addEvent(call.id, { type: 'retracted', sent: result.sent, total: result.total });
+  } catch (error) {
+    req.log.error('Error retracting claimed call', { error, callId: call.id });
+  }
+}
+
+// Delivery and interaction events reported by the service worker
+app.post('/api/calls/:id/events',
+  callEventLimiter,
+  validateCallEvent(CLIENT_EVENT_TYPES),
+  (req, res) => {
+    const { type, token, endpoint, action } = req.validatedData;
+    
+    if (!authService.verifyCallToken(token, req.params.id)) {
+      return res.status(403).json({
+        error: 'Forbidden',
+        message: 'Invalid call token'
+      });
+    }
+    
+    const event = { type };
+    if (endpoint) {
+      event.deviceId = storageService.getDeviceId({ endpoint });
+    }
+    if (action) {
+      event.action = action;
+    }
+    
+    const call = callService.addEvent(req.params.id, event);
+    if (!call) {
+      return res.status(404).json({
+        error: 'Not Found',
+        message: 'Call not found'
+      });
+    }
+    
+    const recipient = event.deviceId && findCallRecipient(call, event.deviceId);
+    if (recipient) {
+      storageService.markDeviceSeen(call.tenantId, recipient, event.deviceId);
+    }
+    
+    res.json({
+      success: true,
+      status: call.status
+    });
+  }
+);
+
+/**
+ * User who made a call: whoever claimed it, the single user it was routed to, or its owner
+ * @param {Object} call - Call record
+ * @returns {string|null} User identifier
+ */
+function getCallingUser(call) {
+  if (call.claimedBy) {
+    return call.claimedBy;
+  }
+  return call.recipients?.length === 1 ? call.recipients[0] : call.userId;
+}
+
+// Outcome of a call, recorded from the call page after dialing
+app.post('/api/calls/:id/outcome',
+  validateCallOutcome(CALL_OUTCOMES),
+  (req, res) => {
+    const { token, result, note, forward } = req.validatedData;
+    
+    if (!authService.verifyCallToken(token, req.params.id)) {
+      return res.status(403).json({
+        error: 'Forbidden',
+        message: 'Invalid call token'
+      });
+    }
+    
+    const existing = callService.getCall(req.params.id);
+    if (!existing) {
+      return res.status(404).json({
+        error: 'Not Found',
+        message: 'Call not found'
+      });
+    }
+    
+    const userId = getCallingUser(existing);
+    const call = callService.recordOutcome(existing.id, { result, note, userId, forward });
+    
+    req.log.info('Call outcome recorded', { tenantId: call.tenantId, userId, callId: call.id, outcome: result, forward });
+    
+    res.json({
+      success: true,
+      outcome: call.outcome
+    });
+  }
+);
+
+/**
+ * Convert a call record into an entry of the user's call history
+ * @param {Object} call - Call record
+ * @param {string} userId - User whose history it is; outcomes of other users are left out
+ * @returns {Object} History entry with a call page link for dialing again or logging the outcome
+ */
+function toHistoryEntry(call, userId) {
+  const dialed = call.events.findLast(event => event.type === 'dialed');
+  const token = authService.createCallToken(call.tenantId, call.id);
+  
+  return {
+    id: call.id,
+    phoneNumber: call.phoneNumber,
+    context: call.context,
+    source: call.source || 'webhook',
+    groupId: call.groupId || null,
+    claimedBy: call.claimedBy || null,
+    status: call.status,
+    outcome: call.outcome?.userId === userId ? call.outcome : null,
+    createdAt: call.createdAt,
+    dialedAt: dialed ? dialed.at : null,
+    callUrl: `/call?to=${encodeURIComponent(call.phoneNumber)}&call=${encodeURIComponent(call.id)}&token=${encodeURIComponent(token)}`
+  };
+}
+
+// Recent calls the authenticated user took, with their outcomes
+app.get('/api/call-history',
+  authenticateUser({ devMode: DEV_MODE }),
+  (req, res) => {
+    const limit = Math.min(parseInt(req.query.limit, 10) || 20, 100);
+    const calls = callService.getRecentCalls({ tenantId: req.tenantId, handledBy: req.userId, limit });
+    
+    res.json({
+      calls: calls.map(call => toHistoryEntry(call, req.userId))
+    });
+  }
+);
+
+// First tap on a group call claims it; the notification is withdrawn from everyone else
+app.post('/api/calls/:id/claim',
+  validateCallClaim,
+  (req, res) => {
+    const { token, endpoint } = req.validatedData;
+    
+    if (!authService.verifyCallToken(token, req.params.id)) {
+      return res.status(403).json({
+        error: 'Forbidden',
+        message: 'Invalid call token'
+      });
+    }
+    
+    const call = callService.getCall(req.params.id);
+    if (!call) {
+      return res.status(404).json({
+        error: 'Not Found',
+        message: 'Call not found'
+      });
+    }
+    
+    if (!call.userIds) {
+      return res.status(400).json({
+        error: 'Bad Request',
+        message: 'Only group and user list calls can be claimed'
+      });
+    }
+    
+    const deviceId = storageService.getDeviceId({ endpoint });
+    const userId = findCallRecipient(call, deviceId);
+    if (!userId) {
+      return res.status(403).json({
+        error: 'Forbidden',
+        message: 'This device did not receive the call'
+      });
+    }
+    
+    const result = callService.claimCall(call.id, { userId, deviceId });
+    if (!result.claimed) {
+      return res.status(409).json({
+        error: 'Conflict',
+        message: 'Call was already claimed',
+        claimedBy: result.call.claimedBy
+      });
+    }
+    
+    storageService.markDeviceSeen(call.tenantId, userId, deviceId);
+    
+    if (!result.alreadyClaimed) {
+      req.log.info('Call claimed', { tenantId: call.tenantId, callId: call.id, userId, deviceId });
+      retractCall(req, result.call, endpoint);
+    }
+    
+    res.json({
+      success: true,
+      claimedBy: userId,
+      status: result.call.status
+    });
+  }
+);
+
+// Status timeline of a call request (for the CRM)
+app.get('/api/calls/:id',
+  webhookAuth,
+  (req, res) => {
+    const call = callService.getCall(req.params.id, req.tenant.id);
+    
+    if (!call) {
+      return res.status(404).json({
+        error: 'Not Found',
+        message: 'Call not found'
+      });
+    }
+    
+    res.json(call);
+  }
+);
+
+// Dead-letter list of push jobs that failed after the last retry
+app.get('/api/jobs/dead-letters',
+  webhookAuth,
+  (req, res) => {
+    res.json({
+      jobs: pushQueueService.getDeadLetters(req.tenant.id)
+    });
+  }
+);
+
+// Status of a push job
+app.get('/api/jobs/:id',
+  webhookAuth,
+  (req, res) => {
+    const job = pushQueueService.getJob(req.params.id, req.tenant.id);
+    
+    if (!job) {
+      return res.status(404).json({
+        error: 'Not Found',
+        message: 'Job not found'
+      });
+    }
+    
+    res.json(job);
+  }
+);
+
+// Requeue a dead-letter job
+app.post('/api/jobs/:id/retry',
+  webhookAuth,
+  (req, res) => {
+    const job = pushQueueService.retryDeadLetter(req.params.id, req.tenant.id);
+    
+    if (!job) {
+      return res.status(404).json({
+        error: 'Not Found',
+        message: 'Dead-letter job not found'
+      });
+    }
+    
+    res.status(202).json({
+      success: true,
+      job
+    });
+  }
+);
+
+// Dead-letter list of status callbacks that failed until the retry time ran out
+app.get('/api/callbacks/dead-letters',
+  webhookAuth,
+  (req, res) => {
+    res.json({
+      callbacks: callbackService.getDeadLetters(req.tenant.id)
+    });
+  }
+);
+
+// Requeue a dead-letter callback
+app.post('/api/callbacks/:id/retry',
+  webhookAuth,
+  (req, res) => {
+    const callback = callbackService.retryDeadLetter(req.params.id, req.tenant.id);
+    
+    if (!callback) {
+      return res.status(404).json({
+        error: 'Not Found',
+        message: 'Dead-letter callback not found'
+      });
+    }
+    
+    res.status(202).json({
+      success: true,
+      callback
+    });
+  }
+);
+
+// Admin API (dashboard at /admin.html), across all tenants
+app.use('/api/admin', adminLimiter, authenticateAdmin({ token: ADMIN_TOKEN }));
+
+/**
+ * Summarize a call record for the admin dashboard
+ * @param {Object} call - Call record
+ * @returns {Object} Call without its event timeline, plus the push outcome
+ */
+function toCallSummary(call) {
+  const pushEvent = call.events.findLast(event => ['sent', 'failed', 'no_devices', 'unavailable'].includes(event.type));
+  const channels = call.events
+    .filter(event => event.type === 'channel_sent')
+    .flatMap(event => event.deliveries.filter(delivery => delivery.sent).map(delivery => delivery.channel));
+  
+  return {
+    id: call.id,
+    tenantId: call.tenantId,
+    userId: call.userId,
+    groupId: call.groupId || null,
+    userIds: call.userIds || null,
+    claimedBy: call.claimedBy || null,
+    phoneNumber: call.phoneNumber,
+    context: call.context,
+    status: call.status,
+    outcome: call.outcome || null,
+    sent: pushEvent ? pushEvent.sent : null,
+    total: pushEvent ? pushEvent.total : null,
+    channels: [...new Set(channels)],
+    createdAt: call.createdAt,
+    updatedAt: call.updatedAt
+  };
+}
+
+// Users and their devices
+app.get('/api/admin/users', (req, res) => {
+  const tenantId = typeof req.query.tenant === 'string' ? req.query.tenant : undefined;
+  
+  res.json({
+    users: storageService.listUsers(tenantId).map(user => ({
+      ...user,
+      devices: user.devices.map(toDeviceResponse)
+    }))
+  });
 });
 
+// Recent call requests with their delivery outcome
+app.get('/api/admin/calls', (req, res) => {
+  const limit = Math.min(parseInt(req.query.limit, 10) || 50, 500);
+  const calls = callService.getRecentCalls({
+    tenantId: typeof req.query.tenant === 'string' ? req.query.tenant : undefined,
+    userId: typeof req.query.user === 'string' ? req.query.user : undefined,
+    limit
+  });
+  
+  res.json({
+    calls: calls.map(toCallSummary)
+  });
+});
+
+// Revoke a device of any user
+app.delete('/api/admin/tenants/:tenantId/users/:userId/devices/:deviceId', (req, res) => {
+  const { tenantId, userId, deviceId } = req.params;
+  const device = storageService.getDevice(tenantId, userId, deviceId);
+  
+  if (!device || !storageService.removeDevice(tenantId, userId, deviceId)) {
+    return res.status(404).json({
+      error: 'Not Found',
+      message: 'Device not found'
+    });
+  }
+  
+  authService.revokeDeviceToken(device, storageService.getDevices(tenantId, userId));
+  
+  req.log.info('Device revoked by admin', { tenantId, userId, deviceId });
+  
+  res.json({
+    success: true,
+    message: 'Device removed'
+  });
+});
+
+// Send a test notification to all devices of a user
+app.post('/api/admin/tenants/:tenantId/users/:userId/test', async (req, res) => {
+  const { tenantId, userId } = req.params;
+  const devices = storageService.getDevices(tenantId, userId);
+  
+  if (devices.length === 0) {
+    return res.status(404).json({
+      error: 'Not Found',
+      message: 'User has no registered devices'
+    });
+  }
+  
+  await sendTestPush(req, res, tenantId, userId, devices);
+});
+
+// Send a test notification to one device
+app.post('/api/admin/tenants/:tenantId/users/:userId/devices/:deviceId/test', async (req, res) => {
+  const { tenantId, userId, deviceId } = req.params;
+  const device = storageService.getDevice(tenantId, userId, deviceId);
+  
+  if (!device) {
+    return res.status(404).json({
+      error: 'Not Found',
+      message: 'Device not found'
+    });
+  }
+  
+  await sendTestPush(req, res, tenantId, userId, [device]);
+});
+
+// Groups that call webhooks can target with group_id
+app.get('/api/admin/groups', (req, res) => {
+  res.json({
+    groups: groupService.listGroups(typeof req.query.tenant === 'string' ? req.query.tenant : undefined)
+  });
+});
+
+/**
+ * Answer 404 for tenants that are not configured, so no groups are created for them
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @param {Function} next - Express next function
+ */
+function requireTenant(req, res, next) {
+  if (!tenantService.getTenant(req.params.tenantId)) {
+    return res.status(404).json({
+      error: 'Not Found',
+      message: `Tenant ${req.params.tenantId} not found`
+    });
+  }
+  
+  next();
+}
+
+// Create or replace a group
+app.put('/api/admin/tenants/:tenantId/groups/:groupId', requireTenant, validateGroup, (req, res) => {
+  const { tenantId, groupId } = req.params;
+  const group = groupService.saveGroup(tenantId, groupId, req.validatedData);
+  
+  req.log.info('Group saved', { tenantId, groupId, members: group.members.length });
+  
+  res.json({
+    success: true,
+    group
+  });
+});
+
+// Delete a group
+app.delete('/api/admin/tenants/:tenantId/groups/:groupId', (req, res) => {
+  const { tenantId, groupId } = req.params;
+  
+  if (!groupService.deleteGroup(tenantId, groupId)) {
+    return res.status(404).json({
+      error: 'Not Found',
+      message: 'Group not found'
+    });
+  }
+  
+  req.log.info('Group deleted', { tenantId, groupId });
+  
+  res.json({
+    success: true,
+    message: 'Group deleted'
+  });
+});
+
+// Add a member to a group
+app.post('/api/admin/tenants/:tenantId/groups/:groupId/members', requireTenant, validateGroupMember, (req, res) => {
+  const { tenantId, groupId } = req.params;
+  const group = groupService.addMember(tenantId, groupId, req.validatedData.userId);
+  
+  if (!group) {
+    return res.status(404).json({
+      error: 'Not Found',
+      message: 'Group not found'
+    });
+  }
+  
+  res.json({
+    success: true,
+    group
+  });
+});
+
+// Remove a member from a group
+app.delete('/api/admin/tenants/:tenantId/groups/:groupId/members/:userId', (req, res) => {
+  const { tenantId, groupId, userId } = req.params;
+  const group = groupService.removeMember(tenantId, groupId, userId);
+  
+  if (!group) {
+    return res.status(404).json({
+      error: 'Not Found',
+      message: 'Group or member not found'
+    });
+  }
+  
+  res.json({
+    success: true,
+    group
+  });
+});
+
+/**
+ * Locale for a rendered page: ?lang=, else the Accept-Language header
+ * @param {Object} req - Express request object
+ * @returns {string} Supported locale
+ */
+function getRequestLocale(req) {
+  return toSupportedLocale(req.query.lang) ||
+    req.acceptsLanguages(...SUPPORTED_LOCALES) ||
+    DEFAULT_LOCALE;
+}
+
+// Call page - redirects to phone dialer
+app.get('/call',
+  pageSecurityHeaders(),
+  (req, res) => {
+    const locale = getRequestLocale(req);
+    const t = getTranslator(locale);
+    
+    const phoneNumber = typeof req.query.to === 'string' ? req.query.to : null;
+    const normalized = phoneNumber
+      ? normalizePhoneNumber(phoneNumber, { defaultCountry: process.env.DEFAULT_COUNTRY })
+      : null;
+    
+    if (!normalized || !normalized.valid) {
+      return res.status(400).send(renderErrorPage({
+        locale,
+        t,
+        message: t(phoneNumber ? 'error.invalidNumber' : 'error.missingNumber')
+      }));
+    }
+    
+    // Contact details, for links carrying a valid call token
+    const callId = typeof req.query.call === 'string' ? req.query.call : null;
+    const call = callId && authService.verifyCallToken(req.query.token, callId)
+      ? callService.getCall(callId)
+      : null;
+    
+    res.send(renderCallPage({
+      locale,
+      t,
+      displayNumber: formatPhoneNumberForDisplay(normalized),
+      // tel: URI with extension/DTMF digits after a pause
+      telUri: toTelUri(normalized),
+      context: call?.context,
+      // Outcome form for tracked calls; the CRM option only if status callbacks go somewhere
+      outcome: call ? {
+        options: CALL_OUTCOMES,
+        current: call.outcome,
+        canLogToCrm: Boolean(callbackService.getCallbackUrl(call))
+      } : null
+    }));
+  }
+);
+
 // Error handling middleware
 app.use((err, req, res, next) => {
-  console.error('❌ Unhandled error:', err);
+  req.log.error('Unhandled error', { error: err });
   res.status(500).json({
     error: 'Internal Server Error',
     message: 'Something went wrong'
@@ -244,12 +1598,27 @@ app.use((req, res) => {
 
 // Start server
 app.listen(PORT, () => {
-  console.log(`🚀 CRM Mobile Push server running on port ${PORT}`);
-  console.log(`📱 Registration page: http://localhost:${PORT}/`);
-  console.log(`🔗 Health check: http://localhost:${PORT}/health`);
-  console.log(`🔑 Webhook token: ${WEBHOOK_TOKEN}`);
+  // Secrets (webhook token, VAPID private key) are never logged
+  logger.info('CRM Mobile Push server running', {
+    port: Number(PORT),
+    registrationPage: `http://localhost:${PORT}/`,
+    healthCheck: `http://localhost:${PORT}/health`,
+    adminDashboard: ADMIN_TOKEN ? `http://localhost:${PORT}/admin.html` : null,
+    tenants: tenantService.getTenants().map(tenant => tenant.id),
+    webhookAuthMode: process.env.TENANTS_FILE ? 'per tenant' : WEBHOOK_AUTH_MODE
+  });
+  
+  if (!process.env.TENANTS_FILE) {
+    if (WEBHOOK_TOKEN === 'default-webhook-token') {
+      logger.warn('Using default webhook token. Set WEBHOOK_TOKEN in .env for production!');
+    }
+    
+    if (WEBHOOK_AUTH_MODE !== 'token' && WEBHOOK_SECRETS.length === 0) {
+      logger.warn('WEBHOOK_AUTH_MODE requires signatures but WEBHOOK_SECRETS is empty!');
+    }
+  }
   
-  if (WEBHOOK_TOKEN === 'default-webhook-token') {
-    console.log('⚠️  Using default webhook token. Set WEBHOOK_TOKEN in .env for production!');
+  if (DEV_MODE) {
+    logger.warn('DEV_MODE enabled: devices can be registered with a free-text X-User-Id header');
   }
 });
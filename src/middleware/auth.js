@@ -0,0 +1,171 @@
+import authService from '../services/auth.js';
+import personalTokenService from '../services/personal-tokens.js';
+import tenantService from '../services/tenants.js';
+import { safeCompare } from './validation.js';
+
+/**
+ * Middleware to authenticate the user of a device request
+ * Accepts an access token from pairing (Authorization: Bearer ...). In dev mode
+ * the free-text X-User-Id header is accepted as well, with an optional X-Tenant-Id.
+ * Sets req.tenantId, req.userId and req.tokenId (the access token ID, null in dev mode).
+ * @param {Object} options - Authentication options
+ * @param {boolean} options.devMode - Allow X-User-Id without a token
+ * @returns {Function} Express middleware function
+ */
+export function authenticateUser({ devMode = false } = {}) {
+  return (req, res, next) => {
+    const authorization = req.get('Authorization');
+    
+    if (authorization && authorization.startsWith('Bearer ')) {
+      const identity = authService.verifyAccessToken(authorization.slice(7).trim());
+      
+      // Tokens of tenants that were removed from the configuration are no longer valid
+      if (!identity || !tenantService.getTenant(identity.tenantId)) {
+        return res.status(401).json({
+          error: 'Unauthorized',
+          message: 'Invalid or expired access token'
+        });
+      }
+      
+      req.tenantId = identity.tenantId;
+      req.userId = identity.userId;
+      req.tokenId = identity.tokenId;
+      return next();
+    }
+    
+    const headerUserId = req.get('X-User-Id');
+    if (devMode && headerUserId && headerUserId.trim() !== '') {
+      const headerTenantId = req.get('X-Tenant-Id');
+      const tenant = headerTenantId
+        ? tenantService.getTenant(headerTenantId.trim())
+        : tenantService.getDefaultTenant();
+      
+      if (!tenant) {
+        return res.status(400).json({
+          error: 'Bad Request',
+          message: 'Unknown or missing X-Tenant-Id'
+        });
+      }
+      
+      req.tenantId = tenant.id;
+      req.userId = headerUserId.trim();
+      req.tokenId = null;
+      return next();
+    }
+    
+    return res.status(401).json({
+      error: 'Unauthorized',
+      message: devMode
+        ? 'Missing access token or X-User-Id header'
+        : 'Missing access token. Pair this device with a pairing code first.'
+    });
+  };
+}
+
+/**
+ * Middleware to authenticate a user with a personal token (Authorization: Bearer crmpt_...)
+ * Used by "send to phone", which runs outside the paired device. Sets
+ * req.tenantId, req.userId and req.personalTokenId.
+ * @returns {Function} Express middleware function
+ */
+export function authenticatePersonalToken() {
+  return (req, res, next) => {
+    const authorization = req.get('Authorization') || '';
+    const token = authorization.startsWith('Bearer ') ? authorization.slice(7).trim() : '';
+    
+    if (!token) {
+      return res.status(401).json({
+        error: 'Unauthorized',
+        message: 'Missing personal token'
+      });
+    }
+    
+    const identity = personalTokenService.verifyToken(token);
+    if (!identity || !tenantService.getTenant(identity.tenantId)) {
+      return res.status(401).json({
+        error: 'Unauthorized',
+        message: 'Invalid or revoked personal token'
+      });
+    }
+    
+    req.tenantId = identity.tenantId;
+    req.userId = identity.userId;
+    req.personalTokenId = identity.tokenId;
+    next();
+  };
+}
+
+/**
+ * Check the Authorization: Bearer header against a configured token
+ * @param {Object} req - Express request object
+ * @param {string} token - Expected token
+ * @returns {boolean} True if the request carries the token
+ */
+function hasBearerToken(req, token) {
+  const authorization = req.get('Authorization') || '';
+  const provided = authorization.startsWith('Bearer ') ? authorization.slice(7).trim() : '';
+  
+  return Boolean(provided) && safeCompare(provided, token);
+}
+
+/**
+ * Middleware to authenticate admin requests (Authorization: Bearer ADMIN_TOKEN)
+ * Without a configured token the admin API is disabled.
+ * @param {Object} options - Authentication options
+ * @param {string} options.token - Admin token
+ * @returns {Function} Express middleware function
+ */
+export function authenticateAdmin({ token } = {}) {
+  return (req, res, next) => {
+    if (!token) {
+      return res.status(503).json({
+        error: 'Service Unavailable',
+        message: 'Admin API is disabled. Set ADMIN_TOKEN to enable it.'
+      });
+    }
+    
+    if (!hasBearerToken(req, token)) {
+      return res.status(401).json({
+        error: 'Unauthorized',
+        message: 'Invalid or missing admin token'
+      });
+    }
+    
+    next();
+  };
+}
+
+/**
+ * Middleware to control access to the metrics endpoint
+ * 'token' requires Authorization: Bearer METRICS_TOKEN, 'public' allows
+ * everyone (for endpoints only reachable from an internal network) and
+ * 'off' disables the endpoint.
+ * @param {Object} options - Access options
+ * @param {string} options.access - token, public or off
+ * @param {string} options.token - Metrics token
+ * @returns {Function} Express middleware function
+ */
+export function authenticateMetrics({ access = 'token', token } = {}) {
+  return (req, res, next) => {
+    if (access === 'public') {
+      return next();
+    }
+    
+    if (access === 'off' || !token) {
+      return res.status(404).json({
+        error: 'Not Found',
+        message: 'Endpoint not found'
+      });
+    }
+    
+    if (!hasBearerToken(req, token)) {
+      res.set('WWW-Authenticate', 'Bearer');
+      return res.status(401).json({
+        error: 'Unauthorized',
+        message: 'Invalid or missing metrics token'
+      });
+    }
+    
+    next();
+  };
+}
@@ -0,0 +1,39 @@
+import crypto from 'crypto';
+
+// Request IDs accepted from a proxy or the CRM (X-Request-Id)
+const REQUEST_ID_PATTERN = /^[\w.:-]{1,128}$/;
+
+/**
+ * Middleware to assign a request ID and log each request when it completes
+ * Uses a valid incoming X-Request-Id header or generates one, echoes it in the
+ * response and sets req.id and req.log (a logger bound to the request ID).
+ * @param {Object} logger - Logger service
+ * @returns {Function} Express middleware function
+ */
+export function requestLogging(logger) {
+  return (req, res, next) => {
+    const incoming = req.get('X-Request-Id');
+    req.id = incoming && REQUEST_ID_PATTERN.test(incoming) ? incoming : crypto.randomUUID();
+    req.log = logger.child({ requestId: req.id });
+    res.set('X-Request-Id', req.id);
+
+    const started = performance.now();
+    res.on('finish', () => {
+      const fields = {
+        method: req.method,
+        // Without the query string, which may contain phone numbers
+        path: req.path,
+        status: res.statusCode,
+        durationMs: Math.round(performance.now() - started)
+      };
+
+      if (res.statusCode >= 500) {
+        req.log.error('Request failed', fields);
+      } else {
+        req.log.debug('Request completed', fields);
+      }
+    });
+
+    next();
+  };
+}
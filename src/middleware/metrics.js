@@ -0,0 +1,41 @@
+/**
+ * Outcome of a webhook request, derived from its response
+ * @param {Object} res - Express response object (after it was sent)
+ * @returns {string} Outcome label
+ */
+function getWebhookOutcome(res) {
+  const status = res.statusCode;
+
+  if (status === 401 || status === 403) {
+    return 'auth_failed';
+  }
+  if (status === 400 || status === 413 || status === 422) {
+    return 'validation_failed';
+  }
+  if (status === 429) {
+    return 'rate_limited';
+  }
+  if (status === 409 || res.get('Idempotent-Replayed') === 'true') {
+    return 'duplicate';
+  }
+  if (status >= 200 && status < 300) {
+    return 'processed';
+  }
+  return 'error';
+}
+
+/**
+ * Middleware to count webhook requests by outcome
+ * Must come before rate limiting and authentication so rejected requests are counted too.
+ * @param {Object} metrics - Metrics service
+ * @param {string} name - Counter name
+ * @returns {Function} Express middleware function
+ */
+export function countWebhookOutcomes(metrics, name = 'crm_push_webhook_requests_total') {
+  return (req, res, next) => {
+    res.on('finish', () => {
+      metrics.inc(name, { outcome: getWebhookOutcome(res) });
+    });
+    next();
+  };
+}
@@ -0,0 +1,49 @@
+// Policy for server-rendered pages: only same-origin styles, scripts, images and API requests
+export const PAGE_CONTENT_SECURITY_POLICY = [
+  "default-src 'none'",
+  "script-src 'self'",
+  "style-src 'self'",
+  "img-src 'self'",
+  "connect-src 'self'",
+  "base-uri 'none'",
+  "form-action 'none'",
+  "frame-ancestors 'none'"
+].join('; ');
+
+/**
+ * Middleware to set security headers on all responses
+ * HSTS is only sent on HTTPS requests (including X-Forwarded-Proto behind a proxy).
+ * @returns {Function} Express middleware function
+ */
+export function securityHeaders() {
+  return (req, res, next) => {
+    res.set({
+      'X-Content-Type-Options': 'nosniff',
+      'X-Frame-Options': 'DENY',
+      'Referrer-Policy': 'strict-origin-when-cross-origin',
+      'Cross-Origin-Opener-Policy': 'same-origin'
+    });
+
+    if (req.secure) {
+      res.set('Strict-Transport-Security', 'max-age=31536000; includeSubDomains');
+    }
+
+    next();
+  };
+}
+
+/**
+ * Middleware for server-rendered pages: strict CSP, no caching of personal data
+ * @param {string} policy - Content-Security-Policy header value
+ * @returns {Function} Express middleware function
+ */
+export function pageSecurityHeaders(policy = PAGE_CONTENT_SECURITY_POLICY) {
+  return (req, res, next) => {
+    res.set({
+      'Content-Security-Policy': policy,
+      'Cache-Control': 'no-store',
+      'Referrer-Policy': 'no-referrer'
+    });
+    next();
+  };
+}
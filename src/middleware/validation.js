@@ -1,17 +1,41 @@
+import crypto from 'crypto';
+import {
+  normalizePhoneNumber,
+  formatPhoneNumber,
+  isSupportedCountry,
+  getSupportedCountries
+} from '../services/phone.js';
+import { SUPPORTED_LOCALES, toSupportedLocale } from '../services/i18n.js';
+import { NATIVE_PROVIDERS, createNativeSubscription } from '../services/providers/index.js';
+import { CHANNEL_TYPES, normalizeChannelTarget } from '../services/channels/index.js';
+import { isValidTimezone } from '../services/users.js';
+
 /**
- * Validate phone number format
+ * Validate a phone number
  * @param {string} phoneNumber - Phone number to validate
- * @returns {boolean} True if valid format
+ * @param {string} defaultCountry - Optional country for national numbers
+ * @returns {boolean} True if the number can be normalized to E.164
  */
-export function isValidPhoneNumber(phoneNumber) {
-  if (!phoneNumber || typeof phoneNumber !== 'string') {
+export function isValidPhoneNumber(phoneNumber, defaultCountry) {
+  return normalizePhoneNumber(phoneNumber, { defaultCountry }).valid;
+}
+
+/**
+ * Validate a callback URL
+ * @param {string} url - URL to validate
+ * @returns {boolean} True if it is an absolute http(s) URL
+ */
+export function isValidCallbackUrl(url) {
+  if (!url || typeof url !== 'string' || url.length > 2048) {
     return false;
   }
   
-  // Basic phone number validation - allows international format
-  // Accepts: +1234567890, +49 123 456789, +1-234-567-8900, etc.
-  const phoneRegex = /^\+?[\d\s\-\(\)]{7,20}$/;
-  return phoneRegex.test(phoneNumber.trim());
+  try {
+    const parsed = new URL(url);
+    return parsed.protocol === 'https:' || parsed.protocol === 'http:';
+  } catch (error) {
+    return false;
+  }
 }
 
 /**
@@ -38,6 +62,19 @@ export function requireHeader(headerName) {
   };
 }
 
+/**
+ * Compare two strings in constant time
+ * Both values are hashed first so differing lengths don't leak through timing.
+ * @param {string} a - First value
+ * @param {string} b - Second value
+ * @returns {boolean} True if equal
+ */
+export function safeCompare(a, b) {
+  const hashA = crypto.createHash('sha256').update(String(a)).digest();
+  const hashB = crypto.createHash('sha256').update(String(b)).digest();
+  return crypto.timingSafeEqual(hashA, hashB);
+}
+
 /**
  * Middleware to validate webhook token
  * @param {string} expectedToken - Expected webhook token
@@ -54,7 +91,7 @@ export function validateWebhookToken(expectedToken) {
       });
     }
     
-    if (token !== expectedToken) {
+    if (!safeCompare(token, expectedToken)) {
       return res.status(403).json({
         error: 'Forbidden',
         message: 'Invalid webhook token'
@@ -66,46 +103,431 @@ export function validateWebhookToken(expectedToken) {
 }
 
 /**
- * Middleware to validate request body for webhook calls
+ * Check an HMAC-SHA256 webhook signature against a list of secrets
+ * The sender signs "<timestamp>.<raw body>" and sends X-Webhook-Timestamp (unix seconds)
+ * and X-Webhook-Signature (sha256=<hex>). Requires req.rawBody from the JSON parser.
+ * @param {Object} req - Express request object
+ * @param {Array<string>} secrets - Active signing secrets (several during rotation)
+ * @returns {boolean} True if one of the secrets produced the signature
+ */
+export function verifyWebhookSignature(req, secrets) {
+  const timestamp = req.get('X-Webhook-Timestamp');
+  const signature = getWebhookSignature(req);
+  const signedPayload = Buffer.concat([
+    Buffer.from(`${timestamp}.`),
+    req.rawBody || Buffer.alloc(0)
+  ]);
+  
+  return secrets.some(secret => {
+    const expected = crypto.createHmac('sha256', secret).update(signedPayload).digest('hex');
+    return safeCompare(signature, expected);
+  });
+}
+
+/**
+ * Hex signature of a signed request, without the optional sha256= prefix
+ * @param {Object} req - Express request object
+ * @returns {string} Signature as sent in X-Webhook-Signature
+ */
+function getWebhookSignature(req) {
+  return req.get('X-Webhook-Signature').trim().replace(/^sha256=/, '');
+}
+
+/**
+ * Static webhook token of a request
+ * Besides X-Webhook-Token, the token is accepted as the password of HTTP Basic
+ * authentication (Pipedrive) or as a token query parameter (Salesforce outbound
+ * messages, which can't send headers). The query string is never logged.
+ * @param {Object} req - Express request object
+ * @returns {string|undefined} Token, if any
+ */
+function getWebhookToken(req) {
+  const header = req.get('X-Webhook-Token');
+  if (header) {
+    return header;
+  }
+  
+  const authorization = req.get('Authorization') || '';
+  if (/^Basic\s+/i.test(authorization)) {
+    const credentials = Buffer.from(authorization.replace(/^Basic\s+/i, ''), 'base64').toString('utf8');
+    const separator = credentials.indexOf(':');
+    if (separator !== -1 && separator < credentials.length - 1) {
+      return credentials.slice(separator + 1);
+    }
+  }
+  
+  return typeof req.query.token === 'string' && req.query.token !== '' ? req.query.token : undefined;
+}
+
+/**
+ * Middleware to authenticate webhook requests and identify the tenant
+ * Each tenant authenticates with its own static token (see getWebhookToken) and/or
+ * HMAC signature secrets, depending on its webhookAuthMode ('token', 'signature'
+ * or 'any'). Signed requests are checked against a timestamp tolerance window
+ * and a replay cache. The matching tenant is stored in req.tenant.
+ * @param {Object} options - Authentication options
+ * @param {Function} options.getTenants - Returns the configured tenants
+ * @param {number} options.toleranceSeconds - Allowed clock difference for signatures
+ * @returns {Function} Express middleware function
+ */
+export function validateWebhookAuth({ getTenants, toleranceSeconds = 300 }) {
+  // Signatures already seen -> expiry timestamp, to reject replays within the window
+  const seenSignatures = new Map();
+  
+  return (req, res, next) => {
+    const token = getWebhookToken(req);
+    const signatureHeader = req.get('X-Webhook-Signature');
+    
+    if (signatureHeader) {
+      const timestamp = req.get('X-Webhook-Timestamp');
+      const timestampSeconds = Number(timestamp);
+      const now = Date.now();
+      
+      if (!timestamp) {
+        return res.status(401).json({
+          error: 'Unauthorized',
+          message: 'Missing webhook timestamp'
+        });
+      }
+      
+      if (!Number.isInteger(timestampSeconds) || Math.abs(now / 1000 - timestampSeconds) > toleranceSeconds) {
+        return res.status(401).json({
+          error: 'Unauthorized',
+          message: 'Webhook timestamp outside of tolerance window'
+        });
+      }
+      
+      const tenant = getTenants().find(candidate =>
+        candidate.webhookAuthMode !== 'token' &&
+        verifyWebhookSignature(req, candidate.webhookSecrets)
+      );
+      
+      if (!tenant) {
+        return res.status(403).json({
+          error: 'Forbidden',
+          message: 'Invalid webhook signature'
+        });
+      }
+      
+      // Drop expired entries, then reject signatures we've already accepted
+      for (const [seen, expiresAt] of seenSignatures) {
+        if (expiresAt < now) {
+          seenSignatures.delete(seen);
+        }
+      }
+      
+      // Keyed by the bare signature, so the same request with and without sha256= is one request
+      const signature = getWebhookSignature(req);
+      if (seenSignatures.has(signature)) {
+        return res.status(409).json({
+          error: 'Conflict',
+          message: 'Webhook request has already been processed'
+        });
+      }
+      seenSignatures.set(signature, now + toleranceSeconds * 2 * 1000);
+      
+      req.tenant = tenant;
+      return next();
+    }
+    
+    if (!token) {
+      return res.status(401).json({
+        error: 'Unauthorized',
+        message: 'Missing webhook token or signature'
+      });
+    }
+    
+    const tenant = getTenants().find(candidate =>
+      candidate.webhookAuthMode !== 'signature' &&
+      candidate.webhookToken &&
+      safeCompare(token, candidate.webhookToken)
+    );
+    
+    if (!tenant) {
+      return res.status(403).json({
+        error: 'Forbidden',
+        message: 'Invalid webhook token'
+      });
+    }
+    
+    req.tenant = tenant;
+    next();
+  };
+}
+
+const MAX_IDEMPOTENCY_KEY_LENGTH = 255;
+
+// Optional call context fields: webhook field -> { key, maxLength }
+const CALL_CONTEXT_FIELDS = {
+  contact_name: { key: 'contactName', maxLength: 100 },
+  company: { key: 'company', maxLength: 100 },
+  reference: { key: 'reference', maxLength: 64 },
+  note: { key: 'note', maxLength: 280 }
+};
+
+/**
+ * Validate an idempotency key supplied by the CRM
+ * @param {*} key - Idempotency-Key header or request_id field
+ * @returns {boolean} True if valid
+ */
+function isValidIdempotencyKey(key) {
+  return typeof key === 'string' && key.trim() !== '' && key.length <= MAX_IDEMPOTENCY_KEY_LENGTH;
+}
+
+// Longest phone number accepted before normalization (with extension and formatting)
+const MAX_PHONE_NUMBER_LENGTH = 64;
+
+const MAX_TOKEN_LABEL_LENGTH = 64;
+
+const MAX_OUTCOME_NOTE_LENGTH = 280;
+
+// Users a single webhook may target with user_ids
+const MAX_TARGET_USERS = 50;
+
+// Group identifiers as used in URLs and group_id
+const GROUP_ID_PATTERN = /^[A-Za-z0-9._-]{1,64}$/;
+
+const MAX_GROUP_MEMBERS = 200;
+
+/**
+ * Validate a user ID
+ * @param {*} userId - User identifier
+ * @returns {boolean} True if it is a non-empty string of at most 255 characters
+ */
+function isValidUserId(userId) {
+  return typeof userId === 'string' && userId.trim() !== '' && userId.length <= 255;
+}
+
+/**
+ * Validate a group ID
+ * @param {*} groupId - Group identifier
+ * @returns {boolean} True if it consists of letters, digits, dots, dashes and underscores
+ */
+export function isValidGroupId(groupId) {
+  return typeof groupId === 'string' && GROUP_ID_PATTERN.test(groupId);
+}
+
+/**
+ * Validate the optional context about who is being called
+ * (contact_name, company, reference, note and crm_url)
+ * @param {Object} body - Request body
+ * @returns {Object} { context } with the trimmed values or { error }
+ */
+function checkCallContext(body) {
+  const context = {};
+  for (const [field, { key, maxLength }] of Object.entries(CALL_CONTEXT_FIELDS)) {
+    const value = body[field];
+    if (value === undefined || value === null || value === '') {
+      continue;
+    }
+    
+    // No control characters apart from line breaks
+    if (typeof value !== 'string' || value.length > maxLength || /[\u0000-\u0009\u000b-\u001f\u007f]/.test(value)) {
+      return { error: `${field} must be a string of at most ${maxLength} characters` };
+    }
+    
+    if (value.trim() !== '') {
+      context[key] = value.trim();
+    }
+  }
+  
+  if (body.crm_url !== undefined && body.crm_url !== null && body.crm_url !== '') {
+    if (!isValidCallbackUrl(body.crm_url)) {
+      return { error: 'crm_url must be an absolute http(s) URL' };
+    }
+    context.crmUrl = body.crm_url;
+  }
+  
+  return { context };
+}
+
+/**
+ * Validate the body of a call request (native webhook format)
+ * @param {Object} body - Webhook body (owner_user_id, callee_number, …)
+ * @param {string} idempotencyHeader - Idempotency-Key header, if any
+ * @returns {Object} { data } with the validated call or { error }
+ */
+export function checkCallWebhook(body, idempotencyHeader) {
+  const { owner_user_id, group_id, user_ids, callee_number, callback_url, request_id } = body;
+  
+  // The call is for one owner, a group or a list of users
+  const targets = [owner_user_id, group_id, user_ids].filter(target => target !== undefined && target !== null);
+  if (targets.length !== 1) {
+    return { error: 'Exactly one of owner_user_id, group_id or user_ids is required' };
+  }
+  
+  if (owner_user_id !== undefined && owner_user_id !== null && !isValidUserId(owner_user_id)) {
+    return { error: 'Missing or invalid owner_user_id' };
+  }
+  
+  if (group_id !== undefined && group_id !== null && !isValidGroupId(group_id)) {
+    return { error: 'Invalid group_id' };
+  }
+  
+  if (user_ids !== undefined && user_ids !== null &&
+    (!Array.isArray(user_ids) || user_ids.length === 0 || user_ids.length > MAX_TARGET_USERS || !user_ids.every(isValidUserId))) {
+    return { error: `user_ids must be a list of 1 to ${MAX_TARGET_USERS} user IDs` };
+  }
+  
+  // The number itself is checked by checkCallNumber()
+  if (!callee_number || typeof callee_number !== 'string') {
+    return { error: 'Missing or invalid callee_number' };
+  }
+  
+  if (callback_url !== undefined && !isValidCallbackUrl(callback_url)) {
+    return { error: 'callback_url must be an absolute http(s) URL' };
+  }
+  
+  const checkedContext = checkCallContext(body);
+  if (checkedContext.error) {
+    return { error: checkedContext.error };
+  }
+  const { context } = checkedContext;
+  
+  // Idempotency key from the header, or the request_id body field
+  const idempotencyKey = idempotencyHeader ?? request_id;
+  if (idempotencyKey !== undefined && !isValidIdempotencyKey(idempotencyKey)) {
+    return {
+      error: `Idempotency-Key and request_id must be non-empty strings of at most ${MAX_IDEMPOTENCY_KEY_LENGTH} characters`
+    };
+  }
+  
+  return {
+    data: {
+      userId: owner_user_id ? owner_user_id.trim() : null,
+      groupId: group_id || null,
+      userIds: user_ids ? [...new Set(user_ids.map(userId => userId.trim()))] : null,
+      phoneNumber: callee_number.trim(),
+      callbackUrl: callback_url || null,
+      idempotencyKey: idempotencyKey?.trim() || null,
+      context
+    }
+  };
+}
+
+/**
+ * Normalize the callee number of a validated call request to E.164
+ * National numbers use the given default country. Impossible numbers are rejected.
+ * @param {string} phoneNumber - Callee number as sent by the CRM
+ * @param {string} defaultCountry - Country of the user or tenant
+ * @returns {Object} { phoneNumber, originalNumber } where phoneNumber is the normalized
+ *   number (with ";ext=" and post-dial digits) and originalNumber the input, or { error }
+ */
+export function checkCallNumber(phoneNumber, defaultCountry) {
+  const normalized = normalizePhoneNumber(phoneNumber, { defaultCountry });
+  
+  if (!normalized.valid) {
+    return { error: normalized.error };
+  }
+  
+  return {
+    phoneNumber: formatPhoneNumber(normalized),
+    originalNumber: normalized.original
+  };
+}
+
+/**
+ * Middleware to turn a call webhook into call requests with the tenant's adapter
+ * The adapter is named in the route (/webhooks/call/:adapter) or configured per
+ * tenant. Sets req.adapter, req.callRequests (bodies in the native webhook
+ * format, validated later with checkCallWebhook) and req.skippedCalls.
+ * @param {Object} options - Adapter options
+ * @param {Function} options.getAdapter - Returns the adapter for (tenant, name) or null
+ * @returns {Function} Express middleware function
+ */
+export function parseCallWebhook({ getAdapter }) {
+  return (req, res, next) => {
+    const adapter = getAdapter(req.tenant, req.params.adapter || null);
+    
+    if (!adapter) {
+      return res.status(404).json({
+        error: 'Not Found',
+        message: 'Unknown webhook adapter'
+      });
+    }
+    
+    try {
+      const { calls, skipped } = adapter.parse(req.body);
+      req.adapter = adapter;
+      req.callRequests = calls;
+      req.skippedCalls = skipped;
+    } catch (error) {
+      return res.status(400).json({
+        error: 'Bad Request',
+        message: `Invalid ${adapter.name} payload: ${error.message}`
+      });
+    }
+    
+    next();
+  };
+}
+
+/**
+ * Middleware to validate a "send to phone" request
+ * Accepts phone_number, the optional context fields of call webhooks and
+ * page_url (the page the number was found on). The number is normalized by
+ * the route with checkCallNumber().
  * @param {Object} req - Express request object
  * @param {Object} res - Express response object
  * @param {Function} next - Express next function
  */
-export function validateCallWebhook(req, res, next) {
-  const { owner_user_id, callee_number } = req.body;
+export function validateSendToPhone(req, res, next) {
+  const { phone_number, page_url } = req.body;
   
-  // Validate required fields
-  if (!owner_user_id || typeof owner_user_id !== 'string' || owner_user_id.trim() === '') {
+  if (!phone_number || typeof phone_number !== 'string' || phone_number.length > MAX_PHONE_NUMBER_LENGTH) {
     return res.status(400).json({
       error: 'Bad Request',
-      message: 'Missing or invalid owner_user_id'
+      message: 'Missing or invalid phone_number'
     });
   }
   
-  if (!callee_number || typeof callee_number !== 'string') {
+  const { context, error } = checkCallContext(req.body);
+  if (error) {
     return res.status(400).json({
       error: 'Bad Request',
-      message: 'Missing or invalid callee_number'
+      message: error
     });
   }
   
-  // Validate phone number format
-  if (!isValidPhoneNumber(callee_number)) {
-    return res.status(400).json({
-      error: 'Bad Request',
-      message: 'Invalid phone number format'
-    });
+  if (page_url !== undefined && page_url !== null && page_url !== '') {
+    if (!isValidCallbackUrl(page_url)) {
+      return res.status(400).json({
+        error: 'Bad Request',
+        message: 'page_url must be an absolute http(s) URL'
+      });
+    }
+    context.pageUrl = page_url;
   }
   
-  // Store validated data
   req.validatedData = {
-    userId: owner_user_id.trim(),
-    phoneNumber: callee_number.trim()
+    phoneNumber: phone_number.trim(),
+    context
   };
   
   next();
 }
 
+/**
+ * Middleware to validate the creation of a personal token ({ label })
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @param {Function} next - Express next function
+ */
+export function validatePersonalToken(req, res, next) {
+  const { label } = req.body;
+  
+  if (typeof label !== 'string' || label.trim() === '' || label.length > MAX_TOKEN_LABEL_LENGTH ||
+    /[\u0000-\u001f\u007f]/.test(label)) {
+    return res.status(400).json({
+      error: 'Bad Request',
+      message: `label must be a non-empty string of at most ${MAX_TOKEN_LABEL_LENGTH} characters`
+    });
+  }
+  
+  req.validatedData = { label: label.trim() };
+  next();
+}
+
 /**
  * Middleware to validate push subscription data
  * @param {Object} req - Express request object
@@ -113,7 +535,13 @@ export function validateCallWebhook(req, res, next) {
  * @param {Function} next - Express next function
  */
 export function validateSubscription(req, res, next) {
-  const subscription = req.body;
+  // Native app device token: { provider, token, label, locale }
+  if (req.body && req.body.provider !== undefined) {
+    return validateNativeDevice(req, res, next);
+  }
+  
+  // Accept either a bare subscription or { subscription, label, locale }
+  const subscription = req.body && req.body.subscription ? req.body.subscription : req.body;
   
   // Validate subscription structure
   if (!subscription || typeof subscription !== 'object') {
@@ -145,5 +573,507 @@ export function validateSubscription(req, res, next) {
     });
   }
   
+  const metadata = req.body.subscription ? checkDeviceMetadata(req.body) : { label: null, locale: null };
+  if (metadata.error) {
+    return res.status(400).json({
+      error: 'Bad Request',
+      message: metadata.error
+    });
+  }
+  
+  // Store only the standard subscription fields
+  req.validatedSubscription = {
+    endpoint: subscription.endpoint,
+    expirationTime: subscription.expirationTime ?? null,
+    keys: {
+      p256dh: subscription.keys.p256dh,
+      auth: subscription.keys.auth
+    }
+  };
+  req.validatedData = metadata;
+  
+  next();
+}
+
+// Device token formats: FCM registration tokens and hex APNs device tokens
+const NATIVE_TOKEN_PATTERNS = {
+  fcm: /^[A-Za-z0-9_:-]{20,4096}$/,
+  apns: /^[0-9a-fA-F]{64,200}$/
+};
+
+/**
+ * Validate the label and locale sent along with a device registration
+ * @param {Object} body - Request body
+ * @returns {Object} { label, locale } or { error }
+ */
+function checkDeviceMetadata({ label, locale }) {
+  if (label !== undefined && label !== null && (typeof label !== 'string' || label.length > 64)) {
+    return { error: 'Label must be a string of at most 64 characters' };
+  }
+  
+  // Browser or app language (e.g. navigator.language); unsupported languages use the default locale
+  if (locale !== undefined && locale !== null && (typeof locale !== 'string' || locale.length > 35)) {
+    return { error: 'Locale must be a language tag such as "de-DE"' };
+  }
+  
+  return {
+    label: typeof label === 'string' && label.trim() !== '' ? label.trim() : null,
+    locale: toSupportedLocale(locale)
+  };
+}
+
+/**
+ * Validate a native app registration ({ provider: 'fcm' | 'apns', token, label, locale })
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @param {Function} next - Express next function
+ */
+function validateNativeDevice(req, res, next) {
+  const { provider, token } = req.body;
+  
+  if (!NATIVE_PROVIDERS.includes(provider)) {
+    return res.status(400).json({
+      error: 'Bad Request',
+      message: `provider must be one of: ${NATIVE_PROVIDERS.join(', ')}`
+    });
+  }
+  
+  if (typeof token !== 'string' || !NATIVE_TOKEN_PATTERNS[provider].test(token)) {
+    return res.status(400).json({
+      error: 'Bad Request',
+      message: `Missing or invalid ${provider} device token`
+    });
+  }
+  
+  const metadata = checkDeviceMetadata(req.body);
+  if (metadata.error) {
+    return res.status(400).json({
+      error: 'Bad Request',
+      message: metadata.error
+    });
+  }
+  
+  req.validatedSubscription = createNativeSubscription(provider, provider === 'apns' ? token.toLowerCase() : token);
+  req.validatedData = metadata;
+  
+  next();
+}
+
+/**
+ * Middleware to validate device update data
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @param {Function} next - Express next function
+ */
+export function validateDeviceUpdate(req, res, next) {
+  const { label, locale } = req.body || {};
+  
+  if (label === undefined && locale === undefined) {
+    return res.status(400).json({
+      error: 'Bad Request',
+      message: 'Nothing to update'
+    });
+  }
+  
+  if (label !== undefined && label !== null && (typeof label !== 'string' || label.trim().length > 64)) {
+    return res.status(400).json({
+      error: 'Bad Request',
+      message: 'Label must be a string of at most 64 characters'
+    });
+  }
+  
+  if (locale !== undefined && !SUPPORTED_LOCALES.includes(locale)) {
+    return res.status(400).json({
+      error: 'Bad Request',
+      message: `Locale must be one of ${SUPPORTED_LOCALES.join(', ')}`
+    });
+  }
+  
+  req.validatedData = {};
+  if (label !== undefined) {
+    req.validatedData.label = label === null || label.trim() === '' ? null : label.trim();
+  }
+  if (locale !== undefined) {
+    req.validatedData.locale = locale;
+  }
+  
+  next();
+}
+
+// Time of day as HH:MM (24h)
+const TIME_PATTERN = /^([01]\d|2[0-3]):[0-5]\d$/;
+
+const MAX_FALLBACK_USERS = 20;
+const MAX_USER_CHANNELS = 8;
+const CHANNEL_MODES = ['fallback', 'always'];
+
+/**
+ * Validate working hours ({ days: [1-7], start: 'HH:MM', end: 'HH:MM' })
+ * @param {Object} workingHours - Working hours from the request
+ * @returns {string|null} Error message or null if valid
+ */
+function checkWorkingHours(workingHours) {
+  if (typeof workingHours !== 'object' || Array.isArray(workingHours)) {
+    return 'working_hours must be an object with days, start and end, or null';
+  }
+
+  const { days, start, end } = workingHours;
+  if (!Array.isArray(days) || days.length === 0 || !days.every(day => Number.isInteger(day) && day >= 1 && day <= 7)) {
+    return 'working_hours.days must list weekdays from 1 (Monday) to 7 (Sunday)';
+  }
+
+  if (!TIME_PATTERN.test(start) || !TIME_PATTERN.test(end) || start === end) {
+    return 'working_hours.start and working_hours.end must be different times (HH:MM)';
+  }
+
+  return null;
+}
+
+/**
+ * Validate and normalize notification channels ([{ type, target }] in order of preference)
+ * @param {Array} channels - Channels from the request
+ * @returns {Object} { channels } or { error }
+ */
+function checkChannels(channels) {
+  if (!Array.isArray(channels) || channels.length > MAX_USER_CHANNELS) {
+    return { error: `channels must be a list of at most ${MAX_USER_CHANNELS} channels` };
+  }
+
+  const normalized = [];
+  for (const channel of channels) {
+    if (!channel || !CHANNEL_TYPES.includes(channel.type)) {
+      return { error: `channels[].type must be one of: ${CHANNEL_TYPES.join(', ')}` };
+    }
+
+    const target = normalizeChannelTarget(channel.type, channel.target);
+    if (!target) {
+      return { error: `Invalid target for ${channel.type} channel` };
+    }
+    normalized.push({ type: channel.type, target });
+  }
+
+  return { channels: normalized };
+}
+
+/**
+ * Middleware to validate user settings updates
+ * Accepts default_country, timezone, working_hours, do_not_disturb,
+ * fallback_users, fallback_group, locale, channels and channel_mode; only the
+ * given fields are changed.
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @param {Function} next - Express next function
+ */
+export function validateUserSettings(req, res, next) {
+  const {
+    default_country,
+    timezone,
+    working_hours,
+    do_not_disturb,
+    fallback_users,
+    fallback_group,
+    locale,
+    channels,
+    channel_mode
+  } = req.body || {};
+  
+  const fields = [default_country, timezone, working_hours, do_not_disturb, fallback_users, fallback_group, locale, channels, channel_mode];
+  if (fields.every(field => field === undefined)) {
+    return res.status(400).json({
+      error: 'Bad Request',
+      message: 'Nothing to update'
+    });
+  }
+  
+  const reject = (message) => res.status(400).json({
+    error: 'Bad Request',
+    message
+  });
+  
+  if (default_country !== undefined && default_country !== null && !isSupportedCountry(default_country)) {
+    return reject(`default_country must be one of ${getSupportedCountries().join(', ')} or null`);
+  }
+  
+  if (timezone !== undefined && timezone !== null && !isValidTimezone(timezone)) {
+    return reject('timezone must be an IANA timezone (e.g. Europe/Berlin) or null');
+  }
+  
+  if (working_hours !== undefined && working_hours !== null) {
+    const error = checkWorkingHours(working_hours);
+    if (error) {
+      return reject(error);
+    }
+  }
+  
+  if (do_not_disturb !== undefined && typeof do_not_disturb !== 'boolean') {
+    return reject('do_not_disturb must be true or false');
+  }
+  
+  if (fallback_users !== undefined) {
+    const valid = Array.isArray(fallback_users) &&
+      fallback_users.length <= MAX_FALLBACK_USERS &&
+      fallback_users.every(isValidUserId);
+    
+    if (!valid) {
+      return reject(`fallback_users must be a list of at most ${MAX_FALLBACK_USERS} user IDs`);
+    }
+  }
+  
+  if (fallback_group !== undefined && fallback_group !== null && !isValidGroupId(fallback_group)) {
+    return reject('fallback_group must be a group ID or null');
+  }
+  
+  if (locale !== undefined && locale !== null && !SUPPORTED_LOCALES.includes(locale)) {
+    return reject(`locale must be one of ${SUPPORTED_LOCALES.join(', ')} or null`);
+  }
+  
+  const checkedChannels = channels !== undefined ? checkChannels(channels) : null;
+  if (checkedChannels && checkedChannels.error) {
+    return reject(checkedChannels.error);
+  }
+  
+  if (channel_mode !== undefined && !CHANNEL_MODES.includes(channel_mode)) {
+    return reject(`channel_mode must be one of: ${CHANNEL_MODES.join(', ')}`);
+  }
+  
+  req.validatedData = {};
+  if (default_country !== undefined) {
+    req.validatedData.defaultCountry = default_country === null ? null : default_country.toUpperCase();
+  }
+  if (timezone !== undefined) {
+    req.validatedData.timezone = timezone;
+  }
+  if (working_hours !== undefined) {
+    req.validatedData.workingHours = working_hours === null
+      ? null
+      : { days: [...new Set(working_hours.days)].sort(), start: working_hours.start, end: working_hours.end };
+  }
+  if (do_not_disturb !== undefined) {
+    req.validatedData.doNotDisturb = do_not_disturb;
+  }
+  if (fallback_users !== undefined) {
+    req.validatedData.fallbackUsers = [...new Set(fallback_users.map(userId => userId.trim()))];
+  }
+  if (fallback_group !== undefined) {
+    req.validatedData.fallbackGroup = fallback_group;
+  }
+  if (locale !== undefined) {
+    req.validatedData.locale = locale;
+  }
+  if (checkedChannels) {
+    req.validatedData.channels = checkedChannels.channels;
+  }
+  if (channel_mode !== undefined) {
+    req.validatedData.channelMode = channel_mode;
+  }
+  
+  next();
+}
+
+/**
+ * Middleware to validate pairing code requests
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @param {Function} next - Express next function
+ */
+export function validatePairingRequest(req, res, next) {
+  const { user_id, ttl_minutes } = req.body || {};
+  
+  if (!user_id || typeof user_id !== 'string' || user_id.trim() === '') {
+    return res.status(400).json({
+      error: 'Bad Request',
+      message: 'Missing or invalid user_id'
+    });
+  }
+  
+  if (ttl_minutes !== undefined && (!Number.isInteger(ttl_minutes) || ttl_minutes < 1 || ttl_minutes > 1440)) {
+    return res.status(400).json({
+      error: 'Bad Request',
+      message: 'ttl_minutes must be an integer between 1 and 1440'
+    });
+  }
+  
+  req.validatedData = {
+    userId: user_id.trim(),
+    ttlMinutes: ttl_minutes
+  };
+  
+  next();
+}
+
+/**
+ * Middleware to validate call events reported by the service worker
+ * @param {Array<string>} allowedTypes - Accepted event types
+ * @returns {Function} Express middleware function
+ */
+export function validateCallEvent(allowedTypes) {
+  return (req, res, next) => {
+    const { type, token, endpoint, action } = req.body || {};
+    
+    if (!allowedTypes.includes(type)) {
+      return res.status(400).json({
+        error: 'Bad Request',
+        message: `Event type must be one of: ${allowedTypes.join(', ')}`
+      });
+    }
+    
+    if (!token || typeof token !== 'string') {
+      return res.status(401).json({
+        error: 'Unauthorized',
+        message: 'Missing call token'
+      });
+    }
+    
+    if (endpoint !== undefined && typeof endpoint !== 'string') {
+      return res.status(400).json({
+        error: 'Bad Request',
+        message: 'Invalid endpoint'
+      });
+    }
+    
+    if (action !== undefined && (typeof action !== 'string' || action.length > 64)) {
+      return res.status(400).json({
+        error: 'Bad Request',
+        message: 'Invalid action'
+      });
+    }
+    
+    req.validatedData = { type, token, endpoint, action };
+    next();
+  };
+}
+
+/**
+ * Middleware to validate the outcome of a call (POST /api/calls/:id/outcome)
+ * Body: { token, outcome, note, log_to_crm }
+ * @param {Array<string>} allowedOutcomes - Accepted outcomes
+ * @returns {Function} Express middleware function
+ */
+export function validateCallOutcome(allowedOutcomes) {
+  return (req, res, next) => {
+    const { token, outcome, note, log_to_crm } = req.body || {};
+    
+    if (!token || typeof token !== 'string') {
+      return res.status(401).json({
+        error: 'Unauthorized',
+        message: 'Missing call token'
+      });
+    }
+    
+    if (!allowedOutcomes.includes(outcome)) {
+      return res.status(400).json({
+        error: 'Bad Request',
+        message: `outcome must be one of: ${allowedOutcomes.join(', ')}`
+      });
+    }
+    
+    if (note !== undefined && note !== null && (typeof note !== 'string' || note.length > MAX_OUTCOME_NOTE_LENGTH ||
+      /[\u0000-\u0009\u000b-\u001f\u007f]/.test(note))) {
+      return res.status(400).json({
+        error: 'Bad Request',
+        message: `note must be a string of at most ${MAX_OUTCOME_NOTE_LENGTH} characters`
+      });
+    }
+    
+    if (log_to_crm !== undefined && typeof log_to_crm !== 'boolean') {
+      return res.status(400).json({
+        error: 'Bad Request',
+        message: 'log_to_crm must be a boolean'
+      });
+    }
+    
+    req.validatedData = {
+      token,
+      result: outcome,
+      note: note && note.trim() !== '' ? note.trim() : null,
+      forward: log_to_crm !== false
+    };
+    next();
+  };
+}
+
+/**
+ * Middleware to validate a group (PUT /api/admin/tenants/:tenantId/groups/:groupId)
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @param {Function} next - Express next function
+ */
+export function validateGroup(req, res, next) {
+  const { name, members } = req.body || {};
+  
+  if (!isValidGroupId(req.params.groupId)) {
+    return res.status(400).json({
+      error: 'Bad Request',
+      message: 'Group IDs may only contain letters, digits, dots, dashes and underscores (at most 64 characters)'
+    });
+  }
+  
+  if (name !== undefined && name !== null && (typeof name !== 'string' || name.length > 100)) {
+    return res.status(400).json({
+      error: 'Bad Request',
+      message: 'name must be a string of at most 100 characters'
+    });
+  }
+  
+  if (!Array.isArray(members) || members.length > MAX_GROUP_MEMBERS || !members.every(isValidUserId)) {
+    return res.status(400).json({
+      error: 'Bad Request',
+      message: `members must be a list of at most ${MAX_GROUP_MEMBERS} user IDs`
+    });
+  }
+  
+  req.validatedData = {
+    name: name?.trim() || null,
+    members: members.map(userId => userId.trim())
+  };
+  
+  next();
+}
+
+/**
+ * Middleware to validate adding a group member ({ "user_id": "…" })
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @param {Function} next - Express next function
+ */
+export function validateGroupMember(req, res, next) {
+  const { user_id } = req.body || {};
+  
+  if (!isValidUserId(user_id)) {
+    return res.status(400).json({
+      error: 'Bad Request',
+      message: 'Missing or invalid user_id'
+    });
+  }
+  
+  req.validatedData = { userId: user_id.trim() };
+  next();
+}
+
+/**
+ * Middleware to validate a call claim reported by the service worker
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @param {Function} next - Express next function
+ */
+export function validateCallClaim(req, res, next) {
+  const { token, endpoint } = req.body || {};
+  
+  if (!token || typeof token !== 'string') {
+    return res.status(401).json({
+      error: 'Unauthorized',
+      message: 'Missing call token'
+    });
+  }
+  
+  // The endpoint tells which device, and so which user, claims the call
+  if (!endpoint || typeof endpoint !== 'string') {
+    return res.status(400).json({
+      error: 'Bad Request',
+      message: 'Missing or invalid endpoint'
+    });
+  }
+  
+  req.validatedData = { token, endpoint };
   next();
 }
@@ -0,0 +1,97 @@
+import dotenv from 'dotenv';
+import fs from 'fs';
+import path from 'path';
+import { createMockSubscription, startWebPushMock } from './mocks/web-push.js';
+import { createMockServiceAccount, startFcmMock } from './mocks/fcm.js';
+import { createMockAuthKey, startApnsMock } from './mocks/apns.js';
+
+// Run local stand-ins for the Web Push, FCM and APNs services so device
+// registration and delivery can be tried without real credentials.
+//
+//   node src/scripts/mock-push-servers.js [webpush] [fcm] [apns]
+//
+// Generated credentials are kept in MOCK_DIR and reused on the next run.
+// Device tokens containing "expired", "flaky" or "down" trigger the
+// matching error responses (see mocks/behavior.js).
+
+dotenv.config();
+
+const MOCK_DIR = process.env.MOCK_DIR || './data/mock-push';
+const MOCK_KEY_ID = 'MOCKKEY123';
+const MOCK_TEAM_ID = 'MOCKTEAM12';
+const PORTS = {
+  webpush: parseInt(process.env.MOCK_WEBPUSH_PORT, 10) || 4443,
+  fcm: parseInt(process.env.MOCK_FCM_PORT, 10) || 4444,
+  apns: parseInt(process.env.MOCK_APNS_PORT, 10) || 4445
+};
+
+function loadOrCreate(fileName, create) {
+  const filePath = path.resolve(MOCK_DIR, fileName);
+  if (!fs.existsSync(filePath)) {
+    fs.mkdirSync(path.dirname(filePath), { recursive: true });
+    fs.writeFileSync(filePath, create(), { mode: 0o600 });
+  }
+  return { filePath, content: fs.readFileSync(filePath, 'utf8') };
+}
+
+const requested = process.argv.slice(2);
+const selected = requested.length > 0 ? requested : Object.keys(PORTS);
+const unknown = selected.filter(name => !PORTS[name]);
+
+if (unknown.length > 0) {
+  console.error(`❌ Unknown mock server: ${unknown.join(', ')} (use webpush, fcm or apns)`);
+  process.exit(1);
+}
+
+const envLines = [];
+
+try {
+  if (selected.includes('webpush')) {
+    const { MOCK_TLS_CERT, MOCK_TLS_KEY } = process.env;
+
+    if (MOCK_TLS_CERT && MOCK_TLS_KEY) {
+      startWebPushMock({
+        port: PORTS.webpush,
+        cert: fs.readFileSync(MOCK_TLS_CERT),
+        key: fs.readFileSync(MOCK_TLS_KEY)
+      });
+      console.log(`📨 Web Push mock on https://localhost:${PORTS.webpush}`);
+      console.log(`   Sample subscription: ${JSON.stringify(createMockSubscription(PORTS.webpush))}`);
+      envLines.push(`NODE_EXTRA_CA_CERTS=${path.resolve(MOCK_TLS_CERT)}`);
+    } else {
+      console.log('⚠️  Web Push mock skipped: set MOCK_TLS_CERT and MOCK_TLS_KEY (Web Push requires HTTPS)');
+    }
+  }
+
+  if (selected.includes('fcm')) {
+    const { filePath, content } = loadOrCreate('fcm-service-account.json', () =>
+      JSON.stringify(createMockServiceAccount(PORTS.fcm), null, 2)
+    );
+
+    startFcmMock({ port: PORTS.fcm, serviceAccount: JSON.parse(content) });
+    console.log(`🤖 FCM mock on http://localhost:${PORTS.fcm}`);
+    envLines.push(`FCM_SERVICE_ACCOUNT_FILE=${filePath}`, `FCM_API_URL=http://localhost:${PORTS.fcm}`);
+  }
+
+  if (selected.includes('apns')) {
+    const { filePath, content } = loadOrCreate('apns-key.p8', createMockAuthKey);
+
+    startApnsMock({ port: PORTS.apns, authKey: content, keyId: MOCK_KEY_ID, teamId: MOCK_TEAM_ID });
+    console.log(`🍎 APNs mock on http://localhost:${PORTS.apns}`);
+    envLines.push(
+      `APNS_KEY_FILE=${filePath}`,
+      `APNS_KEY_ID=${MOCK_KEY_ID}`,
+      `APNS_TEAM_ID=${MOCK_TEAM_ID}`,
+      'APNS_TOPIC=com.example.crmpush',
+      `APNS_API_URL=http://localhost:${PORTS.apns}`
+    );
+  }
+} catch (error) {
+  console.error('❌ Failed to start mock push servers:', error.message);
+  process.exit(1);
+}
+
+if (envLines.length > 0) {
+  console.log('\n🔧 Start the server with:');
+  envLines.forEach(line => console.log(`   ${line}`));
+}
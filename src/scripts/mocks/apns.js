@@ -0,0 +1,91 @@
+import crypto from 'crypto';
+import http2 from 'http2';
+import { verifyJwt } from '../../services/providers/jwt.js';
+import { getMockOutcome, readBody, shorten } from './behavior.js';
+
+/**
+ * Create an APNs auth key for the mock server
+ * @returns {string} P-256 private key (.p8 PEM)
+ */
+export function createMockAuthKey() {
+  const { privateKey } = crypto.generateKeyPairSync('ec', { namedCurve: 'prime256v1' });
+  return privateKey.export({ type: 'pkcs8', format: 'pem' });
+}
+
+/**
+ * Start a mock APNs server
+ * Speaks HTTP/2 without TLS (h2c), which the APNs provider uses for http:// URLs.
+ * POST /3/device/:token needs a provider token signed with the auth key.
+ * @param {Object} options - Server options
+ * @param {number} options.port - Port to listen on
+ * @param {string} options.authKey - Auth key (.p8 PEM) the provider tokens must be signed with
+ * @param {string} options.keyId - Expected key ID
+ * @param {string} options.teamId - Expected team ID
+ * @returns {http2.Http2Server} Server
+ */
+export function startApnsMock({ port, authKey, keyId, teamId }) {
+  const publicKey = crypto.createPublicKey(authKey);
+  const server = http2.createServer();
+
+  server.on('stream', async (stream, headers) => {
+    const body = await readBody(stream);
+    const apnsId = crypto.randomUUID();
+
+    const respond = (statusCode, reason, extraHeaders = {}) => {
+      stream.respond({ ':status': statusCode, 'apns-id': apnsId, ...extraHeaders });
+      stream.end(reason ? JSON.stringify({ reason, timestamp: reason === 'Unregistered' ? Date.now() : undefined }) : '');
+    };
+
+    const match = /^\/3\/device\/([^/?]+)$/.exec(headers[':path']);
+    if (headers[':method'] !== 'POST' || !match) {
+      respond(404, 'BadPath');
+      return;
+    }
+
+    const jwt = verifyJwt((headers.authorization || '').replace(/^bearer /, ''), publicKey);
+    if (!jwt || jwt.header.kid !== keyId || jwt.claims.iss !== teamId) {
+      console.log('[apns] 403: invalid provider token');
+      respond(403, 'InvalidProviderToken');
+      return;
+    }
+
+    if (!headers['apns-topic']) {
+      respond(400, 'MissingTopic');
+      return;
+    }
+
+    const token = match[1];
+    const outcome = getMockOutcome(token);
+    if (outcome === 'ok' && !/^[0-9a-f]{64,200}$/.test(token)) {
+      respond(400, 'BadDeviceToken');
+      return;
+    }
+
+    let alert = 'background';
+    try {
+      const { aps } = JSON.parse(body);
+      alert = aps.alert ? `"${aps.alert.title}"` : alert;
+    } catch (error) {
+      respond(400, 'PayloadEmpty');
+      return;
+    }
+    console.log(`[apns] ${outcome} ${shorten(token)}: ${alert} (${headers['apns-push-type']}, topic ${headers['apns-topic']})`);
+
+    switch (outcome) {
+      case 'expired':
+        respond(410, 'Unregistered');
+        break;
+      case 'flaky':
+        respond(429, 'TooManyRequests', { 'retry-after': '1' });
+        break;
+      case 'down':
+        respond(503, 'ServiceUnavailable');
+        break;
+      default:
+        respond(200);
+    }
+  });
+
+  server.listen(port);
+  return server;
+}
@@ -0,0 +1,42 @@
+// Mock push servers answer according to markers in the device token or endpoint:
+//   "expired" - the device is gone (Web Push 410, FCM UNREGISTERED, APNs Unregistered)
+//   "flaky"   - rate limited (429 with Retry-After: 1)
+//   "down"    - the push service is unavailable (503)
+// Anything else is accepted.
+
+/**
+ * Pick the mock outcome for a device
+ * @param {string} target - Device token or endpoint path
+ * @returns {string} expired, flaky, down or ok
+ */
+export function getMockOutcome(target) {
+  for (const outcome of ['expired', 'flaky', 'down']) {
+    if (target.includes(outcome)) {
+      return outcome;
+    }
+  }
+  return 'ok';
+}
+
+/**
+ * Read a request body
+ * @param {Object} req - Incoming request or HTTP/2 stream
+ * @returns {Promise<string>} Body
+ */
+export function readBody(req) {
+  return new Promise((resolve, reject) => {
+    const chunks = [];
+    req.on('data', chunk => chunks.push(chunk));
+    req.on('end', () => resolve(Buffer.concat(chunks).toString('utf8')));
+    req.on('error', reject);
+  });
+}
+
+/**
+ * Shorten a device token for log output
+ * @param {string} token - Device token
+ * @returns {string} First characters of the token
+ */
+export function shorten(token) {
+  return token.length > 16 ? `${token.slice(0, 16)}…` : token;
+}
@@ -0,0 +1,119 @@
+import crypto from 'crypto';
+import http from 'http';
+import { verifyJwt } from '../../services/providers/jwt.js';
+import { getMockOutcome, readBody, shorten } from './behavior.js';
+
+const FCM_ERROR_TYPE = 'type.googleapis.com/google.firebase.fcm.v1.FcmError';
+
+/**
+ * Create a service account for the mock server
+ * @param {number} port - Mock server port
+ * @returns {Object} Service account JSON, with token_uri pointing at the mock
+ */
+export function createMockServiceAccount(port) {
+  const { privateKey } = crypto.generateKeyPairSync('rsa', { modulusLength: 2048 });
+
+  return {
+    type: 'service_account',
+    project_id: 'crm-push-mock',
+    private_key_id: crypto.randomBytes(8).toString('hex'),
+    private_key: privateKey.export({ type: 'pkcs8', format: 'pem' }),
+    client_email: 'crm-push@crm-push-mock.iam.gserviceaccount.com',
+    token_uri: `http://localhost:${port}/token`
+  };
+}
+
+function sendJson(res, statusCode, body, headers = {}) {
+  res.writeHead(statusCode, { 'Content-Type': 'application/json', ...headers });
+  res.end(JSON.stringify(body));
+}
+
+function sendError(res, statusCode, status, message, errorCode, headers) {
+  const error = { code: statusCode, message, status };
+  if (errorCode) {
+    error.details = [{ '@type': FCM_ERROR_TYPE, errorCode }];
+  }
+  sendJson(res, statusCode, { error }, headers);
+}
+
+/**
+ * Start a mock FCM HTTP v1 API with an OAuth token endpoint
+ * POST /token exchanges a service account JWT for an access token;
+ * POST /v1/projects/:project/messages:send accepts messages with that token.
+ * @param {Object} options - Server options
+ * @param {number} options.port - Port to listen on
+ * @param {Object} options.serviceAccount - Service account whose key signs the JWTs
+ * @returns {http.Server} Server
+ */
+export function startFcmMock({ port, serviceAccount }) {
+  const publicKey = crypto.createPublicKey(serviceAccount.private_key);
+  const accessTokens = new Set();
+
+  const server = http.createServer(async (req, res) => {
+    const body = await readBody(req);
+
+    if (req.method === 'POST' && req.url === '/token') {
+      const assertion = new URLSearchParams(body).get('assertion');
+      const jwt = verifyJwt(assertion, publicKey);
+
+      if (!jwt || jwt.claims.iss !== serviceAccount.client_email || jwt.claims.aud !== serviceAccount.token_uri) {
+        console.log('[fcm] 400 /token: invalid assertion');
+        sendJson(res, 400, { error: 'invalid_grant', error_description: 'Invalid JWT signature.' });
+        return;
+      }
+
+      const accessToken = crypto.randomBytes(24).toString('base64url');
+      accessTokens.add(accessToken);
+      console.log('[fcm] 200 /token: access token issued');
+      sendJson(res, 200, { access_token: accessToken, expires_in: 3599, token_type: 'Bearer' });
+      return;
+    }
+
+    const match = /^\/v1\/projects\/([^/]+)\/messages:send$/.exec(req.url);
+    if (req.method !== 'POST' || !match) {
+      sendError(res, 404, 'NOT_FOUND', 'Not found');
+      return;
+    }
+
+    const accessToken = (req.headers.authorization || '').replace(/^Bearer /, '');
+    if (!accessTokens.has(accessToken)) {
+      console.log('[fcm] 401: unknown access token');
+      sendError(res, 401, 'UNAUTHENTICATED', 'Request had invalid authentication credentials.');
+      return;
+    }
+
+    let message;
+    try {
+      ({ message } = JSON.parse(body));
+    } catch (error) {
+      sendError(res, 400, 'INVALID_ARGUMENT', 'Invalid JSON payload received.');
+      return;
+    }
+
+    if (!message || typeof message.token !== 'string') {
+      sendError(res, 400, 'INVALID_ARGUMENT', 'The registration token is not a valid FCM registration token', 'INVALID_ARGUMENT');
+      return;
+    }
+
+    const outcome = getMockOutcome(message.token);
+    const title = message.notification ? `"${message.notification.title}"` : 'data only';
+    console.log(`[fcm] ${outcome} ${shorten(message.token)}: ${title}`);
+
+    switch (outcome) {
+      case 'expired':
+        sendError(res, 404, 'NOT_FOUND', 'Requested entity was not found.', 'UNREGISTERED');
+        break;
+      case 'flaky':
+        sendError(res, 429, 'RESOURCE_EXHAUSTED', 'Quota exceeded.', 'QUOTA_EXCEEDED', { 'Retry-After': '1' });
+        break;
+      case 'down':
+        sendError(res, 503, 'UNAVAILABLE', 'The service is currently unavailable.', 'UNAVAILABLE');
+        break;
+      default:
+        sendJson(res, 200, { name: `projects/${match[1]}/messages/${crypto.randomUUID()}` });
+    }
+  });
+
+  server.listen(port);
+  return server;
+}
@@ -0,0 +1,63 @@
+import crypto from 'crypto';
+import https from 'https';
+import { getMockOutcome, readBody } from './behavior.js';
+
+/**
+ * Create a subscription pointing at the mock server
+ * The keys are real P-256 keys, so web-push can encrypt payloads for it.
+ * @param {number} port - Mock server port
+ * @returns {Object} PushSubscription JSON
+ */
+export function createMockSubscription(port) {
+  const ecdh = crypto.createECDH('prime256v1');
+  ecdh.generateKeys();
+
+  return {
+    endpoint: `https://localhost:${port}/push/${crypto.randomBytes(12).toString('base64url')}`,
+    expirationTime: null,
+    keys: {
+      p256dh: ecdh.getPublicKey().toString('base64url'),
+      auth: crypto.randomBytes(16).toString('base64url')
+    }
+  };
+}
+
+/**
+ * Start a mock Web Push service
+ * Accepts encrypted messages on POST /push/:id when they carry VAPID
+ * authorization. Web Push always uses HTTPS, so a TLS certificate is needed.
+ * @param {Object} options - Server options
+ * @param {number} options.port - Port to listen on
+ * @param {string} options.cert - TLS certificate (PEM)
+ * @param {string} options.key - TLS private key (PEM)
+ * @returns {https.Server} Server
+ */
+export function startWebPushMock({ port, cert, key }) {
+  const server = https.createServer({ cert, key }, async (req, res) => {
+    const body = await readBody(req);
+    const [, pathPrefix, id] = req.url.split('/');
+
+    if (req.method !== 'POST' || pathPrefix !== 'push' || !id) {
+      res.writeHead(404).end();
+      return;
+    }
+
+    if (!/^vapid t=.+, k=.+/.test(req.headers.authorization || '')) {
+      console.log(`[webpush] 401 ${id}: missing VAPID authorization`);
+      res.writeHead(401).end('Missing VAPID authorization');
+      return;
+    }
+
+    const outcome = getMockOutcome(id);
+    const statusCode = { ok: 201, expired: 410, flaky: 429, down: 503 }[outcome];
+    console.log(`[webpush] ${statusCode} ${id}: ${body.length} encrypted bytes, TTL ${req.headers.ttl}, urgency ${req.headers.urgency}`);
+
+    if (outcome === 'flaky') {
+      res.setHeader('Retry-After', '1');
+    }
+    res.writeHead(statusCode).end();
+  });
+
+  server.listen(port);
+  return server;
+}
@@ -0,0 +1,17 @@
+import dotenv from 'dotenv';
+import vapidService from '../services/vapid.js';
+
+// Rotate the VAPID key pair stored in the key file.
+// Restart the server afterwards so it picks up the new keys.
+
+dotenv.config();
+
+try {
+  vapidService.initialize(process.env.ADMIN_EMAIL || 'admin@example.com');
+  vapidService.rotate();
+  console.log(`🔑 New public key: ${vapidService.getPublicKey()}`);
+  console.log('⚠️  Restart the server to start using the new key');
+} catch (error) {
+  console.error('❌ VAPID key rotation failed:', error.message);
+  process.exit(1);
+}
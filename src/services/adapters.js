@@ -0,0 +1,87 @@
+import fs from 'fs';
+import path from 'path';
+import logger from './logger.js';
+import {
+  NATIVE_ADAPTER,
+  createBuiltInAdapters,
+  createMappingAdapters,
+  isValidAdapterName
+} from './adapters/index.js';
+
+/**
+ * CRM webhook adapters
+ * Adapters turn CRM payloads (HubSpot, Pipedrive, Salesforce or anything
+ * described by a field mapping) into call requests in the native webhook
+ * format. Mappings come from WEBHOOK_MAPPINGS_FILE (shared by all tenants) and
+ * from the webhookMappings of each tenant. The adapter is chosen per route
+ * (/webhooks/call/:adapter) or by the tenant's webhookAdapter (default
+ * WEBHOOK_ADAPTER, or native).
+ */
+class AdapterService {
+  constructor() {
+    // Built-in and shared adapters by name
+    this.adapters = {};
+
+    // tenantId -> { adapters, defaultAdapter }
+    this.tenants = new Map();
+  }
+
+  /**
+   * Load the shared mappings and check the adapter configuration of each tenant
+   * @param {Array<Object>} tenants - Tenant configurations (webhookAdapter, webhookMappings)
+   * @param {Object} options - Optional settings (default to environment configuration)
+   * @param {string} options.mappingsFile - JSON file with { "mappings": { name: mapping } }
+   * @param {string} options.defaultAdapter - Adapter for tenants without webhookAdapter
+   * @throws {Error} If a mapping or adapter name is invalid
+   */
+  initialize(tenants, {
+    mappingsFile = process.env.WEBHOOK_MAPPINGS_FILE,
+    defaultAdapter = process.env.WEBHOOK_ADAPTER || NATIVE_ADAPTER
+  } = {}) {
+    this.adapters = createBuiltInAdapters();
+    this.tenants = new Map();
+
+    if (mappingsFile) {
+      const filePath = path.resolve(mappingsFile);
+      const config = JSON.parse(fs.readFileSync(filePath, 'utf8'));
+      Object.assign(this.adapters, createMappingAdapters(config.mappings || {}, this.adapters));
+      logger.info('Webhook mappings loaded', { mappings: Object.keys(config.mappings || {}), file: filePath });
+    }
+
+    for (const tenant of tenants) {
+      let adapters = this.adapters;
+      if (tenant.webhookMappings) {
+        try {
+          adapters = { ...this.adapters, ...createMappingAdapters(tenant.webhookMappings, this.adapters) };
+        } catch (error) {
+          throw new Error(`Tenant ${tenant.id}: ${error.message}`);
+        }
+      }
+
+      const adapterName = tenant.webhookAdapter || defaultAdapter;
+      if (!isValidAdapterName(adapterName) || !Object.hasOwn(adapters, adapterName)) {
+        throw new Error(`Unknown webhookAdapter for tenant ${tenant.id}: ${adapterName}`);
+      }
+
+      this.tenants.set(tenant.id, { adapters, defaultAdapter: adapterName });
+    }
+  }
+
+  /**
+   * Get the adapter for a webhook request
+   * @param {Object} tenant - Authenticated tenant
+   * @param {string} name - Adapter named in the route, or null for the tenant's default
+   * @returns {Object|null} Adapter, or null if the tenant has no adapter of that name
+   */
+  getAdapter(tenant, name = null) {
+    const config = this.tenants.get(tenant.id);
+    if (!config) {
+      return null;
+    }
+
+    const adapterName = name || config.defaultAdapter;
+    return Object.hasOwn(config.adapters, adapterName) ? config.adapters[adapterName] : null;
+  }
+}
+
+export default new AdapterService();
@@ -0,0 +1,44 @@
+/**
+ * HubSpot workflow webhooks ("Send a webhook" action)
+ * Accepts the classic contact payload ({ objectId, portalId, properties: { phone: { value } } })
+ * as well as payloads with selected properties as flat fields ({ phone, hubspot_owner_id }).
+ * The call goes to the contact owner, so users pair with their HubSpot owner ID.
+ */
+export const HUBSPOT_MAPPING = {
+  fields: {
+    owner_user_id: [
+      '$.properties.hubspot_owner_id.value',
+      '$.properties.hubspot_owner_id',
+      '$.hubspot_owner_id'
+    ],
+    callee_number: [
+      '$.properties.phone.value',
+      '$.properties.phone',
+      '$.phone',
+      '$.properties.mobilephone.value',
+      '$.properties.mobilephone',
+      '$.mobilephone'
+    ],
+    contact_name: [
+      { template: '{$.properties.firstname.value} {$.properties.lastname.value}' },
+      { template: '{$.properties.firstname} {$.properties.lastname}' },
+      { template: '{$.firstname} {$.lastname}' },
+      '$.properties.lastname.value',
+      '$.properties.lastname',
+      '$.lastname'
+    ],
+    company: [
+      '$.properties.company.value',
+      '$.properties.company',
+      '$.company'
+    ],
+    reference: [
+      '$.objectId',
+      '$.hs_object_id',
+      '$.properties.hs_object_id.value'
+    ],
+    crm_url: [
+      { template: 'https://app.hubspot.com/contacts/{$.portalId}/record/0-1/{$.objectId}' }
+    ]
+  }
+};
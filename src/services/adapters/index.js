@@ -0,0 +1,109 @@
+import { MappingAdapter, mergeMappings, CALL_FIELDS } from './mapping.js';
+import { HUBSPOT_MAPPING } from './hubspot.js';
+import { PIPEDRIVE_MAPPING } from './pipedrive.js';
+import { SALESFORCE_MAPPING, respondToSalesforce } from './salesforce.js';
+
+export const NATIVE_ADAPTER = 'native';
+
+// Adapter names as used in /webhooks/call/:adapter
+const ADAPTER_NAME_PATTERN = /^[a-z0-9_-]{1,64}$/;
+
+/**
+ * Adapter for the native webhook format (owner_user_id, callee_number, …)
+ */
+class NativeAdapter {
+  constructor() {
+    this.name = NATIVE_ADAPTER;
+    this.format = 'json';
+    this.respond = null;
+  }
+
+  parse(body) {
+    if (typeof body !== 'object' || body === null) {
+      throw new Error('Expected a JSON body');
+    }
+    return { calls: [body], skipped: 0 };
+  }
+}
+
+// Mappings shipped with the server, by adapter name
+const BUILT_IN_MAPPINGS = {
+  hubspot: { config: HUBSPOT_MAPPING },
+  pipedrive: { config: PIPEDRIVE_MAPPING },
+  salesforce: { config: SALESFORCE_MAPPING, respond: respondToSalesforce }
+};
+
+/**
+ * Check whether a name can be used for an adapter
+ * @param {string} name - Adapter name
+ * @returns {boolean} True if it consists of lowercase letters, digits, dashes and underscores
+ */
+export function isValidAdapterName(name) {
+  return typeof name === 'string' && ADAPTER_NAME_PATTERN.test(name);
+}
+
+/**
+ * Create the adapters shipped with the server
+ * @returns {Object} Adapters by name (native, hubspot, pipedrive, salesforce)
+ */
+export function createBuiltInAdapters() {
+  const adapters = { [NATIVE_ADAPTER]: new NativeAdapter() };
+  for (const [name, { config, respond }] of Object.entries(BUILT_IN_MAPPINGS)) {
+    adapters[name] = new MappingAdapter(name, config, { respond });
+  }
+  return adapters;
+}
+
+/**
+ * Create adapters from mapping configurations
+ * A mapping can extend a built-in adapter, a mapping of baseAdapters or another
+ * mapping of the same set ("extends": "hubspot") to change single fields.
+ * @param {Object} mappings - Mapping configurations by adapter name
+ * @param {Object} baseAdapters - Adapters that mappings can extend, by name
+ * @returns {Object} Adapters by name
+ * @throws {Error} If a mapping is invalid
+ */
+export function createMappingAdapters(mappings, baseAdapters = createBuiltInAdapters()) {
+  if (!mappings || typeof mappings !== 'object' || Array.isArray(mappings)) {
+    throw new Error('Mappings must be an object of mapping configurations by name');
+  }
+
+  const adapters = {};
+
+  const create = (name, seen) => {
+    if (adapters[name]) {
+      return adapters[name];
+    }
+    if (seen.includes(name)) {
+      throw new Error(`Circular extends: ${[...seen, name].join(' -> ')}`);
+    }
+    if (!isValidAdapterName(name) || name === NATIVE_ADAPTER) {
+      throw new Error(`Invalid mapping name: ${name}`);
+    }
+
+    let config = mappings[name];
+    let respond = null;
+    if (config && config.extends !== undefined) {
+      // A mapping named like a built-in adapter can extend that adapter
+      const base = config.extends !== name && Object.hasOwn(mappings, config.extends)
+        ? create(config.extends, [...seen, name])
+        : baseAdapters[config.extends];
+      if (!base || !base.config) {
+        throw new Error(`Mapping ${name} extends unknown mapping ${config.extends}`);
+      }
+      config = mergeMappings(base.config, config);
+      respond = base.respond;
+    }
+
+    adapters[name] = new MappingAdapter(name, config, { respond });
+    return adapters[name];
+  };
+
+  for (const name of Object.keys(mappings)) {
+    create(name, []);
+  }
+
+  return adapters;
+}
+
+export { MappingAdapter, CALL_FIELDS };
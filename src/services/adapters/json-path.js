@@ -0,0 +1,77 @@
+// One step of a path: .name, ['name'], [0] or [*]
+const STEP_PATTERN = /^(?:\.([A-Za-z_$][\w$-]*)|\['((?:[^'\\]|\\.)*)'\]|\[(\d+|\*)\])/;
+
+/**
+ * Parse a JSON path like "$.properties.phone.value", "$.phones[0]" or "$['First Name']"
+ * Supports child names, quoted names, array indexes and [*] for all items.
+ * @param {string} path - JSON path starting with $
+ * @returns {Array<string|number>} Steps, '*' for all items
+ * @throws {Error} If the path is not supported
+ */
+export function parsePath(path) {
+  if (typeof path !== 'string' || !path.startsWith('$')) {
+    throw new Error(`Invalid JSON path: ${path}`);
+  }
+
+  const steps = [];
+  let rest = path.slice(1);
+  while (rest !== '') {
+    const match = STEP_PATTERN.exec(rest);
+    if (!match) {
+      throw new Error(`Invalid JSON path: ${path}`);
+    }
+
+    if (match[1] !== undefined) {
+      steps.push(match[1]);
+    } else if (match[2] !== undefined) {
+      steps.push(match[2].replace(/\\(.)/g, '$1'));
+    } else {
+      steps.push(match[3] === '*' ? '*' : Number(match[3]));
+    }
+    rest = rest.slice(match[0].length);
+  }
+
+  return steps;
+}
+
+/**
+ * Check whether a path can match several values
+ * @param {Array<string|number>} steps - Parsed path
+ * @returns {boolean} True if the path contains [*]
+ */
+export function isListPath(steps) {
+  return steps.includes('*');
+}
+
+/**
+ * Find the values a parsed path points to
+ * A single value is treated like a list with one item, so [0] and [*] also
+ * work for XML elements that happen to occur only once.
+ * @param {*} data - Parsed JSON or XML
+ * @param {Array<string|number>} steps - Parsed path
+ * @returns {Array} Matching values (empty if nothing matches)
+ */
+export function getValues(data, steps) {
+  let current = [data];
+
+  for (const step of steps) {
+    const next = [];
+    for (const value of current) {
+      if (value === undefined || value === null) {
+        continue;
+      }
+
+      const items = Array.isArray(value) ? value : [value];
+      if (step === '*') {
+        next.push(...items);
+      } else if (typeof step === 'number') {
+        next.push(items[step]);
+      } else if (typeof value === 'object' && !Array.isArray(value) && Object.hasOwn(value, step)) {
+        next.push(value[step]);
+      }
+    }
+    current = next;
+  }
+
+  return current.filter(value => value !== undefined);
+}
@@ -0,0 +1,279 @@
+import { parsePath, isListPath, getValues } from './json-path.js';
+import { parseXml } from './xml.js';
+
+// Fields of the native call webhook that a mapping can fill
+export const CALL_FIELDS = [
+  'owner_user_id',
+  'group_id',
+  'user_ids',
+  'callee_number',
+  'callback_url',
+  'request_id',
+  'contact_name',
+  'company',
+  'reference',
+  'note',
+  'crm_url'
+];
+
+const FORMATS = ['json', 'xml'];
+
+// {$.path} placeholders in templates
+const PLACEHOLDER_PATTERN = /\{(\$[^{}]*)\}/g;
+
+/**
+ * Convert a value found in a payload to a string
+ * @param {*} value - Payload value
+ * @returns {string|undefined} Trimmed string for strings, numbers and booleans, otherwise undefined
+ */
+function toText(value) {
+  if (typeof value === 'number' || typeof value === 'boolean') {
+    return String(value);
+  }
+  if (typeof value === 'string' && value.trim() !== '') {
+    return value.trim();
+  }
+  return undefined;
+}
+
+/**
+ * Compile one field rule into a function of the payload
+ * A rule is a JSON path, a list of rules (the first that yields a value wins)
+ * or an object with path, template or value, plus an optional map that
+ * translates CRM values (e.g. owner IDs) and a default.
+ * @param {*} rule - Field rule from the mapping
+ * @param {string} field - Field name for error messages
+ * @returns {Function} (data) -> string, list of strings or undefined
+ * @throws {Error} If the rule is invalid
+ */
+function compileRule(rule, field) {
+  if (typeof rule === 'string') {
+    const steps = parsePath(rule);
+    if (isListPath(steps)) {
+      return data => {
+        const values = getValues(data, steps).map(toText).filter(value => value !== undefined);
+        return values.length > 0 ? values : undefined;
+      };
+    }
+    return data => getValues(data, steps).map(toText).find(value => value !== undefined);
+  }
+
+  if (Array.isArray(rule)) {
+    if (rule.length === 0) {
+      throw new Error(`Empty list of rules for ${field}`);
+    }
+    const alternatives = rule.map(alternative => compileRule(alternative, field));
+    return data => {
+      for (const alternative of alternatives) {
+        const value = alternative(data);
+        if (value !== undefined) {
+          return value;
+        }
+      }
+      return undefined;
+    };
+  }
+
+  if (!rule || typeof rule !== 'object') {
+    throw new Error(`Invalid rule for ${field}`);
+  }
+
+  const sources = ['path', 'template', 'value'].filter(key => rule[key] !== undefined);
+  if (sources.length !== 1) {
+    throw new Error(`Rule for ${field} needs exactly one of path, template or value`);
+  }
+
+  let getValue;
+  if (rule.path !== undefined) {
+    getValue = compileRule(rule.path, field);
+  } else if (rule.template !== undefined) {
+    getValue = compileTemplate(rule.template, field);
+  } else {
+    const value = toText(rule.value);
+    if (value === undefined) {
+      throw new Error(`Rule for ${field} has an empty value`);
+    }
+    getValue = () => value;
+  }
+
+  if (rule.map !== undefined && (typeof rule.map !== 'object' || rule.map === null || Array.isArray(rule.map))) {
+    throw new Error(`map of ${field} must be an object`);
+  }
+  const map = rule.map ? new Map(Object.entries(rule.map)) : null;
+  const fallback = rule.default !== undefined ? toText(rule.default) : undefined;
+
+  // Values without an entry in the map are kept as they are
+  const translate = value => (map && map.has(value) ? toText(map.get(value)) : value);
+
+  return data => {
+    const value = getValue(data);
+    if (value === undefined) {
+      return fallback;
+    }
+    return Array.isArray(value) ? value.map(translate).filter(item => item !== undefined) : translate(value);
+  };
+}
+
+/**
+ * Compile a template like "https://crm.example.com/contacts/{$.id}"
+ * The template yields nothing if one of its placeholders has no value.
+ * @param {string} template - Template with {$.path} placeholders
+ * @param {string} field - Field name for error messages
+ * @returns {Function} (data) -> string or undefined
+ */
+function compileTemplate(template, field) {
+  if (typeof template !== 'string') {
+    throw new Error(`Template for ${field} must be a string`);
+  }
+
+  const placeholders = [...template.matchAll(PLACEHOLDER_PATTERN)].map(([placeholder, path]) => ({
+    placeholder,
+    steps: parsePath(path)
+  }));
+  if (placeholders.length === 0) {
+    throw new Error(`Template for ${field} has no {$.path} placeholders`);
+  }
+
+  return data => {
+    let result = template;
+    for (const { placeholder, steps } of placeholders) {
+      const value = getValues(data, steps).map(toText).find(text => text !== undefined);
+      if (value === undefined) {
+        return undefined;
+      }
+      result = result.replace(placeholder, () => value);
+    }
+    return result;
+  };
+}
+
+/**
+ * Compile "where" conditions: JSON path -> expected value or list of values
+ * @param {Object} where - Conditions from the mapping
+ * @returns {Function} (data) -> true if every condition holds
+ */
+function compileConditions(where) {
+  if (typeof where !== 'object' || where === null || Array.isArray(where)) {
+    throw new Error('where must be an object of JSON paths and expected values');
+  }
+
+  const conditions = Object.entries(where).map(([path, expected]) => ({
+    steps: parsePath(path),
+    expected: (Array.isArray(expected) ? expected : [expected]).map(String)
+  }));
+
+  return data => conditions.every(({ steps, expected }) =>
+    getValues(data, steps).some(value => expected.includes(String(toText(value))))
+  );
+}
+
+/**
+ * Combine a mapping with the mapping it extends; fields are merged one by one
+ * @param {Object} base - Mapping configuration that is extended
+ * @param {Object} config - Extending mapping configuration
+ * @returns {Object} Merged configuration
+ */
+export function mergeMappings(base, config) {
+  const merged = { ...base, ...config, fields: { ...base.fields, ...config.fields } };
+  delete merged.extends;
+  return merged;
+}
+
+/**
+ * Adapter that turns CRM payloads into native call webhook fields using a
+ * declarative mapping
+ *
+ * Mapping configuration:
+ *   format  'json' (default) or 'xml'
+ *   items   Optional JSON path to the call requests in a payload with several ($.events[*])
+ *   where   Optional conditions per item ({ "$.type": "call" }); other items are skipped
+ *   fields  Native webhook field -> rule (JSON path, list of rules, or { path|template|value, map, default })
+ */
+export class MappingAdapter {
+  /**
+   * @param {string} name - Adapter name
+   * @param {Object} config - Mapping configuration (see class description)
+   * @param {Object} options - Optional settings
+   * @param {Function} options.respond - Writes the response for (res, results) instead of JSON
+   * @throws {Error} If the configuration is invalid
+   */
+  constructor(name, config, { respond = null } = {}) {
+    if (!config || typeof config !== 'object') {
+      throw new Error(`Mapping ${name} must be an object`);
+    }
+
+    this.name = name;
+    // Kept for mappings that extend this one
+    this.config = config;
+    this.format = config.format || 'json';
+    this.respond = respond;
+
+    if (!FORMATS.includes(this.format)) {
+      throw new Error(`Mapping ${name}: format must be one of ${FORMATS.join(', ')}`);
+    }
+
+    if (!config.fields || typeof config.fields !== 'object' || Array.isArray(config.fields)) {
+      throw new Error(`Mapping ${name} needs fields`);
+    }
+
+    try {
+      this.items = config.items ? parsePath(config.items) : null;
+      this.matches = config.where ? compileConditions(config.where) : () => true;
+      this.fields = Object.entries(config.fields).map(([field, rule]) => {
+        if (!CALL_FIELDS.includes(field)) {
+          throw new Error(`Unknown field ${field} (expected one of ${CALL_FIELDS.join(', ')})`);
+        }
+        return { field, getValue: compileRule(rule, field) };
+      });
+    } catch (error) {
+      throw new Error(`Mapping ${name}: ${error.message}`);
+    }
+
+    if (!this.fields.some(({ field }) => field === 'callee_number')) {
+      throw new Error(`Mapping ${name} needs a rule for callee_number`);
+    }
+  }
+
+  /**
+   * Extract the call requests from a payload
+   * @param {Object|string} body - Parsed JSON body, or the XML text
+   * @returns {Object} { calls, skipped } where calls are native webhook bodies
+   * @throws {Error} If the payload does not have the expected format
+   */
+  parse(body) {
+    let data = body;
+    if (this.format === 'xml') {
+      if (typeof body !== 'string') {
+        throw new Error('Expected an XML body (Content-Type text/xml)');
+      }
+      data = parseXml(body);
+    } else if (typeof body !== 'object' || body === null) {
+      throw new Error('Expected a JSON body');
+    }
+
+    const items = this.items ? getValues(data, this.items) : [data];
+    if (this.items && items.length === 0) {
+      throw new Error('Payload does not contain any call requests');
+    }
+
+    const requested = items.filter(this.matches);
+    const calls = requested.map(item => {
+      const call = {};
+      for (const { field, getValue } of this.fields) {
+        const value = getValue(item);
+        if (value === undefined) {
+          continue;
+        }
+        // Only user_ids takes a list; other fields use the first value
+        if (field === 'user_ids') {
+          call[field] = Array.isArray(value) ? value : [value];
+        } else {
+          call[field] = Array.isArray(value) ? value[0] : value;
+        }
+      }
+      return call;
+    });
+
+    return { calls, skipped: items.length - requested.length };
+  }
+}
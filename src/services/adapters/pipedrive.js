@@ -0,0 +1,34 @@
+/**
+ * Pipedrive webhooks for persons (v1 { current, meta } and v2 { data, meta } payloads)
+ * Pipedrive sends a webhook for every change of the subscribed event, so point
+ * it at the event that should start a call or narrow it down with "where" in
+ * a mapping that extends this one. The call goes to the person's owner.
+ */
+export const PIPEDRIVE_MAPPING = {
+  fields: {
+    owner_user_id: [
+      '$.current.owner_id.id',
+      '$.current.owner_id',
+      '$.data.owner_id'
+    ],
+    callee_number: [
+      '$.current.phone[0].value',
+      '$.data.phones[0].value'
+    ],
+    contact_name: [
+      '$.current.name',
+      '$.data.name'
+    ],
+    company: [
+      '$.current.org_name',
+      '$.current.org_id.name'
+    ],
+    reference: [
+      '$.current.id',
+      '$.data.id'
+    ],
+    crm_url: [
+      { template: 'https://{$.meta.host}/person/{$.current.id}' }
+    ]
+  }
+};
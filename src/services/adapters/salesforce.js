@@ -0,0 +1,51 @@
+// SOAP namespace of outbound message acknowledgements
+const OUTBOUND_NAMESPACE = 'http://soap.sforce.com/2005/09/outbound';
+
+/**
+ * Salesforce outbound messages (SOAP) from a workflow rule or flow
+ * One message carries up to 100 notifications; each one becomes a call. The
+ * notification ID stays the same when Salesforce redelivers, so it is used as
+ * request_id. The call goes to the record owner, so users pair with their
+ * Salesforce user ID. Send OwnerId, Phone or MobilePhone and Name (or
+ * FirstName and LastName) with the message.
+ */
+export const SALESFORCE_MAPPING = {
+  format: 'xml',
+  items: '$.Envelope.Body.notifications.Notification[*]',
+  fields: {
+    owner_user_id: '$.sObject.OwnerId',
+    callee_number: ['$.sObject.Phone', '$.sObject.MobilePhone'],
+    contact_name: [
+      '$.sObject.Name',
+      { template: '{$.sObject.FirstName} {$.sObject.LastName}' },
+      '$.sObject.LastName'
+    ],
+    company: '$.sObject.Company',
+    reference: '$.sObject.Id',
+    request_id: '$.Id'
+  }
+};
+
+/**
+ * Acknowledge an outbound message
+ * Requests that can't succeed (invalid number, unknown group) are acknowledged
+ * too; only server errors make Salesforce deliver the message again.
+ * @param {Object} res - Express response object
+ * @param {Array<Object>} results - { statusCode, body } per notification
+ */
+export function respondToSalesforce(res, results) {
+  const failed = results.some(result => result.statusCode >= 500);
+  const body = failed
+    ? '<soapenv:Fault><faultcode>soapenv:Server</faultcode><faultstring>Failed to process notification</faultstring></soapenv:Fault>'
+    : `<notificationsResponse xmlns="${OUTBOUND_NAMESPACE}"><Ack>true</Ack></notificationsResponse>`;
+
+  res
+    .status(failed ? 500 : 200)
+    .type('text/xml')
+    .send(
+      '<?xml version="1.0" encoding="UTF-8"?>' +
+      '<soapenv:Envelope xmlns:soapenv="http://schemas.xmlsoap.org/soap/envelope/">' +
+      `<soapenv:Body>${body}</soapenv:Body>` +
+      '</soapenv:Envelope>'
+    );
+}
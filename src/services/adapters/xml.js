@@ -0,0 +1,161 @@
+const ENTITIES = { amp: '&', lt: '<', gt: '>', quot: '"', apos: "'" };
+
+/**
+ * Replace XML character and entity references
+ * @param {string} text - Raw text
+ * @returns {string} Decoded text
+ */
+function decodeEntities(text) {
+  return text.replace(/&(#x[0-9a-fA-F]+|#\d+|\w+);/g, (reference, name) => {
+    if (name.startsWith('#x')) {
+      return String.fromCodePoint(parseInt(name.slice(2), 16));
+    }
+    if (name.startsWith('#')) {
+      return String.fromCodePoint(parseInt(name.slice(1), 10));
+    }
+    return ENTITIES[name] ?? reference;
+  });
+}
+
+/**
+ * Element or attribute name without its namespace prefix ("sf:Phone" -> "Phone")
+ * @param {string} name - Qualified name
+ * @returns {string} Local name
+ */
+function localName(name) {
+  return name.slice(name.indexOf(':') + 1);
+}
+
+/**
+ * Turn a finished element into its value
+ * @param {Object} element - Element being parsed
+ * @returns {*} null for xsi:nil, text for text-only elements, otherwise an object of children
+ */
+function toValue(element) {
+  if (element.nil) {
+    return null;
+  }
+  if (Object.keys(element.children).length === 0) {
+    return element.text;
+  }
+  return element.children;
+}
+
+/**
+ * Parse an XML document into plain objects, e.g. a SOAP message into
+ * { Envelope: { Body: { notifications: { … } } } }
+ * Namespace prefixes and attributes are dropped (apart from xsi:nil), text-only
+ * elements become strings and repeated elements become arrays. Document type
+ * declarations are rejected, so no external entities are ever resolved.
+ * @param {string} xml - XML document
+ * @returns {Object} Root element name -> value
+ * @throws {Error} If the document is not well-formed
+ */
+export function parseXml(xml) {
+  const root = { name: null, children: Object.create(null), text: '', nil: false };
+  const stack = [root];
+  const tagPattern = /<(\/?)([\w.:-]+)((?:\s+[\w.:-]+\s*=\s*(?:"[^"]*"|'[^']*'))*)\s*(\/?)>/y;
+  let index = 0;
+
+  while (index < xml.length) {
+    const start = xml.indexOf('<', index);
+    const current = stack[stack.length - 1];
+
+    if (start === -1) {
+      current.text += decodeEntities(xml.slice(index));
+      break;
+    }
+    current.text += decodeEntities(xml.slice(index, start));
+
+    if (xml.startsWith('<?', start)) {
+      index = xml.indexOf('?>', start);
+      if (index === -1) {
+        throw new Error('Unterminated processing instruction');
+      }
+      index += 2;
+      continue;
+    }
+
+    if (xml.startsWith('<!--', start)) {
+      index = xml.indexOf('-->', start);
+      if (index === -1) {
+        throw new Error('Unterminated comment');
+      }
+      index += 3;
+      continue;
+    }
+
+    if (xml.startsWith('<![CDATA[', start)) {
+      const end = xml.indexOf(']]>', start);
+      if (end === -1) {
+        throw new Error('Unterminated CDATA section');
+      }
+      current.text += xml.slice(start + 9, end);
+      index = end + 3;
+      continue;
+    }
+
+    if (xml.startsWith('<!', start)) {
+      throw new Error('Document type declarations are not supported');
+    }
+
+    tagPattern.lastIndex = start;
+    const match = tagPattern.exec(xml);
+    if (!match) {
+      throw new Error(`Invalid tag at position ${start}`);
+    }
+    const [tag, closing, name, attributes, selfClosing] = match;
+    index = start + tag.length;
+
+    if (closing) {
+      if (stack.length === 1 || current.name !== name) {
+        throw new Error(`Unexpected closing tag </${name}>`);
+      }
+      stack.pop();
+      addChild(stack[stack.length - 1], current);
+      continue;
+    }
+
+    const element = {
+      name,
+      // Without a prototype, so element names like __proto__ are plain keys
+      children: Object.create(null),
+      text: '',
+      nil: /(?:^|\s)[\w.-]*:?nil\s*=\s*["']true["']/.test(attributes)
+    };
+
+    if (selfClosing) {
+      addChild(current, element);
+    } else {
+      stack.push(element);
+    }
+  }
+
+  if (stack.length > 1) {
+    throw new Error(`Unclosed tag <${stack[stack.length - 1].name}>`);
+  }
+  if (Object.keys(root.children).length !== 1 || root.text.trim() !== '') {
+    throw new Error('Expected exactly one root element');
+  }
+
+  return root.children;
+}
+
+/**
+ * Add a finished element to its parent, collecting repeated names in an array
+ * @param {Object} parent - Parent element
+ * @param {Object} element - Finished child element
+ */
+function addChild(parent, element) {
+  const key = localName(element.name);
+  const value = toValue(element);
+
+  if (!Object.hasOwn(parent.children, key)) {
+    parent.children[key] = value;
+  } else if (Array.isArray(parent.children[key])) {
+    // Element values are never arrays themselves, so this is a repeated element
+    parent.children[key].push(value);
+  } else {
+    parent.children[key] = [parent.children[key], value];
+  }
+}
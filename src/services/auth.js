@@ -0,0 +1,282 @@
+import crypto from 'crypto';
+import path from 'path';
+import { JsonFileBackend, MemoryBackend, DEFAULT_DATA_DIR, createBackend } from './storage/index.js';
+import { DEFAULT_TENANT_ID } from './tenants.js';
+import logger from './logger.js';
+
+const DEFAULT_PAIRING_CODE_TTL_MINUTES = 15;
+const DEFAULT_ACCESS_TOKEN_TTL_DAYS = 365;
+const CALL_TOKEN_TTL_MS = 24 * 60 * 60 * 1000;
+
+class AuthService {
+  constructor() {
+    this.secret = null;
+
+    // Pairing code nonce -> expiry timestamp, so each code can be redeemed once
+    this.redeemedCodes = new Map();
+
+    // Access token ID -> expiry timestamp of revoked tokens (tokens of removed devices)
+    this.revokedTokens = new Map();
+
+    // Persistence backend for redeemed codes and revoked tokens, replaced in initialize()
+    this.backend = new MemoryBackend();
+  }
+
+  /**
+   * Load the signing secret and the stored token state
+   * @param {Object} backend - Optional backend instance (defaults to STORAGE_BACKEND config)
+   */
+  initialize(backend = createBackend('auth')) {
+    this.backend = backend;
+
+    const data = this.backend.load();
+    this.redeemedCodes = new Map(Object.entries(data?.redeemedCodes || {}));
+    this.revokedTokens = new Map(Object.entries(data?.revokedTokens || {}));
+    this.pruneExpired();
+
+    this.loadSecret();
+  }
+
+  /**
+   * Write redeemed codes and revoked tokens to the backend
+   */
+  persist() {
+    try {
+      this.backend.save({
+        redeemedCodes: Object.fromEntries(this.redeemedCodes),
+        revokedTokens: Object.fromEntries(this.revokedTokens)
+      });
+    } catch (error) {
+      logger.error('Failed to persist auth state', { error });
+    }
+  }
+
+  /**
+   * Load the signing secret from AUTH_SECRET or the secret file, generating one if needed
+   */
+  loadSecret() {
+    if (process.env.AUTH_SECRET) {
+      this.secret = process.env.AUTH_SECRET;
+      logger.info('Auth secret loaded from environment');
+      return;
+    }
+
+    const secretFile = new JsonFileBackend(
+      path.resolve(process.env.DATA_DIR || DEFAULT_DATA_DIR, 'auth-secret.json'),
+      { mode: 0o600 }
+    );
+    const data = secretFile.load();
+
+    if (data && data.secret) {
+      this.secret = data.secret;
+      logger.info('Auth secret loaded', { file: secretFile.filePath });
+    } else {
+      this.secret = crypto.randomBytes(32).toString('base64url');
+      secretFile.save({ secret: this.secret });
+      logger.info('Auth secret generated', { file: secretFile.filePath });
+    }
+  }
+
+  /**
+   * Create a signed token
+   * @param {Object} payload - Token claims
+   * @returns {string} Token in the form payload.signature
+   */
+  sign(payload) {
+    const encoded = Buffer.from(JSON.stringify(payload)).toString('base64url');
+    return `${encoded}.${this.createSignature(encoded)}`;
+  }
+
+  /**
+   * Verify a signed token
+   * @param {string} token - Token to verify
+   * @param {string} type - Expected token type
+   * @returns {Object|null} Token claims or null if invalid or expired
+   */
+  verify(token, type) {
+    if (!token || typeof token !== 'string') {
+      return null;
+    }
+
+    const [encoded, signature] = token.split('.');
+    if (!encoded || !signature) {
+      return null;
+    }
+
+    const expected = Buffer.from(this.createSignature(encoded));
+    const actual = Buffer.from(signature);
+    if (expected.length !== actual.length || !crypto.timingSafeEqual(expected, actual)) {
+      return null;
+    }
+
+    let payload;
+    try {
+      payload = JSON.parse(Buffer.from(encoded, 'base64url').toString('utf8'));
+    } catch (error) {
+      return null;
+    }
+
+    if (payload.typ !== type || !payload.sub || (payload.exp && payload.exp < Date.now())) {
+      return null;
+    }
+
+    // Tokens issued before tenants existed belong to the default tenant
+    return { ...payload, tid: payload.tid || DEFAULT_TENANT_ID };
+  }
+
+  createSignature(data) {
+    if (!this.secret) {
+      throw new Error('AuthService not initialized');
+    }
+
+    return crypto.createHmac('sha256', this.secret).update(data).digest('base64url');
+  }
+
+  /**
+   * Issue a single-use pairing code that binds a device to a user
+   * @param {string} tenantId - Tenant identifier
+   * @param {string} userId - User identifier
+   * @param {number} ttlMinutes - Optional validity in minutes
+   * @returns {Object} Pairing code and its expiry
+   */
+  createPairingCode(tenantId, userId, ttlMinutes) {
+    const minutes = ttlMinutes || parseInt(process.env.PAIRING_CODE_TTL_MINUTES, 10) || DEFAULT_PAIRING_CODE_TTL_MINUTES;
+    const expiresAt = Date.now() + minutes * 60 * 1000;
+
+    const code = this.sign({
+      typ: 'pairing',
+      tid: tenantId,
+      sub: userId,
+      nonce: crypto.randomBytes(8).toString('hex'),
+      exp: expiresAt
+    });
+
+    return {
+      code,
+      expiresAt: new Date(expiresAt).toISOString()
+    };
+  }
+
+  /**
+   * Redeem a pairing code for an access token
+   * @param {string} code - Pairing code
+   * @returns {Object|null} Tenant ID, user ID and access token, or null if the code is invalid or used
+   */
+  redeemPairingCode(code) {
+    const payload = this.verify(code, 'pairing');
+    if (!payload) {
+      return null;
+    }
+
+    this.pruneExpired();
+    if (this.redeemedCodes.has(payload.nonce)) {
+      return null;
+    }
+    this.redeemedCodes.set(payload.nonce, payload.exp);
+    this.persist();
+
+    return {
+      tenantId: payload.tid,
+      userId: payload.sub,
+      accessToken: this.createAccessToken(payload.tid, payload.sub)
+    };
+  }
+
+  /**
+   * Issue an access token for device management
+   * The token ID is stored with the devices registered with the token, so
+   * removing a device revokes only its own token.
+   * @param {string} tenantId - Tenant identifier
+   * @param {string} userId - User identifier
+   * @returns {string} Access token
+   */
+  createAccessToken(tenantId, userId) {
+    return this.sign({
+      typ: 'access',
+      tid: tenantId,
+      sub: userId,
+      jti: crypto.randomBytes(8).toString('hex'),
+      iat: Date.now(),
+      exp: Date.now() + this.getAccessTokenTtlMs()
+    });
+  }
+
+  getAccessTokenTtlMs() {
+    const days = parseInt(process.env.ACCESS_TOKEN_TTL_DAYS, 10) || DEFAULT_ACCESS_TOKEN_TTL_DAYS;
+    return days * 24 * 60 * 60 * 1000;
+  }
+
+  /**
+   * Resolve the user of an access token
+   * @param {string} token - Access token
+   * @returns {Object|null} { tenantId, userId, tokenId } or null if the token is invalid or revoked
+   */
+  verifyAccessToken(token) {
+    const payload = this.verify(token, 'access');
+    if (!payload || (payload.jti && this.revokedTokens.has(payload.jti))) {
+      return null;
+    }
+
+    // Tokens issued before token IDs existed have none
+    return { tenantId: payload.tid, userId: payload.sub, tokenId: payload.jti || null };
+  }
+
+  /**
+   * Revoke the access token a removed device was registered with
+   * Other devices registered with the same token (e.g. after the browser
+   * re-subscribed) keep it.
+   * @param {Object} device - Removed device record
+   * @param {Array<Object>} remainingDevices - Devices the user still has
+   * @returns {boolean} True if a token was revoked
+   */
+  revokeDeviceToken(device, remainingDevices) {
+    if (!device.tokenId || remainingDevices.some(other => other.tokenId === device.tokenId)) {
+      return false;
+    }
+
+    // Kept until every token issued before the revocation has expired
+    this.revokedTokens.set(device.tokenId, Date.now() + this.getAccessTokenTtlMs());
+    this.persist();
+    return true;
+  }
+
+  /**
+   * Issue a token that lets a service worker report events for one call
+   * @param {string} tenantId - Tenant identifier
+   * @param {string} callId - Call identifier
+   * @returns {string} Call event token
+   */
+  createCallToken(tenantId, callId) {
+    return this.sign({
+      typ: 'call',
+      tid: tenantId,
+      sub: callId,
+      exp: Date.now() + CALL_TOKEN_TTL_MS
+    });
+  }
+
+  /**
+   * Check that a call event token was issued for the given call
+   * @param {string} token - Call event token
+   * @param {string} callId - Call identifier
+   * @returns {boolean} True if valid for this call
+   */
+  verifyCallToken(token, callId) {
+    const payload = this.verify(token, 'call');
+    return Boolean(payload && payload.sub === callId);
+  }
+
+  // Expired codes and tokens fail verification anyway, so they can be forgotten
+  pruneExpired() {
+    const now = Date.now();
+    for (const entries of [this.redeemedCodes, this.revokedTokens]) {
+      for (const [id, expiresAt] of entries) {
+        if (expiresAt < now) {
+          entries.delete(id);
+        }
+      }
+    }
+  }
+}
+
+export default new AuthService();
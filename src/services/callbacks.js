@@ -0,0 +1,394 @@
+import crypto from 'crypto';
+import { MemoryBackend, createBackend } from './storage/index.js';
+import callService from './calls.js';
+import tenantService from './tenants.js';
+import logger from './logger.js';
+
+const DEFAULT_RETRY_HOURS = 24;
+const DEFAULT_CONCURRENCY = 4;
+const BASE_RETRY_DELAY_MS = 5000;
+const MAX_RETRY_DELAY_MS = 60 * 60 * 1000;
+const REQUEST_TIMEOUT_MS = 10000;
+const POLL_INTERVAL_MS = 1000;
+const DEAD_LETTER_LIMIT = 500;
+
+// Call events that are forwarded to the CRM, with their callback event names
+const CALLBACK_EVENTS = {
+  sent: 'push_accepted',
+  no_devices: 'no_devices',
+  unavailable: 'no_one_available',
+  failed: 'all_devices_failed',
+  channel_sent: 'channel_message_sent',
+  channel_failed: 'channel_message_failed',
+  delivered: 'notification_delivered',
+  clicked: 'notification_clicked',
+  dismissed: 'notification_dismissed',
+  claimed: 'call_claimed',
+  dialed: 'call_dialed',
+  outcome: 'call_logged'
+};
+
+/**
+ * Describe a call outcome as an activity the CRM can store (e.g. a logged call)
+ * @param {Object} call - Call record
+ * @param {Object} event - Outcome event
+ * @returns {Object} Activity
+ */
+function toActivity(call, event) {
+  const dialed = call.events.findLast(callEvent => callEvent.type === 'dialed');
+
+  return {
+    type: 'call',
+    direction: 'outbound',
+    outcome: event.result,
+    note: event.note,
+    userId: event.userId,
+    phoneNumber: call.phoneNumber,
+    contactName: call.context?.contactName || null,
+    company: call.context?.company || null,
+    reference: call.context?.reference || null,
+    crmUrl: call.context?.crmUrl || null,
+    dialedAt: dialed ? dialed.at : null,
+    loggedAt: event.at
+  };
+}
+
+/**
+ * Signed status callbacks to the CRM
+ * Callbacks are queued persistently and retried with exponential backoff for
+ * CALLBACK_RETRY_HOURS, so events survive CRM outages and server restarts.
+ * Callbacks that still fail move to a dead-letter list and can be retried.
+ * Each callback URL is delivered to in order, and up to CALLBACK_CONCURRENCY
+ * URLs at the same time, so a slow or unreachable CRM doesn't hold up the
+ * callbacks of other tenants.
+ */
+class CallbackService {
+  constructor() {
+    // Pending deliveries, oldest first
+    this.queue = [];
+
+    // Deliveries that failed until the retry time ran out
+    this.deadLetters = [];
+
+    // Persistence backend, replaced in initialize()
+    this.backend = new MemoryBackend();
+    this.retryMs = DEFAULT_RETRY_HOURS * 60 * 60 * 1000;
+    this.maxAttempts = null;
+    this.concurrency = DEFAULT_CONCURRENCY;
+    this.timer = null;
+    this.listening = false;
+
+    // Callback URLs with a delivery in progress
+    this.activeUrls = new Set();
+  }
+
+  /**
+   * Load the pending queue and start forwarding call events
+   * Queued callbacks must survive a crash, so the queue is written without delay.
+   * @param {Object} backend - Optional backend instance (defaults to STORAGE_BACKEND config)
+   */
+  initialize(backend = createBackend('callback-queue', { writeDelayMs: 0 })) {
+    this.backend = backend;
+    this.retryMs = (parseFloat(process.env.CALLBACK_RETRY_HOURS) || DEFAULT_RETRY_HOURS) * 60 * 60 * 1000;
+    this.maxAttempts = parseInt(process.env.CALLBACK_MAX_ATTEMPTS, 10) || null;
+    this.concurrency = parseInt(process.env.CALLBACK_CONCURRENCY, 10) || DEFAULT_CONCURRENCY;
+
+    const data = this.backend.load();
+    this.queue = data && Array.isArray(data.queue) ? data.queue : [];
+    this.deadLetters = data && Array.isArray(data.deadLetters) ? data.deadLetters : [];
+
+    // Callbacks queued before createdAt was recorded get the full retry time from now
+    const now = new Date().toISOString();
+    this.queue.forEach(item => { item.createdAt ??= now; });
+
+    if (this.queue.length > 0) {
+      logger.info('Pending status callbacks loaded', { callbacks: this.queue.length });
+    }
+
+    if (!this.listening) {
+      callService.on('event', (call, event) => this.handleCallEvent(call, event));
+      this.listening = true;
+    }
+    this.start();
+  }
+
+  persist() {
+    try {
+      this.backend.save({ queue: this.queue, deadLetters: this.deadLetters });
+    } catch (error) {
+      logger.error('Failed to persist callback queue', { error });
+    }
+  }
+
+  start() {
+    if (!this.timer) {
+      this.timer = setInterval(() => this.processQueue(), POLL_INTERVAL_MS);
+      this.timer.unref();
+    }
+  }
+
+  stop() {
+    clearInterval(this.timer);
+    this.timer = null;
+  }
+
+  /**
+   * Resolve where callbacks for a call go: the URL from the webhook, or the tenant default
+   * @param {Object} call - Call record
+   * @returns {string|null} Callback URL or null if none is configured
+   */
+  getCallbackUrl(call) {
+    return call.callbackUrl || tenantService.getTenant(call.tenantId)?.callbackUrl || null;
+  }
+
+  /**
+   * Queue a callback for a call event if the call has a callback URL
+   * @param {Object} call - Call record
+   * @param {Object} event - Event that was added to the call
+   */
+  handleCallEvent(call, event) {
+    const eventName = CALLBACK_EVENTS[event.type];
+    const url = this.getCallbackUrl(call);
+
+    // Users can keep an outcome out of the CRM
+    if (!eventName || !url || (event.type === 'outcome' && !event.forward)) {
+      return;
+    }
+
+    const { type, at, forward, ...details } = event;
+
+    const body = {
+      event: eventName,
+      callId: call.id,
+      userId: call.userId,
+      phoneNumber: call.phoneNumber,
+      status: call.status,
+      timestamp: at,
+      details
+    };
+    if (call.groupId) {
+      body.groupId = call.groupId;
+    }
+    // Calls the CRM did not request itself (e.g. sent from the bookmarklet)
+    if (call.source && call.source !== 'webhook') {
+      body.source = call.source;
+    }
+    if (type === 'outcome') {
+      body.activity = toActivity(call, event);
+    }
+
+    this.enqueue(call.tenantId, url, body);
+  }
+
+  /**
+   * Add a callback to the delivery queue
+   * @param {string} tenantId - Tenant whose secret signs the callback
+   * @param {string} url - Callback URL
+   * @param {Object} body - JSON body
+   */
+  enqueue(tenantId, url, body) {
+    this.queue.push({
+      id: crypto.randomUUID(),
+      tenantId,
+      url,
+      body,
+      attempts: 0,
+      nextAttemptAt: Date.now(),
+      lastError: null,
+      createdAt: new Date().toISOString()
+    });
+    this.persist();
+
+    // Deliver right away instead of waiting for the next poll
+    setImmediate(() => this.processQueue());
+  }
+
+  /**
+   * Start delivering to every callback URL with callbacks that are due
+   * URLs that already have a delivery in progress are left to it.
+   * @returns {Promise} Settles when the deliveries started here are done
+   */
+  processQueue() {
+    const now = Date.now();
+    const started = [];
+
+    for (const item of this.queue) {
+      if (this.activeUrls.size >= this.concurrency) {
+        break;
+      }
+      if (item.nextAttemptAt <= now && !this.activeUrls.has(item.url)) {
+        started.push(this.deliverToUrl(item.url));
+      }
+    }
+
+    return Promise.all(started);
+  }
+
+  /**
+   * Deliver the due callbacks of one URL, oldest first
+   * Stops at the first failure; the URL's other callbacks are tried on the
+   * next poll, after the failed one got its retry time.
+   * @param {string} url - Callback URL
+   */
+  async deliverToUrl(url) {
+    this.activeUrls.add(url);
+
+    try {
+      let item;
+      while ((item = this.queue.find(queued => queued.url === url && queued.nextAttemptAt <= Date.now()))) {
+        if (!await this.attemptDelivery(item)) {
+          break;
+        }
+      }
+    } finally {
+      this.activeUrls.delete(url);
+    }
+  }
+
+  /**
+   * Try to deliver one callback and reschedule it or move it to the dead letters
+   * @param {Object} item - Queue item
+   * @returns {Promise<boolean>} True if the callback was delivered
+   */
+  async attemptDelivery(item) {
+    item.attempts++;
+    let delivered = false;
+
+    try {
+      await this.deliver(item);
+      delivered = true;
+      this.queue = this.queue.filter(queued => queued.id !== item.id);
+      logger.info('Status callback delivered', { event: item.body.event, callId: item.body.callId });
+    } catch (error) {
+      item.lastError = error.message;
+
+      const delay = Math.min(BASE_RETRY_DELAY_MS * 2 ** (item.attempts - 1), MAX_RETRY_DELAY_MS);
+      const retryUntil = Date.parse(item.createdAt) + this.retryMs;
+
+      if (Date.now() + delay > retryUntil || (this.maxAttempts && item.attempts >= this.maxAttempts)) {
+        this.queue = this.queue.filter(queued => queued.id !== item.id);
+        this.deadLetters.push({ ...item, failedAt: new Date().toISOString() });
+        this.deadLetters.splice(0, Math.max(0, this.deadLetters.length - DEAD_LETTER_LIMIT));
+        logger.error('Status callback failed after the last attempt', {
+          event: item.body.event,
+          callId: item.body.callId,
+          callbackId: item.id,
+          attempts: item.attempts,
+          error: error.message
+        });
+      } else {
+        item.nextAttemptAt = Date.now() + delay;
+        logger.warn('Status callback failed, retrying', {
+          event: item.body.event,
+          callId: item.body.callId,
+          attempt: item.attempts,
+          delayMs: delay,
+          error: error.message
+        });
+      }
+    }
+
+    this.persist();
+    return delivered;
+  }
+
+  /**
+   * POST a signed callback
+   * Uses the same signature scheme as incoming webhooks.
+   * @param {Object} item - Queue item
+   */
+  async deliver(item) {
+    const body = JSON.stringify(item.body);
+    const timestamp = Math.floor(Date.now() / 1000);
+    const headers = {
+      'Content-Type': 'application/json',
+      'X-Webhook-Timestamp': String(timestamp),
+      'X-Callback-Id': item.id
+    };
+
+    const secret = this.getSigningSecret(item.tenantId);
+    if (secret) {
+      const signature = crypto.createHmac('sha256', secret).update(`${timestamp}.${body}`).digest('hex');
+      headers['X-Webhook-Signature'] = `sha256=${signature}`;
+    }
+
+    const response = await fetch(item.url, {
+      method: 'POST',
+      headers,
+      body,
+      signal: AbortSignal.timeout(REQUEST_TIMEOUT_MS)
+    });
+
+    if (!response.ok) {
+      throw new Error(`HTTP ${response.status}`);
+    }
+  }
+
+  /**
+   * Secret for signing callbacks: the tenant's callbackSecret, else its first
+   * webhook secret, else its webhook token
+   * @param {string} tenantId - Tenant identifier
+   * @returns {string|null} Signing secret
+   */
+  getSigningSecret(tenantId) {
+    const tenant = tenantService.getTenant(tenantId);
+    if (!tenant) {
+      return null;
+    }
+
+    return tenant.callbackSecret || tenant.webhookSecrets[0] || tenant.webhookToken || null;
+  }
+
+  /**
+   * Get dead-letter callbacks
+   * @param {string} tenantId - Optional tenant filter
+   * @returns {Array} Failed callbacks, newest first
+   */
+  getDeadLetters(tenantId) {
+    return this.deadLetters
+      .filter(item => !tenantId || item.tenantId === tenantId)
+      .map(({ nextAttemptAt, ...details }) => details)
+      .reverse();
+  }
+
+  /**
+   * Move a dead-letter callback back into the queue
+   * It gets the full retry time again, and keeps its callback ID so the CRM
+   * can tell it from a new event.
+   * @param {string} callbackId - Callback identifier
+   * @param {string} tenantId - Optional tenant the callback must belong to
+   * @returns {Object|null} Requeued callback, or null if not found
+   */
+  retryDeadLetter(callbackId, tenantId) {
+    const item = this.deadLetters.find(candidate => candidate.id === callbackId);
+    if (!item || (tenantId && item.tenantId !== tenantId)) {
+      return null;
+    }
+
+    this.deadLetters = this.deadLetters.filter(candidate => candidate.id !== callbackId);
+    const { failedAt, ...queued } = item;
+    Object.assign(queued, {
+      attempts: 0,
+      nextAttemptAt: Date.now(),
+      createdAt: new Date().toISOString()
+    });
+    this.queue.push(queued);
+    this.persist();
+
+    setImmediate(() => this.processQueue());
+    return { ...queued };
+  }
+
+  /**
+   * Get queue statistics
+   * @returns {Object} Pending and dead-letter callback counts
+   */
+  getStats() {
+    return {
+      pending: this.queue.length,
+      deadLetters: this.deadLetters.length
+    };
+  }
+}
+
+export default new CallbackService();
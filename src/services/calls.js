@@ -0,0 +1,322 @@
+import crypto from 'crypto';
+import { EventEmitter } from 'events';
+import { MemoryBackend, createBackend } from './storage/index.js';
+import logger from './logger.js';
+
+const DEFAULT_CALL_RECORD_LIMIT = 1000;
+
+// Events kept per call; the oldest ones after 'created' are dropped
+const MAX_CALL_EVENTS = 100;
+
+// Status precedence - events never move a call back to an earlier status
+const STATUS_RANK = {
+  pending: 0,
+  no_devices: 1,
+  unavailable: 1,
+  failed: 1,
+  channel_failed: 1,
+  sent: 2,
+  channel_sent: 2,
+  delivered: 3,
+  dismissed: 4,
+  clicked: 5,
+  claimed: 6,
+  dialed: 7
+};
+
+export const CLIENT_EVENT_TYPES = ['delivered', 'clicked', 'dismissed', 'dialed'];
+
+// Results a user can record after dialing
+export const CALL_OUTCOMES = ['reached', 'voicemail', 'no_answer', 'wrong_number'];
+
+/**
+ * Check whether a call was meant for a user
+ * @param {Object} call - Call record
+ * @param {string} userId - User identifier
+ * @returns {boolean} True for the owner, group/list members and users the call was routed to
+ */
+function isCallForUser(call, userId) {
+  return call.userId === userId || Boolean(call.userIds?.includes(userId)) || Boolean(call.recipients?.includes(userId));
+}
+
+/**
+ * Check whether a user took a call
+ * Group and user list calls belong to the member who claimed them; other
+ * calls to the only user they reached, or to the owner if they reached no one.
+ * @param {Object} call - Call record
+ * @param {string} userId - User identifier
+ * @returns {boolean} True for the user who claimed the call, its only recipient and the author of its outcome
+ */
+function isCallHandledBy(call, userId) {
+  if (call.claimedBy === userId || call.outcome?.userId === userId) {
+    return true;
+  }
+  if (call.claimedBy) {
+    return false;
+  }
+  if (call.recipients?.length > 0) {
+    return call.recipients.length === 1 && call.recipients[0] === userId;
+  }
+  return !call.userIds && call.userId === userId;
+}
+
+/**
+ * Call request records with a status timeline
+ * Emits 'event' (call, event) whenever an event is added to a call.
+ */
+class CallService extends EventEmitter {
+  constructor() {
+    super();
+
+    // callId -> call request record (insertion order = creation order)
+    this.calls = new Map();
+
+    // Persistence backend, replaced in initialize()
+    this.backend = new MemoryBackend();
+    this.limit = DEFAULT_CALL_RECORD_LIMIT;
+  }
+
+  /**
+   * Select the persistence backend and load stored call records
+   * @param {Object} backend - Optional backend instance (defaults to STORAGE_BACKEND config)
+   */
+  initialize(backend = createBackend('calls')) {
+    this.backend = backend;
+    this.limit = parseInt(process.env.CALL_RECORD_LIMIT, 10) || DEFAULT_CALL_RECORD_LIMIT;
+    this.calls = new Map();
+
+    const data = this.backend.load();
+    if (data && Array.isArray(data.calls)) {
+      // Records from versions before contact details have no context
+      data.calls.forEach(call => this.calls.set(call.id, { ...call, context: call.context || {} }));
+    }
+  }
+
+  /**
+   * Write the current state to the backend
+   */
+  persist() {
+    try {
+      this.backend.save({ calls: Array.from(this.calls.values()) });
+    } catch (error) {
+      logger.error('Failed to persist call records', { error });
+    }
+  }
+
+  /**
+   * Create a call request record
+   * @param {string} tenantId - Tenant identifier
+   * @param {Object} details - Call details
+   * @param {string} details.userId - User the call is for (null for group and user list calls)
+   * @param {string} details.groupId - Group the call is for
+   * @param {Array<string>} details.userIds - Users the call is for (group members or user list)
+   * @param {string} details.phoneNumber - Number to call (normalized)
+   * @param {string} details.originalNumber - Number as sent by the CRM
+   * @param {string} details.callbackUrl - Optional URL for status callbacks to the CRM
+   * @param {Object} details.context - Optional contact details (contactName, company, crmUrl, reference, note, pageUrl)
+   * @param {string} details.source - Where the call request came from ('webhook' or 'send_to_phone')
+   * @returns {Object} Call record
+   */
+  createCall(tenantId, {
+    userId,
+    groupId = null,
+    userIds = null,
+    phoneNumber,
+    originalNumber = phoneNumber,
+    callbackUrl = null,
+    context = {},
+    source = 'webhook'
+  }) {
+    const now = new Date().toISOString();
+    const call = {
+      id: crypto.randomUUID(),
+      tenantId,
+      userId,
+      groupId,
+      userIds,
+      // Users the notification was sent to, set by the push queue
+      recipients: null,
+      claimedBy: null,
+      claimedAt: null,
+      // Result recorded by the user after dialing
+      outcome: null,
+      phoneNumber,
+      originalNumber,
+      callbackUrl,
+      context,
+      source,
+      status: 'pending',
+      createdAt: now,
+      updatedAt: now,
+      events: [{ type: 'created', at: now }]
+    };
+
+    this.calls.set(call.id, call);
+
+    // Drop the oldest records beyond the limit
+    while (this.calls.size > this.limit) {
+      this.calls.delete(this.calls.keys().next().value);
+    }
+
+    this.persist();
+    return structuredClone(call);
+  }
+
+  /**
+   * Get a call record
+   * @param {string} callId - Call identifier
+   * @param {string} tenantId - Optional tenant the call must belong to
+   * @returns {Object|null} Call record or null if not found
+   */
+  getCall(callId, tenantId) {
+    const call = this.calls.get(callId);
+    if (!call || (tenantId && call.tenantId !== tenantId)) {
+      return null;
+    }
+
+    return structuredClone(call);
+  }
+
+  /**
+   * List the most recent call records, newest first
+   * @param {Object} filter - Optional filters
+   * @param {string} filter.tenantId - Only calls of this tenant
+   * @param {string} filter.userId - Only calls for this user (as owner, group/list member or recipient)
+   * @param {string} filter.handledBy - Only calls this user took (see isCallHandledBy)
+   * @param {number} filter.limit - Maximum number of calls
+   * @returns {Array} Call records
+   */
+  getRecentCalls({ tenantId, userId, handledBy, limit = 50 } = {}) {
+    const calls = [];
+    for (const call of Array.from(this.calls.values()).reverse()) {
+      if ((tenantId && call.tenantId !== tenantId) ||
+        (userId && !isCallForUser(call, userId)) ||
+        (handledBy && !isCallHandledBy(call, handledBy))) {
+        continue;
+      }
+
+      calls.push(structuredClone(call));
+      if (calls.length >= limit) {
+        break;
+      }
+    }
+    return calls;
+  }
+
+  /**
+   * Append an event to the status timeline of a call
+   * @param {string} callId - Call identifier
+   * @param {Object} event - Event data, must contain a type
+   * @returns {Object|null} Updated call record or null if not found
+   */
+  addEvent(callId, event) {
+    const call = this.calls.get(callId);
+    if (!call) {
+      return null;
+    }
+
+    const now = new Date().toISOString();
+    const storedEvent = { ...event, at: now };
+    call.events.push(storedEvent);
+    if (call.events.length > MAX_CALL_EVENTS) {
+      call.events.splice(1, call.events.length - MAX_CALL_EVENTS);
+    }
+    call.updatedAt = now;
+
+    if (STATUS_RANK[event.type] !== undefined && STATUS_RANK[event.type] > STATUS_RANK[call.status]) {
+      call.status = event.type;
+    }
+
+    this.persist();
+
+    const snapshot = structuredClone(call);
+    this.emit('event', snapshot, storedEvent);
+    return snapshot;
+  }
+
+  /**
+   * Remember who the call notification was sent to
+   * @param {string} callId - Call identifier
+   * @param {Array<string>} recipients - Users
+   */
+  setRecipients(callId, recipients) {
+    const call = this.calls.get(callId);
+    if (call) {
+      call.recipients = recipients;
+      this.persist();
+    }
+  }
+
+  /**
+   * Claim a call for a user; only the first claim wins
+   * @param {string} callId - Call identifier
+   * @param {Object} claim - Claim details
+   * @param {string} claim.userId - User taking the call
+   * @param {string} claim.deviceId - Device the claim came from
+   * @returns {Object|null} { call, claimed, alreadyClaimed } where claimed is false if someone
+   *   else was first and alreadyClaimed is true for repeated claims, or null if the call does not exist
+   */
+  claimCall(callId, { userId, deviceId }) {
+    const call = this.calls.get(callId);
+    if (!call) {
+      return null;
+    }
+
+    if (call.claimedBy) {
+      return { call: structuredClone(call), claimed: call.claimedBy === userId, alreadyClaimed: true };
+    }
+
+    call.claimedBy = userId;
+    call.claimedAt = new Date().toISOString();
+    return {
+      call: this.addEvent(callId, { type: 'claimed', userId, deviceId }),
+      claimed: true,
+      alreadyClaimed: false
+    };
+  }
+
+  /**
+   * Record how a call went; a later outcome replaces the earlier one
+   * @param {string} callId - Call identifier
+   * @param {Object} outcome - Outcome details
+   * @param {string} outcome.result - One of CALL_OUTCOMES
+   * @param {string} outcome.note - Optional note
+   * @param {string} outcome.userId - User who made the call
+   * @param {boolean} outcome.forward - Whether to log the call in the CRM (status callback)
+   * @returns {Object|null} Updated call record or null if not found
+   */
+  recordOutcome(callId, { result, note = null, userId, forward = true }) {
+    const call = this.calls.get(callId);
+    if (!call) {
+      return null;
+    }
+
+    call.outcome = { result, note, userId, recordedAt: new Date().toISOString() };
+    return this.addEvent(callId, { type: 'outcome', result, note, userId, forward });
+  }
+
+  /**
+   * Record the outcome of sending the push notification
+   * @param {string} callId - Call identifier
+   * @param {Object} result - Result from PushService.sendToUser
+   * @param {Array<string>} result.notified - Users that got the notification
+   * @param {Object} result.routing - Routing decision, to tell unavailable users from missing devices
+   * @returns {Object|null} Updated call record
+   */
+  recordPushResult(callId, result) {
+    let type = 'sent';
+    if (result.total === 0) {
+      type = result.routing && !result.routing.available ? 'unavailable' : 'no_devices';
+    } else if (result.sent === 0) {
+      type = 'failed';
+    }
+
+    const event = { type, sent: result.sent, total: result.total };
+    if (result.notified) {
+      event.notified = result.notified;
+    }
+    return this.addEvent(callId, event);
+  }
+}
+
+export default new CallService();
@@ -0,0 +1,155 @@
+import userService from './users.js';
+import metricsService from './metrics.js';
+import logger from './logger.js';
+import { DEFAULT_LOCALE } from './i18n.js';
+import { createChannels } from './channels/index.js';
+
+/**
+ * Call messages through SMS, email, Slack and Teams
+ * Users list their channels in order of preference. Channels are tried in
+ * that order until one accepts the message - when push reached no one
+ * (channelMode 'fallback') or together with every push (channelMode 'always').
+ */
+class ChannelService {
+  constructor() {
+    // Channels by type, replaced in initialize()
+    this.channels = {};
+  }
+
+  /**
+   * Set up the channels (Slack and Teams, plus SMS and email when configured)
+   * @param {Object} channels - Optional channels by type (defaults to environment configuration)
+   */
+  initialize(channels = createChannels()) {
+    this.channels = channels;
+    logger.info('Notification channels enabled', { channels: this.getChannelTypes() });
+  }
+
+  /**
+   * Types of the enabled channels
+   * @returns {Array<string>} e.g. ['slack', 'teams', 'sms']
+   */
+  getChannelTypes() {
+    return Object.keys(this.channels);
+  }
+
+  /**
+   * Check whether a channel is enabled
+   * @param {string} type - Channel type
+   * @returns {boolean} True if messages can be sent through the channel
+   */
+  hasChannel(type) {
+    return Object.hasOwn(this.channels, type);
+  }
+
+  /**
+   * Users to message for a call: the owner if available, else the owner's
+   * available fallback users; for group and user list calls the available members
+   * Unlike push routing this does not depend on registered devices.
+   * @param {string} tenantId - Tenant identifier
+   * @param {Object} target - Call target
+   * @param {string} target.userId - Call owner
+   * @param {Array<string>} target.userIds - Group members or user list
+   * @param {string} mode - Only users with this channelMode ('fallback' or 'always')
+   * @returns {Array<string>} Users with at least one enabled channel
+   */
+  selectUsers(tenantId, { userId, userIds }, mode) {
+    const isAvailable = candidate => userService.getAvailability(tenantId, candidate).available;
+
+    let candidates;
+    if (userIds) {
+      candidates = userIds.filter(isAvailable);
+    } else if (isAvailable(userId)) {
+      candidates = [userId];
+    } else {
+      candidates = userService.getFallbackUsers(tenantId, userId).filter(isAvailable);
+    }
+
+    return candidates.filter(candidate => {
+      const settings = userService.getSettings(tenantId, candidate);
+      return settings.channelMode === mode && settings.channels.some(channel => this.hasChannel(channel.type));
+    });
+  }
+
+  /**
+   * Turn a push payload into a channel message
+   * @param {Object} payload - Payload or localized payloads (from PushService.localizePayload)
+   * @param {string} locale - Preferred language
+   * @returns {Object} Message (title, body, url, actionTitle)
+   */
+  getMessage(payload, locale) {
+    const localized = payload.locales ? payload.locales[locale] || payload.locales[DEFAULT_LOCALE] : payload;
+
+    return {
+      title: localized.title,
+      body: localized.body,
+      url: localized.data.url,
+      actionTitle: localized.actions?.[0]?.title || localized.title
+    };
+  }
+
+  /**
+   * Send a call message to one user, trying their channels in order
+   * @param {string} tenantId - Tenant identifier
+   * @param {string} userId - User identifier
+   * @param {Object} payload - Call payload or localized payloads
+   * @param {Object} log - Logger with the request context
+   * @returns {Object} { userId, sent, channel, attempts } where channel is the one that
+   *   accepted the message and attempts lists { channel, success, statusCode, message }
+   */
+  async notifyUser(tenantId, userId, payload, log = logger) {
+    const settings = userService.getSettings(tenantId, userId);
+    const message = this.getMessage(payload, settings.locale || DEFAULT_LOCALE);
+    const attempts = [];
+
+    for (const { type, target } of settings.channels) {
+      if (!this.hasChannel(type)) {
+        continue;
+      }
+
+      try {
+        const response = await this.channels[type].send(target, message);
+        metricsService.recordChannelMessage(type, true);
+        attempts.push({ channel: type, success: true, statusCode: response.statusCode });
+
+        log.info('Channel message sent', { userId, channel: type });
+        return { userId, sent: true, channel: type, attempts };
+      } catch (error) {
+        metricsService.recordChannelMessage(type, false);
+        attempts.push({ channel: type, success: false, statusCode: error.statusCode || null, message: error.message });
+
+        log.warn('Channel message failed', { userId, channel: type, statusCode: error.statusCode, error: error.message });
+      }
+    }
+
+    return { userId, sent: false, channel: null, attempts };
+  }
+
+  /**
+   * Send a call message to several users
+   * @param {string} tenantId - Tenant identifier
+   * @param {Array<string>} userIds - Users to message
+   * @param {Object} payload - Call payload or localized payloads
+   * @param {Object} options - Optional settings
+   * @param {string} options.requestId - Request ID for log entries
+   * @returns {Object} { sent, total, notified, deliveries } with one delivery per user
+   */
+  async notifyUsers(tenantId, userIds, payload, options = {}) {
+    const log = logger.child({ requestId: options.requestId, tenantId });
+    const result = { sent: 0, total: userIds.length, notified: [], deliveries: [] };
+
+    for (const userId of userIds) {
+      const delivery = await this.notifyUser(tenantId, userId, payload, log);
+      result.deliveries.push(delivery);
+
+      if (delivery.sent) {
+        result.sent++;
+        result.notified.push(userId);
+      }
+    }
+
+    return result;
+  }
+}
+
+export default new ChannelService();
@@ -0,0 +1,17 @@
+/**
+ * Error for a message a notification channel could not deliver
+ */
+export class ChannelError extends Error {
+  /**
+   * @param {string} message - Error message
+   * @param {Object} details - Response details
+   * @param {number} details.statusCode - HTTP status code, or SMTP reply code for email
+   * @param {string} details.body - Response body
+   */
+  constructor(message, { statusCode = null, body = '' } = {}) {
+    super(message);
+    this.name = 'ChannelError';
+    this.statusCode = statusCode;
+    this.body = body;
+  }
+}
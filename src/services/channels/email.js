@@ -0,0 +1,82 @@
+import nodemailer from 'nodemailer';
+import { ChannelError } from './channel-error.js';
+
+// Deliberately simple: one @, no spaces or angle brackets, a dot in the domain
+const EMAIL_PATTERN = /^[^\s@<>()[\],;:"]+@[^\s@<>()[\],;:"]+\.[^\s@<>()[\],;:"]+$/;
+
+const DEFAULT_TIMEOUT_MS = 15000;
+
+/**
+ * Email through an SMTP server
+ */
+export class EmailChannel {
+  /**
+   * @param {Object} options - Channel options
+   * @param {string} options.host - SMTP host
+   * @param {number} options.port - SMTP port
+   * @param {boolean} options.secure - Implicit TLS (port 465); otherwise STARTTLS is used when offered
+   * @param {string} options.user - SMTP username (optional)
+   * @param {string} options.password - SMTP password
+   * @param {string} options.from - Sender mailbox, e.g. "CRM Push <push@example.com>"
+   * @param {number} options.timeoutMs - Connection and reply timeout
+   */
+  constructor({ host, port = 587, secure = false, user = null, password = '', from, timeoutMs = DEFAULT_TIMEOUT_MS }) {
+    if (!from) {
+      throw new Error('Email channel needs a sender address (SMTP_FROM)');
+    }
+
+    this.name = 'email';
+    this.from = from;
+    this.transport = nodemailer.createTransport({
+      host,
+      port,
+      secure,
+      // Credentials are only sent over TLS: without implicit TLS, STARTTLS is required
+      requireTLS: Boolean(user) && !secure,
+      auth: user ? { user, pass: password } : undefined,
+      connectionTimeout: timeoutMs,
+      greetingTimeout: timeoutMs,
+      socketTimeout: timeoutMs
+    });
+  }
+
+  /**
+   * Normalize a recipient for this channel
+   * @param {string} target - Email address
+   * @returns {string|null} Address, or null if invalid
+   */
+  static normalizeTarget(target) {
+    if (typeof target !== 'string' || target.length > 254) {
+      return null;
+    }
+
+    const address = target.trim();
+    return EMAIL_PATTERN.test(address) ? address : null;
+  }
+
+  /**
+   * Send a call message
+   * @param {string} target - Email address
+   * @param {Object} message - Message (title, body, url, actionTitle)
+   * @returns {Object} Server response (statusCode, body)
+   */
+  async send(target, message) {
+    let info;
+    try {
+      info = await this.transport.sendMail({
+        from: this.from,
+        to: target,
+        subject: message.title,
+        text: `${message.body}\n\n${message.actionTitle}: ${message.url}\n`
+      });
+    } catch (error) {
+      // responseCode is the SMTP reply code when the server rejected a command
+      throw new ChannelError(`SMTP ${error.message}`, {
+        statusCode: error.responseCode || null,
+        body: error.response || ''
+      });
+    }
+
+    return { statusCode: parseInt(info.response, 10) || 250, body: info.response };
+  }
+}
@@ -0,0 +1,56 @@
+import { ChannelError } from './channel-error.js';
+
+const REQUEST_TIMEOUT_MS = 10000;
+
+/**
+ * POST a message to an HTTP endpoint
+ * @param {string} channel - Channel name for error messages
+ * @param {string} url - Endpoint URL
+ * @param {Object} options - Request options
+ * @param {Object} options.headers - Request headers
+ * @param {string} options.body - Request body
+ * @returns {Object} Response (statusCode, body)
+ */
+export async function postMessage(channel, url, { headers, body }) {
+  const response = await fetch(url, {
+    method: 'POST',
+    headers,
+    body,
+    redirect: 'error',
+    signal: AbortSignal.timeout(REQUEST_TIMEOUT_MS)
+  });
+  const responseBody = await response.text();
+
+  if (!response.ok) {
+    throw new ChannelError(`${channel} rejected the message with HTTP ${response.status}`, {
+      statusCode: response.status,
+      body: responseBody
+    });
+  }
+
+  return { statusCode: response.status, body: responseBody };
+}
+
+/**
+ * Check that a webhook URL uses HTTPS and belongs to one of the given hosts
+ * @param {string} value - URL to check
+ * @param {Array<RegExp>} hostPatterns - Allowed hostnames
+ * @returns {string|null} The URL, or null if it is not allowed
+ */
+export function checkWebhookUrl(value, hostPatterns) {
+  if (typeof value !== 'string' || value.length > 2000) {
+    return null;
+  }
+
+  let url;
+  try {
+    url = new URL(value);
+  } catch (error) {
+    return null;
+  }
+
+  if (url.protocol !== 'https:' || url.username || url.password) {
+    return null;
+  }
+  return hostPatterns.some(pattern => pattern.test(url.hostname)) ? url.href : null;
+}
@@ -0,0 +1,82 @@
+import { SmsChannel } from './sms.js';
+import { EmailChannel } from './email.js';
+import { SlackChannel } from './slack.js';
+import { TeamsChannel } from './teams.js';
+import { ChannelError } from './channel-error.js';
+
+const CHANNEL_CLASSES = {
+  sms: SmsChannel,
+  email: EmailChannel,
+  slack: SlackChannel,
+  teams: TeamsChannel
+};
+
+// Channels a user can configure besides push
+export const CHANNEL_TYPES = Object.keys(CHANNEL_CLASSES);
+
+/**
+ * Normalize the recipient of a user's channel
+ * @param {string} type - Channel type
+ * @param {string} target - Phone number, email address or webhook URL
+ * @returns {string|null} Normalized target, or null if invalid for the channel
+ */
+export function normalizeChannelTarget(type, target) {
+  return CHANNEL_CLASSES[type] ? CHANNEL_CLASSES[type].normalizeTarget(target) : null;
+}
+
+/**
+ * Parse "to=To,from=From,text=Body" into field names
+ * @param {string} value - Field mapping
+ * @returns {Object} Field names by role
+ */
+function parseFieldMap(value) {
+  if (!value) {
+    return {};
+  }
+
+  return Object.fromEntries(
+    value.split(',')
+      .map(pair => pair.split('=').map(part => part.trim()))
+      .filter(([role, name]) => ['to', 'from', 'text'].includes(role) && name)
+  );
+}
+
+/**
+ * Create the notification channels enabled by environment configuration
+ * Slack and Teams only need the users' webhook URLs; SMS needs
+ * SMS_GATEWAY_URL and email needs SMTP_HOST and SMTP_FROM.
+ * @param {Object} env - Environment variables (defaults to process.env)
+ * @returns {Object} Channels by type
+ */
+export function createChannels(env = process.env) {
+  const channels = {
+    slack: new SlackChannel(),
+    teams: new TeamsChannel()
+  };
+
+  if (env.SMS_GATEWAY_URL) {
+    channels.sms = new SmsChannel({
+      url: env.SMS_GATEWAY_URL,
+      authorization: env.SMS_GATEWAY_AUTHORIZATION || null,
+      from: env.SMS_FROM || null,
+      format: (env.SMS_GATEWAY_FORMAT || 'json').toLowerCase(),
+      fields: parseFieldMap(env.SMS_GATEWAY_FIELDS)
+    });
+  }
+
+  if (env.SMTP_HOST) {
+    const secure = env.SMTP_SECURE === 'true';
+    channels.email = new EmailChannel({
+      host: env.SMTP_HOST,
+      port: parseInt(env.SMTP_PORT, 10) || (secure ? 465 : 587),
+      secure,
+      user: env.SMTP_USER || null,
+      password: env.SMTP_PASSWORD || '',
+      from: env.SMTP_FROM
+    });
+  }
+
+  return channels;
+}
+
+export { SmsChannel, EmailChannel, SlackChannel, TeamsChannel, ChannelError };
@@ -0,0 +1,63 @@
+import { checkWebhookUrl, postMessage } from './http.js';
+
+const SLACK_HOSTS = [/^hooks\.slack\.com$/];
+
+/**
+ * Escape text for Slack mrkdwn
+ * @param {string} text - Plain text
+ * @returns {string} Escaped text
+ */
+function escapeSlackText(text) {
+  return text.replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;');
+}
+
+/**
+ * Slack incoming webhooks
+ * Each user configures the webhook of the channel or DM they want calls in.
+ */
+export class SlackChannel {
+  constructor() {
+    this.name = 'slack';
+  }
+
+  /**
+   * Normalize a recipient for this channel
+   * @param {string} target - Incoming webhook URL
+   * @returns {string|null} URL, or null if it is not a Slack webhook
+   */
+  static normalizeTarget(target) {
+    return checkWebhookUrl(target, SLACK_HOSTS);
+  }
+
+  /**
+   * Send a call message with a button opening the call page
+   * @param {string} target - Incoming webhook URL
+   * @param {Object} message - Message (title, body, url, actionTitle)
+   * @returns {Object} Slack response (statusCode, body)
+   */
+  async send(target, message) {
+    const body = {
+      text: `${message.title}\n${message.body}`,
+      blocks: [
+        {
+          type: 'section',
+          text: { type: 'mrkdwn', text: `*${escapeSlackText(message.title)}*\n${escapeSlackText(message.body)}` }
+        },
+        {
+          type: 'actions',
+          elements: [{
+            type: 'button',
+            style: 'primary',
+            text: { type: 'plain_text', text: message.actionTitle },
+            url: message.url
+          }]
+        }
+      ]
+    };
+
+    return postMessage('Slack', target, {
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify(body)
+    });
+  }
+}
@@ -0,0 +1,69 @@
+import { normalizePhoneNumber } from '../phone.js';
+import { postMessage } from './http.js';
+
+/**
+ * SMS through a generic HTTP gateway
+ * The gateway gets a POST with the recipient, sender and text, as JSON or as
+ * a form. Field names can be renamed to match the gateway's API, e.g.
+ * "to=To,from=From,text=Body" for Twilio.
+ */
+export class SmsChannel {
+  /**
+   * @param {Object} options - Channel options
+   * @param {string} options.url - Gateway URL
+   * @param {string} options.authorization - Authorization header value (e.g. "Bearer …" or "Basic …")
+   * @param {string} options.from - Sender number or name
+   * @param {string} options.format - Request body format: json or form
+   * @param {Object} options.fields - Field names for to, from and text
+   */
+  constructor({ url, authorization = null, from = null, format = 'json', fields = {} }) {
+    if (!['json', 'form'].includes(format)) {
+      throw new Error(`Unknown SMS gateway format: ${format} (use json or form)`);
+    }
+
+    this.name = 'sms';
+    this.url = url;
+    this.authorization = authorization;
+    this.from = from;
+    this.format = format;
+    this.fields = { to: 'to', from: 'from', text: 'text', ...fields };
+  }
+
+  /**
+   * Normalize a recipient for this channel
+   * @param {string} target - Phone number in international format
+   * @returns {string|null} E.164 number, or null if invalid
+   */
+  static normalizeTarget(target) {
+    const number = normalizePhoneNumber(target);
+    return number.valid && !number.extension && !number.postDial ? number.e164 : null;
+  }
+
+  /**
+   * Send a call message
+   * @param {string} target - E.164 phone number
+   * @param {Object} message - Message (title, body, url, actionTitle)
+   * @returns {Object} Gateway response (statusCode, body)
+   */
+  async send(target, message) {
+    const values = {
+      [this.fields.to]: target,
+      [this.fields.text]: [message.title, message.body, message.url].join('\n')
+    };
+    if (this.from) {
+      values[this.fields.from] = this.from;
+    }
+
+    const headers = {
+      'Content-Type': this.format === 'form' ? 'application/x-www-form-urlencoded' : 'application/json'
+    };
+    if (this.authorization) {
+      headers.Authorization = this.authorization;
+    }
+
+    return postMessage('SMS gateway', this.url, {
+      headers,
+      body: this.format === 'form' ? new URLSearchParams(values).toString() : JSON.stringify(values)
+    });
+  }
+}
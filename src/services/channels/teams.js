@@ -0,0 +1,56 @@
+import { checkWebhookUrl, postMessage } from './http.js';
+
+// Incoming webhook connectors and Power Automate workflow triggers
+const TEAMS_HOSTS = [
+  /(^|\.)webhook\.office\.com$/,
+  /\.logic\.azure\.com$/,
+  /\.api\.powerplatform\.com$/
+];
+
+/**
+ * Microsoft Teams incoming webhooks (connectors or Workflows)
+ * Messages are Adaptive Cards, which both webhook kinds accept.
+ */
+export class TeamsChannel {
+  constructor() {
+    this.name = 'teams';
+  }
+
+  /**
+   * Normalize a recipient for this channel
+   * @param {string} target - Webhook URL
+   * @returns {string|null} URL, or null if it is not a Teams webhook
+   */
+  static normalizeTarget(target) {
+    return checkWebhookUrl(target, TEAMS_HOSTS);
+  }
+
+  /**
+   * Send a call message with a button opening the call page
+   * @param {string} target - Webhook URL
+   * @param {Object} message - Message (title, body, url, actionTitle)
+   * @returns {Object} Teams response (statusCode, body)
+   */
+  async send(target, message) {
+    const card = {
+      $schema: 'http://adaptivecards.io/schemas/adaptive-card.json',
+      type: 'AdaptiveCard',
+      version: '1.4',
+      body: [
+        { type: 'TextBlock', text: message.title, weight: 'Bolder', size: 'Medium', wrap: true },
+        { type: 'TextBlock', text: message.body, wrap: true }
+      ],
+      actions: [
+        { type: 'Action.OpenUrl', title: message.actionTitle, url: message.url }
+      ]
+    };
+
+    return postMessage('Teams', target, {
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify({
+        type: 'message',
+        attachments: [{ contentType: 'application/vnd.microsoft.card.adaptive', contentUrl: null, content: card }]
+      })
+    });
+  }
+}
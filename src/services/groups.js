@@ -0,0 +1,170 @@
+import { MemoryBackend, createBackend } from './storage/index.js';
+import logger from './logger.js';
+
+/**
+ * Groups of users that call webhooks can target (e.g. an inbound team)
+ */
+class GroupService {
+  constructor() {
+    // tenantId -> groupId -> { id, name, members, createdAt, updatedAt }
+    this.tenants = new Map();
+
+    // Persistence backend, replaced in initialize()
+    this.backend = new MemoryBackend();
+  }
+
+  /**
+   * Select the persistence backend and load stored groups
+   * @param {Object} backend - Optional backend instance (defaults to STORAGE_BACKEND config)
+   */
+  initialize(backend = createBackend('groups')) {
+    this.backend = backend;
+    this.tenants = new Map();
+
+    const data = this.backend.load();
+    if (data && data.tenants) {
+      for (const [tenantId, groups] of Object.entries(data.tenants)) {
+        this.tenants.set(tenantId, new Map(Object.entries(groups)));
+      }
+    }
+  }
+
+  /**
+   * Write the current state to the backend
+   */
+  persist() {
+    const tenants = {};
+    for (const [tenantId, groups] of this.tenants) {
+      tenants[tenantId] = Object.fromEntries(groups);
+    }
+
+    try {
+      this.backend.save({ tenants });
+    } catch (error) {
+      logger.error('Failed to persist groups', { error });
+    }
+  }
+
+  /**
+   * Get a group
+   * @param {string} tenantId - Tenant identifier
+   * @param {string} groupId - Group identifier
+   * @returns {Object|null} Group or null if not found
+   */
+  getGroup(tenantId, groupId) {
+    const group = this.tenants.get(tenantId)?.get(groupId);
+    return group ? structuredClone(group) : null;
+  }
+
+  /**
+   * List groups
+   * @param {string} tenantId - Optional tenant filter
+   * @returns {Array} Groups with their tenantId
+   */
+  listGroups(tenantId) {
+    const groups = [];
+    for (const [groupTenantId, tenantGroups] of this.tenants) {
+      if (tenantId && groupTenantId !== tenantId) {
+        continue;
+      }
+
+      for (const group of tenantGroups.values()) {
+        groups.push({ tenantId: groupTenantId, ...structuredClone(group) });
+      }
+    }
+    return groups;
+  }
+
+  /**
+   * Create or replace a group
+   * @param {string} tenantId - Tenant identifier
+   * @param {string} groupId - Group identifier
+   * @param {Object} details - Group details
+   * @param {string} details.name - Display name
+   * @param {Array<string>} details.members - User IDs
+   * @returns {Object} Saved group
+   */
+  saveGroup(tenantId, groupId, { name = null, members = [] }) {
+    if (!this.tenants.has(tenantId)) {
+      this.tenants.set(tenantId, new Map());
+    }
+
+    const groups = this.tenants.get(tenantId);
+    const existing = groups.get(groupId);
+    const now = new Date().toISOString();
+
+    groups.set(groupId, {
+      id: groupId,
+      name,
+      members: [...new Set(members)],
+      createdAt: existing ? existing.createdAt : now,
+      updatedAt: now
+    });
+    this.persist();
+
+    return this.getGroup(tenantId, groupId);
+  }
+
+  /**
+   * Add a user to a group
+   * @param {string} tenantId - Tenant identifier
+   * @param {string} groupId - Group identifier
+   * @param {string} userId - User identifier
+   * @returns {Object|null} Updated group or null if the group does not exist
+   */
+  addMember(tenantId, groupId, userId) {
+    const group = this.tenants.get(tenantId)?.get(groupId);
+    if (!group) {
+      return null;
+    }
+
+    if (!group.members.includes(userId)) {
+      group.members.push(userId);
+      group.updatedAt = new Date().toISOString();
+      this.persist();
+    }
+
+    return this.getGroup(tenantId, groupId);
+  }
+
+  /**
+   * Remove a user from a group
+   * @param {string} tenantId - Tenant identifier
+   * @param {string} groupId - Group identifier
+   * @param {string} userId - User identifier
+   * @returns {Object|null} Updated group or null if the group or member does not exist
+   */
+  removeMember(tenantId, groupId, userId) {
+    const group = this.tenants.get(tenantId)?.get(groupId);
+    if (!group || !group.members.includes(userId)) {
+      return null;
+    }
+
+    group.members = group.members.filter(member => member !== userId);
+    group.updatedAt = new Date().toISOString();
+    this.persist();
+
+    return this.getGroup(tenantId, groupId);
+  }
+
+  /**
+   * Delete a group
+   * @param {string} tenantId - Tenant identifier
+   * @param {string} groupId - Group identifier
+   * @returns {boolean} True if the group existed
+   */
+  deleteGroup(tenantId, groupId) {
+    const groups = this.tenants.get(tenantId);
+    if (!groups || !groups.delete(groupId)) {
+      return false;
+    }
+
+    if (groups.size === 0) {
+      this.tenants.delete(tenantId);
+    }
+    this.persist();
+    return true;
+  }
+}
+
+export default new GroupService();
@@ -0,0 +1,415 @@
+export const DEFAULT_LOCALE = 'en';
+
+// Translations by locale; {name} placeholders are filled by translate().
+// Keys starting with CLIENT_PREFIXES are also served to the browser (/i18n.js).
+const CATALOG = {
+  en: {
+    'language.name': 'English',
+
+    'notification.title': '📞 Incoming CRM Call',
+    'notification.titleContact': '📞 Call {name}',
+    'notification.titleContactCompany': '📞 Call {name} ({company})',
+    'notification.body': 'Tap to call {number}',
+    'notification.callAction': 'Call Now',
+    'notification.testTitle': '🔔 Test notification',
+    'notification.testBody': 'This is a test, not a call. Push notifications are working on this device.',
+    'notification.takenTitle': '✅ Call taken',
+    'notification.takenBody': '{name} is taking this call.',
+
+    'call.title': 'Calling {number}',
+    'call.heading': '📞 Calling',
+    'call.button': '📱 Call Now',
+    'call.hint': "If the call doesn't start automatically, tap the button above.",
+    'call.openInCrm': 'Open in CRM ↗',
+    'call.openPage': 'Open page ↗',
+    'call.outcomeHeading': 'How did the call go?',
+    'call.outcomeNote': 'Short note (optional)',
+    'call.outcomeLogToCrm': 'Log the call in the CRM',
+    'call.outcomeSave': '💾 Save',
+    'call.outcomeSkip': 'Skip',
+    'call.outcomeSaved': '✅ Saved to your call history',
+    'call.outcomeFailed': 'Could not save the outcome, please try again',
+    'outcome.reached': 'Reached',
+    'outcome.voicemail': 'Voicemail',
+    'outcome.no_answer': 'No answer',
+    'outcome.wrong_number': 'Wrong number',
+    'error.title': 'Call Error',
+    'error.heading': '❌ Error',
+    'error.missingNumber': 'Missing phone number parameter',
+    'error.invalidNumber': 'Invalid phone number',
+    'common.backHome': '← Back to Home',
+
+    'sw.fallbackTitle': '📞 CRM Call',
+    'sw.fallbackBody': 'You have an incoming call',
+
+    'register.pageTitle': 'CRM Mobile Push - Registration',
+    'register.language': 'Language:',
+    'register.setupTitle': 'Setup Instructions',
+    'register.setupStep1': 'Open the pairing link from your CRM, or paste your pairing code',
+    'register.setupStep2': 'Click "Enable Push Notifications" to register your device',
+    'register.setupStep3': 'Allow notifications when prompted by your browser',
+    'register.setupStep4': 'Your device is now ready to receive CRM call notifications!',
+    'register.iosTitle': '📱 iOS Users:',
+    'register.iosIntro': 'For push notifications to work on iOS, you must:',
+    'register.iosStep1': 'Use Safari browser (iOS 16.4+)',
+    'register.iosStep2': 'Add this page to your Home Screen first',
+    'register.iosStep3': 'Open the app from the Home Screen icon',
+    'register.iosStep4': 'Then enable notifications',
+    'register.userIdLabel': 'User ID:',
+    'register.userIdPlaceholder': 'Enter your CRM user ID (e.g., sales-001)',
+    'register.pairingCodeLabel': 'Pairing Code:',
+    'register.pairingCodePlaceholder': 'Paste the pairing code from your CRM',
+    'register.pairedAs': '🔗 Paired as {userId}',
+    'register.enableButton': '🔔 Enable Push Notifications',
+    'register.registeringButton': '⏳ Registering...',
+    'register.enabledButton': '✅ Notifications Enabled',
+    'register.reregisterButton': '🔄 Re-register Push Notifications',
+    'register.devicesTitle': 'Your Devices',
+    'register.unregisterButton': '🚫 Unregister This Device',
+    'register.testButton': '🧪 Send Test Notification',
+    'register.footerPair': 'Pair a device:',
+    'register.footerWebhook': 'Test the webhook:',
+    'register.footerWithHeader': 'with header',
+    'register.footerBody': 'Body:',
+    'register.noServiceWorker': 'Service Workers are not supported in this browser',
+    'register.noPush': 'Push messaging is not supported in this browser',
+    'register.keysChanged': 'Server keys changed, renewing your registration...',
+    'register.alreadyEnabled': '✅ Push notifications are already enabled for this device',
+    'register.settingUp': 'Setting up push notifications...',
+    'register.success': '🎉 Push notifications enabled successfully! You will now receive CRM call notifications.',
+    'register.failed': 'Registration failed: {error}',
+    'register.enterUserId': 'Please enter your User ID',
+    'register.enterPairingCode': 'Please enter the pairing code from your CRM',
+    'register.serviceWorkerFailed': 'Service Worker registration failed: {error}',
+    'register.vapidKeyFailed': 'Failed to get VAPID key: {error}',
+    'register.permissionDenied': 'Push notifications permission denied. Please allow notifications and try again.',
+    'register.subscriptionCancelled': 'Push subscription was cancelled. Please try again.',
+    'register.subscriptionFailed': 'Push subscription failed: {error}',
+    'register.serverFailed': 'Failed to register with server: {error}',
+    'register.thisDevice': '{name} (this device)',
+    'register.lastPush': 'Last push: {date}',
+    'register.registeredAt': 'Registered: {date}',
+    'register.rename': 'Rename',
+    'register.remove': 'Remove',
+    'register.deviceNamePrompt': 'Device name:',
+    'register.renameFailed': 'Failed to rename device: {error}',
+    'register.removeConfirm': 'Remove "{name}"? It will no longer receive call notifications.',
+    'register.deviceRemoved': 'Device removed',
+    'register.removeFailed': 'Failed to remove device: {error}',
+    'register.unregistered': 'This device has been unregistered',
+    'register.unregisterFailed': 'Failed to unregister: {error}',
+    'register.testSending': 'Sending test notification...',
+    'register.testSent': '✅ The push service accepted the test notification (HTTP {status}). It should appear on this device in a moment.',
+    'register.testRejected': 'The push service rejected the test notification: {error}',
+    'register.testExpired': 'The push service no longer accepts this subscription (HTTP {status}). Please enable push notifications again.',
+    'register.testFailed': 'Failed to send test notification: {error}',
+    'register.languageFailed': 'Failed to change the notification language: {error}',
+    'register.routingTitle': 'Availability',
+    'register.routingIntro': 'Outside your working hours or with do-not-disturb on, calls go to your fallback colleagues instead.',
+    'register.routingTimezone': 'Timezone',
+    'register.routingLimitHours': 'Only notify me during working hours',
+    'register.routingDays': 'Working days',
+    'register.routingFrom': 'From',
+    'register.routingTo': 'To',
+    'register.routingDoNotDisturb': 'Do not disturb',
+    'register.routingFallback': 'Fallback users (comma-separated user IDs)',
+    'register.routingFallbackGroup': 'Fallback team (group ID)',
+    'register.routingSave': '💾 Save Availability',
+    'register.routingSaved': 'Availability saved',
+    'register.routingSaveFailed': 'Failed to save availability: {error}',
+    'register.routingAvailable': '🟢 You currently receive call notifications',
+    'register.routingDoNotDisturbActive': '🔕 Do not disturb is on, calls go to your fallback users',
+    'register.routingOutsideHours': '🌙 Outside your working hours, calls go to your fallback users',
+    'register.channelsTitle': 'Other Channels',
+    'register.channelsIntro': 'Get calls by SMS, email, Slack or Teams as well. Channels are tried from top to bottom until one works.',
+    'register.channelsMode': 'Send call messages',
+    'register.channelsModeFallback': 'Only when no device got the push',
+    'register.channelsModeAlways': 'For every call',
+    'register.channelsSms': 'SMS to (international format, e.g. +4915112345678)',
+    'register.channelsEmail': 'Email to',
+    'register.channelsSlack': 'Slack incoming webhook URL',
+    'register.channelsTeams': 'Microsoft Teams webhook URL',
+    'register.channelsSave': '💾 Save Channels',
+    'register.channelsSaved': 'Channels saved',
+    'register.channelsSaveFailed': 'Failed to save channels: {error}',
+    'register.sendToPhoneTitle': 'Send to Phone',
+    'register.sendToPhoneIntro': 'Send numbers from LinkedIn, supplier portals or emails to your phones with a bookmarklet. Create a personal token for each computer you use it on.',
+    'register.sendToPhoneLabel': 'Token name (e.g. Work laptop)',
+    'register.sendToPhoneCreate': '🔑 Create Personal Token',
+    'register.sendToPhoneCreated': 'Copy your token now, it is only shown once:',
+    'register.sendToPhoneSetup': 'Set up the bookmarklet on this computer ↗',
+    'register.sendToPhoneLastUsed': 'Last used: {date}',
+    'register.sendToPhoneNeverUsed': 'Never used',
+    'register.sendToPhoneRevoke': 'Revoke',
+    'register.sendToPhoneRevokeConfirm': 'Revoke "{name}"? Bookmarklets using it stop working.',
+    'register.sendToPhoneCreateFailed': 'Failed to create personal token: {error}',
+    'register.sendToPhoneRevokeFailed': 'Failed to revoke personal token: {error}',
+    'register.historyTitle': 'Call History',
+    'register.historyEmpty': 'No calls yet',
+    'register.historyNoOutcome': 'No outcome yet',
+    'register.historyTakenBy': 'Taken by {userId}',
+    'register.historyLog': 'Log outcome',
+    'register.historyEdit': 'Edit',
+
+    'send.pageTitle': 'CRM Mobile Push - Send to Phone',
+    'send.heading': '📱 Send to Phone',
+    'send.tokenTitle': 'Personal Token',
+    'send.tokenIntro': 'Create a personal token on the registration page of your phone and paste it here.',
+    'send.tokenLabel': 'Personal token',
+    'send.tokenSave': '💾 Save Token',
+    'send.tokenForget': 'Forget Token',
+    'send.tokenInvalid': 'The personal token is invalid or was revoked.',
+    'send.checkFailed': 'Failed to check the personal token: {error}',
+    'send.connected': '🔗 Connected as {userId} · registered phones: {devices}',
+    'send.noDevices': 'No phone is registered yet. Enable push notifications on your phone first.',
+    'send.bookmarkletTitle': 'Bookmarklet',
+    'send.bookmarkletIntro': 'Drag this button to your bookmarks bar. On any page, select a number (or nothing to scan the whole page) and click the bookmark.',
+    'send.bookmarkletLink': '📞 Send to phone',
+    'send.pickTitle': 'Choose a number',
+    'send.noNumbers': 'No phone numbers found on the page. Enter one below.',
+    'send.otherNumber': 'Other number',
+    'send.enterTitle': 'Enter a number',
+    'send.phoneNumber': 'Phone number',
+    'send.contactName': 'Contact name',
+    'send.note': 'Note',
+    'send.sendButton': '📱 Send to My Phones',
+    'send.sending': '⏳ Sending...',
+    'send.sent': '✅ Sent to {sent} of {total} phones',
+    'send.notDelivered': 'None of your phones accepted the notification. Check them on the registration page.',
+    'send.queued': '✅ Sending to your phones',
+    'send.failed': 'Sending failed: {error}',
+    'send.enterNumber': 'Please choose or enter a phone number'
+  },
+  de: {
+    'language.name': 'Deutsch',
+
+    'notification.title': '📞 Eingehender CRM-Anruf',
+    'notification.titleContact': '📞 {name} anrufen',
+    'notification.titleContactCompany': '📞 {name} ({company}) anrufen',
+    'notification.body': 'Tippen, um {number} anzurufen',
+    'notification.callAction': 'Jetzt anrufen',
+    'notification.testTitle': '🔔 Testbenachrichtigung',
+    'notification.testBody': 'Dies ist ein Test, kein Anruf. Push-Benachrichtigungen funktionieren auf diesem Gerät.',
+    'notification.takenTitle': '✅ Anruf übernommen',
+    'notification.takenBody': '{name} übernimmt diesen Anruf.',
+
+    'call.title': 'Anruf: {number}',
+    'call.heading': '📞 Anruf wird gestartet',
+    'call.button': '📱 Jetzt anrufen',
+    'call.hint': 'Falls der Anruf nicht automatisch startet, tippen Sie auf die Schaltfläche oben.',
+    'call.openInCrm': 'Im CRM öffnen ↗',
+    'call.openPage': 'Seite öffnen ↗',
+    'call.outcomeHeading': 'Wie lief der Anruf?',
+    'call.outcomeNote': 'Kurze Notiz (optional)',
+    'call.outcomeLogToCrm': 'Anruf im CRM protokollieren',
+    'call.outcomeSave': '💾 Speichern',
+    'call.outcomeSkip': 'Überspringen',
+    'call.outcomeSaved': '✅ In Ihrem Anrufverlauf gespeichert',
+    'call.outcomeFailed': 'Das Ergebnis konnte nicht gespeichert werden, bitte versuchen Sie es erneut',
+    'outcome.reached': 'Erreicht',
+    'outcome.voicemail': 'Mailbox',
+    'outcome.no_answer': 'Keine Antwort',
+    'outcome.wrong_number': 'Falsche Nummer',
+    'error.title': 'Fehler beim Anruf',
+    'error.heading': '❌ Fehler',
+    'error.missingNumber': 'Die Telefonnummer fehlt',
+    'error.invalidNumber': 'Ungültige Telefonnummer',
+    'common.backHome': '← Zurück zur Startseite',
+
+    'sw.fallbackTitle': '📞 CRM-Anruf',
+    'sw.fallbackBody': 'Sie haben einen eingehenden Anruf',
+
+    'register.pageTitle': 'CRM Mobile Push - Registrierung',
+    'register.language': 'Sprache:',
+    'register.setupTitle': 'Einrichtung',
+    'register.setupStep1': 'Öffnen Sie den Kopplungslink aus Ihrem CRM oder fügen Sie Ihren Kopplungscode ein',
+    'register.setupStep2': 'Klicken Sie auf „Push-Benachrichtigungen aktivieren“, um Ihr Gerät zu registrieren',
+    'register.setupStep3': 'Erlauben Sie Benachrichtigungen, wenn Ihr Browser danach fragt',
+    'register.setupStep4': 'Ihr Gerät empfängt jetzt Anrufbenachrichtigungen aus dem CRM!',
+    'register.iosTitle': '📱 iOS-Nutzer:',
+    'register.iosIntro': 'Damit Push-Benachrichtigungen unter iOS funktionieren, müssen Sie:',
+    'register.iosStep1': 'Safari verwenden (iOS 16.4+)',
+    'register.iosStep2': 'Diese Seite zuerst zum Home-Bildschirm hinzufügen',
+    'register.iosStep3': 'Die App über das Symbol auf dem Home-Bildschirm öffnen',
+    'register.iosStep4': 'Dann Benachrichtigungen aktivieren',
+    'register.userIdLabel': 'Benutzer-ID:',
+    'register.userIdPlaceholder': 'Ihre CRM-Benutzer-ID (z. B. sales-001)',
+    'register.pairingCodeLabel': 'Kopplungscode:',
+    'register.pairingCodePlaceholder': 'Kopplungscode aus dem CRM einfügen',
+    'register.pairedAs': '🔗 Gekoppelt als {userId}',
+    'register.enableButton': '🔔 Push-Benachrichtigungen aktivieren',
+    'register.registeringButton': '⏳ Registrierung läuft...',
+    'register.enabledButton': '✅ Benachrichtigungen aktiviert',
+    'register.reregisterButton': '🔄 Push-Benachrichtigungen neu registrieren',
+    'register.devicesTitle': 'Ihre Geräte',
+    'register.unregisterButton': '🚫 Dieses Gerät abmelden',
+    'register.testButton': '🧪 Testbenachrichtigung senden',
+    'register.footerPair': 'Gerät koppeln:',
+    'register.footerWebhook': 'Webhook testen:',
+    'register.footerWithHeader': 'mit Header',
+    'register.footerBody': 'Body:',
+    'register.noServiceWorker': 'Service Worker werden von diesem Browser nicht unterstützt',
+    'register.noPush': 'Push-Nachrichten werden von diesem Browser nicht unterstützt',
+    'register.keysChanged': 'Die Serverschlüssel haben sich geändert, Ihre Registrierung wird erneuert...',
+    'register.alreadyEnabled': '✅ Push-Benachrichtigungen sind für dieses Gerät bereits aktiviert',
+    'register.settingUp': 'Push-Benachrichtigungen werden eingerichtet...',
+    'register.success': '🎉 Push-Benachrichtigungen wurden aktiviert! Sie erhalten jetzt Anrufbenachrichtigungen aus dem CRM.',
+    'register.failed': 'Registrierung fehlgeschlagen: {error}',
+    'register.enterUserId': 'Bitte geben Sie Ihre Benutzer-ID ein',
+    'register.enterPairingCode': 'Bitte geben Sie den Kopplungscode aus Ihrem CRM ein',
+    'register.serviceWorkerFailed': 'Registrierung des Service Workers fehlgeschlagen: {error}',
+    'register.vapidKeyFailed': 'VAPID-Schlüssel konnte nicht geladen werden: {error}',
+    'register.permissionDenied': 'Benachrichtigungen wurden abgelehnt. Bitte erlauben Sie Benachrichtigungen und versuchen Sie es erneut.',
+    'register.subscriptionCancelled': 'Das Push-Abonnement wurde abgebrochen. Bitte versuchen Sie es erneut.',
+    'register.subscriptionFailed': 'Push-Abonnement fehlgeschlagen: {error}',
+    'register.serverFailed': 'Registrierung beim Server fehlgeschlagen: {error}',
+    'register.thisDevice': '{name} (dieses Gerät)',
+    'register.lastPush': 'Letzte Benachrichtigung: {date}',
+    'register.registeredAt': 'Registriert: {date}',
+    'register.rename': 'Umbenennen',
+    'register.remove': 'Entfernen',
+    'register.deviceNamePrompt': 'Gerätename:',
+    'register.renameFailed': 'Gerät konnte nicht umbenannt werden: {error}',
+    'register.removeConfirm': '„{name}“ entfernen? Das Gerät erhält dann keine Anrufbenachrichtigungen mehr.',
+    'register.deviceRemoved': 'Gerät entfernt',
+    'register.removeFailed': 'Gerät konnte nicht entfernt werden: {error}',
+    'register.unregistered': 'Dieses Gerät wurde abgemeldet',
+    'register.unregisterFailed': 'Abmelden fehlgeschlagen: {error}',
+    'register.testSending': 'Testbenachrichtigung wird gesendet...',
+    'register.testSent': '✅ Der Push-Dienst hat die Testbenachrichtigung angenommen (HTTP {status}). Sie sollte gleich auf diesem Gerät erscheinen.',
+    'register.testRejected': 'Der Push-Dienst hat die Testbenachrichtigung abgelehnt: {error}',
+    'register.testExpired': 'Der Push-Dienst akzeptiert dieses Abonnement nicht mehr (HTTP {status}). Bitte aktivieren Sie die Push-Benachrichtigungen erneut.',
+    'register.testFailed': 'Testbenachrichtigung konnte nicht gesendet werden: {error}',
+    'register.languageFailed': 'Sprache der Benachrichtigungen konnte nicht geändert werden: {error}',
+    'register.routingTitle': 'Erreichbarkeit',
+    'register.routingIntro': 'Außerhalb Ihrer Arbeitszeiten oder bei aktiviertem „Nicht stören“ gehen Anrufe an Ihre Vertretungen.',
+    'register.routingTimezone': 'Zeitzone',
+    'register.routingLimitHours': 'Nur während der Arbeitszeit benachrichtigen',
+    'register.routingDays': 'Arbeitstage',
+    'register.routingFrom': 'Von',
+    'register.routingTo': 'Bis',
+    'register.routingDoNotDisturb': 'Nicht stören',
+    'register.routingFallback': 'Vertretungen (Benutzer-IDs, durch Komma getrennt)',
+    'register.routingFallbackGroup': 'Vertretungsteam (Gruppen-ID)',
+    'register.routingSave': '💾 Erreichbarkeit speichern',
+    'register.routingSaved': 'Erreichbarkeit gespeichert',
+    'register.routingSaveFailed': 'Erreichbarkeit konnte nicht gespeichert werden: {error}',
+    'register.routingAvailable': '🟢 Sie erhalten derzeit Anrufbenachrichtigungen',
+    'register.routingDoNotDisturbActive': '🔕 „Nicht stören“ ist aktiv, Anrufe gehen an Ihre Vertretungen',
+    'register.routingOutsideHours': '🌙 Außerhalb Ihrer Arbeitszeit, Anrufe gehen an Ihre Vertretungen',
+    'register.channelsTitle': 'Weitere Kanäle',
+    'register.channelsIntro': 'Anrufe zusätzlich per SMS, E-Mail, Slack oder Teams erhalten. Die Kanäle werden von oben nach unten versucht, bis einer funktioniert.',
+    'register.channelsMode': 'Anrufnachrichten senden',
+    'register.channelsModeFallback': 'Nur wenn kein Gerät die Push-Nachricht erhalten hat',
+    'register.channelsModeAlways': 'Bei jedem Anruf',
+    'register.channelsSms': 'SMS an (internationales Format, z. B. +4915112345678)',
+    'register.channelsEmail': 'E-Mail an',
+    'register.channelsSlack': 'Slack-Webhook-URL (Incoming Webhook)',
+    'register.channelsTeams': 'Microsoft-Teams-Webhook-URL',
+    'register.channelsSave': '💾 Kanäle speichern',
+    'register.channelsSaved': 'Kanäle gespeichert',
+    'register.channelsSaveFailed': 'Kanäle konnten nicht gespeichert werden: {error}',
+    'register.sendToPhoneTitle': 'Ans Handy senden',
+    'register.sendToPhoneIntro': 'Senden Sie Nummern aus LinkedIn, Lieferantenportalen oder E-Mails per Bookmarklet an Ihre Handys. Erstellen Sie für jeden Computer, auf dem Sie es nutzen, ein persönliches Token.',
+    'register.sendToPhoneLabel': 'Name des Tokens (z. B. Arbeitslaptop)',
+    'register.sendToPhoneCreate': '🔑 Persönliches Token erstellen',
+    'register.sendToPhoneCreated': 'Kopieren Sie Ihr Token jetzt, es wird nur einmal angezeigt:',
+    'register.sendToPhoneSetup': 'Bookmarklet auf diesem Computer einrichten ↗',
+    'register.sendToPhoneLastUsed': 'Zuletzt verwendet: {date}',
+    'register.sendToPhoneNeverUsed': 'Noch nie verwendet',
+    'register.sendToPhoneRevoke': 'Widerrufen',
+    'register.sendToPhoneRevokeConfirm': '„{name}“ widerrufen? Bookmarklets mit diesem Token funktionieren dann nicht mehr.',
+    'register.sendToPhoneCreateFailed': 'Persönliches Token konnte nicht erstellt werden: {error}',
+    'register.sendToPhoneRevokeFailed': 'Persönliches Token konnte nicht widerrufen werden: {error}',
+    'register.historyTitle': 'Anrufverlauf',
+    'register.historyEmpty': 'Noch keine Anrufe',
+    'register.historyNoOutcome': 'Noch kein Ergebnis',
+    'register.historyTakenBy': 'Übernommen von {userId}',
+    'register.historyLog': 'Ergebnis erfassen',
+    'register.historyEdit': 'Bearbeiten',
+
+    'send.pageTitle': 'CRM Mobile Push - Ans Handy senden',
+    'send.heading': '📱 Ans Handy senden',
+    'send.tokenTitle': 'Persönliches Token',
+    'send.tokenIntro': 'Erstellen Sie auf der Registrierungsseite Ihres Handys ein persönliches Token und fügen Sie es hier ein.',
+    'send.tokenLabel': 'Persönliches Token',
+    'send.tokenSave': '💾 Token speichern',
+    'send.tokenForget': 'Token vergessen',
+    'send.tokenInvalid': 'Das persönliche Token ist ungültig oder wurde widerrufen.',
+    'send.checkFailed': 'Das persönliche Token konnte nicht geprüft werden: {error}',
+    'send.connected': '🔗 Verbunden als {userId} · registrierte Handys: {devices}',
+    'send.noDevices': 'Es ist noch kein Handy registriert. Aktivieren Sie zuerst Push-Benachrichtigungen auf Ihrem Handy.',
+    'send.bookmarkletTitle': 'Bookmarklet',
+    'send.bookmarkletIntro': 'Ziehen Sie diese Schaltfläche in Ihre Lesezeichenleiste. Markieren Sie auf einer beliebigen Seite eine Nummer (oder nichts, um die ganze Seite zu durchsuchen) und klicken Sie auf das Lesezeichen.',
+    'send.bookmarkletLink': '📞 Ans Handy senden',
+    'send.pickTitle': 'Nummer auswählen',
+    'send.noNumbers': 'Auf der Seite wurden keine Telefonnummern gefunden. Geben Sie unten eine ein.',
+    'send.otherNumber': 'Andere Nummer',
+    'send.enterTitle': 'Nummer eingeben',
+    'send.phoneNumber': 'Telefonnummer',
+    'send.contactName': 'Name des Kontakts',
+    'send.note': 'Notiz',
+    'send.sendButton': '📱 An meine Handys senden',
+    'send.sending': '⏳ Wird gesendet...',
+    'send.sent': '✅ An {sent} von {total} Handys gesendet',
+    'send.notDelivered': 'Keines Ihrer Handys hat die Benachrichtigung angenommen. Prüfen Sie sie auf der Registrierungsseite.',
+    'send.queued': '✅ Wird an Ihre Handys gesendet',
+    'send.failed': 'Senden fehlgeschlagen: {error}',
+    'send.enterNumber': 'Bitte wählen Sie eine Telefonnummer aus oder geben Sie eine ein'
+  }
+};
+
+const CLIENT_PREFIXES = ['language.', 'outcome.', 'register.', 'send.', 'sw.'];
+
+export const SUPPORTED_LOCALES = Object.keys(CATALOG);
+
+/**
+ * Map a language tag to a supported locale
+ * @param {string} tag - Language tag such as "de-AT"
+ * @returns {string|null} Supported locale or null
+ */
+export function toSupportedLocale(tag) {
+  if (!tag || typeof tag !== 'string') {
+    return null;
+  }
+
+  const language = tag.trim().toLowerCase().split(/[-_]/)[0];
+  return SUPPORTED_LOCALES.includes(language) ? language : null;
+}
+
+/**
+ * Translate a message
+ * Falls back to the default locale, then to the key itself.
+ * @param {string} locale - Supported locale
+ * @param {string} key - Message key
+ * @param {Object} params - Values for {name} placeholders
+ * @returns {string} Translated message
+ */
+export function translate(locale, key, params = {}) {
+  const message = CATALOG[locale]?.[key] ?? CATALOG[DEFAULT_LOCALE][key] ?? key;
+  return message.replace(/\{(\w+)\}/g, (placeholder, name) => (name in params ? String(params[name]) : placeholder));
+}
+
+/**
+ * Translation function bound to a locale
+ * @param {string} locale - Supported locale
+ * @returns {Function} (key, params) => message
+ */
+export function getTranslator(locale) {
+  return (key, params) => translate(locale, key, params);
+}
+
+/**
+ * Messages used by the registration and send to phone pages and the service worker
+ * @returns {Object} locale -> key -> message
+ */
+export function getClientMessages() {
+  return Object.fromEntries(
+    Object.entries(CATALOG).map(([locale, messages]) => [
+      locale,
+      Object.fromEntries(
+        Object.entries(messages).filter(([key]) => CLIENT_PREFIXES.some(prefix => key.startsWith(prefix)))
+      )
+    ])
+  );
+}
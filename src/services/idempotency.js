@@ -0,0 +1,182 @@
+import { MemoryBackend, createBackend } from './storage/index.js';
+import logger from './logger.js';
+
+const DEFAULT_WINDOW_SECONDS = 24 * 60 * 60;
+
+/**
+ * Replay protection for webhook requests
+ * Remembers the response of a request under its idempotency key (and
+ * optionally under its user and phone number) so that repeats within the
+ * window get the original response instead of sending another push.
+ */
+class IdempotencyService {
+  constructor() {
+    // Scoped key -> { fingerprint, response, expiresAt, promise }
+    this.entries = new Map();
+
+    // Persistence backend, replaced in initialize()
+    this.backend = new MemoryBackend();
+    this.windowMs = DEFAULT_WINDOW_SECONDS * 1000;
+    this.dedupMs = 0;
+  }
+
+  /**
+   * Select the persistence backend and load stored responses
+   * @param {Object} backend - Optional backend instance (defaults to STORAGE_BACKEND config)
+   */
+  initialize(backend = createBackend('idempotency')) {
+    this.backend = backend;
+    this.windowMs = (parseInt(process.env.IDEMPOTENCY_WINDOW_SECONDS, 10) || DEFAULT_WINDOW_SECONDS) * 1000;
+    this.dedupMs = (parseInt(process.env.WEBHOOK_DEDUP_SECONDS, 10) || 0) * 1000;
+    this.entries = new Map();
+
+    const data = this.backend.load();
+    if (data && Array.isArray(data.entries)) {
+      data.entries.forEach(({ key, ...entry }) => this.entries.set(key, entry));
+    }
+    this.prune();
+  }
+
+  /**
+   * Write completed responses to the backend
+   */
+  persist() {
+    const entries = [];
+    for (const [key, { fingerprint, response, expiresAt }] of this.entries) {
+      if (response) {
+        entries.push({ key, fingerprint, response, expiresAt });
+      }
+    }
+
+    try {
+      this.backend.save({ entries });
+    } catch (error) {
+      logger.error('Failed to persist idempotency keys', { error });
+    }
+  }
+
+  /**
+   * Drop expired entries
+   */
+  prune() {
+    const now = Date.now();
+    for (const [key, entry] of this.entries) {
+      if (entry.expiresAt <= now) {
+        this.entries.delete(key);
+      }
+    }
+  }
+
+  /**
+   * Keys a call webhook is remembered under
+   * @param {string} tenantId - Tenant identifier
+   * @param {Object} request - Validated webhook data
+   * @param {string} request.idempotencyKey - Optional client supplied key
+   * @param {string} request.userId - User the call is for
+   * @param {string} request.groupId - Group the call is for
+   * @param {Array<string>} request.userIds - Users the call is for
+   * @param {string} request.phoneNumber - Number to call
+   * @returns {Array<Object>} Keys with their retention in milliseconds
+   */
+  getCallKeys(tenantId, { idempotencyKey, userId, groupId, userIds, phoneNumber }) {
+    const keys = [];
+
+    if (idempotencyKey) {
+      keys.push({ key: `${tenantId}:key:${idempotencyKey}`, ttlMs: this.windowMs });
+    }
+
+    // Same user (or group, or user list) and number within the dedup window count as one call
+    if (this.dedupMs > 0) {
+      keys.push({ key: `${tenantId}:call:${this.getCallFingerprint({ userId, groupId, userIds, phoneNumber })}`, ttlMs: this.dedupMs });
+    }
+
+    return keys;
+  }
+
+  /**
+   * Identify the content of a call webhook, to tell repeats from different
+   * requests that reuse a key
+   * User lists are sorted, so the same users in another order are the same call.
+   * @param {Object} request - Validated webhook data (userId, groupId or userIds, phoneNumber)
+   * @returns {string} Fingerprint
+   */
+  getCallFingerprint({ userId, groupId, userIds, phoneNumber }) {
+    let target = userId;
+    if (groupId) {
+      target = `group:${groupId}`;
+    } else if (userIds) {
+      target = `users:${[...userIds].sort().join(',')}`;
+    }
+    return `${target}:${phoneNumber}`;
+  }
+
+  /**
+   * Claim keys for a request, or find an earlier request that holds one of them
+   * A request that is still running is returned as well; its promise settles
+   * with the response once it completes.
+   * @param {Array<Object>} keys - Keys from getCallKeys()
+   * @param {string} fingerprint - Identifies the request content
+   * @returns {Object|null} Earlier entry ({ fingerprint, promise }), or null if the keys were claimed
+   */
+  claim(keys, fingerprint) {
+    this.prune();
+
+    for (const { key } of keys) {
+      const entry = this.entries.get(key);
+      if (entry) {
+        return {
+          fingerprint: entry.fingerprint,
+          promise: entry.promise || Promise.resolve(entry.response)
+        };
+      }
+    }
+
+    let resolve;
+    const promise = new Promise(done => { resolve = done; });
+    const entry = { fingerprint, response: null, expiresAt: Infinity, promise, resolve };
+    keys.forEach(({ key }) => this.entries.set(key, entry));
+
+    return null;
+  }
+
+  /**
+   * Store the response of a claimed request
+   * @param {Array<Object>} keys - Keys passed to claim()
+   * @param {Object} response - Response ({ statusCode, body })
+   */
+  complete(keys, response) {
+    const entry = this.entries.get(keys[0]?.key);
+    if (!entry) {
+      return;
+    }
+
+    entry.resolve(response);
+
+    const now = Date.now();
+    for (const { key, ttlMs } of keys) {
+      this.entries.set(key, {
+        fingerprint: entry.fingerprint,
+        response,
+        expiresAt: now + ttlMs
+      });
+    }
+    this.persist();
+  }
+
+  /**
+   * Give up claimed keys after a failed request so a retry is processed again
+   * Requests waiting on the claim get null.
+   * @param {Array<Object>} keys - Keys passed to claim()
+   */
+  release(keys) {
+    const entry = this.entries.get(keys[0]?.key);
+    if (!entry) {
+      return;
+    }
+
+    entry.resolve(null);
+    keys.forEach(({ key }) => this.entries.delete(key));
+  }
+}
+
+export default new IdempotencyService();
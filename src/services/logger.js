@@ -0,0 +1,181 @@
+const LEVELS = {
+  debug: 10,
+  info: 20,
+  warn: 30,
+  error: 40
+};
+
+// Field names whose values are never logged
+const SECRET_FIELD_PATTERN = /token|secret|password|authorization|private|signature|cookie|p256dh|^auth$|^code$/i;
+
+// Field names holding phone numbers
+const PHONE_FIELD_PATTERN = /phone|number$|^to$/i;
+
+// International numbers (+4930…) and tel: URIs inside free text
+const PHONE_TEXT_PATTERN = /(?:tel:|\+)[\d\s\-./()]{6,}\d/gi;
+
+// Digits of a phone number that stay readable
+const VISIBLE_DIGITS = 3;
+
+/**
+ * Mask a phone number, keeping only its last digits
+ * @param {string} value - Phone number
+ * @returns {string} e.g. "***456"
+ */
+export function maskPhoneNumber(value) {
+  const digits = String(value).replace(/\D/g, '');
+  return `***${digits.slice(-VISIBLE_DIGITS)}`;
+}
+
+/**
+ * Structured JSON logger
+ * Writes one JSON object per line with time, level, msg and context fields.
+ * Phone numbers are masked and secrets removed unless redaction is turned off.
+ */
+class Logger {
+  /**
+   * @param {Object} fields - Fields added to every entry
+   * @param {Logger} root - Logger holding the configuration (for child loggers)
+   */
+  constructor(fields = {}, root = null) {
+    this.fields = fields;
+    this.root = root || this;
+
+    if (!root) {
+      this.level = LEVELS.info;
+      this.redact = true;
+    }
+  }
+
+  /**
+   * Apply the logging configuration
+   * @param {Object} options - Logger options
+   * @param {string} options.level - Minimum level: debug, info, warn or error
+   * @param {boolean} options.redact - Mask phone numbers and remove secrets
+   */
+  initialize({ level = 'info', redact = true } = {}) {
+    this.root.level = LEVELS[String(level).toLowerCase()] || LEVELS.info;
+    this.root.redact = redact;
+  }
+
+  /**
+   * Create a logger that adds fields to every entry (e.g. a request ID)
+   * @param {Object} fields - Context fields
+   * @returns {Logger} Child logger
+   */
+  child(fields) {
+    return new Logger({ ...this.fields, ...fields }, this.root);
+  }
+
+  debug(msg, fields) {
+    this.write('debug', msg, fields);
+  }
+
+  info(msg, fields) {
+    this.write('info', msg, fields);
+  }
+
+  warn(msg, fields) {
+    this.write('warn', msg, fields);
+  }
+
+  error(msg, fields) {
+    this.write('error', msg, fields);
+  }
+
+  /**
+   * Write a log entry if its level is enabled
+   * @param {string} level - Log level
+   * @param {string} msg - Message
+   * @param {Object} fields - Context fields
+   */
+  write(level, msg, fields = {}) {
+    if (LEVELS[level] < this.root.level) {
+      return;
+    }
+
+    const entry = {
+      time: new Date().toISOString(),
+      level,
+      msg,
+      ...this.fields,
+      ...fields
+    };
+
+    const line = JSON.stringify(this.root.redact ? this.sanitize(entry) : this.serializeErrors(entry));
+    const stream = LEVELS[level] >= LEVELS.warn ? process.stderr : process.stdout;
+    stream.write(`${line}\n`);
+  }
+
+  /**
+   * Convert Error values into plain objects
+   * @param {Object} entry - Log entry
+   * @returns {Object} Entry that JSON.stringify can represent
+   */
+  serializeErrors(entry) {
+    const result = {};
+    for (const [key, value] of Object.entries(entry)) {
+      result[key] = value instanceof Error ? this.serializeError(value) : value;
+    }
+    return result;
+  }
+
+  serializeError(error) {
+    return {
+      name: error.name,
+      message: error.message,
+      statusCode: error.statusCode,
+      stack: error.stack
+    };
+  }
+
+  /**
+   * Mask phone numbers and remove secrets from a value
+   * @param {*} value - Value to clean
+   * @param {string} key - Field name of the value
+   * @returns {*} Redacted value
+   */
+  sanitize(value, key = '') {
+    if (value === null || value === undefined) {
+      return value;
+    }
+
+    if (SECRET_FIELD_PATTERN.test(key) && typeof value !== 'object') {
+      return '[REDACTED]';
+    }
+
+    if (value instanceof Error) {
+      return this.sanitize(this.serializeError(value), key);
+    }
+
+    if (Array.isArray(value)) {
+      return value.map(item => this.sanitize(item, key));
+    }
+
+    if (typeof value === 'object') {
+      return Object.fromEntries(Object.entries(value).map(([field, item]) => [field, this.sanitize(item, field)]));
+    }
+
+    if (typeof value !== 'string') {
+      return value;
+    }
+
+    if (PHONE_FIELD_PATTERN.test(key)) {
+      return maskPhoneNumber(value);
+    }
+
+    // Push endpoints embed the subscription's capability URL, native ones the device token
+    if (key === 'endpoint') {
+      try {
+        const url = new URL(value);
+        return url.origin !== 'null' ? url.origin : url.protocol;
+      } catch (error) {
+        return '[REDACTED]';
+      }
+    }
+
+    return value.replace(PHONE_TEXT_PATTERN, maskPhoneNumber);
+  }
+}
+
+export default new Logger();
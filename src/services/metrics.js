@@ -0,0 +1,242 @@
+import logger from './logger.js';
+
+// Latency buckets in seconds for push service requests
+const DEFAULT_BUCKETS = [0.05, 0.1, 0.25, 0.5, 1, 2.5, 5, 10];
+
+// Push services by endpoint host
+const PUSH_PROVIDERS = [
+  { provider: 'fcm', pattern: /(^|\.)(fcm|android)\.googleapis\.com$/ },
+  { provider: 'mozilla', pattern: /(^|\.)push\.services\.mozilla\.com$/ },
+  { provider: 'apple', pattern: /(^|\.)push\.apple\.com$/ },
+  { provider: 'windows', pattern: /(^|\.)notify\.windows\.com$/ }
+];
+
+/**
+ * Name of the push service behind a subscription endpoint
+ * @param {string} endpoint - Push subscription endpoint URL, or "fcm:…"/"apns:…" for native devices
+ * @returns {string} fcm, mozilla, apple, windows, other, or fcm_native/apns for native devices
+ */
+export function getPushProvider(endpoint) {
+  if (endpoint.startsWith('fcm:')) {
+    return 'fcm_native';
+  }
+  if (endpoint.startsWith('apns:')) {
+    return 'apns';
+  }
+
+  let host;
+  try {
+    host = new URL(endpoint).hostname;
+  } catch (error) {
+    return 'other';
+  }
+
+  return PUSH_PROVIDERS.find(({ pattern }) => pattern.test(host))?.provider || 'other';
+}
+
+/**
+ * Escape a label value for the Prometheus text format
+ * @param {*} value - Label value
+ * @returns {string} Escaped value
+ */
+function escapeLabelValue(value) {
+  return String(value).replace(/\\/g, '\\\\').replace(/"/g, '\\"').replace(/\n/g, '\\n');
+}
+
+/**
+ * Format a label set, e.g. {outcome="processed"}
+ * @param {Object} labels - Label names and values
+ * @returns {string} Label set, empty without labels
+ */
+function formatLabels(labels) {
+  const pairs = Object.entries(labels).map(([name, value]) => `${name}="${escapeLabelValue(value)}"`);
+  return pairs.length > 0 ? `{${pairs.join(',')}}` : '';
+}
+
+/**
+ * In-process metrics registry with Prometheus text exposition
+ * Counters and histograms are updated where things happen; gauges are filled
+ * by collectors right before each scrape.
+ */
+class MetricsService {
+  constructor() {
+    // name -> { type, help, buckets, series: Map of label key -> { labels, value } }
+    this.metrics = new Map();
+
+    // Functions called before rendering, to update gauges
+    this.collectors = [];
+
+    this.define('counter', 'crm_push_webhook_requests_total',
+      'Call webhook requests by outcome');
+    this.define('counter', 'crm_push_notifications_total',
+      'Push notifications sent to push services by result, status code and provider');
+    this.define('counter', 'crm_push_subscriptions_pruned_total',
+      'Subscriptions removed after the push service answered 410 or 400');
+    this.define('histogram', 'crm_push_send_duration_seconds',
+      'Duration of push service requests in seconds', DEFAULT_BUCKETS);
+    this.define('counter', 'crm_push_channel_messages_total',
+      'Messages sent through SMS, email, Slack or Teams by channel and result');
+    this.define('gauge', 'crm_push_users',
+      'Users with at least one registered device');
+    this.define('gauge', 'crm_push_subscriptions',
+      'Registered push subscriptions');
+    this.define('gauge', 'crm_push_queue_jobs',
+      'Push jobs waiting for a retry or dead-lettered');
+  }
+
+  /**
+   * Register a metric
+   * @param {string} type - counter, gauge or histogram
+   * @param {string} name - Metric name
+   * @param {string} help - Description
+   * @param {Array<number>} buckets - Upper bounds for histograms
+   */
+  define(type, name, help, buckets = null) {
+    this.metrics.set(name, { type, help, buckets, series: new Map() });
+  }
+
+  /**
+   * Get the series of a metric for a label set, creating it if needed
+   * @param {string} name - Metric name
+   * @param {Object} labels - Label names and values
+   * @returns {Object} Series
+   */
+  getSeries(name, labels) {
+    const metric = this.metrics.get(name);
+    if (!metric) {
+      throw new Error(`Unknown metric: ${name}`);
+    }
+
+    const key = formatLabels(labels);
+    if (!metric.series.has(key)) {
+      metric.series.set(key, metric.type === 'histogram'
+        ? { labels, counts: metric.buckets.map(() => 0), sum: 0, count: 0 }
+        : { labels, value: 0 });
+    }
+    return metric.series.get(key);
+  }
+
+  /**
+   * Increase a counter
+   * @param {string} name - Metric name
+   * @param {Object} labels - Label names and values
+   * @param {number} value - Amount to add
+   */
+  inc(name, labels = {}, value = 1) {
+    this.getSeries(name, labels).value += value;
+  }
+
+  /**
+   * Set a gauge
+   * @param {string} name - Metric name
+   * @param {Object} labels - Label names and values
+   * @param {number} value - Current value
+   */
+  set(name, labels, value) {
+    this.getSeries(name, labels).value = value;
+  }
+
+  /**
+   * Remove all series of a metric (for gauges whose label sets change)
+   * @param {string} name - Metric name
+   */
+  clear(name) {
+    this.metrics.get(name).series.clear();
+  }
+
+  /**
+   * Record a histogram observation
+   * @param {string} name - Metric name
+   * @param {Object} labels - Label names and values
+   * @param {number} value - Observed value
+   */
+  observe(name, labels, value) {
+    const metric = this.metrics.get(name);
+    const series = this.getSeries(name, labels);
+
+    metric.buckets.forEach((bound, index) => {
+      if (value <= bound) {
+        series.counts[index]++;
+      }
+    });
+    series.sum += value;
+    series.count++;
+  }
+
+  /**
+   * Register a function that updates gauges before each scrape
+   * @param {Function} collector - Called with this service
+   */
+  addCollector(collector) {
+    this.collectors.push(collector);
+  }
+
+  /**
+   * Record the outcome of one push service request
+   * @param {Object} push - Push details
+   * @param {string} push.endpoint - Subscription endpoint
+   * @param {boolean} push.success - Whether the push service accepted the message
+   * @param {number} push.statusCode - Push service status code (null for network errors)
+   * @param {number} push.durationSeconds - Request duration
+   * @param {boolean} push.pruned - Whether the subscription was removed
+   */
+  recordPush({ endpoint, success, statusCode, durationSeconds, pruned = false }) {
+    const provider = getPushProvider(endpoint);
+    const result = success ? 'sent' : 'failed';
+    const status = statusCode ? String(statusCode) : 'none';
+
+    this.inc('crm_push_notifications_total', { result, status_code: status, provider });
+    this.observe('crm_push_send_duration_seconds', { provider, result }, durationSeconds);
+
+    if (pruned) {
+      this.inc('crm_push_subscriptions_pruned_total', { status_code: status, provider });
+    }
+  }
+
+  /**
+   * Record the outcome of one channel message
+   * @param {string} channel - sms, email, slack or teams
+   * @param {boolean} success - Whether the channel accepted the message
+   */
+  recordChannelMessage(channel, success) {
+    this.inc('crm_push_channel_messages_total', { channel, result: success ? 'sent' : 'failed' });
+  }
+
+  /**
+   * Render all metrics in the Prometheus text exposition format
+   * @returns {string} Metrics text
+   */
+  render() {
+    for (const collector of this.collectors) {
+      try {
+        collector(this);
+      } catch (error) {
+        logger.error('Metrics collector failed', { error });
+      }
+    }
+
+    const lines = [];
+    for (const [name, metric] of this.metrics) {
+      lines.push(`# HELP ${name} ${metric.help}`);
+      lines.push(`# TYPE ${name} ${metric.type}`);
+
+      for (const series of metric.series.values()) {
+        if (metric.type !== 'histogram') {
+          lines.push(`${name}${formatLabels(series.labels)} ${series.value}`);
+          continue;
+        }
+
+        metric.buckets.forEach((bound, index) => {
+          lines.push(`${name}_bucket${formatLabels({ ...series.labels, le: bound })} ${series.counts[index]}`);
+        });
+        lines.push(`${name}_bucket${formatLabels({ ...series.labels, le: '+Inf' })} ${series.count}`);
+        lines.push(`${name}_sum${formatLabels(series.labels)} ${series.sum}`);
+        lines.push(`${name}_count${formatLabels(series.labels)} ${series.count}`);
+      }
+    }
+
+    return `${lines.join('\n')}\n`;
+  }
+}
+
+export default new MetricsService();
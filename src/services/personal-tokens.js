@@ -0,0 +1,155 @@
+import crypto from 'crypto';
+import { MemoryBackend, createBackend } from './storage/index.js';
+import logger from './logger.js';
+
+// Prefix that makes personal tokens recognizable (e.g. for secret scanners)
+const TOKEN_PREFIX = 'crmpt_';
+
+const MAX_TOKENS_PER_USER = 10;
+
+// lastUsedAt is only stored again after this long, so using a token rarely writes to disk
+const LAST_USED_RESOLUTION_MS = 60 * 1000;
+
+/**
+ * Hash a personal token for storage and lookup
+ * @param {string} token - Personal token
+ * @returns {string} SHA-256 hex digest
+ */
+function hashToken(token) {
+  return crypto.createHash('sha256').update(token).digest('hex');
+}
+
+/**
+ * Convert a stored token into its public representation (without the hash)
+ * @param {Object} record - Stored token record
+ * @returns {Object} Token metadata
+ */
+function toTokenInfo({ id, label, createdAt, lastUsedAt }) {
+  return { id, label, createdAt, lastUsedAt };
+}
+
+/**
+ * Personal tokens that let a user send numbers to their own phones from
+ * other tools (bookmarklet, scripts) without the shared webhook token
+ * Only a hash of each token is stored; the token itself is shown once.
+ */
+class PersonalTokenService {
+  constructor() {
+    // token hash -> { id, tenantId, userId, label, hash, createdAt, lastUsedAt }
+    this.tokens = new Map();
+
+    // Persistence backend, replaced in initialize()
+    this.backend = new MemoryBackend();
+  }
+
+  /**
+   * Select the persistence backend and load stored tokens
+   * @param {Object} backend - Optional backend instance (defaults to STORAGE_BACKEND config)
+   */
+  initialize(backend = createBackend('personal-tokens')) {
+    this.backend = backend;
+    this.tokens = new Map();
+
+    const data = this.backend.load();
+    if (data && Array.isArray(data.tokens)) {
+      data.tokens.forEach(record => this.tokens.set(record.hash, record));
+    }
+  }
+
+  /**
+   * Write the current state to the backend
+   */
+  persist() {
+    try {
+      this.backend.save({ tokens: Array.from(this.tokens.values()) });
+    } catch (error) {
+      logger.error('Failed to persist personal tokens', { error });
+    }
+  }
+
+  /**
+   * Issue a personal token
+   * @param {string} tenantId - Tenant identifier
+   * @param {string} userId - User identifier
+   * @param {string} label - Name to recognize the token by (e.g. "Work laptop")
+   * @returns {Object|null} { token, info } with the token (only returned here) and its
+   *   metadata, or null if the user already has the maximum number of tokens
+   */
+  createToken(tenantId, userId, label) {
+    if (this.listTokens(tenantId, userId).length >= MAX_TOKENS_PER_USER) {
+      return null;
+    }
+
+    const token = `${TOKEN_PREFIX}${crypto.randomBytes(32).toString('base64url')}`;
+    const record = {
+      id: crypto.randomUUID(),
+      tenantId,
+      userId,
+      label,
+      hash: hashToken(token),
+      createdAt: new Date().toISOString(),
+      lastUsedAt: null
+    };
+
+    this.tokens.set(record.hash, record);
+    this.persist();
+
+    return { token, info: toTokenInfo(record) };
+  }
+
+  /**
+   * List the tokens of a user
+   * @param {string} tenantId - Tenant identifier
+   * @param {string} userId - User identifier
+   * @returns {Array<Object>} Token metadata (id, label, createdAt, lastUsedAt), oldest first
+   */
+  listTokens(tenantId, userId) {
+    return Array.from(this.tokens.values())
+      .filter(record => record.tenantId === tenantId && record.userId === userId)
+      .map(toTokenInfo);
+  }
+
+  /**
+   * Revoke a token of a user
+   * @param {string} tenantId - Tenant identifier
+   * @param {string} userId - User identifier
+   * @param {string} tokenId - Token identifier
+   * @returns {boolean} True if the token existed
+   */
+  revokeToken(tenantId, userId, tokenId) {
+    for (const [hash, record] of this.tokens) {
+      if (record.id === tokenId && record.tenantId === tenantId && record.userId === userId) {
+        this.tokens.delete(hash);
+        this.persist();
+        return true;
+      }
+    }
+    return false;
+  }
+
+  /**
+   * Resolve the user of a personal token and note its use
+   * @param {string} token - Personal token
+   * @returns {Object|null} { tenantId, userId, tokenId } or null if the token is unknown
+   */
+  verifyToken(token) {
+    if (typeof token !== 'string' || !token.startsWith(TOKEN_PREFIX)) {
+      return null;
+    }
+
+    const record = this.tokens.get(hashToken(token));
+    if (!record) {
+      return null;
+    }
+
+    const now = Date.now();
+    if (!record.lastUsedAt || now - Date.parse(record.lastUsedAt) >= LAST_USED_RESOLUTION_MS) {
+      record.lastUsedAt = new Date(now).toISOString();
+      this.persist();
+    }
+
+    return { tenantId: record.tenantId, userId: record.userId, tokenId: record.id };
+  }
+}
+
+export default new PersonalTokenService();
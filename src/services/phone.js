@@ -0,0 +1,246 @@
+// Assigned country calling codes (ITU-T E.164)
+const CALLING_CODES = new Set(`
+  1 7 20 27 30 31 32 33 34 36 39 40 41 43 44 45 46 47 48 49 51 52 53 54 55 56
+  57 58 60 61 62 63 64 65 66 81 82 84 86 90 91 92 93 94 95 98 211 212 213 216
+  218 220 221 222 223 224 225 226 227 228 229 230 231 232 233 234 235 236 237
+  238 239 240 241 242 243 244 245 246 247 248 249 250 251 252 253 254 255 256
+  257 258 260 261 262 263 264 265 266 267 268 269 290 291 297 298 299 350 351
+  352 353 354 355 356 357 358 359 370 371 372 373 374 375 376 377 378 379 380
+  381 382 383 385 386 387 389 420 421 423 500 501 502 503 504 505 506 507 508
+  509 590 591 592 593 594 595 596 597 598 599 670 672 673 674 675 676 677 678
+  679 680 681 682 683 685 686 687 688 689 690 691 692 800 808 850 852 853 855
+  856 870 878 880 881 882 883 886 888 960 961 962 963 964 965 966 967 968 970
+  971 972 973 974 975 976 977 979 992 993 994 995 996 998
+`.trim().split(/\s+/));
+
+// Numbering rules for default countries: calling code, trunk prefix dropped
+// from national numbers, and length range of the national significant number
+const COUNTRIES = {
+  AT: { callingCode: '43', trunkPrefix: '0', minLength: 4, maxLength: 13 },
+  AU: { callingCode: '61', trunkPrefix: '0', minLength: 9, maxLength: 9 },
+  BE: { callingCode: '32', trunkPrefix: '0', minLength: 8, maxLength: 9 },
+  CA: { callingCode: '1', trunkPrefix: '1', minLength: 10, maxLength: 10, nanp: true },
+  CH: { callingCode: '41', trunkPrefix: '0', minLength: 9, maxLength: 9 },
+  CZ: { callingCode: '420', trunkPrefix: null, minLength: 9, maxLength: 9 },
+  DE: { callingCode: '49', trunkPrefix: '0', minLength: 6, maxLength: 13 },
+  DK: { callingCode: '45', trunkPrefix: null, minLength: 8, maxLength: 8 },
+  ES: { callingCode: '34', trunkPrefix: null, minLength: 9, maxLength: 9 },
+  FI: { callingCode: '358', trunkPrefix: '0', minLength: 5, maxLength: 12 },
+  FR: { callingCode: '33', trunkPrefix: '0', minLength: 9, maxLength: 9 },
+  GB: { callingCode: '44', trunkPrefix: '0', minLength: 9, maxLength: 10 },
+  IE: { callingCode: '353', trunkPrefix: '0', minLength: 7, maxLength: 10 },
+  IT: { callingCode: '39', trunkPrefix: null, minLength: 6, maxLength: 11, leadingZero: true },
+  LU: { callingCode: '352', trunkPrefix: null, minLength: 4, maxLength: 11 },
+  NL: { callingCode: '31', trunkPrefix: '0', minLength: 9, maxLength: 9 },
+  NO: { callingCode: '47', trunkPrefix: null, minLength: 8, maxLength: 8 },
+  PL: { callingCode: '48', trunkPrefix: null, minLength: 9, maxLength: 9 },
+  PT: { callingCode: '351', trunkPrefix: null, minLength: 9, maxLength: 9 },
+  SE: { callingCode: '46', trunkPrefix: '0', minLength: 7, maxLength: 13 },
+  US: { callingCode: '1', trunkPrefix: '1', minLength: 10, maxLength: 10, nanp: true }
+};
+
+// Countries used to check numbers with these calling codes
+const RULES_BY_CALLING_CODE = new Map(
+  Object.entries(COUNTRIES)
+    .filter(([country]) => country !== 'CA')
+    .map(([country, rules]) => [rules.callingCode, { country, ...rules }])
+);
+
+const E164_MAX_DIGITS = 15;
+const E164_MIN_DIGITS = 8;
+
+// "x123", "ext. 123", "extension 123" or RFC 3966 ";ext=123" at the end
+const EXTENSION_PATTERN = /\s*(?:;ext=|,?\s*(?:extension|ext\.?|x)\s*:?\s*)(\d{1,10})$/i;
+
+// Pause (p or ,) and wait (w or ;) followed by DTMF digits
+const POST_DIAL_PATTERN = /[,;pw][\d*#,;pw]*$/i;
+
+/**
+ * Check whether a default country is supported
+ * @param {string} country - ISO 3166 alpha-2 country code
+ * @returns {boolean} True if numbering rules exist for the country
+ */
+export function isSupportedCountry(country) {
+  return typeof country === 'string' && Object.hasOwn(COUNTRIES, country.toUpperCase());
+}
+
+/**
+ * Supported default countries
+ * @returns {Array<string>} ISO 3166 alpha-2 country codes
+ */
+export function getSupportedCountries() {
+  return Object.keys(COUNTRIES);
+}
+
+/**
+ * Find the calling code at the start of an international number
+ * @param {string} digits - Digits after + or 00
+ * @returns {string|null} Calling code or null if unassigned
+ */
+function findCallingCode(digits) {
+  for (let length = 1; length <= 3; length++) {
+    const code = digits.slice(0, length);
+    if (CALLING_CODES.has(code)) {
+      return code;
+    }
+  }
+  return null;
+}
+
+/**
+ * Check a national significant number against the rules of its country
+ * @param {string} nationalNumber - Number without calling code and trunk prefix
+ * @param {Object} rules - Country rules
+ * @returns {string|null} Error message or null if the number is possible
+ */
+function checkNationalNumber(nationalNumber, rules) {
+  if (nationalNumber.length < rules.minLength || nationalNumber.length > rules.maxLength) {
+    return 'Phone number has the wrong length';
+  }
+
+  if (nationalNumber.startsWith('0') && !rules.leadingZero) {
+    return 'Phone number has an invalid area code';
+  }
+
+  // North American numbers: area code and exchange start with 2-9
+  if (rules.nanp && !/^[2-9]\d{2}[2-9]/.test(nationalNumber)) {
+    return 'Phone number has an invalid area code';
+  }
+
+  return null;
+}
+
+/**
+ * Normalize a phone number to E.164
+ * Accepts international (+49…, 0049…) and national numbers (030 …, with a
+ * default country), tel: URIs, extensions ("x123", "ext. 123", ";ext=123")
+ * and post-dial sequences with pauses (p or ,) and waits (w or ;).
+ * @param {string} input - Phone number as entered in the CRM
+ * @param {Object} options - Optional settings
+ * @param {string} options.defaultCountry - Country for numbers without calling code
+ * @returns {Object} { valid: true, e164, country, extension, postDial, original } or { valid: false, error }
+ */
+export function normalizePhoneNumber(input, { defaultCountry } = {}) {
+  if (!input || typeof input !== 'string' || input.length > 100) {
+    return { valid: false, error: 'Missing or invalid phone number' };
+  }
+
+  const original = input.trim();
+  let number = original.replace(/^tel:/i, '');
+  try {
+    number = decodeURIComponent(number);
+  } catch (error) {
+    return { valid: false, error: 'Invalid phone number format' };
+  }
+
+  let postDial = '';
+  const postDialMatch = number.match(POST_DIAL_PATTERN);
+  if (postDialMatch) {
+    postDial = postDialMatch[0].replace(/p/gi, ',').replace(/w/gi, ';');
+    number = number.slice(0, postDialMatch.index);
+  }
+
+  let extension = null;
+  const extensionMatch = number.match(EXTENSION_PATTERN);
+  if (extensionMatch) {
+    extension = extensionMatch[1];
+    number = number.slice(0, extensionMatch.index);
+  }
+
+  // "+49 (0)30 …" - the trunk prefix in brackets is not dialed internationally
+  number = number.replace(/\(0\)/g, '');
+
+  if (!/^\s*\+?[\d\s\-./()]+$/.test(number)) {
+    return { valid: false, error: 'Invalid phone number format' };
+  }
+
+  let digits = number.replace(/\D/g, '');
+  const international = number.trim().startsWith('+') || digits.startsWith('00');
+  let callingCode;
+  let nationalNumber;
+  let rules;
+
+  if (international) {
+    if (digits.startsWith('00')) {
+      digits = digits.slice(2);
+    }
+
+    callingCode = findCallingCode(digits);
+    if (!callingCode) {
+      return { valid: false, error: 'Unknown country calling code' };
+    }
+
+    nationalNumber = digits.slice(callingCode.length);
+    rules = RULES_BY_CALLING_CODE.get(callingCode);
+  } else {
+    if (!isSupportedCountry(defaultCountry)) {
+      return { valid: false, error: 'National phone number needs a country code or a default country' };
+    }
+
+    const country = defaultCountry.toUpperCase();
+    rules = { country, ...COUNTRIES[country] };
+    callingCode = rules.callingCode;
+    nationalNumber = digits;
+
+    if (rules.trunkPrefix && nationalNumber.startsWith(rules.trunkPrefix)) {
+      nationalNumber = nationalNumber.slice(rules.trunkPrefix.length);
+    }
+  }
+
+  const totalDigits = callingCode.length + nationalNumber.length;
+  if (totalDigits < E164_MIN_DIGITS && !rules) {
+    return { valid: false, error: 'Phone number is too short' };
+  }
+  if (totalDigits > E164_MAX_DIGITS) {
+    return { valid: false, error: 'Phone number is too long' };
+  }
+
+  if (rules) {
+    const error = checkNationalNumber(nationalNumber, rules);
+    if (error) {
+      return { valid: false, error };
+    }
+  } else if (nationalNumber.startsWith('0')) {
+    return { valid: false, error: 'Phone number has an invalid area code' };
+  }
+
+  return {
+    valid: true,
+    e164: `+${callingCode}${nationalNumber}`,
+    country: rules ? rules.country : null,
+    extension,
+    postDial,
+    original
+  };
+}
+
+/**
+ * Format a normalized number as a string that normalizePhoneNumber() reads back
+ * E.164, followed by ";ext=…" and any post-dial sequence.
+ * @param {Object} number - Result of normalizePhoneNumber()
+ * @returns {string} Formatted number
+ */
+export function formatPhoneNumber({ e164, extension, postDial }) {
+  return `${e164}${extension ? `;ext=${extension}` : ''}${postDial || ''}`;
+}
+
+/**
+ * Human readable form of a normalized number
+ * @param {Object} number - Result of normalizePhoneNumber()
+ * @returns {string} e.g. "+4930123456 ext. 123"
+ */
+export function formatPhoneNumberForDisplay({ e164, extension, postDial }) {
+  return [e164, extension ? `ext. ${extension}` : '', postDial || ''].filter(Boolean).join(' ');
+}
+
+/**
+ * Build a tel: URI that dialers understand
+ * Extensions are dialed as DTMF digits after a pause, since dialers ignore
+ * the RFC 3966 ";ext=" parameter.
+ * @param {Object} number - Result of normalizePhoneNumber()
+ * @returns {string} tel: URI
+ */
+export function toTelUri({ e164, extension, postDial }) {
+  const dtmf = `${extension ? `,${extension}` : ''}${postDial || ''}`;
+  return `tel:${e164}${dtmf.replace(/#/g, '%23')}`;
+}
@@ -0,0 +1,200 @@
+import http2 from 'http2';
+import { signJwt } from './jwt.js';
+import { PushProviderError } from './provider-error.js';
+
+export const APNS_API_URLS = {
+  production: 'https://api.push.apple.com',
+  sandbox: 'https://api.sandbox.push.apple.com'
+};
+
+const REQUEST_TIMEOUT_MS = 10000;
+
+// Apple rejects provider tokens older than an hour and throttles renewals more often than every 20 minutes
+const AUTH_TOKEN_TTL_MS = 50 * 60 * 1000;
+
+// Reasons meaning the device token will never work again
+const EXPIRED_REASONS = ['BadDeviceToken', 'Unregistered', 'DeviceTokenNotForTopic'];
+
+/**
+ * Apple Push Notification service provider (token-based authentication)
+ * Requests go over one HTTP/2 session that is reopened when APNs closes it.
+ */
+export class ApnsProvider {
+  /**
+   * @param {Object} options - Provider options
+   * @param {string} options.teamId - Apple developer team ID
+   * @param {string} options.keyId - ID of the APNs auth key
+   * @param {string} options.privateKey - APNs auth key (.p8 PEM)
+   * @param {string} options.topic - Bundle ID of the app
+   * @param {string} options.apiUrl - APNs base URL (production, sandbox or a local mock server)
+   */
+  constructor({ teamId, keyId, privateKey, topic, apiUrl = APNS_API_URLS.production }) {
+    if (!teamId || !keyId || !privateKey || !topic) {
+      throw new Error('APNs needs a team ID, key ID, auth key and topic');
+    }
+
+    this.name = 'apns';
+    this.teamId = teamId;
+    this.keyId = keyId;
+    this.privateKey = privateKey;
+    this.topic = topic;
+    this.apiUrl = apiUrl;
+    this.authToken = null;
+    this.authTokenIssuedAt = 0;
+    this.session = null;
+  }
+
+  /**
+   * Get the provider authentication token (ES256 JWT)
+   * @returns {string} Token for the authorization header
+   */
+  getAuthToken() {
+    if (!this.authToken || Date.now() - this.authTokenIssuedAt > AUTH_TOKEN_TTL_MS) {
+      this.authTokenIssuedAt = Date.now();
+      this.authToken = signJwt({ alg: 'ES256', kid: this.keyId }, {
+        iss: this.teamId,
+        iat: Math.floor(this.authTokenIssuedAt / 1000)
+      }, this.privateKey);
+    }
+    return this.authToken;
+  }
+
+  /**
+   * Get the HTTP/2 session, connecting if needed
+   * @returns {http2.ClientHttp2Session} Session
+   */
+  getSession() {
+    if (!this.session || this.session.closed || this.session.destroyed) {
+      const session = http2.connect(this.apiUrl);
+      session.on('error', () => session.destroy());
+      session.on('goaway', () => session.close());
+      session.on('close', () => {
+        if (this.session === session) {
+          this.session = null;
+        }
+      });
+
+      // Idle sessions must not keep the process alive
+      session.unref();
+      this.session = session;
+    }
+    return this.session;
+  }
+
+  /**
+   * Build the APNs request body
+   * The full payload travels in the "payload" key for the app; payloads
+   * without a title are sent as background pushes.
+   * @param {Object} payload - Notification payload
+   * @returns {Object} APNs JSON body
+   */
+  buildBody(payload) {
+    if (!payload.title) {
+      return { aps: { 'content-available': 1 }, payload };
+    }
+
+    return {
+      aps: {
+        alert: { title: payload.title, body: payload.body },
+        sound: 'default',
+        'thread-id': payload.tag,
+        'interruption-level': payload.requireInteraction ? 'time-sensitive' : 'active'
+      },
+      payload
+    };
+  }
+
+  /**
+   * Send a notification to a native device
+   * @param {Object} subscription - Native device ({ provider: 'apns', token })
+   * @param {Object} payload - Notification payload
+   * @returns {Object} Response (statusCode, body, headers)
+   */
+  async send(subscription, payload) {
+    try {
+      return await this.request(subscription.token, payload);
+    } catch (error) {
+      // Provider token rejected as too old - sign a new one and try once more
+      if (error.reason === 'ExpiredProviderToken') {
+        this.authToken = null;
+        return this.request(subscription.token, payload);
+      }
+      throw error;
+    }
+  }
+
+  request(token, payload) {
+    const alert = Boolean(payload.title);
+    const headers = {
+      ':method': 'POST',
+      ':path': `/3/device/${encodeURIComponent(token)}`,
+      'authorization': `bearer ${this.getAuthToken()}`,
+      'apns-topic': this.topic,
+      'apns-push-type': alert ? 'alert' : 'background',
+      'apns-priority': alert ? '10' : '5',
+      'apns-expiration': String(Math.floor(Date.now() / 1000) + 3600),
+      'content-type': 'application/json'
+    };
+    if (alert && payload.tag) {
+      headers['apns-collapse-id'] = payload.tag.slice(0, 64);
+    }
+
+    return new Promise((resolve, reject) => {
+      const stream = this.getSession().request(headers);
+      let statusCode = null;
+      let responseHeaders = {};
+      let body = '';
+
+      stream.setEncoding('utf8');
+      stream.setTimeout(REQUEST_TIMEOUT_MS, () => {
+        stream.close(http2.constants.NGHTTP2_CANCEL);
+        reject(new Error('APNs request timed out'));
+      });
+      stream.on('response', (received) => {
+        statusCode = received[':status'];
+        responseHeaders = Object.fromEntries(Object.entries(received).filter(([name]) => !name.startsWith(':')));
+      });
+      stream.on('data', (chunk) => {
+        body += chunk;
+      });
+      stream.on('error', reject);
+      stream.on('end', () => {
+        if (statusCode === 200) {
+          resolve({ statusCode, body, headers: responseHeaders });
+          return;
+        }
+
+        reject(new PushProviderError(`APNs rejected the notification with HTTP ${statusCode}`, {
+          statusCode,
+          body,
+          headers: responseHeaders,
+          reason: this.getReason(body)
+        }));
+      });
+
+      stream.end(JSON.stringify(this.buildBody(payload)));
+    });
+  }
+
+  /**
+   * Read the APNs error reason (e.g. BadDeviceToken) from an error response
+   * @param {string} body - Response body
+   * @returns {string|null} Reason
+   */
+  getReason(body) {
+    try {
+      return JSON.parse(body).reason || null;
+    } catch (error) {
+      return null;
+    }
+  }
+
+  /**
+   * Check whether a failure means the device token is gone for good
+   * @param {Error} error - Error from send()
+   * @returns {boolean} True for unregistered or invalid tokens
+   */
+  isExpired(error) {
+    return error.statusCode === 410 || EXPIRED_REASONS.includes(error.reason);
+  }
+}
@@ -0,0 +1,189 @@
+import { signJwt } from './jwt.js';
+import { PushProviderError } from './provider-error.js';
+
+const DEFAULT_API_URL = 'https://fcm.googleapis.com';
+const DEFAULT_TOKEN_URI = 'https://oauth2.googleapis.com/token';
+const SCOPE = 'https://www.googleapis.com/auth/firebase.messaging';
+const REQUEST_TIMEOUT_MS = 10000;
+
+// Renew OAuth access tokens this long before they expire
+const TOKEN_REFRESH_MARGIN_MS = 5 * 60 * 1000;
+
+/**
+ * Firebase Cloud Messaging HTTP v1 provider for native Android (and iOS) apps
+ * Authenticates with a service account: a self-signed JWT is exchanged for an
+ * OAuth access token, which is cached until shortly before it expires.
+ */
+export class FcmProvider {
+  /**
+   * @param {Object} options - Provider options
+   * @param {Object} options.serviceAccount - Service account JSON (project_id, client_email, private_key, token_uri)
+   * @param {string} options.apiUrl - FCM API base URL (e.g. a local mock server)
+   */
+  constructor({ serviceAccount, apiUrl = DEFAULT_API_URL }) {
+    if (!serviceAccount?.project_id || !serviceAccount.client_email || !serviceAccount.private_key) {
+      throw new Error('FCM service account needs project_id, client_email and private_key');
+    }
+
+    this.name = 'fcm';
+    this.serviceAccount = serviceAccount;
+    this.apiUrl = apiUrl.replace(/\/$/, '');
+    this.accessToken = null;
+    this.accessTokenExpiresAt = 0;
+    this.pendingAccessToken = null;
+  }
+
+  /**
+   * Get an OAuth access token for the FCM API
+   * Concurrent sends share a single token request.
+   * @returns {Promise<string>} Access token
+   */
+  async getAccessToken() {
+    if (this.accessToken && Date.now() < this.accessTokenExpiresAt - TOKEN_REFRESH_MARGIN_MS) {
+      return this.accessToken;
+    }
+
+    if (!this.pendingAccessToken) {
+      this.pendingAccessToken = this.requestAccessToken().finally(() => {
+        this.pendingAccessToken = null;
+      });
+    }
+    return this.pendingAccessToken;
+  }
+
+  /**
+   * Exchange a service account JWT for an access token
+   * @returns {Promise<string>} Access token
+   */
+  async requestAccessToken() {
+    const { client_email: clientEmail, private_key: privateKey, private_key_id: keyId } = this.serviceAccount;
+    const tokenUri = this.serviceAccount.token_uri || DEFAULT_TOKEN_URI;
+    const now = Math.floor(Date.now() / 1000);
+
+    const assertion = signJwt({ alg: 'RS256', kid: keyId }, {
+      iss: clientEmail,
+      scope: SCOPE,
+      aud: tokenUri,
+      iat: now,
+      exp: now + 3600
+    }, privateKey);
+
+    const response = await fetch(tokenUri, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/x-www-form-urlencoded' },
+      body: new URLSearchParams({
+        grant_type: 'urn:ietf:params:oauth:grant-type:jwt-bearer',
+        assertion
+      }),
+      signal: AbortSignal.timeout(REQUEST_TIMEOUT_MS)
+    });
+    const body = await response.text();
+
+    if (!response.ok) {
+      throw new PushProviderError(`FCM access token request failed with HTTP ${response.status}`, {
+        statusCode: response.status,
+        body,
+        headers: Object.fromEntries(response.headers)
+      });
+    }
+
+    const { access_token: accessToken, expires_in: expiresIn } = JSON.parse(body);
+    this.accessToken = accessToken;
+    this.accessTokenExpiresAt = Date.now() + (expiresIn || 3600) * 1000;
+    return accessToken;
+  }
+
+  /**
+   * Build an FCM message
+   * The full payload travels as JSON in data.payload for the app; payloads
+   * with a title also carry a notification the system displays by itself.
+   * @param {string} token - Registration token of the device
+   * @param {Object} payload - Notification payload
+   * @returns {Object} FCM message
+   */
+  buildMessage(token, payload) {
+    const message = {
+      token,
+      data: { payload: JSON.stringify(payload) },
+      android: {
+        priority: 'HIGH',
+        ttl: '3600s'
+      }
+    };
+
+    if (payload.title) {
+      message.notification = { title: payload.title, body: payload.body };
+      message.android.notification = { tag: payload.tag };
+    }
+
+    return message;
+  }
+
+  /**
+   * Send a notification to a native device
+   * @param {Object} subscription - Native device ({ provider: 'fcm', token })
+   * @param {Object} payload - Notification payload
+   * @returns {Object} Response (statusCode, body, headers)
+   */
+  async send(subscription, payload) {
+    let response = await this.request(subscription.token, payload);
+
+    // Access token revoked or expired early - fetch a new one and try once more
+    if (response.status === 401) {
+      this.accessToken = null;
+      response = await this.request(subscription.token, payload);
+    }
+
+    const body = await response.text();
+    const headers = Object.fromEntries(response.headers);
+
+    if (!response.ok) {
+      throw new PushProviderError(`FCM rejected the message with HTTP ${response.status}`, {
+        statusCode: response.status,
+        body,
+        headers,
+        reason: this.getErrorCode(body)
+      });
+    }
+
+    return { statusCode: response.status, body, headers };
+  }
+
+  async request(token, payload) {
+    const accessToken = await this.getAccessToken();
+
+    return fetch(`${this.apiUrl}/v1/projects/${encodeURIComponent(this.serviceAccount.project_id)}/messages:send`, {
+      method: 'POST',
+      headers: {
+        'Authorization': `Bearer ${accessToken}`,
+        'Content-Type': 'application/json'
+      },
+      body: JSON.stringify({ message: this.buildMessage(token, payload) }),
+      signal: AbortSignal.timeout(REQUEST_TIMEOUT_MS)
+    });
+  }
+
+  /**
+   * Read the FCM error code (e.g. UNREGISTERED) from an error response
+   * @param {string} body - Response body
+   * @returns {string|null} Error code
+   */
+  getErrorCode(body) {
+    try {
+      const { error } = JSON.parse(body);
+      const fcmError = (error.details || []).find(detail => detail.errorCode);
+      return fcmError ? fcmError.errorCode : error.status || null;
+    } catch (error) {
+      return null;
+    }
+  }
+
+  /**
+   * Check whether a failure means the registration token is gone for good
+   * @param {Error} error - Error from send()
+   * @returns {boolean} True for unregistered tokens
+   */
+  isExpired(error) {
+    return error.statusCode === 404 || error.reason === 'UNREGISTERED';
+  }
+}
@@ -0,0 +1,71 @@
+import fs from 'fs';
+import { WebPushProvider } from './web-push.js';
+import { FcmProvider } from './fcm.js';
+import { ApnsProvider, APNS_API_URLS } from './apns.js';
+import { PushProviderError } from './provider-error.js';
+
+// Providers for native app device tokens (Web Push uses PushSubscription JSON)
+export const NATIVE_PROVIDERS = ['fcm', 'apns'];
+
+/**
+ * Name of the provider that delivers to a subscription
+ * @param {Object} subscription - Stored subscription (PushSubscription JSON or native device)
+ * @returns {string} webpush, fcm or apns
+ */
+export function getProviderName(subscription) {
+  return subscription.provider || 'webpush';
+}
+
+/**
+ * Build a native device record from a device token
+ * The endpoint ("fcm:<token>") identifies the device like a Web Push endpoint does.
+ * @param {string} provider - fcm or apns
+ * @param {string} token - Device token
+ * @returns {Object} Subscription for storage
+ */
+export function createNativeSubscription(provider, token) {
+  return {
+    provider,
+    token,
+    endpoint: `${provider}:${token}`
+  };
+}
+
+/**
+ * Create the push providers enabled by environment configuration
+ * Web Push is always available; FCM needs FCM_SERVICE_ACCOUNT_FILE and APNs
+ * needs APNS_KEY_FILE, APNS_KEY_ID, APNS_TEAM_ID and APNS_TOPIC.
+ * @param {Object} env - Environment variables (defaults to process.env)
+ * @returns {Object} Providers by name
+ */
+export function createProviders(env = process.env) {
+  const providers = {
+    webpush: new WebPushProvider()
+  };
+
+  if (env.FCM_SERVICE_ACCOUNT_FILE) {
+    providers.fcm = new FcmProvider({
+      serviceAccount: JSON.parse(fs.readFileSync(env.FCM_SERVICE_ACCOUNT_FILE, 'utf8')),
+      apiUrl: env.FCM_API_URL || undefined
+    });
+  }
+
+  if (env.APNS_KEY_FILE) {
+    const environment = (env.APNS_ENVIRONMENT || 'production').toLowerCase();
+    if (!APNS_API_URLS[environment]) {
+      throw new Error(`Unknown APNS_ENVIRONMENT: ${env.APNS_ENVIRONMENT}`);
+    }
+
+    providers.apns = new ApnsProvider({
+      teamId: env.APNS_TEAM_ID,
+      keyId: env.APNS_KEY_ID,
+      privateKey: fs.readFileSync(env.APNS_KEY_FILE, 'utf8'),
+      topic: env.APNS_TOPIC,
+      apiUrl: env.APNS_API_URL || APNS_API_URLS[environment]
+    });
+  }
+
+  return providers;
+}
+
+export { WebPushProvider, FcmProvider, ApnsProvider, PushProviderError };
@@ -0,0 +1,54 @@
+import crypto from 'crypto';
+
+/**
+ * Encode a JSON value as base64url
+ * @param {Object} value - JSON value
+ * @returns {string} Encoded value
+ */
+function encode(value) {
+  return Buffer.from(JSON.stringify(value)).toString('base64url');
+}
+
+/**
+ * Sign a JSON Web Token with SHA-256 (RS256 for RSA keys, ES256 for P-256 keys)
+ * @param {Object} header - JWT header (alg, kid, …)
+ * @param {Object} claims - JWT claims
+ * @param {string|crypto.KeyObject} privateKey - PEM private key
+ * @returns {string} Signed token
+ */
+export function signJwt(header, claims, privateKey) {
+  const data = `${encode({ typ: 'JWT', ...header })}.${encode(claims)}`;
+  const signature = crypto.sign('sha256', Buffer.from(data), { key: privateKey, dsaEncoding: 'ieee-p1363' });
+  return `${data}.${signature.toString('base64url')}`;
+}
+
+/**
+ * Verify a JSON Web Token signed by signJwt()
+ * @param {string} token - Signed token
+ * @param {string|crypto.KeyObject} publicKey - PEM public key
+ * @returns {Object|null} { header, claims }, or null if the signature is invalid
+ */
+export function verifyJwt(token, publicKey) {
+  const [header, claims, signature] = String(token).split('.');
+  if (!header || !claims || !signature) {
+    return null;
+  }
+
+  try {
+    const valid = crypto.verify('sha256', Buffer.from(`${header}.${claims}`), {
+      key: publicKey,
+      dsaEncoding: 'ieee-p1363'
+    }, Buffer.from(signature, 'base64url'));
+
+    if (!valid) {
+      return null;
+    }
+
+    return {
+      header: JSON.parse(Buffer.from(header, 'base64url').toString('utf8')),
+      claims: JSON.parse(Buffer.from(claims, 'base64url').toString('utf8'))
+    };
+  } catch (error) {
+    return null;
+  }
+}
@@ -0,0 +1,23 @@
+/**
+ * Error for a push request the provider rejected
+ * Mirrors web-push's WebPushError, so retry and pruning logic works the same
+ * for every provider.
+ */
+export class PushProviderError extends Error {
+  /**
+   * @param {string} message - Error message
+   * @param {Object} details - Response details
+   * @param {number} details.statusCode - HTTP status code
+   * @param {string} details.body - Response body
+   * @param {Object} details.headers - Response headers (lowercase names)
+   * @param {string} details.reason - Provider error code (e.g. UNREGISTERED, BadDeviceToken)
+   */
+  constructor(message, { statusCode, body = '', headers = {}, reason = null }) {
+    super(message);
+    this.name = 'PushProviderError';
+    this.statusCode = statusCode;
+    this.body = body;
+    this.headers = headers;
+    this.reason = reason;
+  }
+}
@@ -0,0 +1,57 @@
+import vapidService from '../vapid.js';
+
+/**
+ * Web Push (VAPID) provider for browser and PWA subscriptions
+ */
+export class WebPushProvider {
+  constructor() {
+    this.name = 'webpush';
+  }
+
+  /**
+   * Send a notification to a push subscription
+   * Falls back to previous VAPID keys when the push service rejects the
+   * current key, so subscriptions created before a key rotation keep working.
+   * @param {Object} subscription - PushSubscription JSON (endpoint, keys)
+   * @param {Object} payload - Notification payload
+   * @param {Object} options - Send options
+   * @param {Object} options.log - Logger with the request context
+   * @returns {Object} Push service response (statusCode, body, headers)
+   */
+  async send(subscription, payload, { log }) {
+    const webpush = vapidService.getWebPushInstance();
+    const options = {
+      TTL: 3600, // 1 hour
+      urgency: 'high',
+      timeout: 10000 // 10 seconds
+    };
+
+    try {
+      return await webpush.sendNotification(subscription, JSON.stringify(payload), options);
+    } catch (error) {
+      // 401/403 means the subscription was created with a different application server key
+      if (error.statusCode === 401 || error.statusCode === 403) {
+        for (const vapidDetails of vapidService.getPreviousVapidDetails()) {
+          try {
+            const response = await webpush.sendNotification(subscription, JSON.stringify(payload), { ...options, vapidDetails });
+            log.info('Push delivered with previous VAPID key, device should re-subscribe');
+            return response;
+          } catch (retryError) {
+            // Try the next previous key
+          }
+        }
+      }
+
+      throw error;
+    }
+  }
+
+  /**
+   * Check whether a failure means the subscription is gone for good
+   * @param {Error} error - Error from send()
+   * @returns {boolean} True for 410 Gone and 400 Bad Request
+   */
+  isExpired(error) {
+    return error.statusCode === 410 || error.statusCode === 400;
+  }
+}
@@ -0,0 +1,443 @@
+import crypto from 'crypto';
+import { MemoryBackend, createBackend } from './storage/index.js';
+import pushService from './push.js';
+import callService from './calls.js';
+import channelService from './channels.js';
+import logger from './logger.js';
+
+const DEFAULT_MAX_ATTEMPTS = 5;
+const BASE_RETRY_DELAY_MS = 2000;
+const MAX_RETRY_DELAY_MS = 5 * 60 * 1000;
+const POLL_INTERVAL_MS = 1000;
+const DEAD_LETTER_LIMIT = 500;
+const RECENT_JOB_LIMIT = 200;
+
+/**
+ * Durable queue for push jobs
+ * Jobs send a call notification to a user's devices. Transient push service
+ * failures (429, 5xx, timeouts) are retried with exponential backoff, honoring
+ * Retry-After. Jobs that still fail after the last attempt move to a
+ * dead-letter list for inspection. When push reached no one, users are
+ * messaged through their SMS, email, Slack or Teams channels instead.
+ */
+class PushQueueService {
+  constructor() {
+    // Jobs waiting for their (next) attempt
+    this.queue = [];
+
+    // Jobs that failed after the last retry
+    this.deadLetters = [];
+
+    // Recently finished jobs, for status lookups
+    this.recent = [];
+
+    // Persistence backend, replaced in initialize()
+    this.backend = new MemoryBackend();
+    this.maxAttempts = DEFAULT_MAX_ATTEMPTS;
+    this.timer = null;
+    this.processing = false;
+  }
+
+  /**
+   * Load pending jobs and start the background worker
+   * Accepted calls must survive a crash, so the queue is written without delay.
+   * @param {Object} backend - Optional backend instance (defaults to STORAGE_BACKEND config)
+   */
+  initialize(backend = createBackend('push-queue', { writeDelayMs: 0 })) {
+    this.backend = backend;
+    this.maxAttempts = parseInt(process.env.PUSH_MAX_ATTEMPTS, 10) || DEFAULT_MAX_ATTEMPTS;
+
+    const data = this.backend.load() || {};
+    this.queue = data.queue || [];
+    this.deadLetters = data.deadLetters || [];
+    this.recent = data.recent || [];
+
+    if (this.queue.length > 0) {
+      logger.info('Pending push jobs loaded', { jobs: this.queue.length });
+    }
+
+    this.start();
+  }
+
+  persist() {
+    try {
+      this.backend.save({
+        queue: this.queue,
+        deadLetters: this.deadLetters,
+        recent: this.recent
+      });
+    } catch (error) {
+      logger.error('Failed to persist push queue', { error });
+    }
+  }
+
+  start() {
+    if (!this.timer) {
+      this.timer = setInterval(() => this.processQueue(), POLL_INTERVAL_MS);
+      this.timer.unref();
+    }
+  }
+
+  stop() {
+    clearInterval(this.timer);
+    this.timer = null;
+  }
+
+  /**
+   * Create a job object
+   * Direct jobs go to the devices of userId only, without routing rules or
+   * channel messages (e.g. a user sending a number to their own phones).
+   * @param {Object} details - Job details
+   * @returns {Object} Job
+   */
+  createJob({ tenantId, userId, userIds = null, callId, payload, requestId = null, direct = false }) {
+    return {
+      id: crypto.randomUUID(),
+      tenantId,
+      userId,
+      // Group members or user list, null for calls to a single owner
+      userIds,
+      callId,
+      payload,
+      // Request that created the job, carried into the logs of every attempt
+      requestId,
+      status: 'pending',
+      direct,
+      endpoints: null, // null = all devices of the recipients
+      recipients: direct ? [userId] : null, // null = decided by the owner's routing rules on the first attempt
+      notified: [],
+      routing: null,
+      // Channel messages ({ sent, total, notified }), null until a channel was tried
+      channels: null,
+      total: null,
+      sent: 0,
+      attempts: 0,
+      nextAttemptAt: Date.now(),
+      lastError: null,
+      createdAt: new Date().toISOString(),
+      finishedAt: null
+    };
+  }
+
+  /**
+   * Queue a push job for background processing
+   * @param {Object} details - Job details (tenantId, userId or userIds, callId, payload, requestId)
+   * @returns {Object} Queued job
+   */
+  enqueue(details) {
+    const job = this.createJob(details);
+    this.queue.push(job);
+    this.persist();
+
+    callService.addEvent(job.callId, { type: 'queued', jobId: job.id });
+
+    // Start right away instead of waiting for the next poll
+    setImmediate(() => this.processQueue());
+    return { ...job };
+  }
+
+  /**
+   * Send a push job immediately
+   * Transient failures are handed to the queue for retries.
+   * @param {Object} details - Job details (tenantId, userId or userIds, callId, payload, requestId)
+   * @returns {Object} Result with sent, total and retrying counts
+   */
+  async sendNow(details) {
+    const job = this.createJob(details);
+    const done = await this.attempt(job);
+
+    if (!done) {
+      this.queue.push(job);
+    }
+    this.persist();
+
+    return {
+      sent: job.sent,
+      total: job.total,
+      retrying: done ? 0 : job.endpoints.length,
+      notified: job.notified,
+      routing: job.routing,
+      channels: job.channels,
+      jobId: job.id
+    };
+  }
+
+  /**
+   * Run all jobs that are due
+   */
+  async processQueue() {
+    if (this.processing) {
+      return;
+    }
+    this.processing = true;
+
+    try {
+      const now = Date.now();
+      const due = this.queue.filter(job => job.nextAttemptAt <= now);
+
+      for (const job of due) {
+        let done;
+        try {
+          done = await this.attempt(job);
+        } catch (error) {
+          // Unexpected errors (e.g. storage) count as a failed attempt
+          done = await this.scheduleRetry(job, [], error.message);
+        }
+
+        if (done) {
+          this.queue = this.queue.filter(queued => queued.id !== job.id);
+        }
+        this.persist();
+      }
+    } finally {
+      this.processing = false;
+    }
+  }
+
+  /**
+   * Run one attempt of a job
+   * @param {Object} job - Job to run (updated in place)
+   * @returns {boolean} True if the job is finished, false if a retry is scheduled
+   */
+  async attempt(job) {
+    // Nobody else needs the notification once someone took the call
+    if (job.attempts > 0 && callService.getCall(job.callId)?.claimedBy) {
+      return this.finish(job, 'completed');
+    }
+
+    job.attempts++;
+
+    const options = {
+      recipients: job.recipients,
+      endpoints: job.endpoints,
+      requestId: job.requestId
+    };
+    const result = job.userIds
+      ? await pushService.sendToUsers(job.tenantId, job.userIds, job.payload, options)
+      : await pushService.sendToUser(job.tenantId, job.userId, job.payload, options);
+
+    // The first attempt defines who and how many devices the job targets
+    if (job.total === null) {
+      job.total = result.total;
+      job.recipients = result.recipients;
+      job.routing = result.routing;
+      callService.setRecipients(job.callId, result.recipients);
+
+      const { routing } = result;
+      if (routing && (routing.fallback || !routing.available || routing.skipped?.length > 0)) {
+        const event = { type: 'routed', reason: routing.reason, recipients: result.recipients };
+        if (routing.skipped) {
+          event.skipped = routing.skipped;
+        }
+        callService.addEvent(job.callId, event);
+      }
+
+      await this.notifyChannels(job, 'always');
+    }
+    job.notified = [...new Set([...job.notified, ...result.notified])];
+
+    // Report the push as accepted as soon as the first device got it
+    const firstSuccess = job.sent === 0 && result.sent > 0;
+    job.sent += result.sent;
+    if (firstSuccess) {
+      callService.recordPushResult(job.callId, { sent: job.sent, total: job.total, notified: job.notified });
+    }
+
+    if (result.retryable.length === 0) {
+      return this.finish(job, 'completed');
+    }
+
+    const lastError = result.retryable.map(failure => failure.statusCode || failure.message).join(', ');
+    return this.scheduleRetry(job, result.retryable, lastError);
+  }
+
+  /**
+   * Schedule the next attempt, or move the job to the dead-letter list
+   * @param {Object} job - Job (updated in place)
+   * @param {Array} failures - Transient failures of the last attempt
+   * @param {string} lastError - Error description
+   * @returns {Promise<boolean>} True if the job is finished
+   */
+  async scheduleRetry(job, failures, lastError) {
+    job.lastError = lastError;
+    if (failures.length > 0) {
+      job.endpoints = failures.map(failure => failure.endpoint);
+    }
+
+    if (job.attempts >= this.maxAttempts) {
+      logger.error('Push job failed after the last attempt', {
+        requestId: job.requestId,
+        jobId: job.id,
+        attempts: job.attempts,
+        lastError
+      });
+      return this.finish(job, 'dead');
+    }
+
+    const backoff = Math.min(BASE_RETRY_DELAY_MS * 2 ** (job.attempts - 1), MAX_RETRY_DELAY_MS);
+    const retryAfter = Math.max(0, ...failures.map(failure => failure.retryAfterMs || 0));
+    const delay = Math.min(Math.max(backoff, retryAfter), MAX_RETRY_DELAY_MS);
+
+    job.status = 'retrying';
+    job.nextAttemptAt = Date.now() + delay;
+
+    callService.addEvent(job.callId, {
+      type: 'retry_scheduled',
+      attempt: job.attempts,
+      pending: job.endpoints ? job.endpoints.length : null,
+      delayMs: delay
+    });
+
+    logger.warn('Push job attempt failed, retrying', {
+      requestId: job.requestId,
+      jobId: job.id,
+      attempt: job.attempts,
+      maxAttempts: this.maxAttempts,
+      lastError,
+      delayMs: delay
+    });
+    return false;
+  }
+
+  /**
+   * Mark a job as finished and record the outcome
+   * @param {Object} job - Job (updated in place)
+   * @param {string} status - 'completed' or 'dead'
+   * @returns {Promise<boolean>} Always true
+   */
+  async finish(job, status) {
+    job.status = status;
+    job.finishedAt = new Date().toISOString();
+
+    // Nobody got the notification - report it now that no retries are left
+    if (job.sent === 0) {
+      callService.recordPushResult(job.callId, { sent: 0, total: job.total || 0, routing: job.routing });
+      await this.notifyChannels(job, 'fallback');
+    }
+
+    const list = status === 'dead' ? this.deadLetters : this.recent;
+    const limit = status === 'dead' ? DEAD_LETTER_LIMIT : RECENT_JOB_LIMIT;
+    list.push(this.summarize(job));
+    list.splice(0, Math.max(0, list.length - limit));
+
+    return true;
+  }
+
+  /**
+   * Message the call's users through their channels
+   * Users who already got a channel message for the job are skipped, and
+   * direct jobs never use channels.
+   * @param {Object} job - Job (updated in place)
+   * @param {string} mode - 'always' (along with the first push) or 'fallback' (push reached no one)
+   */
+  async notifyChannels(job, mode) {
+    if (job.direct) {
+      return;
+    }
+
+    const notified = job.channels ? job.channels.notified : [];
+    const userIds = channelService.selectUsers(job.tenantId, job, mode)
+      .filter(userId => !notified.includes(userId));
+
+    if (userIds.length === 0) {
+      return;
+    }
+
+    const result = await channelService.notifyUsers(job.tenantId, userIds, job.payload, { requestId: job.requestId });
+    job.channels = {
+      sent: (job.channels ? job.channels.sent : 0) + result.sent,
+      total: (job.channels ? job.channels.total : 0) + result.total,
+      notified: [...notified, ...result.notified]
+    };
+
+    callService.addEvent(job.callId, {
+      type: result.sent > 0 ? 'channel_sent' : 'channel_failed',
+      mode,
+      sent: result.sent,
+      total: result.total,
+      deliveries: result.deliveries.map(({ userId, sent, channel }) => ({ userId, sent, channel }))
+    });
+  }
+
+  /**
+   * Strip the payload from a job for storage in the finished lists
+   * The payload is kept for dead letters so they can be retried.
+   * @param {Object} job - Job
+   * @returns {Object} Job summary
+   */
+  summarize(job) {
+    if (job.status === 'dead') {
+      return { ...job };
+    }
+
+    const { payload, ...summary } = job;
+    return summary;
+  }
+
+  /**
+   * Find a job by ID in the queue, dead letters or recent jobs
+   * @param {string} jobId - Job identifier
+   * @param {string} tenantId - Optional tenant the job must belong to
+   * @returns {Object|null} Job without payload, or null if not found
+   */
+  getJob(jobId, tenantId) {
+    const job = [...this.queue, ...this.deadLetters, ...this.recent].find(candidate => candidate.id === jobId);
+    if (!job || (tenantId && job.tenantId !== tenantId)) {
+      return null;
+    }
+
+    const { payload, ...details } = job;
+    return details;
+  }
+
+  /**
+   * Get dead-letter jobs
+   * @param {string} tenantId - Optional tenant filter
+   * @returns {Array} Dead-letter jobs without payloads, newest first
+   */
+  getDeadLetters(tenantId) {
+    return this.deadLetters
+      .filter(job => !tenantId || job.tenantId === tenantId)
+      .map(({ payload, ...details }) => details)
+      .reverse();
+  }
+
+  /**
+   * Move a dead-letter job back into the queue
+   * @param {string} jobId - Job identifier
+   * @param {string} tenantId - Optional tenant the job must belong to
+   * @returns {Object|null} Requeued job, or null if not found
+   */
+  retryDeadLetter(jobId, tenantId) {
+    const job = this.deadLetters.find(candidate => candidate.id === jobId);
+    if (!job || (tenantId && job.tenantId !== tenantId)) {
+      return null;
+    }
+
+    this.deadLetters = this.deadLetters.filter(candidate => candidate.id !== jobId);
+    Object.assign(job, {
+      status: 'pending',
+      attempts: 0,
+      nextAttemptAt: Date.now(),
+      finishedAt: null
+    });
+    this.queue.push(job);
+    this.persist();
+
+    setImmediate(() => this.processQueue());
+    return this.getJob(jobId);
+  }
+
+  /**
+   * Get queue statistics
+   * @returns {Object} Pending and dead-letter counts
+   */
+  getStats() {
+    return {
+      pending: this.queue.length,
+      deadLetters: this.deadLetters.length
+    };
+  }
+}
+
+export default new PushQueueService();
@@ -1,85 +1,426 @@
-import vapidService from './vapid.js';
 import storageService from './storage.js';
+import userService from './users.js';
+import metricsService from './metrics.js';
+import logger from './logger.js';
+import { normalizePhoneNumber, formatPhoneNumberForDisplay } from './phone.js';
+import { DEFAULT_LOCALE, SUPPORTED_LOCALES, getTranslator } from './i18n.js';
+import { WebPushProvider, PushProviderError, createProviders, getProviderName } from './providers/index.js';
 
 class PushService {
+  constructor() {
+    // Push providers by name, replaced in initialize()
+    this.providers = { webpush: new WebPushProvider() };
+  }
+
+  /**
+   * Set up the push providers (Web Push, plus FCM and APNs when configured)
+   * @param {Object} providers - Optional providers by name (defaults to environment configuration)
+   */
+  initialize(providers = createProviders()) {
+    this.providers = providers;
+    logger.info('Push providers enabled', { providers: this.getProviderNames() });
+  }
+
+  /**
+   * Names of the enabled push providers
+   * @returns {Array<string>} e.g. ['webpush', 'fcm']
+   */
+  getProviderNames() {
+    return Object.keys(this.providers);
+  }
+
+  /**
+   * Check whether a push provider is enabled
+   * @param {string} name - Provider name
+   * @returns {boolean} True if devices of this provider can be notified
+   */
+  hasProvider(name) {
+    return Object.hasOwn(this.providers, name);
+  }
+
+  /**
+   * Send push notification to a user, applying the user's routing rules
+   * When the user is unavailable (do-not-disturb, outside working hours) or has
+   * no devices, the notification goes to the user's available fallback users.
+   * @param {string} tenantId - Tenant identifier
+   * @param {string} userId - User identifier (call owner)
+   * @param {Object} payload - Notification payload, or localized payloads from localizePayload()
+   * @param {Object} options - Optional settings
+   * @param {Array<string>} options.recipients - Send to these users without applying routing rules
+   * @param {Array<string>} options.endpoints - Only send to subscriptions with these endpoints
+   * @param {string} options.requestId - Request ID for log entries and storage calls
+   * @returns {Object} Result of sendToDevices() summed over all recipients, plus the
+   *   users that got the notification (notified) and the routing decision (routing)
+   */
+  async sendToUser(tenantId, userId, payload, options = {}) {
+    const routing = options.recipients ? null : this.resolveRecipients(tenantId, userId);
+    const recipients = options.recipients || routing.recipients;
+
+    if (routing && routing.fallback) {
+      logger.info('Call routed to fallback users', {
+        requestId: options.requestId,
+        tenantId,
+        userId,
+        reason: routing.reason,
+        recipients
+      });
+    }
+
+    return { ...await this.sendToRecipients(tenantId, recipients, payload, options), routing };
+  }
+
+  /**
+   * Send push notification to several users at once (a group or a list of users)
+   * Members who are unavailable or have no devices are skipped; their fallback
+   * users are not notified.
+   * @param {string} tenantId - Tenant identifier
+   * @param {Array<string>} userIds - Users to notify
+   * @param {Object} payload - Notification payload, or localized payloads from localizePayload()
+   * @param {Object} options - Optional settings, as for sendToUser()
+   * @returns {Object} Result as for sendToUser()
+   */
+  async sendToUsers(tenantId, userIds, payload, options = {}) {
+    const routing = options.recipients ? null : this.resolveTeamRecipients(tenantId, userIds);
+    const recipients = options.recipients || routing.recipients;
+
+    return { ...await this.sendToRecipients(tenantId, recipients, payload, options), routing };
+  }
+
+  /**
+   * Send push notification to all devices of the given users
+   * @param {string} tenantId - Tenant identifier
+   * @param {Array<string>} recipients - Users to notify
+   * @param {Object} payload - Notification payload, or localized payloads from localizePayload()
+   * @param {Object} options - Optional settings, as for sendToDevices()
+   * @returns {Object} Result of sendToDevices() summed over all recipients, plus the
+   *   recipients and the users that got the notification (notified)
+   */
+  async sendToRecipients(tenantId, recipients, payload, options = {}) {
+    const result = { sent: 0, total: 0, deliveries: [], retryable: [], recipients, notified: [] };
+    for (const recipient of recipients) {
+      const { sent, total, deliveries, retryable } = await this.sendToDevices(tenantId, recipient, payload, options);
+      result.sent += sent;
+      result.total += total;
+      result.deliveries.push(...deliveries);
+      result.retryable.push(...retryable);
+
+      if (sent > 0) {
+        result.notified.push(recipient);
+      }
+    }
+
+    return result;
+  }
+
+  /**
+   * Decide who receives a call notification for a user
+   * @param {string} tenantId - Tenant identifier
+   * @param {string} userId - User identifier (call owner)
+   * @returns {Object} { owner, available, reason, fallback, recipients } where reason is
+   *   'available', 'do_not_disturb', 'outside_working_hours' or 'no_devices'
+   */
+  resolveRecipients(tenantId, userId) {
+    const availability = userService.getAvailability(tenantId, userId);
+    const hasDevices = storageService.getDevices(tenantId, userId).length > 0;
+
+    if (availability.available && hasDevices) {
+      return { owner: userId, available: true, reason: 'available', fallback: false, recipients: [userId] };
+    }
+
+    const fallbackUsers = userService.getFallbackUsers(tenantId, userId)
+      .filter(fallbackUser => userService.getAvailability(tenantId, fallbackUser).available)
+      .filter(fallbackUser => storageService.getDevices(tenantId, fallbackUser).length > 0);
+
+    return {
+      owner: userId,
+      available: availability.available,
+      reason: availability.available ? 'no_devices' : availability.reason,
+      fallback: fallbackUsers.length > 0,
+      recipients: fallbackUsers
+    };
+  }
+
+  /**
+   * Decide which members of a group or user list receive a call notification
+   * @param {string} tenantId - Tenant identifier
+   * @param {Array<string>} userIds - Targeted users
+   * @returns {Object} { targets, available, reason, fallback, recipients, skipped } where reason
+   *   is 'available', 'unavailable' (nobody available) or 'no_devices', and skipped lists
+   *   { userId, reason } for members left out
+   */
+  resolveTeamRecipients(tenantId, userIds) {
+    const recipients = [];
+    const skipped = [];
+
+    for (const userId of userIds) {
+      const availability = userService.getAvailability(tenantId, userId);
+      if (!availability.available) {
+        skipped.push({ userId, reason: availability.reason });
+      } else if (storageService.getDevices(tenantId, userId).length === 0) {
+        skipped.push({ userId, reason: 'no_devices' });
+      } else {
+        recipients.push(userId);
+      }
+    }
+
+    const available = skipped.some(member => member.reason === 'no_devices') || recipients.length > 0;
+    let reason = 'available';
+    if (recipients.length === 0) {
+      reason = available ? 'no_devices' : 'unavailable';
+    }
+
+    return { targets: userIds, available, reason, fallback: false, recipients, skipped };
+  }
+
   /**
    * Send push notification to all subscriptions of a user
+   * @param {string} tenantId - Tenant identifier
    * @param {string} userId - User identifier
-   * @param {Object} payload - Notification payload
-   * @returns {Object} Result with sent and total counts
+   * @param {Object} payload - Notification payload, or localized payloads from localizePayload()
+   * @param {Object} options - Optional settings
+   * @param {Array<string>} options.endpoints - Only send to subscriptions with these endpoints
+   * @param {string} options.requestId - Request ID for log entries and storage calls
+   * @returns {Object} Result with sent and total counts, the outcome per device
+   *   (deliveries) and transient failures worth retrying
    */
-  async sendToUser(userId, payload) {
-    const subscriptions = storageService.getSubscriptions(userId);
+  async sendToDevices(tenantId, userId, payload, options = {}) {
+    let devices = storageService.getDevices(tenantId, userId);
+    if (options.endpoints) {
+      devices = devices.filter(device => options.endpoints.includes(device.subscription.endpoint));
+    }
+    const subscriptions = devices.map(device => device.subscription);
+    const { requestId } = options;
+    const log = logger.child({ requestId, tenantId, userId });
     
     if (subscriptions.length === 0) {
-      console.log(`⚠️  No subscriptions found for user ${userId}`);
-      return { sent: 0, total: 0 };
+      // Retries only target the devices that failed, which may belong to other recipients
+      if (!options.endpoints) {
+        log.warn('No subscriptions found for user');
+      }
+      return { sent: 0, total: 0, deliveries: [], retryable: [] };
     }
 
-    console.log(`📤 Sending push to ${subscriptions.length} subscription(s) for user ${userId}`);
+    log.debug('Sending push', { subscriptions: subscriptions.length });
     
-    const webpush = vapidService.getWebPushInstance();
+    const durations = [];
     const results = await Promise.allSettled(
-      subscriptions.map(subscription => 
-        this.sendNotification(webpush, subscription, payload, userId)
-      )
+      devices.map(async (device, index) => {
+        const started = performance.now();
+        try {
+          return await this.sendNotification(device.subscription, this.getDevicePayload(payload, device), log);
+        } finally {
+          durations[index] = (performance.now() - started) / 1000;
+        }
+      })
     );
 
     // Count successful sends and handle failures
     let sent = 0;
+    const retryable = [];
+    const deliveries = [];
     results.forEach((result, index) => {
       if (result.status === 'fulfilled') {
         sent++;
+        storageService.markPushSuccess(tenantId, userId, subscriptions[index]);
+        metricsService.recordPush({
+          endpoint: subscriptions[index].endpoint,
+          success: true,
+          statusCode: result.value?.statusCode,
+          durationSeconds: durations[index]
+        });
+        deliveries.push({
+          userId,
+          deviceId: devices[index].id,
+          success: true,
+          statusCode: result.value?.statusCode || null
+        });
       } else {
-        console.error(`❌ Failed to send to subscription ${index + 1}:`, result.reason.message);
+        log.warn('Push failed', {
+          deviceId: devices[index].id,
+          endpoint: subscriptions[index].endpoint,
+          statusCode: result.reason.statusCode,
+          error: result.reason.message
+        });
         
-        // Remove invalid subscriptions (410 Gone, 400 Bad Request)
-        if (result.reason.statusCode === 410 || result.reason.statusCode === 400) {
-          storageService.removeSubscription(userId, subscriptions[index]);
+        // Remove subscriptions the provider reports as gone (e.g. Web Push 410 Gone)
+        const removed = this.isExpired(subscriptions[index], result.reason);
+        metricsService.recordPush({
+          endpoint: subscriptions[index].endpoint,
+          success: false,
+          statusCode: result.reason.statusCode,
+          durationSeconds: durations[index],
+          pruned: removed
+        });
+        deliveries.push({
+          userId,
+          deviceId: devices[index].id,
+          success: false,
+          statusCode: result.reason.statusCode || null,
+          message: result.reason.body || result.reason.message,
+          removed
+        });
+        
+        if (removed) {
+          storageService.removeSubscription(tenantId, userId, subscriptions[index], { requestId });
+        } else {
+          storageService.markPushFailure(tenantId, userId, subscriptions[index], result.reason);
+        }
+        
+        if (!removed && this.isTransientError(result.reason)) {
+          retryable.push({
+            endpoint: subscriptions[index].endpoint,
+            statusCode: result.reason.statusCode || null,
+            retryAfterMs: this.getRetryAfterMs(result.reason),
+            message: result.reason.message
+          });
         }
       }
     });
 
-    console.log(`✅ Successfully sent ${sent}/${subscriptions.length} notifications to user ${userId}`);
+    log.info('Push sent', { sent, total: subscriptions.length });
     
     return {
       sent,
-      total: subscriptions.length
+      total: subscriptions.length,
+      deliveries,
+      retryable
     };
   }
 
   /**
-   * Send notification to a single subscription
-   * @param {Object} webpush - Web push instance
-   * @param {Object} subscription - Push subscription
-   * @param {Object} payload - Notification payload
-   * @param {string} userId - User identifier for logging
+   * Render a payload in every supported locale
+   * sendToDevices() picks the version matching each device's locale.
+   * @param {Function} render - Returns the payload for a locale
+   * @returns {Object} Localized payloads ({ locales: { en: …, de: … } })
    */
-  async sendNotification(webpush, subscription, payload, userId) {
-    const options = {
-      TTL: 3600, // 1 hour
-      urgency: 'high'
+  localizePayload(render) {
+    return {
+      locales: Object.fromEntries(SUPPORTED_LOCALES.map(locale => [locale, render(locale)]))
     };
+  }
 
-    try {
-      await webpush.sendNotification(subscription, JSON.stringify(payload), options);
-    } catch (error) {
-      // Re-throw with additional context
-      error.userId = userId;
-      throw error;
+  /**
+   * Pick the payload for a device
+   * @param {Object} payload - Payload or localized payloads
+   * @param {Object} device - Device record
+   * @returns {Object} Notification payload
+   */
+  getDevicePayload(payload, device) {
+    if (!payload.locales) {
+      return payload;
+    }
+
+    return payload.locales[device.locale] || payload.locales[DEFAULT_LOCALE];
+  }
+
+  /**
+   * Check whether a push failure is worth retrying
+   * Rate limiting (429), push service errors (5xx) and network errors/timeouts are transient.
+   * @param {Error} error - Error from a provider
+   * @returns {boolean} True if the send may succeed later
+   */
+  isTransientError(error) {
+    if (error.reason === 'provider_not_configured') {
+      return false;
+    }
+    if (!error.statusCode) {
+      return true;
+    }
+    return error.statusCode === 429 || error.statusCode >= 500;
+  }
+
+  /**
+   * Read the Retry-After header of a push service response
+   * @param {Error} error - Error from a provider
+   * @returns {number|null} Delay in milliseconds, or null if not present
+   */
+  getRetryAfterMs(error) {
+    const value = error.headers && error.headers['retry-after'];
+    if (!value) {
+      return null;
+    }
+
+    // Either delay-seconds or an HTTP date
+    const seconds = Number(value);
+    if (Number.isFinite(seconds)) {
+      return Math.max(0, seconds * 1000);
+    }
+
+    const date = Date.parse(value);
+    return Number.isNaN(date) ? null : Math.max(0, date - Date.now());
+  }
+
+  /**
+   * Send notification to a single subscription through its provider
+   * @param {Object} subscription - PushSubscription JSON or native device
+   * @param {Object} payload - Notification payload
+   * @param {Object} log - Logger with the request context
+   * @returns {Object} Provider response (statusCode, body, headers)
+   */
+  async sendNotification(subscription, payload, log = logger) {
+    const name = getProviderName(subscription);
+    const provider = this.providers[name];
+
+    if (!provider) {
+      throw new PushProviderError(`Push provider ${name} is not configured`, { reason: 'provider_not_configured' });
+    }
+
+    return provider.send(subscription, payload, { log });
+  }
+
+  /**
+   * Check whether a failure means the subscription is gone for good
+   * @param {Object} subscription - Subscription the push was sent to
+   * @param {Error} error - Error from sendNotification()
+   * @returns {boolean} True if the subscription should be removed
+   */
+  isExpired(subscription, error) {
+    const provider = this.providers[getProviderName(subscription)];
+    return provider ? provider.isExpired(error) : false;
+  }
+
+  /**
+   * Notification title naming the contact and company when known
+   * @param {Function} t - Translator for the device locale
+   * @param {Object} context - Contact details from the webhook
+   * @returns {string} Notification title
+   */
+  getCallTitle(t, { contactName, company } = {}) {
+    if (contactName && company) {
+      return t('notification.titleContactCompany', { name: contactName, company });
     }
+    
+    if (contactName || company) {
+      return t('notification.titleContact', { name: contactName || company });
+    }
+    
+    return t('notification.title');
   }
 
   /**
    * Create notification payload for phone call
-   * @param {string} calleeNumber - Phone number to call
+   * @param {string} calleeNumber - Phone number to call (normalized)
    * @param {string} baseUrl - Base URL for the call page
+   * @param {Object} call - Optional call record reference for delivery tracking
+   * @param {string} call.id - Call identifier
+   * @param {string} call.token - Token for reporting call events
+   * @param {boolean} call.claimable - Whether the first tap claims the call (group calls)
+   * @param {Object} context - Optional contact details from the webhook
+   * @param {string} locale - Language of the notification and call page
    * @returns {Object} Notification payload
    */
-  createCallPayload(calleeNumber, baseUrl) {
-    return {
-      title: '📞 Incoming CRM Call',
-      body: `Tap to call ${calleeNumber}`,
+  createCallPayload(calleeNumber, baseUrl, call, context = {}, locale = DEFAULT_LOCALE) {
+    const t = getTranslator(locale);
+    const normalized = normalizePhoneNumber(calleeNumber);
+    const displayNumber = normalized.valid ? formatPhoneNumberForDisplay(normalized) : calleeNumber;
+    
+    const payload = {
+      title: this.getCallTitle(t, context),
+      body: [
+        t('notification.body', { number: displayNumber }),
+        context.reference,
+        context.note
+      ].filter(Boolean).join('\n'),
       icon: '/favicon.ico',
       badge: '/favicon.ico',
       tag: 'crm-call',
@@ -87,14 +428,80 @@ class PushService {
       actions: [
         {
           action: 'call',
-          title: 'Call Now'
+          title: t('notification.callAction')
         }
       ],
       data: {
-        url: `${baseUrl}/call?to=${encodeURIComponent(calleeNumber)}`,
+        url: `${baseUrl}/call?to=${encodeURIComponent(calleeNumber)}&lang=${locale}`,
         calleeNumber
       }
     };
+
+    if (call) {
+      payload.data.callId = call.id;
+      payload.data.callToken = call.token;
+      if (call.claimable) {
+        payload.data.claimable = true;
+      }
+      
+      // Lets the call page show the contact card
+      payload.data.url += `&call=${encodeURIComponent(call.id)}&token=${encodeURIComponent(call.token)}`;
+    }
+
+    return payload;
+  }
+
+  /**
+   * Create a payload that replaces the notification of a call with a note
+   * that someone else took it
+   * Sent to the other recipients once someone claimed the call. It has to be a
+   * visible notification: browsers show a generic one for pushes that display
+   * nothing, and Safari revokes the subscription after a few of them. Native
+   * apps get it as an alert that collapses the call notification (same tag).
+   * @param {string} callId - Call identifier
+   * @param {string} claimedBy - User who took the call
+   * @param {string} locale - Language of the notification
+   * @returns {Object} Retraction payload
+   */
+  createRetractPayload(callId, claimedBy, locale = DEFAULT_LOCALE) {
+    const t = getTranslator(locale);
+
+    return {
+      type: 'retract',
+      title: t('notification.takenTitle'),
+      body: t('notification.takenBody', { name: claimedBy }),
+      icon: '/favicon.ico',
+      badge: '/favicon.ico',
+      tag: 'crm-call',
+      requireInteraction: false,
+      callId,
+      data: {
+        url: '/',
+        callId
+      }
+    };
+  }
+
+  /**
+   * Create a test notification payload
+   * @param {string} baseUrl - Base URL of the registration page
+   * @param {string} locale - Language of the notification
+   * @returns {Object} Notification payload
+   */
+  createTestPayload(baseUrl, locale = DEFAULT_LOCALE) {
+    const t = getTranslator(locale);
+
+    return {
+      title: t('notification.testTitle'),
+      body: t('notification.testBody'),
+      icon: '/favicon.ico',
+      badge: '/favicon.ico',
+      tag: 'crm-test',
+      requireInteraction: false,
+      data: {
+        url: `${baseUrl}/`
+      }
+    };
   }
 }
 
@@ -1,97 +1,374 @@
+import crypto from 'crypto';
+import { MemoryBackend, createBackend } from './storage/index.js';
+import { DEFAULT_TENANT_ID } from './tenants.js';
+import logger from './logger.js';
+
 class StorageService {
   constructor() {
-    // In-memory storage: userId -> Set of subscriptions
-    this.subscriptions = new Map();
+    // In-memory index: tenantId -> userId -> Map of deviceId -> device record
+    this.tenants = new Map();
+
+    // Persistence backend, replaced in initialize()
+    this.backend = new MemoryBackend();
+  }
+
+  /**
+   * Select the persistence backend and load stored devices
+   * @param {Object} backend - Optional backend instance (defaults to STORAGE_BACKEND config)
+   */
+  initialize(backend = createBackend('subscriptions')) {
+    this.backend = backend;
+    this.tenants = new Map();
+
+    const data = this.backend.load();
+    if (data && data.tenants) {
+      for (const [tenantId, users] of Object.entries(data.tenants)) {
+        const tenantUsers = new Map();
+        for (const [userId, devices] of Object.entries(users)) {
+          tenantUsers.set(userId, new Map(devices.map(device => [device.id, device])));
+        }
+        this.tenants.set(tenantId, tenantUsers);
+      }
+    } else if (data && data.devices) {
+      // Data from single-tenant versions belongs to the default tenant
+      const tenantUsers = new Map();
+      for (const [userId, devices] of Object.entries(data.devices)) {
+        tenantUsers.set(userId, new Map(devices.map(device => [device.id, device])));
+      }
+      this.tenants.set(DEFAULT_TENANT_ID, tenantUsers);
+    } else if (data && data.subscriptions) {
+      // Migrate plain subscription lists from older versions
+      for (const [userId, subscriptions] of Object.entries(data.subscriptions)) {
+        subscriptions.forEach(subscription => this.addSubscription(DEFAULT_TENANT_ID, userId, subscription));
+      }
+    }
+
+    logger.info('Subscriptions loaded', {
+      backend: this.backend.describe(),
+      subscriptions: this.getTotalSubscriptions()
+    });
+  }
+
+  /**
+   * Write the current state to the backend
+   */
+  persist() {
+    const tenants = {};
+    for (const [tenantId, tenantUsers] of this.tenants) {
+      tenants[tenantId] = {};
+      for (const userId of tenantUsers.keys()) {
+        tenants[tenantId][userId] = this.getDevices(tenantId, userId);
+      }
+    }
+
+    try {
+      this.backend.save({ tenants });
+    } catch (error) {
+      logger.error('Failed to persist subscriptions', { error });
+    }
+  }
+
+  /**
+   * Derive a stable device ID from a subscription endpoint
+   * @param {Object} subscription - Push subscription object
+   * @returns {string} Device identifier
+   */
+  getDeviceId(subscription) {
+    return crypto.createHash('sha256').update(subscription.endpoint).digest('hex').slice(0, 16);
+  }
+
+  /**
+   * Get the device map of a user
+   * @param {string} tenantId - Tenant identifier
+   * @param {string} userId - User identifier
+   * @param {boolean} create - Create missing entries
+   * @returns {Map|undefined} deviceId -> device record
+   */
+  getUserDevices(tenantId, userId, create = false) {
+    if (create && !this.tenants.has(tenantId)) {
+      this.tenants.set(tenantId, new Map());
+    }
+
+    const tenantUsers = this.tenants.get(tenantId);
+    if (create && !tenantUsers.has(userId)) {
+      tenantUsers.set(userId, new Map());
+    }
+
+    return tenantUsers?.get(userId);
   }
 
   /**
    * Add a subscription for a user
+   * Re-registering the same endpoint updates the existing device.
+   * @param {string} tenantId - Tenant identifier
    * @param {string} userId - User identifier
    * @param {Object} subscription - Push subscription object
+   * @param {Object} metadata - Optional device metadata (userAgent, label, locale, tokenId)
+   * @param {Object} options - Optional settings
+   * @param {string} options.requestId - Request ID for log entries
+   * @returns {Object} Device record
    */
-  addSubscription(userId, subscription) {
-    if (!this.subscriptions.has(userId)) {
-      this.subscriptions.set(userId, new Set());
+  addSubscription(tenantId, userId, subscription, metadata = {}, { requestId } = {}) {
+    const deviceId = this.getDeviceId(subscription);
+
+    // An endpoint belongs to exactly one user
+    for (const [otherTenantId, tenantUsers] of this.tenants) {
+      for (const [otherUserId, otherDevices] of tenantUsers) {
+        const sameUser = otherTenantId === tenantId && otherUserId === userId;
+        if (!sameUser && otherDevices.has(deviceId)) {
+          this.removeDevice(otherTenantId, otherUserId, deviceId);
+        }
+      }
     }
-    
-    const userSubscriptions = this.subscriptions.get(userId);
-    
-    // Convert subscription to string for Set comparison
-    const subscriptionKey = JSON.stringify(subscription);
-    userSubscriptions.add(subscriptionKey);
-    
-    console.log(`📱 Added subscription for user ${userId}. Total: ${userSubscriptions.size}`);
+
+    const userDevices = this.getUserDevices(tenantId, userId, true);
+    const existing = userDevices.get(deviceId);
+
+    const device = {
+      id: deviceId,
+      subscription,
+      userAgent: metadata.userAgent || existing?.userAgent || null,
+      label: metadata.label || existing?.label || null,
+      locale: metadata.locale || existing?.locale || null,
+      // Access token the device was registered with, revoked when the device is removed
+      tokenId: metadata.tokenId || existing?.tokenId || null,
+      createdAt: existing?.createdAt || new Date().toISOString(),
+      lastSeenAt: new Date().toISOString(),
+      lastSuccessfulPushAt: existing?.lastSuccessfulPushAt || null,
+      lastPushAt: existing?.lastPushAt || null,
+      lastPushStatus: existing?.lastPushStatus || null,
+      lastPushError: existing?.lastPushError || null
+    };
+
+    userDevices.set(deviceId, device);
+    this.persist();
+
+    logger.info('Subscription added', { requestId, tenantId, userId, deviceId, devices: userDevices.size });
+    return { ...device };
   }
 
   /**
    * Get all subscriptions for a user
+   * @param {string} tenantId - Tenant identifier
    * @param {string} userId - User identifier
    * @returns {Array} Array of subscription objects
    */
-  getSubscriptions(userId) {
-    const userSubscriptions = this.subscriptions.get(userId);
-    if (!userSubscriptions) {
+  getSubscriptions(tenantId, userId) {
+    return this.getDevices(tenantId, userId).map(device => device.subscription);
+  }
+
+  /**
+   * Get all devices for a user
+   * @param {string} tenantId - Tenant identifier
+   * @param {string} userId - User identifier
+   * @returns {Array} Array of device records
+   */
+  getDevices(tenantId, userId) {
+    const userDevices = this.getUserDevices(tenantId, userId);
+    if (!userDevices) {
       return [];
     }
-    
-    // Convert back from strings to objects
-    return Array.from(userSubscriptions).map(sub => JSON.parse(sub));
+
+    return Array.from(userDevices.values()).map(device => ({ ...device }));
+  }
+
+  /**
+   * Get a single device of a user
+   * @param {string} tenantId - Tenant identifier
+   * @param {string} userId - User identifier
+   * @param {string} deviceId - Device identifier
+   * @returns {Object|null} Device record or null if not found
+   */
+  getDevice(tenantId, userId, deviceId) {
+    const device = this.getUserDevices(tenantId, userId)?.get(deviceId);
+    return device ? { ...device } : null;
+  }
+
+  /**
+   * Update editable device fields
+   * @param {string} tenantId - Tenant identifier
+   * @param {string} userId - User identifier
+   * @param {string} deviceId - Device identifier
+   * @param {Object} updates - Fields to update (label, locale)
+   * @returns {Object|null} Updated device or null if not found
+   */
+  updateDevice(tenantId, userId, deviceId, updates) {
+    const device = this.getUserDevices(tenantId, userId)?.get(deviceId);
+    if (!device) {
+      return null;
+    }
+
+    if (updates.label !== undefined) {
+      device.label = updates.label;
+    }
+
+    if (updates.locale !== undefined) {
+      device.locale = updates.locale;
+    }
+
+    this.persist();
+    return { ...device };
+  }
+
+  /**
+   * Remove a device of a user
+   * @param {string} tenantId - Tenant identifier
+   * @param {string} userId - User identifier
+   * @param {string} deviceId - Device identifier
+   * @returns {boolean} True if the device was removed
+   */
+  removeDevice(tenantId, userId, deviceId) {
+    const userDevices = this.getUserDevices(tenantId, userId);
+    if (!userDevices || !userDevices.delete(deviceId)) {
+      return false;
+    }
+
+    // Clean up empty user and tenant entries
+    if (userDevices.size === 0) {
+      const tenantUsers = this.tenants.get(tenantId);
+      tenantUsers.delete(userId);
+      if (tenantUsers.size === 0) {
+        this.tenants.delete(tenantId);
+      }
+    }
+
+    this.persist();
+    return true;
   }
 
   /**
    * Remove a subscription for a user
+   * @param {string} tenantId - Tenant identifier
    * @param {string} userId - User identifier
    * @param {Object} subscription - Push subscription object to remove
+   * @param {Object} options - Optional settings
+   * @param {string} options.requestId - Request ID for log entries
    */
-  removeSubscription(userId, subscription) {
-    const userSubscriptions = this.subscriptions.get(userId);
-    if (!userSubscriptions) {
-      return;
-    }
-    
-    const subscriptionKey = JSON.stringify(subscription);
-    const removed = userSubscriptions.delete(subscriptionKey);
-    
-    if (removed) {
-      console.log(`🗑️  Removed invalid subscription for user ${userId}`);
-      
-      // Clean up empty user entries
-      if (userSubscriptions.size === 0) {
-        this.subscriptions.delete(userId);
+  removeSubscription(tenantId, userId, subscription, { requestId } = {}) {
+    const deviceId = this.getDeviceId(subscription);
+    if (this.removeDevice(tenantId, userId, deviceId)) {
+      logger.info('Invalid subscription removed', { requestId, tenantId, userId, deviceId });
+    }
+  }
+
+  /**
+   * Record a successful push to a subscription
+   * @param {string} tenantId - Tenant identifier
+   * @param {string} userId - User identifier
+   * @param {Object} subscription - Push subscription object
+   */
+  markPushSuccess(tenantId, userId, subscription) {
+    const device = this.getUserDevices(tenantId, userId)?.get(this.getDeviceId(subscription));
+    if (device) {
+      const now = new Date().toISOString();
+      device.lastSuccessfulPushAt = now;
+      device.lastPushAt = now;
+      device.lastPushStatus = 'sent';
+      device.lastPushError = null;
+      this.persist();
+    }
+  }
+
+  /**
+   * Record a failed push to a subscription
+   * @param {string} tenantId - Tenant identifier
+   * @param {string} userId - User identifier
+   * @param {Object} subscription - Push subscription object
+   * @param {Error} error - Error from the push service
+   */
+  markPushFailure(tenantId, userId, subscription, error) {
+    const device = this.getUserDevices(tenantId, userId)?.get(this.getDeviceId(subscription));
+    if (device) {
+      device.lastPushAt = new Date().toISOString();
+      device.lastPushStatus = 'failed';
+      device.lastPushError = error.statusCode ? `HTTP ${error.statusCode}` : error.message;
+      this.persist();
+    }
+  }
+
+  /**
+   * Record that a device contacted the server
+   * @param {string} tenantId - Tenant identifier
+   * @param {string} userId - User identifier
+   * @param {string} deviceId - Device identifier
+   */
+  markDeviceSeen(tenantId, userId, deviceId) {
+    const device = this.getUserDevices(tenantId, userId)?.get(deviceId);
+    if (device) {
+      device.lastSeenAt = new Date().toISOString();
+      this.persist();
+    }
+  }
+
+  /**
+   * List users with their devices
+   * @param {string} tenantId - Optional tenant (defaults to all tenants)
+   * @returns {Array} { tenantId, userId, devices } entries
+   */
+  listUsers(tenantId) {
+    const users = [];
+    for (const [userTenantId, tenantUsers] of this.tenants) {
+      if (tenantId && userTenantId !== tenantId) {
+        continue;
+      }
+
+      for (const userId of tenantUsers.keys()) {
+        users.push({ tenantId: userTenantId, userId, devices: this.getDevices(userTenantId, userId) });
       }
     }
+    return users;
+  }
+
+  /**
+   * Get the user maps of one tenant, or of all tenants
+   * @param {string} tenantId - Optional tenant identifier
+   * @returns {Array<Map>} userId -> devices maps
+   */
+  getTenantUserMaps(tenantId) {
+    if (tenantId) {
+      return this.tenants.has(tenantId) ? [this.tenants.get(tenantId)] : [];
+    }
+    return Array.from(this.tenants.values());
   }
 
   /**
    * Get total number of users with subscriptions
+   * @param {string} tenantId - Optional tenant to count (defaults to all)
    * @returns {number} Number of users
    */
-  getUserCount() {
-    return this.subscriptions.size;
+  getUserCount(tenantId) {
+    return this.getTenantUserMaps(tenantId).reduce((total, tenantUsers) => total + tenantUsers.size, 0);
   }
 
   /**
-   * Get total number of subscriptions across all users
+   * Get total number of subscriptions
+   * @param {string} tenantId - Optional tenant to count (defaults to all)
    * @returns {number} Total subscription count
    */
-  getTotalSubscriptions() {
+  getTotalSubscriptions(tenantId) {
     let total = 0;
-    for (const userSubs of this.subscriptions.values()) {
-      total += userSubs.size;
+    for (const tenantUsers of this.getTenantUserMaps(tenantId)) {
+      for (const userDevices of tenantUsers.values()) {
+        total += userDevices.size;
+      }
     }
     return total;
   }
 
   /**
    * Get storage statistics
+   * @param {string} tenantId - Optional tenant (defaults to all tenants)
    * @returns {Object} Storage statistics
    */
-  getStats() {
+  getStats(tenantId) {
+    const users = this.getUserCount(tenantId);
+    const totalSubscriptions = this.getTotalSubscriptions(tenantId);
+
     return {
-      users: this.getUserCount(),
-      totalSubscriptions: this.getTotalSubscriptions(),
-      avgSubscriptionsPerUser: this.getUserCount() > 0 
-        ? (this.getTotalSubscriptions() / this.getUserCount()).toFixed(2)
+      users,
+      totalSubscriptions,
+      avgSubscriptionsPerUser: users > 0
+        ? (totalSubscriptions / users).toFixed(2)
         : 0
     };
   }
@@ -0,0 +1,42 @@
+import path from 'path';
+import { MemoryBackend } from './memory.js';
+import { JsonFileBackend, flushPendingWrites } from './json-file.js';
+
+export const DEFAULT_DATA_DIR = './data';
+
+// Saves within this window are written to disk once
+const DEFAULT_WRITE_DELAY_MS = 1000;
+
+/**
+ * Create a storage backend based on environment configuration
+ * @param {string} name - Name of the data set (used as file name for file backends)
+ * @param {Object} options - Optional overrides
+ * @param {string} options.type - Backend type: 'file' or 'memory' (defaults to STORAGE_BACKEND)
+ * @param {string} options.dataDir - Directory for file backends (defaults to DATA_DIR)
+ * @param {number} options.writeDelayMs - Write delay of file backends (defaults to PERSIST_DELAY_MS)
+ * @returns {MemoryBackend|JsonFileBackend} Storage backend instance
+ */
+export function createBackend(name, options = {}) {
+  const type = (options.type || process.env.STORAGE_BACKEND || 'file').toLowerCase();
+  const dataDir = options.dataDir || process.env.DATA_DIR || DEFAULT_DATA_DIR;
+  const writeDelayMs = options.writeDelayMs ?? parseDelay(process.env.PERSIST_DELAY_MS);
+
+  switch (type) {
+    case 'memory':
+      return new MemoryBackend();
+
+    case 'file':
+    case 'json':
+      return new JsonFileBackend(path.resolve(dataDir, `${name}.json`), { writeDelayMs });
+
+    default:
+      throw new Error(`Unknown storage backend: ${type}`);
+  }
+}
+
+function parseDelay(value) {
+  const delay = parseInt(value, 10);
+  return Number.isNaN(delay) || delay < 0 ? DEFAULT_WRITE_DELAY_MS : delay;
+}
+
+export { MemoryBackend, JsonFileBackend, flushPendingWrites };
@@ -0,0 +1,109 @@
+import fs from 'fs';
+import path from 'path';
+import logger from '../logger.js';
+
+// Backends with a write that has not reached the disk yet
+const pendingBackends = new Set();
+
+/**
+ * JSON file storage backend.
+ * Writes go to a temporary file first and are then renamed into place,
+ * so a crash mid-write never leaves a truncated file behind.
+ * With a write delay, saves within the delay are coalesced into one write of the latest snapshot.
+ */
+export class JsonFileBackend {
+  /**
+   * @param {string} filePath - Path of the JSON file
+   * @param {Object} options - Optional settings
+   * @param {number} options.mode - File permissions for written files (e.g. 0o600 for secrets)
+   * @param {number} options.writeDelayMs - Delay before a save is written (0 writes immediately)
+   */
+  constructor(filePath, options = {}) {
+    this.filePath = filePath;
+    this.mode = options.mode;
+    this.writeDelayMs = options.writeDelayMs || 0;
+
+    this.pendingData = null;
+    this.timer = null;
+  }
+
+  /**
+   * Load the stored snapshot from disk
+   * @returns {Object|null} Stored data or null if the file does not exist yet
+   */
+  load() {
+    if (!fs.existsSync(this.filePath)) {
+      return null;
+    }
+
+    const content = fs.readFileSync(this.filePath, 'utf8');
+    if (content.trim() === '') {
+      return null;
+    }
+
+    return JSON.parse(content);
+  }
+
+  /**
+   * Save a snapshot to disk, after the write delay if one is set.
+   * Delayed snapshots are serialized when written, so callers pass their live state.
+   * @param {Object} data - Serializable data to store
+   */
+  save(data) {
+    if (!this.writeDelayMs) {
+      this.write(data);
+      return;
+    }
+
+    this.pendingData = data;
+    pendingBackends.add(this);
+
+    if (!this.timer) {
+      this.timer = setTimeout(() => this.flush(), this.writeDelayMs);
+      this.timer.unref();
+    }
+  }
+
+  /**
+   * Write a pending snapshot now
+   */
+  flush() {
+    clearTimeout(this.timer);
+    this.timer = null;
+    pendingBackends.delete(this);
+
+    if (this.pendingData === null) {
+      return;
+    }
+
+    const data = this.pendingData;
+    this.pendingData = null;
+
+    try {
+      this.write(data);
+    } catch (error) {
+      logger.error('Failed to write data file', { file: this.filePath, error });
+    }
+  }
+
+  write(data) {
+    fs.mkdirSync(path.dirname(this.filePath), { recursive: true });
+
+    const tempPath = `${this.filePath}.tmp`;
+    fs.writeFileSync(tempPath, JSON.stringify(data, null, 2), { mode: this.mode });
+    fs.renameSync(tempPath, this.filePath);
+  }
+
+  describe() {
+    return `file (${this.filePath})`;
+  }
+}
+
+/**
+ * Write all pending snapshots now (on shutdown)
+ */
+export function flushPendingWrites() {
+  for (const backend of pendingBackends) {
+    backend.flush();
+  }
+}
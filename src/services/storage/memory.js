@@ -0,0 +1,30 @@
+/**
+ * In-memory storage backend.
+ * Nothing survives a restart, which makes it suitable for tests and local experiments.
+ */
+export class MemoryBackend {
+  constructor() {
+    this.data = null;
+  }
+
+  /**
+   * Load the last saved snapshot
+   * @returns {Object|null} Stored data or null if nothing was saved yet
+   */
+  load() {
+    return this.data;
+  }
+
+  /**
+   * Save a snapshot
+   * @param {Object} data - Serializable data to store
+   */
+  save(data) {
+    // Deep copy so later mutations by the caller don't leak into the snapshot
+    this.data = JSON.parse(JSON.stringify(data));
+  }
+
+  describe() {
+    return 'memory';
+  }
+}
@@ -0,0 +1,128 @@
+import fs from 'fs';
+import path from 'path';
+import { isValidCallbackUrl } from '../middleware/validation.js';
+import { isSupportedCountry } from './phone.js';
+import logger from './logger.js';
+
+export const DEFAULT_TENANT_ID = 'default';
+
+const TENANT_ID_PATTERN = /^[a-zA-Z0-9_-]{1,64}$/;
+const AUTH_MODES = ['token', 'signature', 'any'];
+
+class TenantService {
+  constructor() {
+    // tenantId -> tenant configuration
+    this.tenants = new Map();
+  }
+
+  /**
+   * Load tenants from TENANTS_FILE, or create a single default tenant from the
+   * global webhook settings when no file is configured
+   * @param {Object} defaults - Global webhook settings for the default tenant
+   * @param {string} defaults.webhookToken - Static webhook token
+   * @param {string} defaults.webhookAuthMode - Authentication mode
+   * @param {Array<string>} defaults.webhookSecrets - HMAC signing secrets
+   * @param {string} defaults.callbackUrl - Default URL for status callbacks
+   * @param {string} defaults.callbackSecret - Secret for signing status callbacks
+   */
+  initialize(defaults) {
+    this.tenants = new Map();
+
+    const tenantsFile = process.env.TENANTS_FILE;
+    if (!tenantsFile) {
+      this.addTenant({
+        id: DEFAULT_TENANT_ID,
+        name: 'Default',
+        ...defaults
+      });
+      return;
+    }
+
+    const filePath = path.resolve(tenantsFile);
+    const config = JSON.parse(fs.readFileSync(filePath, 'utf8'));
+
+    if (!Array.isArray(config.tenants) || config.tenants.length === 0) {
+      throw new Error(`No tenants defined in ${filePath}`);
+    }
+
+    config.tenants.forEach(tenant => this.addTenant(tenant));
+    logger.info('Tenants loaded', { tenants: this.tenants.size, file: filePath });
+  }
+
+  /**
+   * Validate and register a tenant configuration
+   * @param {Object} tenant - Tenant configuration
+   */
+  addTenant(tenant) {
+    if (!tenant.id || !TENANT_ID_PATTERN.test(tenant.id)) {
+      throw new Error(`Invalid tenant id: ${tenant.id}`);
+    }
+
+    if (this.tenants.has(tenant.id)) {
+      throw new Error(`Duplicate tenant id: ${tenant.id}`);
+    }
+
+    const webhookAuthMode = tenant.webhookAuthMode || 'token';
+    if (!AUTH_MODES.includes(webhookAuthMode)) {
+      throw new Error(`Invalid webhookAuthMode for tenant ${tenant.id}: ${webhookAuthMode}`);
+    }
+
+    const webhookSecrets = tenant.webhookSecrets || [];
+    if (!tenant.webhookToken && webhookSecrets.length === 0) {
+      throw new Error(`Tenant ${tenant.id} needs a webhookToken or webhookSecrets`);
+    }
+
+    if (tenant.callbackUrl && !isValidCallbackUrl(tenant.callbackUrl)) {
+      throw new Error(`Invalid callbackUrl for tenant ${tenant.id}`);
+    }
+
+    if (tenant.defaultCountry && !isSupportedCountry(tenant.defaultCountry)) {
+      throw new Error(`Unsupported defaultCountry for tenant ${tenant.id}: ${tenant.defaultCountry}`);
+    }
+
+    for (const other of this.tenants.values()) {
+      if (tenant.webhookToken && other.webhookToken === tenant.webhookToken) {
+        throw new Error(`Tenants ${other.id} and ${tenant.id} share the same webhook token`);
+      }
+    }
+
+    this.tenants.set(tenant.id, {
+      ...tenant,
+      name: tenant.name || tenant.id,
+      webhookAuthMode,
+      webhookSecrets,
+      defaultCountry: tenant.defaultCountry ? tenant.defaultCountry.toUpperCase() : null
+    });
+  }
+
+  /**
+   * Get all tenants
+   * @returns {Array} Tenant configurations
+   */
+  getTenants() {
+    return Array.from(this.tenants.values());
+  }
+
+  /**
+   * Get a tenant by ID
+   * @param {string} tenantId - Tenant identifier
+   * @returns {Object|null} Tenant configuration or null if unknown
+   */
+  getTenant(tenantId) {
+    return this.tenants.get(tenantId) || null;
+  }
+
+  /**
+   * Tenant used for requests that don't name one (dev mode, single-tenant setups)
+   * @returns {Object|null} The only tenant, the "default" tenant, or null
+   */
+  getDefaultTenant() {
+    if (this.tenants.size === 1) {
+      return this.getTenants()[0];
+    }
+
+    return this.getTenant(DEFAULT_TENANT_ID);
+  }
+}
+
+export default new TenantService();
@@ -0,0 +1,256 @@
+import { MemoryBackend, createBackend } from './storage/index.js';
+import tenantService from './tenants.js';
+import groupService from './groups.js';
+import logger from './logger.js';
+
+// Settings every user starts with
+const DEFAULT_SETTINGS = {
+  defaultCountry: null,
+  // Routing: IANA timezone, working hours ({ days: [1-7], start: 'HH:MM', end: 'HH:MM' }),
+  // do-not-disturb and users (or a group) notified instead when the user is unavailable
+  timezone: null,
+  workingHours: null,
+  doNotDisturb: false,
+  fallbackUsers: [],
+  fallbackGroup: null,
+  // Language of channel messages (null = default locale)
+  locale: null,
+  // SMS, email, Slack and Teams channels ([{ type, target }] in order of preference),
+  // used when push reached no one ('fallback') or for every call ('always')
+  channels: [],
+  channelMode: 'fallback'
+};
+
+const WEEKDAYS = { Mon: 1, Tue: 2, Wed: 3, Thu: 4, Fri: 5, Sat: 6, Sun: 7 };
+
+/**
+ * Check whether a string is an IANA timezone known to the runtime
+ * @param {string} timezone - Timezone name, e.g. Europe/Berlin
+ * @returns {boolean} True if valid
+ */
+export function isValidTimezone(timezone) {
+  if (typeof timezone !== 'string' || timezone.length > 64) {
+    return false;
+  }
+
+  try {
+    new Intl.DateTimeFormat('en-US', { timeZone: timezone });
+    return true;
+  } catch (error) {
+    return false;
+  }
+}
+
+/**
+ * Weekday (1 = Monday … 7 = Sunday) and minute of the day in a timezone
+ * @param {Date} date - Point in time
+ * @param {string} timezone - IANA timezone
+ * @returns {Object} { day, minutes }
+ */
+function getLocalTime(date, timezone) {
+  const parts = Object.fromEntries(
+    new Intl.DateTimeFormat('en-US', {
+      timeZone: timezone,
+      weekday: 'short',
+      hour: '2-digit',
+      minute: '2-digit',
+      hourCycle: 'h23'
+    }).formatToParts(date).map(part => [part.type, part.value])
+  );
+
+  return {
+    day: WEEKDAYS[parts.weekday],
+    minutes: Number(parts.hour) * 60 + Number(parts.minute)
+  };
+}
+
+/**
+ * Convert "HH:MM" to minutes since midnight
+ * @param {string} time - Time of day
+ * @returns {number} Minutes
+ */
+function toMinutes(time) {
+  const [hours, minutes] = time.split(':').map(Number);
+  return hours * 60 + minutes;
+}
+
+/**
+ * Check whether a point in time falls into working hours
+ * Shifts ending before they start (22:00-06:00) run past midnight and belong
+ * to the day they start on.
+ * @param {Object} workingHours - { days, start, end }
+ * @param {string} timezone - IANA timezone
+ * @param {Date} date - Point in time
+ * @returns {boolean} True if within working hours
+ */
+function isWithinWorkingHours({ days, start, end }, timezone, date) {
+  const { day, minutes } = getLocalTime(date, timezone);
+  const startMinutes = toMinutes(start);
+  const endMinutes = toMinutes(end);
+
+  if (startMinutes < endMinutes) {
+    return days.includes(day) && minutes >= startMinutes && minutes < endMinutes;
+  }
+
+  const previousDay = day === 1 ? 7 : day - 1;
+  return (days.includes(day) && minutes >= startMinutes) ||
+    (days.includes(previousDay) && minutes < endMinutes);
+}
+
+/**
+ * Per-user settings
+ */
+class UserService {
+  constructor() {
+    // tenantId -> userId -> settings
+    this.tenants = new Map();
+
+    // Persistence backend, replaced in initialize()
+    this.backend = new MemoryBackend();
+    this.defaultTimezone = 'UTC';
+  }
+
+  /**
+   * Select the persistence backend and load stored settings
+   * @param {Object} backend - Optional backend instance (defaults to STORAGE_BACKEND config)
+   * @throws {Error} If DEFAULT_TIMEZONE is not a known timezone
+   */
+  initialize(backend = createBackend('users')) {
+    const defaultTimezone = process.env.DEFAULT_TIMEZONE;
+    if (defaultTimezone && !isValidTimezone(defaultTimezone)) {
+      throw new Error(`Invalid DEFAULT_TIMEZONE: ${defaultTimezone} (expected an IANA timezone like Europe/Berlin)`);
+    }
+    this.defaultTimezone = defaultTimezone || 'UTC';
+
+    this.backend = backend;
+    this.tenants = new Map();
+
+    const data = this.backend.load();
+    if (data && data.tenants) {
+      for (const [tenantId, users] of Object.entries(data.tenants)) {
+        this.tenants.set(tenantId, new Map(Object.entries(users)));
+      }
+    }
+  }
+
+  /**
+   * Write the current state to the backend
+   */
+  persist() {
+    const tenants = {};
+    for (const [tenantId, users] of this.tenants) {
+      tenants[tenantId] = Object.fromEntries(users);
+    }
+
+    try {
+      this.backend.save({ tenants });
+    } catch (error) {
+      logger.error('Failed to persist user settings', { error });
+    }
+  }
+
+  /**
+   * Get the settings of a user
+   * @param {string} tenantId - Tenant identifier
+   * @param {string} userId - User identifier
+   * @returns {Object} Settings, with defaults for unset values
+   */
+  getSettings(tenantId, userId) {
+    const settings = this.tenants.get(tenantId)?.get(userId);
+    return { ...DEFAULT_SETTINGS, ...settings };
+  }
+
+  /**
+   * Update the settings of a user
+   * @param {string} tenantId - Tenant identifier
+   * @param {string} userId - User identifier
+   * @param {Object} changes - Settings to change
+   * @returns {Object} Updated settings
+   */
+  updateSettings(tenantId, userId, changes) {
+    if (!this.tenants.has(tenantId)) {
+      this.tenants.set(tenantId, new Map());
+    }
+
+    const users = this.tenants.get(tenantId);
+    users.set(userId, { ...users.get(userId), ...changes });
+    this.persist();
+
+    return this.getSettings(tenantId, userId);
+  }
+
+  /**
+   * Users notified instead of a user who is unavailable
+   * The fallback group is resolved to its current members.
+   * @param {string} tenantId - Tenant identifier
+   * @param {string} userId - User identifier
+   * @returns {Array<string>} Fallback users, then fallback group members, without the user
+   */
+  getFallbackUsers(tenantId, userId) {
+    const { fallbackUsers, fallbackGroup } = this.getSettings(tenantId, userId);
+    const members = fallbackGroup ? groupService.getGroup(tenantId, fallbackGroup)?.members || [] : [];
+
+    return [...new Set([...fallbackUsers, ...members])].filter(fallbackUser => fallbackUser !== userId);
+  }
+
+  /**
+   * Country for phone numbers without calling code: the user's setting, else
+   * the tenant's defaultCountry, else DEFAULT_COUNTRY
+   * @param {string} tenantId - Tenant identifier
+   * @param {string} userId - User identifier
+   * @returns {string|null} ISO 3166 alpha-2 country code
+   */
+  getDefaultCountry(tenantId, userId) {
+    return this.getSettings(tenantId, userId).defaultCountry ||
+      tenantService.getTenant(tenantId)?.defaultCountry ||
+      process.env.DEFAULT_COUNTRY ||
+      null;
+  }
+
+  /**
+   * Timezone for working hours: the user's setting, else DEFAULT_TIMEZONE, else UTC
+   * A stored timezone the runtime doesn't know (e.g. after an update of its
+   * timezone data) falls back to the default instead of failing the call.
+   * @param {string} tenantId - Tenant identifier
+   * @param {string} userId - User identifier
+   * @returns {string} IANA timezone
+   */
+  getTimezone(tenantId, userId) {
+    const { timezone } = this.getSettings(tenantId, userId);
+
+    if (timezone && !isValidTimezone(timezone)) {
+      logger.warn('Unknown timezone in user settings, using the default', {
+        tenantId,
+        userId,
+        timezone,
+        defaultTimezone: this.defaultTimezone
+      });
+      return this.defaultTimezone;
+    }
+
+    return timezone || this.defaultTimezone;
+  }
+
+  /**
+   * Check whether a user wants call notifications right now
+   * @param {string} tenantId - Tenant identifier
+   * @param {string} userId - User identifier
+   * @param {Date} date - Point in time (defaults to now)
+   * @returns {Object} { available, reason } with reason 'available', 'do_not_disturb' or 'outside_working_hours'
+   */
+  getAvailability(tenantId, userId, date = new Date()) {
+    const settings = this.getSettings(tenantId, userId);
+
+    if (settings.doNotDisturb) {
+      return { available: false, reason: 'do_not_disturb' };
+    }
+
+    if (settings.workingHours && !isWithinWorkingHours(settings.workingHours, this.getTimezone(tenantId, userId), date)) {
+      return { available: false, reason: 'outside_working_hours' };
+    }
+
+    return { available: true, reason: 'available' };
+  }
+}
+
+export default new UserService();
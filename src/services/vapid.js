@@ -1,48 +1,163 @@
 import webpush from 'web-push';
-import crypto from 'crypto';
+import path from 'path';
+import { JsonFileBackend, DEFAULT_DATA_DIR } from './storage/index.js';
+import logger from './logger.js';
+
+// How long a rotated-out key keeps being used for old subscriptions
+const DEFAULT_PREVIOUS_KEY_TTL_DAYS = 30;
 
 class VapidService {
   constructor() {
     this.publicKey = null;
     this.privateKey = null;
     this.adminEmail = null;
+    this.previousKeys = [];
+    this.keyFile = null;
   }
 
+  /**
+   * Load or generate VAPID keys and configure web-push
+   * Keys from VAPID_PUBLIC_KEY/VAPID_PRIVATE_KEY take precedence over the key file.
+   * @param {string} adminEmail - Contact email for the VAPID subject
+   */
   initialize(adminEmail) {
     this.adminEmail = adminEmail;
-    
+
     // Try to load from environment variables
     this.publicKey = process.env.VAPID_PUBLIC_KEY;
     this.privateKey = process.env.VAPID_PRIVATE_KEY;
+    this.previousKeys = [];
+
+    if (this.publicKey && this.privateKey) {
+      logger.info('VAPID keys loaded from environment');
+
+      // Optional previous key pair while devices re-subscribe after a manual rotation
+      if (process.env.VAPID_PREVIOUS_PUBLIC_KEY && process.env.VAPID_PREVIOUS_PRIVATE_KEY) {
+        this.previousKeys.push({
+          publicKey: process.env.VAPID_PREVIOUS_PUBLIC_KEY,
+          privateKey: process.env.VAPID_PREVIOUS_PRIVATE_KEY
+        });
+        logger.info('Previous VAPID key loaded from environment for rotation');
+      }
+    } else {
+      this.keyFile = new JsonFileBackend(this.getKeyFilePath(), { mode: 0o600 });
+      this.loadFromKeyFile();
+    }
+
+    // Configure web-push
+    webpush.setVapidDetails(
+      `mailto:${this.adminEmail}`,
+      this.publicKey,
+      this.privateKey
+    );
+  }
+
+  /**
+   * Resolve the key file location (VAPID_KEY_FILE, or vapid-keys.json in DATA_DIR)
+   * @returns {string} Absolute path of the key file
+   */
+  getKeyFilePath() {
+    if (process.env.VAPID_KEY_FILE) {
+      return path.resolve(process.env.VAPID_KEY_FILE);
+    }
+
+    return path.resolve(process.env.DATA_DIR || DEFAULT_DATA_DIR, 'vapid-keys.json');
+  }
+
+  /**
+   * Load keys from the key file, generating and saving a new pair if needed
+   */
+  loadFromKeyFile() {
+    const data = this.keyFile.load();
+    let generated = false;
 
-    // Generate new keys if not provided
-    if (!this.publicKey || !this.privateKey) {
-      console.log('🔑 VAPID keys not found in environment, generating new ones...');
+    if (data && data.current) {
+      this.publicKey = data.current.publicKey;
+      this.privateKey = data.current.privateKey;
+      this.previousKeys = this.pruneExpiredKeys(data.previous || []);
+      logger.info('VAPID keys loaded', { file: this.keyFile.filePath });
+    } else {
+      logger.info('VAPID keys not found, generating new ones');
       const vapidKeys = webpush.generateVAPIDKeys();
       this.publicKey = vapidKeys.publicKey;
       this.privateKey = vapidKeys.privateKey;
-      
-      // Log the keys once for manual addition to .env
-      console.log('📋 Add these VAPID keys to your .env file:');
-      console.log(`VAPID_PUBLIC_KEY=${this.publicKey}`);
-      console.log(`VAPID_PRIVATE_KEY=${this.privateKey}`);
-      console.log('⚠️  These keys will be regenerated on each restart until added to .env');
-    } else {
-      console.log('✅ VAPID keys loaded from environment');
+      generated = true;
     }
 
-    // Configure web-push
+    this.saveKeyFile();
+
+    if (generated) {
+      logger.info('VAPID keys saved', { file: this.keyFile.filePath });
+    }
+  }
+
+  /**
+   * Replace the current key pair with a new one
+   * The old pair is kept as a previous key so existing subscriptions keep
+   * receiving pushes until their devices re-subscribe with the new key.
+   */
+  rotate() {
+    if (!this.keyFile) {
+      throw new Error('VAPID key rotation requires file-based keys (VAPID_PUBLIC_KEY is set)');
+    }
+
+    const ttlDays = parseInt(process.env.VAPID_PREVIOUS_KEY_TTL_DAYS, 10) || DEFAULT_PREVIOUS_KEY_TTL_DAYS;
+    this.previousKeys.unshift({
+      publicKey: this.publicKey,
+      privateKey: this.privateKey,
+      expiresAt: new Date(Date.now() + ttlDays * 24 * 60 * 60 * 1000).toISOString()
+    });
+
+    const vapidKeys = webpush.generateVAPIDKeys();
+    this.publicKey = vapidKeys.publicKey;
+    this.privateKey = vapidKeys.privateKey;
+    this.saveKeyFile();
+
     webpush.setVapidDetails(
       `mailto:${this.adminEmail}`,
       this.publicKey,
       this.privateKey
     );
+
+    logger.info('VAPID keys rotated', { previousKeyTtlDays: ttlDays });
+  }
+
+  /**
+   * Drop previous keys whose grace period has ended
+   * @param {Array} keys - Previous key pairs from the key file
+   * @returns {Array} Keys that are still valid
+   */
+  pruneExpiredKeys(keys) {
+    const now = Date.now();
+    return keys.filter(key => !key.expiresAt || new Date(key.expiresAt).getTime() > now);
+  }
+
+  saveKeyFile() {
+    this.keyFile.save({
+      current: {
+        publicKey: this.publicKey,
+        privateKey: this.privateKey
+      },
+      previous: this.previousKeys
+    });
   }
 
   getPublicKey() {
     return this.publicKey;
   }
 
+  /**
+   * Get VAPID details for previous key pairs that are still in their grace period
+   * @returns {Array} Array of vapidDetails objects for web-push
+   */
+  getPreviousVapidDetails() {
+    return this.pruneExpiredKeys(this.previousKeys).map(key => ({
+      subject: `mailto:${this.adminEmail}`,
+      publicKey: key.publicKey,
+      privateKey: key.privateKey
+    }));
+  }
+
   getWebPushInstance() {
     return webpush;
   }
@@ -0,0 +1,84 @@
+import { html } from './html.js';
+import { layout } from './layout.js';
+
+/**
+ * Contact card with the details from the webhook
+ * @param {Function} t - Translator
+ * @param {Object|null} context - Contact details of the call record
+ * @returns {Object|string} Markup, or an empty string if there are no details
+ */
+function contactCard(t, context) {
+  // Calls without contact details have a null context
+  const { contactName, company, crmUrl, pageUrl, reference, note } = context ?? {};
+  if (!contactName && !company && !crmUrl && !pageUrl && !reference && !note) {
+    return '';
+  }
+
+  return html`
+    <div class="contact-card">
+      ${contactName && html`<div class="contact-name">${contactName}</div>`}
+      ${company && html`<div class="contact-company">${company}</div>`}
+      ${reference && html`<div class="contact-reference">${reference}</div>`}
+      ${note && html`<p class="contact-note">${note}</p>`}
+      ${crmUrl && html`<a href="${crmUrl}" class="crm-link" target="_blank" rel="noopener noreferrer">${t('call.openInCrm')}</a>`}
+      ${pageUrl && html`<a href="${pageUrl}" class="crm-link" target="_blank" rel="noopener noreferrer">${t('call.openPage')}</a>`}
+    </div>`;
+}
+
+/**
+ * Form for the outcome of a call, shown by /call.js when the user returns after dialing
+ * @param {Function} t - Translator
+ * @param {Object} outcome - Outcome options
+ * @param {Array<string>} outcome.options - Outcomes to choose from
+ * @param {Object} outcome.current - Outcome recorded earlier, if any
+ * @param {boolean} outcome.canLogToCrm - Whether the outcome can be sent to the CRM
+ * @returns {Object|string} Markup, or an empty string for calls that are not tracked
+ */
+function outcomeForm(t, outcome) {
+  if (!outcome) {
+    return '';
+  }
+
+  const current = outcome.current || {};
+
+  return html`
+    <form class="outcome-form" data-saved="${t('call.outcomeSaved')}" data-failed="${t('call.outcomeFailed')}" hidden>
+      <h2>${t('call.outcomeHeading')}</h2>
+      <div class="outcome-options">
+${outcome.options.map(option => html`        <label><input type="radio" name="outcome" value="${option}" required${current.result === option && html` checked`}> ${t(`outcome.${option}`)}</label>
+`)}      </div>
+      <textarea name="note" maxlength="280" rows="3" placeholder="${t('call.outcomeNote')}">${current.note || ''}</textarea>
+      ${outcome.canLogToCrm && html`<label class="outcome-crm"><input type="checkbox" name="log_to_crm" checked> ${t('call.outcomeLogToCrm')}</label>`}
+      <button type="submit" class="outcome-save">${t('call.outcomeSave')}</button>
+      <button type="button" class="outcome-skip">${t('call.outcomeSkip')}</button>
+      <p class="outcome-status" role="status"></p>
+    </form>`;
+}
+
+/**
+ * Call page - opens the dialer via /call.js and offers a fallback button
+ * @param {Object} options - Page data
+ * @param {string} options.locale - Page language
+ * @param {Function} options.t - Translator for the locale
+ * @param {string} options.displayNumber - Number shown to the user
+ * @param {string} options.telUri - tel: URI to dial
+ * @param {Object} options.context - Optional contact details
+ * @param {Object} options.outcome - Outcome form options for tracked calls (see outcomeForm)
+ * @returns {string} HTML document
+ */
+export function renderCallPage({ locale, t, displayNumber, telUri, context, outcome }) {
+  return layout({
+    locale,
+    title: t('call.title', { number: displayNumber }),
+    scripts: ['/call.js'],
+    body: html`  <div class="call-container">
+    <h1>${t('call.heading')}</h1>
+    <div class="phone-number">${displayNumber}</div>${contactCard(t, context)}
+    <a href="${telUri}" class="call-button">${t('call.button')}</a>${outcomeForm(t, outcome)}
+    <div class="status">
+      <p>${t('call.hint')}</p>
+      <a href="/">${t('common.backHome')}</a>
+    </div>
+  </div>`
+  });
+}
@@ -0,0 +1,22 @@
+import { html } from './html.js';
+import { layout } from './layout.js';
+
+/**
+ * Error page
+ * @param {Object} options - Page data
+ * @param {string} options.locale - Page language
+ * @param {Function} options.t - Translator for the locale
+ * @param {string} options.message - Translated error message
+ * @returns {string} HTML document
+ */
+export function renderErrorPage({ locale, t, message }) {
+  return layout({
+    locale,
+    title: t('error.title'),
+    body: html`  <div class="call-container">
+    <h1>${t('error.heading')}</h1>
+    <p>${message}</p>
+    <a href="/">${t('common.backHome')}</a>
+  </div>`
+  });
+}
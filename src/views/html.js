@@ -0,0 +1,73 @@
+/**
+ * Escaped HTML templates
+ * Values interpolated into html`` are escaped unless they are the result of
+ * another html`` template or raw(). Arrays are rendered item by item and
+ * null, undefined and false render as nothing.
+ */
+
+class SafeHtml {
+  constructor(value) {
+    this.value = value;
+  }
+
+  toString() {
+    return this.value;
+  }
+}
+
+/**
+ * Escape text for HTML content and attribute values
+ * @param {*} value - Untrusted value
+ * @returns {string} Escaped text
+ */
+export function escapeHtml(value) {
+  return String(value)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;')
+    .replace(/'/g, '&#39;');
+}
+
+/**
+ * Mark trusted markup so it is not escaped
+ * @param {string} value - Trusted HTML
+ * @returns {SafeHtml} Markup
+ */
+export function raw(value) {
+  return new SafeHtml(String(value));
+}
+
+/**
+ * Render one interpolated value
+ * @param {*} value - Value from the template
+ * @returns {string} HTML
+ */
+function render(value) {
+  if (value === null || value === undefined || value === false) {
+    return '';
+  }
+
+  if (value instanceof SafeHtml) {
+    return value.value;
+  }
+
+  if (Array.isArray(value)) {
+    return value.map(render).join('');
+  }
+
+  return escapeHtml(value);
+}
+
+/**
+ * Template tag for HTML with escaped interpolations
+ * @returns {SafeHtml} Markup
+ */
+export function html(strings, ...values) {
+  let result = strings[0];
+  values.forEach((value, index) => {
+    result += render(value) + strings[index + 1];
+  });
+
+  return new SafeHtml(result);
+}
@@ -0,0 +1,28 @@
+import { html } from './html.js';
+
+/**
+ * Page shell shared by the server-rendered pages
+ * Styles and scripts are static assets so the pages work under a strict CSP.
+ * @param {Object} page - Page parts
+ * @param {string} page.locale - Page language
+ * @param {string} page.title - Document title
+ * @param {Object} page.body - Body markup from html``
+ * @param {Array<string>} page.scripts - Script URLs
+ * @returns {string} HTML document
+ */
+export function layout({ locale, title, body, scripts = [] }) {
+  return html`<!DOCTYPE html>
+<html lang="${locale}">
+<head>
+  <meta charset="utf-8">
+  <meta name="viewport" content="width=device-width, initial-scale=1">
+  <meta name="referrer" content="no-referrer">
+  <title>${title}</title>
+  <link rel="stylesheet" href="/call.css">
+</head>
+<body>
+${body}
+${scripts.map(src => html`  <script src="${src}"></script>\n`)}</body>
+</html>
+`.toString();
+}
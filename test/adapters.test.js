@@ -0,0 +1,218 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { parsePath, getValues } from '../src/services/adapters/json-path.js';
+import { parseXml } from '../src/services/adapters/xml.js';
+import { MappingAdapter, createBuiltInAdapters, createMappingAdapters } from '../src/services/adapters/index.js';
+
+describe('JSON paths', () => {
+  it('parses child names, quoted names, indexes and wildcards', () => {
+    assert.deepEqual(parsePath('$.properties.phone.value'), ['properties', 'phone', 'value']);
+    assert.deepEqual(parsePath("$['First Name']"), ['First Name']);
+    assert.deepEqual(parsePath("$['it\\'s']"), ["it's"]);
+    assert.deepEqual(parsePath('$.phones[0].value'), ['phones', 0, 'value']);
+    assert.deepEqual(parsePath('$.events[*]'), ['events', '*']);
+    assert.deepEqual(parsePath('$'), []);
+  });
+
+  it('rejects unsupported paths', () => {
+    assert.throws(() => parsePath('properties.phone'), /Invalid JSON path/);
+    assert.throws(() => parsePath('$..phone'), /Invalid JSON path/);
+    assert.throws(() => parsePath('$[-1]'), /Invalid JSON path/);
+    assert.throws(() => parsePath(null), /Invalid JSON path/);
+  });
+
+  it('finds values, treating single values like lists with one item', () => {
+    const data = { phones: [{ value: '1' }, { value: '2' }], owner: { id: 7 } };
+
+    assert.deepEqual(getValues(data, parsePath('$.phones[*].value')), ['1', '2']);
+    assert.deepEqual(getValues(data, parsePath('$.phones[1].value')), ['2']);
+    assert.deepEqual(getValues(data, parsePath('$.owner[0].id')), [7]);
+    assert.deepEqual(getValues(data, parsePath('$.missing.value')), []);
+  });
+
+  it('ignores inherited properties', () => {
+    assert.deepEqual(getValues({}, parsePath('$.constructor')), []);
+    assert.deepEqual(getValues({}, parsePath("$['__proto__']")), []);
+  });
+});
+
+describe('XML parser', () => {
+  it('drops namespaces and turns repeated elements into arrays', () => {
+    const data = parseXml(
+      '<?xml version="1.0"?><soap:Envelope xmlns:soap="urn:x"><soap:Body>' +
+      '<item><sf:Phone>+49 30 1</sf:Phone></item><item><sf:Phone>+49 30 2</sf:Phone></item>' +
+      '</soap:Body></soap:Envelope>'
+    );
+
+    // Elements have no prototype, so compare copies
+    assert.deepEqual(data.Envelope.Body.item.map(item => ({ ...item })), [{ Phone: '+49 30 1' }, { Phone: '+49 30 2' }]);
+  });
+
+  it('decodes entities and CDATA and skips comments', () => {
+    const data = parseXml('<a><b>Smith &amp; Sons &#x41;&#66;</b><!-- note --><c><![CDATA[<raw>]]></c></a>');
+
+    assert.deepEqual({ ...data.a }, { b: 'Smith & Sons AB', c: '<raw>' });
+  });
+
+  it('reads xsi:nil as null', () => {
+    const data = parseXml('<a><Phone xsi:nil="true"/><Name>Ann</Name></a>');
+
+    assert.equal(data.a.Phone, null);
+    assert.equal(data.a.Name, 'Ann');
+  });
+
+  it('rejects document type declarations and malformed documents', () => {
+    assert.throws(() => parseXml('<!DOCTYPE a [<!ENTITY x SYSTEM "file:///etc/passwd">]><a>&x;</a>'), /Document type/);
+    assert.throws(() => parseXml('<a><b></a>'), /Unexpected closing tag/);
+    assert.throws(() => parseXml('<a>'), /Unclosed tag/);
+    assert.throws(() => parseXml('<a/><b/>'), /exactly one root/);
+  });
+});
+
+describe('MappingAdapter', () => {
+  it('maps fields with alternatives, templates, maps and defaults', () => {
+    const adapter = new MappingAdapter('crm', {
+      fields: {
+        owner_user_id: { path: '$.owner', map: { 17: 'anna' } },
+        callee_number: ['$.mobile', '$.phone'],
+        contact_name: { template: '{$.first} {$.last}' },
+        company: { path: '$.company', default: 'Unknown' },
+        note: { value: 'From CRM' }
+      }
+    });
+
+    const { calls } = adapter.parse({ owner: 17, phone: ' 030 123456 ', first: 'Ann', last: 'Lee' });
+
+    assert.deepEqual(calls, [{
+      owner_user_id: 'anna',
+      callee_number: '030 123456',
+      contact_name: 'Ann Lee',
+      company: 'Unknown',
+      note: 'From CRM'
+    }]);
+  });
+
+  it('leaves out templates with missing values', () => {
+    const adapter = new MappingAdapter('crm', {
+      fields: {
+        callee_number: '$.phone',
+        contact_name: { template: '{$.first} {$.last}' }
+      }
+    });
+
+    assert.deepEqual(adapter.parse({ phone: '123', first: 'Ann' }).calls, [{ callee_number: '123' }]);
+  });
+
+  it('splits payloads into items and skips items that don\'t match', () => {
+    const adapter = new MappingAdapter('crm', {
+      items: '$.events[*]',
+      where: { '$.type': 'call' },
+      fields: {
+        callee_number: '$.phone',
+        user_ids: '$.users[*]'
+      }
+    });
+
+    const result = adapter.parse({
+      events: [
+        { type: 'call', phone: '1', users: ['a', 'b'] },
+        { type: 'email', phone: '2' },
+        { type: 'call', phone: '3', users: 'c' }
+      ]
+    });
+
+    assert.equal(result.skipped, 1);
+    assert.deepEqual(result.calls, [
+      { callee_number: '1', user_ids: ['a', 'b'] },
+      { callee_number: '3', user_ids: ['c'] }
+    ]);
+    assert.throws(() => adapter.parse({ other: [] }), /does not contain any call requests/);
+  });
+
+  it('rejects invalid configurations', () => {
+    assert.throws(() => new MappingAdapter('crm', { fields: { owner_user_id: '$.owner' } }), /needs a rule for callee_number/);
+    assert.throws(() => new MappingAdapter('crm', { fields: { callee_number: '$.phone', phone: '$.x' } }), /Unknown field phone/);
+    assert.throws(() => new MappingAdapter('crm', { fields: { callee_number: 'phone' } }), /Invalid JSON path/);
+    assert.throws(() => new MappingAdapter('crm', { format: 'csv', fields: { callee_number: '$.phone' } }), /format must be one of/);
+    assert.throws(() => new MappingAdapter('crm', { fields: { callee_number: { template: 'no placeholder' } } }), /no \{\$\.path\} placeholders/);
+  });
+
+  it('expects the body format of the mapping', () => {
+    const adapter = new MappingAdapter('crm', { format: 'xml', fields: { callee_number: '$.call.phone' } });
+
+    assert.deepEqual(adapter.parse('<call><phone>123</phone></call>').calls, [{ callee_number: '123' }]);
+    assert.throws(() => adapter.parse({ phone: '123' }), /Expected an XML body/);
+  });
+});
+
+describe('Built-in adapters', () => {
+  const adapters = createBuiltInAdapters();
+
+  it('maps HubSpot contact payloads', () => {
+    const { calls } = adapters.hubspot.parse({
+      objectId: 501,
+      portalId: 62515,
+      properties: {
+        phone: { value: '+4930123456' },
+        firstname: { value: 'Ann' },
+        lastname: { value: 'Lee' },
+        hubspot_owner_id: { value: '99' }
+      }
+    });
+
+    assert.deepEqual(calls, [{
+      owner_user_id: '99',
+      callee_number: '+4930123456',
+      contact_name: 'Ann Lee',
+      reference: '501',
+      crm_url: 'https://app.hubspot.com/contacts/62515/record/0-1/501'
+    }]);
+  });
+
+  it('maps Pipedrive v2 payloads', () => {
+    const { calls } = adapters.pipedrive.parse({
+      data: { id: 8, name: 'Ann Lee', owner_id: 3, phones: [{ value: '+4930123456' }] },
+      meta: { host: 'acme.pipedrive.com' }
+    });
+
+    assert.deepEqual(calls, [{ owner_user_id: '3', callee_number: '+4930123456', contact_name: 'Ann Lee', reference: '8' }]);
+  });
+
+  it('maps every notification of a Salesforce outbound message', () => {
+    const notification = (id, phone) =>
+      `<Notification><Id>${id}</Id><sObject xsi:type="sf:Contact">` +
+      `<sf:Id>003${id}</sf:Id><sf:OwnerId>005A</sf:OwnerId><sf:Phone>${phone}</sf:Phone>` +
+      '<sf:FirstName>Ann</sf:FirstName><sf:LastName>Lee</sf:LastName></sObject></Notification>';
+    const xml =
+      '<soapenv:Envelope xmlns:soapenv="http://schemas.xmlsoap.org/soap/envelope/"><soapenv:Body>' +
+      `<notifications>${notification('N1', '+4930111')}${notification('N2', '+4930222')}</notifications>` +
+      '</soapenv:Body></soapenv:Envelope>';
+
+    const { calls } = adapters.salesforce.parse(xml);
+
+    assert.equal(calls.length, 2);
+    assert.deepEqual(calls[1], {
+      owner_user_id: '005A',
+      callee_number: '+4930222',
+      contact_name: 'Ann Lee',
+      reference: '003N2',
+      request_id: 'N2'
+    });
+  });
+
+  it('lets mappings extend built-in adapters field by field', () => {
+    const { hubspot } = createMappingAdapters({
+      hubspot: { extends: 'hubspot', fields: { owner_user_id: { value: 'sales-team' } } }
+    });
+
+    const { calls } = hubspot.parse({ phone: '+4930123456', hubspot_owner_id: '99' });
+
+    assert.equal(calls[0].owner_user_id, 'sales-team');
+    assert.equal(calls[0].callee_number, '+4930123456');
+  });
+
+  it('rejects circular and unknown extends', () => {
+    assert.throws(() => createMappingAdapters({ a: { extends: 'b' }, b: { extends: 'a' } }), /Circular extends/);
+    assert.throws(() => createMappingAdapters({ a: { extends: 'zoho' } }), /unknown mapping zoho/);
+  });
+});
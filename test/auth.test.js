@@ -0,0 +1,86 @@
+import { describe, it, beforeEach, afterEach, mock } from 'node:test';
+import assert from 'node:assert/strict';
+import { MemoryBackend } from '../src/services/storage/index.js';
+import authService from '../src/services/auth.js';
+import storageService from '../src/services/storage.js';
+import tenantService from '../src/services/tenants.js';
+import logger from '../src/services/logger.js';
+import { authenticateUser } from '../src/middleware/auth.js';
+
+// Pair a device for a user and register it with the access token it got
+function pairDevice(userId, endpoint) {
+  const { code } = authService.createPairingCode('default', userId);
+  const { accessToken } = authService.redeemPairingCode(code);
+  const { tokenId } = authService.verifyAccessToken(accessToken);
+  const device = storageService.addSubscription('default', userId, { endpoint, keys: {} }, { tokenId });
+  return { accessToken, device };
+}
+
+// Status of a device request made with an access token (200 if authenticated)
+function authenticate(accessToken) {
+  let status = 200;
+  const req = { get: name => (name === 'Authorization' ? `Bearer ${accessToken}` : undefined) };
+  const res = {
+    status(code) {
+      status = code;
+      return this;
+    },
+    json() {
+      return this;
+    }
+  };
+  authenticateUser()(req, res, () => {});
+  return status;
+}
+
+describe('AuthService', () => {
+  beforeEach(() => {
+    process.env.AUTH_SECRET = 'test-secret';
+    mock.method(logger, 'info', () => {});
+    tenantService.initialize({ webhookToken: 'test-webhook-token' });
+    storageService.initialize(new MemoryBackend());
+  });
+
+  afterEach(() => {
+    mock.restoreAll();
+    delete process.env.AUTH_SECRET;
+  });
+
+  it('keeps redeemed pairing codes across restarts', () => {
+    const backend = new MemoryBackend();
+    authService.initialize(backend);
+    const { code } = authService.createPairingCode('default', 'anna');
+
+    assert.equal(authService.redeemPairingCode(code).userId, 'anna');
+
+    authService.initialize(backend);
+    assert.equal(authService.redeemPairingCode(code), null);
+  });
+
+  it('revokes only the token of a removed device', () => {
+    const backend = new MemoryBackend();
+    authService.initialize(backend);
+    const lostPhone = pairDevice('anna', 'https://push.example.com/lost');
+    const otherPhone = pairDevice('anna', 'https://push.example.com/other');
+
+    storageService.removeDevice('default', 'anna', lostPhone.device.id);
+    assert.equal(authService.revokeDeviceToken(lostPhone.device, storageService.getDevices('default', 'anna')), true);
+
+    authService.initialize(backend);
+    assert.equal(authenticate(lostPhone.accessToken), 401);
+    assert.equal(authenticate(otherPhone.accessToken), 200);
+  });
+
+  it('keeps a token that another device was registered with', () => {
+    authService.initialize(new MemoryBackend());
+    const { accessToken, device } = pairDevice('anna', 'https://push.example.com/old');
+
+    // The browser re-subscribed with the same token and removes the old endpoint
+    const { tokenId } = authService.verifyAccessToken(accessToken);
+    storageService.addSubscription('default', 'anna', { endpoint: 'https://push.example.com/new', keys: {} }, { tokenId });
+    storageService.removeDevice('default', 'anna', device.id);
+
+    assert.equal(authService.revokeDeviceToken(device, storageService.getDevices('default', 'anna')), false);
+    assert.equal(authenticate(accessToken), 200);
+  });
+});
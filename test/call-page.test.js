@@ -0,0 +1,34 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { renderCallPage } from '../src/views/call.js';
+import { getTranslator } from '../src/services/i18n.js';
+
+const page = {
+  locale: 'en',
+  t: getTranslator('en'),
+  displayNumber: '+4930123456',
+  telUri: 'tel:+4930123456'
+};
+
+describe('renderCallPage', () => {
+  it('renders pages without a call record', () => {
+    const markup = renderCallPage({ ...page, context: undefined, outcome: null });
+
+    assert.match(markup, /href="tel:\+4930123456"/);
+    assert.doesNotMatch(markup, /contact-card|outcome-form/);
+  });
+
+  it('renders calls without contact details', () => {
+    const markup = renderCallPage({ ...page, context: null, outcome: { options: ['reached'], current: null, canLogToCrm: false } });
+
+    assert.doesNotMatch(markup, /contact-card/);
+    assert.match(markup, /outcome-form/);
+  });
+
+  it('escapes contact details', () => {
+    const markup = renderCallPage({ ...page, context: { contactName: '<b>Ann</b>', crmUrl: 'https://crm.example.com/1' } });
+
+    assert.match(markup, /&lt;b&gt;Ann&lt;\/b&gt;/);
+    assert.match(markup, /href="https:\/\/crm.example.com\/1"/);
+  });
+});
@@ -0,0 +1,161 @@
+import { describe, it, before, after, beforeEach, afterEach, mock } from 'node:test';
+import assert from 'node:assert/strict';
+import http from 'http';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { MemoryBackend } from '../src/services/storage/index.js';
+import callbackService from '../src/services/callbacks.js';
+import logger from '../src/services/logger.js';
+
+// Local CRM: /ok answers 204, /down 503, /slow answers after a while
+function startCrm() {
+  const received = [];
+  const server = http.createServer((req, res) => {
+    let body = '';
+    req.on('data', chunk => { body += chunk; });
+    req.on('end', () => {
+      received.push({ path: req.url, body: JSON.parse(body) });
+      if (req.url === '/slow') {
+        setTimeout(() => res.writeHead(204).end(), 300);
+      } else {
+        res.writeHead(req.url === '/down' ? 503 : 204).end();
+      }
+    });
+  });
+
+  return new Promise(resolve => server.listen(0, '127.0.0.1', () => {
+    resolve({ server, received, url: path => `http://127.0.0.1:${server.address().port}${path}` });
+  }));
+}
+
+describe('CallbackService', () => {
+  let crm;
+
+  before(async () => {
+    crm = await startCrm();
+  });
+
+  after(() => {
+    crm.server.close();
+  });
+
+  beforeEach(() => {
+    process.env.CALLBACK_RETRY_HOURS = '1';
+    callbackService.initialize(new MemoryBackend());
+    callbackService.stop();
+    crm.received.length = 0;
+
+    // Keep the test output clean
+    mock.method(logger, 'info', () => {});
+    mock.method(logger, 'warn', () => {});
+    mock.method(logger, 'error', () => {});
+    // Deliver from processQueue() calls in the tests only
+    mock.method(global, 'setImmediate', () => {});
+  });
+
+  afterEach(() => {
+    mock.restoreAll();
+    delete process.env.CALLBACK_RETRY_HOURS;
+  });
+
+  it('delivers callbacks to one URL in order', async () => {
+    callbackService.enqueue('default', crm.url('/ok'), { event: 'push_accepted', callId: 'c1' });
+    callbackService.enqueue('default', crm.url('/ok'), { event: 'notification_clicked', callId: 'c1' });
+
+    await callbackService.processQueue();
+
+    assert.deepEqual(crm.received.map(({ body }) => body.event), ['push_accepted', 'notification_clicked']);
+    assert.equal(callbackService.getStats().pending, 0);
+  });
+
+  it('doesn\'t hold up other URLs while one is slow or failing', async () => {
+    callbackService.enqueue('slow', crm.url('/slow'), { event: 'push_accepted', callId: 'c1' });
+    callbackService.enqueue('down', crm.url('/down'), { event: 'push_accepted', callId: 'c2' });
+    callbackService.enqueue('down', crm.url('/down'), { event: 'notification_clicked', callId: 'c2' });
+    callbackService.enqueue('ok', crm.url('/ok'), { event: 'push_accepted', callId: 'c3' });
+
+    await callbackService.processQueue();
+
+    // Every URL got its first callback, and /down only one attempt until its retry time
+    assert.deepEqual(crm.received.map(({ path }) => path), ['/slow', '/down', '/ok']);
+    assert.equal(callbackService.getStats().pending, 2);
+  });
+
+  it('retries failed callbacks with backoff', async () => {
+    callbackService.enqueue('default', crm.url('/down'), { event: 'push_accepted', callId: 'c1' });
+
+    const before = Date.now();
+    await callbackService.processQueue();
+
+    const [item] = callbackService.queue;
+    assert.equal(item.attempts, 1);
+    assert.equal(item.lastError, 'HTTP 503');
+    assert.ok(item.nextAttemptAt >= before + 5000);
+  });
+
+  it('moves callbacks to the dead letters when the retry time runs out, and retries them on request', async () => {
+    callbackService.enqueue('acme', crm.url('/down'), { event: 'push_accepted', callId: 'c1' });
+    const [item] = callbackService.queue;
+    item.createdAt = new Date(Date.now() - 60 * 60 * 1000).toISOString();
+
+    await callbackService.processQueue();
+
+    assert.equal(callbackService.getStats().pending, 0);
+    const [deadLetter] = callbackService.getDeadLetters('acme');
+    assert.equal(deadLetter.id, item.id);
+    assert.equal(deadLetter.lastError, 'HTTP 503');
+    assert.deepEqual(deadLetter.body, { event: 'push_accepted', callId: 'c1' });
+    assert.equal(callbackService.getDeadLetters('other').length, 0);
+    assert.equal(callbackService.retryDeadLetter(item.id, 'other'), null);
+
+    const requeued = callbackService.retryDeadLetter(item.id, 'acme');
+    assert.equal(requeued.id, item.id);
+    assert.equal(requeued.attempts, 0);
+    assert.equal(callbackService.getStats().deadLetters, 0);
+    assert.equal(callbackService.getStats().pending, 1);
+  });
+
+  it('keeps dead letters across a restart', async () => {
+    const backend = new MemoryBackend();
+    process.env.CALLBACK_MAX_ATTEMPTS = '1';
+    callbackService.initialize(backend);
+    callbackService.stop();
+    delete process.env.CALLBACK_MAX_ATTEMPTS;
+
+    callbackService.enqueue('default', crm.url('/down'), { event: 'push_accepted', callId: 'c1' });
+    await callbackService.processQueue();
+    callbackService.initialize(backend);
+    callbackService.stop();
+
+    assert.equal(callbackService.getStats().deadLetters, 1);
+  });
+});
+
+describe('CallbackService persistence', () => {
+  let dataDir;
+
+  beforeEach(() => {
+    dataDir = fs.mkdtempSync(path.join(os.tmpdir(), 'crm-push-test-'));
+    process.env.DATA_DIR = dataDir;
+    mock.method(logger, 'info', () => {});
+    mock.method(global, 'setImmediate', () => {});
+  });
+
+  afterEach(() => {
+    callbackService.stop();
+    mock.restoreAll();
+    delete process.env.DATA_DIR;
+    fs.rmSync(dataDir, { recursive: true, force: true });
+  });
+
+  it('writes queued callbacks to disk right away', () => {
+    callbackService.initialize();
+    callbackService.stop();
+
+    callbackService.enqueue('default', 'https://crm.example.com/hooks', { event: 'push_accepted', callId: 'c1' });
+
+    const stored = JSON.parse(fs.readFileSync(path.join(dataDir, 'callback-queue.json'), 'utf8'));
+    assert.deepEqual(stored.queue.map(item => item.body.callId), ['c1']);
+  });
+});
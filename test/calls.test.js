@@ -0,0 +1,100 @@
+import { describe, it, beforeEach } from 'node:test';
+import assert from 'node:assert/strict';
+import { MemoryBackend } from '../src/services/storage/index.js';
+import callService from '../src/services/calls.js';
+
+const NUMBER = '+4930123456';
+
+// IDs of the calls a filter returns, oldest first
+function recentCallIds(filter) {
+  return callService.getRecentCalls({ tenantId: 'default', ...filter }).map(call => call.id).reverse();
+}
+
+describe('CallService call history', () => {
+  let ownCall;
+  let groupCall;
+  let routedCall;
+
+  beforeEach(() => {
+    callService.initialize(new MemoryBackend());
+
+    ownCall = callService.createCall('default', { userId: 'anna', phoneNumber: NUMBER });
+    callService.setRecipients(ownCall.id, ['anna']);
+
+    // Anna and Ben get the group call, Ben takes it and logs a note
+    groupCall = callService.createCall('default', { groupId: 'sales', userIds: ['anna', 'ben'], phoneNumber: NUMBER });
+    callService.setRecipients(groupCall.id, ['anna', 'ben']);
+    callService.claimCall(groupCall.id, { userId: 'ben', deviceId: 'd1' });
+    callService.recordOutcome(groupCall.id, { result: 'reached', note: 'Private note', userId: 'ben' });
+
+    // Anna is away, her call goes to Ben as fallback user
+    routedCall = callService.createCall('default', { userId: 'anna', phoneNumber: NUMBER });
+    callService.setRecipients(routedCall.id, ['ben']);
+  });
+
+  it('lists calls a user took', () => {
+    assert.deepEqual(recentCallIds({ handledBy: 'anna' }), [ownCall.id]);
+    assert.deepEqual(recentCallIds({ handledBy: 'ben' }), [groupCall.id, routedCall.id]);
+  });
+
+  it('keeps calls that reached no one for their owner', () => {
+    const pending = callService.createCall('default', { userId: 'anna', phoneNumber: NUMBER });
+    const noDevices = callService.createCall('default', { userId: 'anna', phoneNumber: NUMBER });
+    callService.setRecipients(noDevices.id, []);
+
+    assert.deepEqual(recentCallIds({ handledBy: 'anna' }), [ownCall.id, pending.id, noDevices.id]);
+  });
+
+  it('lists unclaimed group calls for nobody', () => {
+    const unclaimed = callService.createCall('default', { groupId: 'sales', userIds: ['anna', 'ben'], phoneNumber: NUMBER });
+    callService.setRecipients(unclaimed.id, ['anna', 'ben']);
+
+    assert.ok(!recentCallIds({ handledBy: 'anna' }).includes(unclaimed.id));
+    assert.ok(!recentCallIds({ handledBy: 'ben' }).includes(unclaimed.id));
+  });
+
+  it('keeps every call for a user in the admin filter', () => {
+    assert.deepEqual(recentCallIds({ userId: 'anna' }), [ownCall.id, groupCall.id, routedCall.id]);
+  });
+});
+
+describe('CallService events', () => {
+  beforeEach(() => {
+    callService.initialize(new MemoryBackend());
+  });
+
+  it('keeps the created event and the latest 100 events of a call', () => {
+    const call = callService.createCall('default', { userId: 'anna', phoneNumber: NUMBER });
+    for (let i = 0; i < 150; i++) {
+      callService.addEvent(call.id, { type: 'delivered', deviceId: `d${i}` });
+    }
+
+    const { events } = callService.getCall(call.id);
+    assert.equal(events.length, 100);
+    assert.equal(events[0].type, 'created');
+    assert.equal(events[1].deviceId, 'd51');
+    assert.equal(events[99].deviceId, 'd149');
+  });
+});
+
+describe('CallService stored records', () => {
+  it('loads records from before contact details with an empty context', () => {
+    const backend = new MemoryBackend();
+    backend.save({
+      calls: [{
+        id: 'legacy-call',
+        tenantId: 'default',
+        userId: 'anna',
+        phoneNumber: NUMBER,
+        status: 'dialed',
+        events: [{ type: 'created', at: '2024-01-01T08:00:00.000Z' }],
+        createdAt: '2024-01-01T08:00:00.000Z',
+        updatedAt: '2024-01-01T08:00:00.000Z'
+      }]
+    });
+
+    callService.initialize(backend);
+
+    assert.deepEqual(callService.getCall('legacy-call').context, {});
+  });
+});
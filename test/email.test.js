@@ -0,0 +1,108 @@
+import { describe, it, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import net from 'net';
+import { EmailChannel } from '../src/services/channels/email.js';
+import { ChannelError } from '../src/services/channels/channel-error.js';
+
+const MESSAGE = {
+  title: '📞 Anruf: Müller GmbH',
+  body: 'Call +49 30 123456',
+  url: 'https://push.example.com/call?to=%2B4930123456',
+  actionTitle: 'Call'
+};
+
+// SMTP server without STARTTLS that records the commands and messages it receives
+function createSmtpServer({ rejectRecipient = null } = {}) {
+  const commands = [];
+  const messages = [];
+
+  const server = net.createServer(socket => {
+    let buffer = '';
+    let data = null;
+    socket.write('220 mock ESMTP\r\n');
+
+    socket.on('data', chunk => {
+      buffer += chunk.toString('utf8');
+      let index;
+      while ((index = buffer.indexOf('\r\n')) !== -1) {
+        const line = buffer.slice(0, index);
+        buffer = buffer.slice(index + 2);
+
+        if (data !== null) {
+          if (line === '.') {
+            messages.push(data.join('\r\n'));
+            data = null;
+            socket.write('250 2.0.0 Ok: queued as 42\r\n');
+          } else {
+            data.push(line);
+          }
+          continue;
+        }
+
+        commands.push(line);
+        const verb = line.split(/[ :]/)[0].toUpperCase();
+        if (verb === 'EHLO') {
+          socket.write('250-mock\r\n250 8BITMIME\r\n');
+        } else if (verb === 'RCPT' && rejectRecipient && line.includes(rejectRecipient)) {
+          socket.write('550 5.1.1 Mailbox unavailable\r\n');
+        } else if (verb === 'DATA') {
+          data = [];
+          socket.write('354 End data with <CR><LF>.<CR><LF>\r\n');
+        } else if (verb === 'QUIT') {
+          socket.end('221 Bye\r\n');
+        } else {
+          socket.write('250 Ok\r\n');
+        }
+      }
+    });
+    socket.on('error', () => {});
+  });
+
+  return { server, commands, messages };
+}
+
+describe('EmailChannel', () => {
+  let smtp;
+  let port;
+
+  before(async () => {
+    smtp = createSmtpServer({ rejectRecipient: 'gone@example.com' });
+    await new Promise(resolve => smtp.server.listen(0, '127.0.0.1', resolve));
+    port = smtp.server.address().port;
+  });
+
+  after(() => {
+    smtp.server.close();
+  });
+
+  it('sends the call message through the SMTP server', async () => {
+    const channel = new EmailChannel({ host: '127.0.0.1', port, from: 'CRM Push <push@example.com>' });
+
+    const response = await channel.send('anna@example.com', MESSAGE);
+
+    assert.equal(response.statusCode, 250);
+    assert.ok(smtp.commands.includes('MAIL FROM:<push@example.com>'));
+    assert.ok(smtp.commands.includes('RCPT TO:<anna@example.com>'));
+    const message = smtp.messages.at(-1);
+    assert.match(message, /^Subject: =\?UTF-8\?/m);
+    assert.match(message, /^To: anna@example\.com$/m);
+  });
+
+  it('reports rejected recipients with the SMTP reply code', async () => {
+    const channel = new EmailChannel({ host: '127.0.0.1', port, from: 'push@example.com' });
+
+    await assert.rejects(channel.send('gone@example.com', MESSAGE), error => {
+      assert.ok(error instanceof ChannelError);
+      assert.equal(error.statusCode, 550);
+      return true;
+    });
+  });
+
+  it('refuses to send credentials when the server does not offer STARTTLS', async () => {
+    const channel = new EmailChannel({ host: '127.0.0.1', port, user: 'push', password: 'secret', from: 'push@example.com' });
+    const commandCount = smtp.commands.length;
+
+    await assert.rejects(channel.send('anna@example.com', MESSAGE), ChannelError);
+    assert.ok(smtp.commands.slice(commandCount).every(command => !command.startsWith('AUTH')));
+  });
+});
@@ -0,0 +1,127 @@
+import { describe, it, beforeEach, afterEach } from 'node:test';
+import assert from 'node:assert/strict';
+import { MemoryBackend } from '../src/services/storage/index.js';
+import idempotencyService from '../src/services/idempotency.js';
+
+describe('IdempotencyService', () => {
+  beforeEach(() => {
+    process.env.WEBHOOK_DEDUP_SECONDS = '60';
+    idempotencyService.initialize(new MemoryBackend());
+  });
+
+  afterEach(() => {
+    delete process.env.WEBHOOK_DEDUP_SECONDS;
+  });
+
+  it('answers a repeated idempotency key with the original response', async () => {
+    const request = { idempotencyKey: 'req-1', userId: 'u1', phoneNumber: '+4930123456' };
+    const keys = idempotencyService.getCallKeys('default', request);
+    const fingerprint = 'u1:+4930123456';
+    const response = { statusCode: 200, body: { callId: 'call-1' } };
+
+    assert.equal(idempotencyService.claim(keys, fingerprint), null);
+    idempotencyService.complete(keys, response);
+
+    const earlier = idempotencyService.claim(keys, fingerprint);
+    assert.equal(earlier.fingerprint, fingerprint);
+    assert.deepEqual(await earlier.promise, response);
+  });
+
+  it('scopes keys to the tenant', () => {
+    const request = { idempotencyKey: 'req-1', userId: 'u1', phoneNumber: '+4930123456' };
+    const fingerprint = 'u1:+4930123456';
+
+    idempotencyService.claim(idempotencyService.getCallKeys('acme', request), fingerprint);
+
+    assert.equal(idempotencyService.claim(idempotencyService.getCallKeys('other', request), fingerprint), null);
+  });
+
+  it('reports a different fingerprint for a reused key', () => {
+    const keys = idempotencyService.getCallKeys('default', { idempotencyKey: 'req-1', userId: 'u1', phoneNumber: '+4930123456' });
+
+    idempotencyService.claim(keys, 'u1:+4930123456');
+    const earlier = idempotencyService.claim(keys, 'u1:+4940999999');
+
+    assert.notEqual(earlier.fingerprint, 'u1:+4940999999');
+  });
+
+  it('lets a request wait for the running original', async () => {
+    const request = { userId: 'u1', phoneNumber: '+4930123456' };
+    const keys = idempotencyService.getCallKeys('default', request);
+    const fingerprint = 'u1:+4930123456';
+    const response = { statusCode: 200, body: { callId: 'call-1' } };
+
+    idempotencyService.claim(keys, fingerprint);
+    const waiting = idempotencyService.claim(keys, fingerprint);
+    idempotencyService.complete(keys, response);
+
+    assert.deepEqual(await waiting.promise, response);
+  });
+
+  it('releases the keys of a failed request', async () => {
+    const request = { userId: 'u1', phoneNumber: '+4930123456' };
+    const keys = idempotencyService.getCallKeys('default', request);
+    const fingerprint = 'u1:+4930123456';
+
+    idempotencyService.claim(keys, fingerprint);
+    const waiting = idempotencyService.claim(keys, fingerprint);
+    idempotencyService.release(keys);
+
+    assert.equal(await waiting.promise, null);
+    assert.equal(idempotencyService.claim(keys, fingerprint), null);
+  });
+
+  it('suppresses the same user and number only within the dedup window', () => {
+    const request = { userId: 'u1', phoneNumber: '+4930123456' };
+    const keys = idempotencyService.getCallKeys('default', request);
+    const fingerprint = 'u1:+4930123456';
+
+    assert.equal(keys.length, 1);
+    assert.equal(keys[0].ttlMs, 60000);
+    idempotencyService.claim(keys, fingerprint);
+    idempotencyService.complete(keys, { statusCode: 200, body: {} });
+
+    // Let the entry expire
+    idempotencyService.entries.get(keys[0].key).expiresAt = Date.now() - 1;
+    assert.equal(idempotencyService.claim(keys, fingerprint), null);
+  });
+
+  it('uses no dedup key when the dedup window is off', () => {
+    delete process.env.WEBHOOK_DEDUP_SECONDS;
+    idempotencyService.initialize(new MemoryBackend());
+
+    assert.deepEqual(idempotencyService.getCallKeys('default', { userId: 'u1', phoneNumber: '+4930123456' }), []);
+  });
+
+  it('keeps completed responses across a restart', async () => {
+    const backend = new MemoryBackend();
+    idempotencyService.initialize(backend);
+    const request = { idempotencyKey: 'req-1', userId: 'u1', phoneNumber: '+4930123456' };
+    const keys = idempotencyService.getCallKeys('default', request);
+    const fingerprint = 'u1:+4930123456';
+    const response = { statusCode: 200, body: { callId: 'call-1' } };
+
+    idempotencyService.claim(keys, fingerprint);
+    idempotencyService.complete(keys, response);
+    idempotencyService.initialize(backend);
+
+    assert.deepEqual(await idempotencyService.claim(keys, fingerprint).promise, response);
+  });
+
+  it('treats the same user list in another order as a repeat', async () => {
+    const first = { userIds: ['u1', 'u2'], phoneNumber: '+4930123456' };
+    const second = { userIds: ['u2', 'u1'], phoneNumber: '+4930123456' };
+    const response = { statusCode: 200, body: { success: true } };
+
+    const keys = idempotencyService.getCallKeys('default', first);
+    assert.equal(idempotencyService.claim(keys, idempotencyService.getCallFingerprint(first)), null);
+    idempotencyService.complete(keys, response);
+
+    const earlier = idempotencyService.claim(
+      idempotencyService.getCallKeys('default', second),
+      idempotencyService.getCallFingerprint(second)
+    );
+    assert.equal(earlier.fingerprint, idempotencyService.getCallFingerprint(second));
+    assert.deepEqual(await earlier.promise, response);
+  });
+});
@@ -0,0 +1,51 @@
+import { describe, it, beforeEach, afterEach, mock } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { JsonFileBackend, flushPendingWrites } from '../src/services/storage/index.js';
+
+describe('JsonFileBackend', () => {
+  let dir;
+
+  beforeEach(() => {
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), 'crm-push-test-'));
+  });
+
+  afterEach(() => {
+    mock.restoreAll();
+    fs.rmSync(dir, { recursive: true, force: true });
+  });
+
+  it('writes immediately without a write delay', () => {
+    const backend = new JsonFileBackend(path.join(dir, 'data.json'));
+    backend.save({ count: 1 });
+
+    assert.deepEqual(backend.load(), { count: 1 });
+  });
+
+  it('coalesces saves within the write delay into one write of the latest state', () => {
+    mock.timers.enable({ apis: ['setTimeout'] });
+    const backend = new JsonFileBackend(path.join(dir, 'data.json'), { writeDelayMs: 1000 });
+    const write = mock.method(backend, 'write');
+
+    const state = { count: 0 };
+    for (let i = 1; i <= 50; i++) {
+      state.count = i;
+      backend.save(state);
+    }
+    assert.equal(backend.load(), null);
+
+    mock.timers.tick(1000);
+    assert.equal(write.mock.callCount(), 1);
+    assert.deepEqual(backend.load(), { count: 50 });
+  });
+
+  it('writes pending saves on flush', () => {
+    const backend = new JsonFileBackend(path.join(dir, 'data.json'), { writeDelayMs: 60 * 1000 });
+    backend.save({ count: 1 });
+
+    flushPendingWrites();
+    assert.deepEqual(backend.load(), { count: 1 });
+  });
+});
@@ -0,0 +1,88 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import {
+  normalizePhoneNumber,
+  formatPhoneNumber,
+  formatPhoneNumberForDisplay,
+  toTelUri
+} from '../src/services/phone.js';
+
+// E.164 form of a number, or the error
+function normalize(input, options) {
+  const result = normalizePhoneNumber(input, options);
+  return result.valid ? result.e164 : result.error;
+}
+
+describe('normalizePhoneNumber', () => {
+  it('accepts international numbers in common notations', () => {
+    assert.equal(normalize('+49 30 123456'), '+4930123456');
+    assert.equal(normalize('0049 (0)30 / 123-456'), '+4930123456');
+    assert.equal(normalize('+49 (0)30 123456'), '+4930123456');
+    assert.equal(normalize('+1 (212) 555-0123'), '+12125550123');
+    assert.equal(normalize('tel:+44-20-7946-0958'), '+442079460958');
+  });
+
+  it('reads national numbers with the default country', () => {
+    assert.equal(normalize('030 123456', { defaultCountry: 'DE' }), '+4930123456');
+    assert.equal(normalize('030 123456', { defaultCountry: 'de' }), '+4930123456');
+    assert.equal(normalize('1 212 555 0123', { defaultCountry: 'US' }), '+12125550123');
+    assert.equal(normalize('06 12 34 56 78', { defaultCountry: 'FR' }), '+33612345678');
+    // Italian numbers keep their leading zero
+    assert.equal(normalize('06 1234 5678', { defaultCountry: 'IT' }), '+390612345678');
+  });
+
+  it('needs a default country for national numbers', () => {
+    assert.equal(normalize('030 123456'), 'National phone number needs a country code or a default country');
+    assert.equal(normalize('030 123456', { defaultCountry: 'XX' }), 'National phone number needs a country code or a default country');
+  });
+
+  it('rejects numbers that can\'t be dialed', () => {
+    assert.equal(normalize(''), 'Missing or invalid phone number');
+    assert.equal(normalize(null), 'Missing or invalid phone number');
+    assert.equal(normalize('+49 30 abc'), 'Invalid phone number format');
+    assert.equal(normalize('+999 123456789'), 'Unknown country calling code');
+    assert.equal(normalize('+49 30 1234567890123'), 'Phone number is too long');
+    assert.equal(normalize('+1 012 555 0123'), 'Phone number has an invalid area code');
+    assert.equal(normalize('tel:%E0%A4%A'), 'Invalid phone number format');
+  });
+
+  it('separates extensions and post-dial sequences', () => {
+    const result = normalizePhoneNumber('+49 30 123456 ext. 42');
+    assert.equal(result.e164, '+4930123456');
+    assert.equal(result.extension, '42');
+
+    assert.equal(normalizePhoneNumber('+4930123456;ext=42').extension, '42');
+    assert.equal(normalizePhoneNumber('+4930123456 x42').extension, '42');
+
+    const postDial = normalizePhoneNumber('+4930123456p123w#');
+    assert.equal(postDial.e164, '+4930123456');
+    assert.equal(postDial.postDial, ',123;#');
+  });
+
+  it('returns the country and the original input', () => {
+    const result = normalizePhoneNumber(' +41 44 668 18 00 ');
+
+    assert.equal(result.country, 'CH');
+    assert.equal(result.original, '+41 44 668 18 00');
+  });
+});
+
+describe('Phone number formatting', () => {
+  const number = normalizePhoneNumber('+4930123456 ext. 42');
+
+  it('formats numbers that normalize to the same result', () => {
+    const formatted = formatPhoneNumber(number);
+
+    assert.equal(formatted, '+4930123456;ext=42');
+    assert.equal(normalizePhoneNumber(formatted).extension, '42');
+  });
+
+  it('formats numbers for display', () => {
+    assert.equal(formatPhoneNumberForDisplay(number), '+4930123456 ext. 42');
+  });
+
+  it('dials extensions and post-dial digits after a pause', () => {
+    assert.equal(toTelUri(number), 'tel:+4930123456,42');
+    assert.equal(toTelUri(normalizePhoneNumber('+4930123456p1#')), 'tel:+4930123456,1%23');
+  });
+});
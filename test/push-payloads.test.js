@@ -0,0 +1,41 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import pushService from '../src/services/push.js';
+import { FcmProvider } from '../src/services/providers/fcm.js';
+import { ApnsProvider } from '../src/services/providers/apns.js';
+
+describe('Retraction payload', () => {
+  const payload = pushService.createRetractPayload('call-1', 'anna', 'de');
+
+  it('is a visible notification with the tag of the call notification', () => {
+    assert.equal(payload.type, 'retract');
+    assert.equal(payload.tag, 'crm-call');
+    assert.equal(payload.title, '✅ Anruf übernommen');
+    assert.equal(payload.body, 'anna übernimmt diesen Anruf.');
+    assert.equal(payload.data.callId, 'call-1');
+    // Reporting and claiming need a call token, so the note never reports events
+    assert.equal(payload.data.callToken, undefined);
+  });
+});
+
+describe('Native provider messages', () => {
+  const payload = pushService.createRetractPayload('call-1', 'anna');
+
+  it('shows retractions as FCM notifications that replace the call notification', () => {
+    const fcm = new FcmProvider({ serviceAccount: { project_id: 'p', client_email: 'e', private_key: 'k' } });
+    const message = fcm.buildMessage('device-token', payload);
+
+    assert.deepEqual(message.notification, { title: '✅ Call taken', body: 'anna is taking this call.' });
+    assert.equal(message.android.notification.tag, 'crm-call');
+    assert.equal(JSON.parse(message.data.payload).type, 'retract');
+  });
+
+  it('sends retractions to APNs as alerts', () => {
+    const apns = new ApnsProvider({ teamId: 't', keyId: 'k', privateKey: 'key', topic: 'com.example.app' });
+    const body = apns.buildBody(payload);
+
+    assert.deepEqual(body.aps.alert, { title: '✅ Call taken', body: 'anna is taking this call.' });
+    assert.equal(body.aps['thread-id'], 'crm-call');
+    assert.equal(body.payload.callId, 'call-1');
+  });
+});
@@ -0,0 +1,187 @@
+import { describe, it, beforeEach, afterEach, mock } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { MemoryBackend } from '../src/services/storage/index.js';
+import pushQueueService from '../src/services/push-queue.js';
+import pushService from '../src/services/push.js';
+import logger from '../src/services/logger.js';
+
+
+const ENDPOINT = 'https://push.example.com/device-1';
+
+// Result of pushService.sendToUser for one device
+function pushResult({ sent = 0, retryable = [] } = {}) {
+  return {
+    sent,
+    total: 1,
+    retryable,
+    notified: sent > 0 ? ['u1'] : [],
+    recipients: ['u1'],
+    routing: null
+  };
+}
+
+function job(overrides = {}) {
+  return { tenantId: 'default', userId: 'u1', callId: 'call-1', payload: { title: 'Call' }, ...overrides };
+}
+
+describe('PushQueueService', () => {
+  beforeEach(() => {
+    process.env.PUSH_MAX_ATTEMPTS = '3';
+    pushQueueService.initialize(new MemoryBackend());
+    pushQueueService.stop();
+
+    // Keep the test output clean
+    mock.method(logger, 'info', () => {});
+    mock.method(logger, 'warn', () => {});
+    mock.method(logger, 'error', () => {});
+  });
+
+  afterEach(() => {
+    mock.restoreAll();
+    delete process.env.PUSH_MAX_ATTEMPTS;
+  });
+
+  it('finishes a job that reached the device on the first attempt', async () => {
+    mock.method(pushService, 'sendToUser', async () => pushResult({ sent: 1 }));
+
+    const result = await pushQueueService.sendNow(job());
+
+    assert.equal(result.sent, 1);
+    assert.equal(result.retrying, 0);
+    assert.equal(pushQueueService.getStats().pending, 0);
+    assert.equal(pushQueueService.getJob(result.jobId).status, 'completed');
+  });
+
+  it('schedules a retry with backoff for transient failures', async () => {
+    mock.method(pushService, 'sendToUser', async () => pushResult({
+      retryable: [{ endpoint: ENDPOINT, statusCode: 503 }]
+    }));
+
+    const before = Date.now();
+    const result = await pushQueueService.sendNow(job());
+    const queued = pushQueueService.getJob(result.jobId);
+
+    assert.equal(result.retrying, 1);
+    assert.equal(queued.status, 'retrying');
+    assert.equal(queued.lastError, '503');
+    assert.deepEqual(queued.endpoints, [ENDPOINT]);
+    assert.ok(queued.nextAttemptAt >= before + 2000);
+  });
+
+  it('honors Retry-After when it is longer than the backoff', async () => {
+    mock.method(pushService, 'sendToUser', async () => pushResult({
+      retryable: [{ endpoint: ENDPOINT, statusCode: 429, retryAfterMs: 60000 }]
+    }));
+
+    const before = Date.now();
+    const result = await pushQueueService.sendNow(job());
+
+    assert.ok(pushQueueService.getJob(result.jobId).nextAttemptAt >= before + 60000);
+  });
+
+  it('retries only the failed endpoints', async () => {
+    const sendToUser = mock.method(pushService, 'sendToUser', async () => pushResult({
+      retryable: [{ endpoint: ENDPOINT, statusCode: 500 }]
+    }));
+
+    const result = await pushQueueService.sendNow(job());
+    pushQueueService.queue[0].nextAttemptAt = 0;
+    await pushQueueService.processQueue();
+
+    assert.equal(sendToUser.mock.callCount(), 2);
+    assert.deepEqual(sendToUser.mock.calls[1].arguments[3].endpoints, [ENDPOINT]);
+    assert.deepEqual(sendToUser.mock.calls[1].arguments[3].recipients, ['u1']);
+    assert.equal(pushQueueService.getJob(result.jobId).attempts, 2);
+  });
+
+  it('moves a job to the dead letters after the last attempt and retries it on request', async () => {
+    mock.method(pushService, 'sendToUser', async () => pushResult({
+      retryable: [{ endpoint: ENDPOINT, statusCode: 500 }]
+    }));
+
+    const result = await pushQueueService.sendNow(job());
+    for (let attempt = 2; attempt <= 3; attempt++) {
+      pushQueueService.queue[0].nextAttemptAt = 0;
+      await pushQueueService.processQueue();
+    }
+
+    assert.equal(pushQueueService.getStats().pending, 0);
+    const [deadLetter] = pushQueueService.getDeadLetters();
+    assert.equal(deadLetter.id, result.jobId);
+    assert.equal(deadLetter.status, 'dead');
+    assert.equal(deadLetter.attempts, 3);
+    assert.equal(deadLetter.payload, undefined);
+
+    const requeued = pushQueueService.retryDeadLetter(result.jobId);
+    assert.equal(requeued.status, 'pending');
+    assert.equal(requeued.attempts, 0);
+    assert.equal(pushQueueService.getDeadLetters().length, 0);
+    assert.equal(pushQueueService.getStats().pending, 1);
+
+    // Let the immediate attempt of the requeued job run while sendToUser is mocked
+    await new Promise(resolve => setImmediate(resolve));
+  });
+
+  it('keeps dead letters of other tenants hidden', async () => {
+    mock.method(pushService, 'sendToUser', async () => pushResult({
+      retryable: [{ endpoint: ENDPOINT, statusCode: 500 }]
+    }));
+    process.env.PUSH_MAX_ATTEMPTS = '1';
+    pushQueueService.initialize(new MemoryBackend());
+    pushQueueService.stop();
+
+    const result = await pushQueueService.sendNow(job({ tenantId: 'acme' }));
+
+    assert.equal(pushQueueService.getDeadLetters('other').length, 0);
+    assert.equal(pushQueueService.retryDeadLetter(result.jobId, 'other'), null);
+    assert.equal(pushQueueService.getDeadLetters('acme').length, 1);
+  });
+
+  it('persists pending jobs and loads them again', async () => {
+    mock.method(pushService, 'sendToUser', async () => pushResult({
+      retryable: [{ endpoint: ENDPOINT, statusCode: 500 }]
+    }));
+    const backend = new MemoryBackend();
+    pushQueueService.initialize(backend);
+    pushQueueService.stop();
+
+    const result = await pushQueueService.sendNow(job());
+    pushQueueService.initialize(backend);
+    pushQueueService.stop();
+
+    assert.equal(pushQueueService.getStats().pending, 1);
+    assert.equal(pushQueueService.queue[0].id, result.jobId);
+    assert.deepEqual(pushQueueService.queue[0].payload, { title: 'Call' });
+  });
+});
+
+describe('PushQueueService persistence', () => {
+  let dataDir;
+
+  beforeEach(() => {
+    dataDir = fs.mkdtempSync(path.join(os.tmpdir(), 'crm-push-test-'));
+    process.env.DATA_DIR = dataDir;
+    mock.method(logger, 'info', () => {});
+  });
+
+  afterEach(() => {
+    pushQueueService.stop();
+    mock.restoreAll();
+    delete process.env.DATA_DIR;
+    fs.rmSync(dataDir, { recursive: true, force: true });
+  });
+
+  it('writes queued jobs to disk right away', () => {
+    pushQueueService.initialize();
+    pushQueueService.stop();
+    mock.method(global, 'setImmediate', () => {});
+
+    const queued = pushQueueService.enqueue(job());
+
+    const stored = JSON.parse(fs.readFileSync(path.join(dataDir, 'push-queue.json'), 'utf8'));
+    assert.deepEqual(stored.queue.map(entry => entry.id), [queued.id]);
+  });
+});
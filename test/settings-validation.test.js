@@ -0,0 +1,34 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { validateUserSettings } from '../src/middleware/validation.js';
+
+// Status code the middleware answered with, or 'next' if it let the request through
+function run(body) {
+  let result = null;
+  const req = { body };
+  const res = {
+    status(code) {
+      result = code;
+      return { json: () => {} };
+    }
+  };
+  validateUserSettings(req, res, () => { result = 'next'; });
+  return { result, validatedData: req.validatedData };
+}
+
+describe('validateUserSettings', () => {
+  it('accepts fallback users with any valid user ID', () => {
+    const longUserId = `crm-${'x'.repeat(200)}`;
+
+    const { result, validatedData } = run({ fallback_users: [' ben ', longUserId] });
+
+    assert.equal(result, 'next');
+    assert.deepEqual(validatedData.fallbackUsers, ['ben', longUserId]);
+  });
+
+  it('rejects fallback users that are not user IDs', () => {
+    assert.equal(run({ fallback_users: [''] }).result, 400);
+    assert.equal(run({ fallback_users: ['x'.repeat(256)] }).result, 400);
+    assert.equal(run({ fallback_users: 'ben' }).result, 400);
+  });
+});
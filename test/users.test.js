@@ -0,0 +1,58 @@
+import { describe, it, afterEach, mock } from 'node:test';
+import assert from 'node:assert/strict';
+import { MemoryBackend } from '../src/services/storage/index.js';
+import userService from '../src/services/users.js';
+import groupService from '../src/services/groups.js';
+import logger from '../src/services/logger.js';
+
+// Monday 2024-01-01, 08:30 UTC (09:30 in Berlin)
+const MONDAY_MORNING = new Date('2024-01-01T08:30:00Z');
+const OFFICE_HOURS = { days: [1, 2, 3, 4, 5], start: '09:00', end: '17:00' };
+
+describe('UserService timezones', () => {
+  afterEach(() => {
+    mock.restoreAll();
+    delete process.env.DEFAULT_TIMEZONE;
+  });
+
+  it('refuses to start with an unknown DEFAULT_TIMEZONE', () => {
+    process.env.DEFAULT_TIMEZONE = 'Europe/Berln';
+
+    assert.throws(() => userService.initialize(new MemoryBackend()), /Invalid DEFAULT_TIMEZONE: Europe\/Berln/);
+  });
+
+  it('applies working hours in DEFAULT_TIMEZONE for users without their own', () => {
+    process.env.DEFAULT_TIMEZONE = 'Europe/Berlin';
+    userService.initialize(new MemoryBackend());
+    userService.updateSettings('default', 'anna', { workingHours: OFFICE_HOURS });
+
+    assert.equal(userService.getTimezone('default', 'anna'), 'Europe/Berlin');
+    assert.equal(userService.getAvailability('default', 'anna', MONDAY_MORNING).available, true);
+  });
+
+  it('falls back to the default for stored timezones the runtime doesn\'t know', () => {
+    userService.initialize(new MemoryBackend());
+    userService.updateSettings('default', 'anna', { timezone: 'Mars/Olympus_Mons', workingHours: OFFICE_HOURS });
+    const warn = mock.method(logger, 'warn', () => {});
+
+    assert.equal(userService.getTimezone('default', 'anna'), 'UTC');
+    assert.deepEqual(userService.getAvailability('default', 'anna', MONDAY_MORNING), {
+      available: false,
+      reason: 'outside_working_hours'
+    });
+    assert.equal(warn.mock.calls[0].arguments[0], 'Unknown timezone in user settings, using the default');
+  });
+});
+
+describe('UserService fallback users', () => {
+  it('adds the current members of the fallback group', () => {
+    userService.initialize(new MemoryBackend());
+    groupService.initialize(new MemoryBackend());
+    userService.updateSettings('default', 'anna', { fallbackUsers: ['ben'], fallbackGroup: 'inbound' });
+
+    assert.deepEqual(userService.getFallbackUsers('default', 'anna'), ['ben']);
+
+    groupService.saveGroup('default', 'inbound', { name: 'Inbound', members: ['anna', 'ben', 'carla'] });
+    assert.deepEqual(userService.getFallbackUsers('default', 'anna'), ['ben', 'carla']);
+  });
+});
@@ -0,0 +1,60 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import crypto from 'crypto';
+import { validateWebhookAuth } from '../src/middleware/validation.js';
+
+const SECRET = 'webhook-secret';
+const tenants = [{ id: 'default', webhookAuthMode: 'signature', webhookSecrets: [SECRET] }];
+
+// Signed request as Express would hand it to the middleware
+function signedRequest(body, { prefix = 'sha256=', timestamp = Math.floor(Date.now() / 1000) } = {}) {
+  const rawBody = Buffer.from(JSON.stringify(body));
+  const signature = crypto.createHmac('sha256', SECRET).update(`${timestamp}.${rawBody}`).digest('hex');
+  const headers = {
+    'x-webhook-timestamp': String(timestamp),
+    'x-webhook-signature': `${prefix}${signature}`
+  };
+  return { rawBody, query: {}, get: name => headers[name.toLowerCase()] };
+}
+
+// Status code the middleware answered with, or 'next' if it let the request through
+function run(middleware, req) {
+  let result = null;
+  const res = {
+    status(code) {
+      result = code;
+      return { json: () => {} };
+    }
+  };
+  middleware(req, res, () => { result = 'next'; });
+  return result;
+}
+
+describe('validateWebhookAuth', () => {
+  it('accepts a signed request once', () => {
+    const middleware = validateWebhookAuth({ getTenants: () => tenants });
+    const req = signedRequest({ callee_number: '+4930123456' });
+
+    assert.equal(run(middleware, req), 'next');
+    assert.equal(req.tenant, tenants[0]);
+    assert.equal(run(middleware, signedRequest({ callee_number: '+4930123456' }, { timestamp: Number(req.get('X-Webhook-Timestamp')) })), 409);
+  });
+
+  it('rejects a replay that adds or drops the sha256= prefix', () => {
+    const middleware = validateWebhookAuth({ getTenants: () => tenants });
+    const timestamp = Math.floor(Date.now() / 1000);
+    const body = { callee_number: '+4930123456' };
+
+    assert.equal(run(middleware, signedRequest(body, { timestamp })), 'next');
+    assert.equal(run(middleware, signedRequest(body, { timestamp, prefix: '' })), 409);
+  });
+
+  it('rejects wrong signatures and old timestamps', () => {
+    const middleware = validateWebhookAuth({ getTenants: () => tenants, toleranceSeconds: 300 });
+    const tampered = signedRequest({ callee_number: '+4930123456' });
+    tampered.rawBody = Buffer.from('{"callee_number":"+4940999999"}');
+
+    assert.equal(run(middleware, tampered), 403);
+    assert.equal(run(middleware, signedRequest({}, { timestamp: Math.floor(Date.now() / 1000) - 600 })), 401);
+  });
+});